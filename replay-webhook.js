@@ -0,0 +1,81 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { WEBHOOK_TOPICS, signWebhook } from './server/webhooks.js';
+
+dotenv.config();
+
+// Replay saved webhook payloads (see WEBHOOK_PAYLOAD_DIR) against the local
+// server, signed with SHOPIFY_API_SECRET like Shopify would.
+//   node replay-webhook.js [--topic customers/update] [--url http://...] [--shop my-store.myshopify.com] payload.json ...
+// Without --topic, the topic is read from the file name, e.g.
+// 1718000000000-customers-update.json. The server ignores events from other
+// stores than the one it is using; --shop defaults to SHOPIFY_STORE_URL.
+function parseArgs(argv) {
+  const options = {
+    topic: null,
+    url: `http://localhost:${process.env.PORT || 3000}/api/webhooks/shopify`,
+    shop: (process.env.SHOPIFY_STORE_URL || '').replace(/^https?:\/\//, ''),
+    files: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--topic') options.topic = argv[++i];
+    else if (argv[i] === '--url') options.url = argv[++i];
+    else if (argv[i] === '--shop') options.shop = argv[++i];
+    else options.files.push(argv[i]);
+  }
+  return options;
+}
+
+function getTopicFromFile(file) {
+  const name = path.basename(file, '.json');
+  return WEBHOOK_TOPICS.find(topic => name.endsWith(topic.replace('/', '-'))) || null;
+}
+
+async function replayWebhooks() {
+  const { topic, url, shop, files } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.SHOPIFY_API_SECRET) {
+    console.error('❌ SHOPIFY_API_SECRET is not set');
+    process.exit(1);
+  }
+  if (files.length === 0) {
+    console.error('Usage: node replay-webhook.js [--topic <topic>] [--url <url>] [--shop <shop>] <payload.json>...');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const fileTopic = topic || getTopicFromFile(file);
+    if (!fileTopic) {
+      console.error(`❌ ${file}: can't tell the topic from the file name, pass --topic`);
+      failed++;
+      continue;
+    }
+
+    const body = fs.readFileSync(file);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Shopify-Topic': fileTopic,
+        'X-Shopify-Hmac-Sha256': signWebhook(body, process.env.SHOPIFY_API_SECRET),
+        'X-Shopify-Webhook-Id': crypto.randomUUID(),
+        'X-Shopify-Shop-Domain': shop
+      },
+      body
+    });
+
+    const result = await response.text();
+    console.log(`${response.ok ? '✅' : '❌'} ${file} (${fileTopic}): ${response.status} ${result}`);
+    if (!response.ok) failed++;
+  }
+
+  if (failed > 0) process.exit(1);
+}
+
+replayWebhooks().catch(error => {
+  console.error('❌ Replay failed:', error.message);
+  process.exit(1);
+});
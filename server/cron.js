@@ -0,0 +1,153 @@
+// Minimal cron expression support for scheduled tagging rules.
+// Supports the standard 5 fields (minute hour day-of-month month day-of-week)
+// with `*`, lists (`1,15`), ranges (`1-5`) and steps (`*/15`, `0-30/10`),
+// plus the common `@hourly`, `@daily`, `@weekly` and `@monthly` shortcuts.
+// Times are evaluated in the server's local timezone.
+
+const PRESETS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up searching for a matching minute after roughly 4 years, which covers
+// every leap day
+const MAX_SEARCH_MS = 4 * 366 * 24 * 60 * 60 * 1000;
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${name} field`);
+    }
+
+    let start = min;
+    let end = max;
+
+    if (rangePart !== '*') {
+      const [startText, endText] = rangePart.split('-');
+      start = Number(startText);
+      end = endText === undefined ? (stepPart === undefined ? start : max) : Number(endText);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} value "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let i = start; i <= end; i += step) {
+      allowed.add(i);
+    }
+  }
+
+  return allowed;
+}
+
+// Parse a cron expression into sets of allowed values per field
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Schedule expression is required');
+  }
+
+  const normalized = PRESETS[expression.trim().toLowerCase()] || expression.trim();
+  const fields = normalized.split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error(`Expected 5 fields in schedule "${expression}", got ${fields.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) =>
+    parseField(field, FIELD_RANGES[index])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+function isValidCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function matchesDay(schedule, date) {
+  const domMatch = schedule.daysOfMonth.has(date.getDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getDay());
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+// Get the next time (strictly after `fromDate`) the expression fires
+function getNextRunTime(expression, fromDate = new Date()) {
+  const schedule = parseCronExpression(expression);
+  const candidate = new Date(fromDate.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+  const searchEnd = fromDate.getTime() + MAX_SEARCH_MS;
+
+  while (candidate.getTime() <= searchEnd) {
+    if (!schedule.months.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(schedule, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return candidate;
+  }
+
+  throw new Error(`Schedule "${expression}" never fires`);
+}
+
+export {
+  parseCronExpression,
+  isValidCronExpression,
+  getNextRunTime
+};
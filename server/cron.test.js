@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronExpression, isValidCronExpression, getNextRunTime } from './cron.js';
+
+test('parses fields, lists, ranges, steps and presets', () => {
+  const schedule = parseCronExpression('*/15 9-17 1,15 * 1-5');
+
+  assert.deepEqual([...schedule.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...schedule.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...schedule.daysOfMonth], [1, 15]);
+  assert.equal(schedule.months.size, 12);
+  assert.equal(schedule.dayOfMonthRestricted, true);
+
+  assert.deepEqual(parseCronExpression('@daily'), parseCronExpression('0 0 * * *'));
+  assert.equal(parseCronExpression('0 0 * * 7').daysOfWeek.has(0), true);
+});
+
+test('rejects malformed expressions', () => {
+  assert.equal(isValidCronExpression('0 3 * * *'), true);
+  assert.equal(isValidCronExpression(''), false);
+  assert.equal(isValidCronExpression('0 3 * *'), false);
+  assert.equal(isValidCronExpression('60 3 * * *'), false);
+  assert.equal(isValidCronExpression('*/0 * * * *'), false);
+  assert.equal(isValidCronExpression('5-1 * * * *'), false);
+});
+
+test('finds the next run strictly after the given time', () => {
+  const from = new Date(2024, 5, 10, 8, 30, 45);
+
+  assert.deepEqual(getNextRunTime('*/15 * * * *', from), new Date(2024, 5, 10, 8, 45));
+  assert.deepEqual(getNextRunTime('0 3 * * *', from), new Date(2024, 5, 11, 3, 0));
+  assert.deepEqual(getNextRunTime('30 8 * * *', new Date(2024, 5, 10, 8, 30)), new Date(2024, 5, 11, 8, 30));
+  assert.deepEqual(getNextRunTime('@monthly', from), new Date(2024, 6, 1, 0, 0));
+  // 2024-06-10 is a Monday
+  assert.deepEqual(getNextRunTime('0 9 * * 0', from), new Date(2024, 5, 16, 9, 0));
+});
+
+test('matches either day field when both are restricted', () => {
+  // The 20th, or any Monday
+  assert.deepEqual(getNextRunTime('0 0 20 * 1', new Date(2024, 5, 10, 12)), new Date(2024, 5, 17, 0, 0));
+});
+
+test('reaches leap days and gives up on schedules that never fire', () => {
+  assert.deepEqual(getNextRunTime('0 0 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 0, 0));
+  assert.throws(() => getNextRunTime('0 0 30 2 *', new Date(2024, 0, 1)), /never fires/);
+});
@@ -0,0 +1,147 @@
+// Keeps the local `customers` table in step with Shopify. The first sync pulls
+// every customer; later syncs only fetch customers with updated_at after the
+// stored watermark. Deleted customers are pruned on each full sync.
+import * as db from './database.js';
+import { fetchAllRestPages } from './shopify.js';
+
+const SYNC_STATE_KEY = 'customer_sync';
+// Re-read a little before the watermark so clock skew can't drop updates
+const WATERMARK_OVERLAP_MS = 60 * 1000;
+
+// The database and Shopify are passed in so tests can use stand-ins
+function createCustomerSync({
+  store = db,
+  fetchCustomers = (queryParams) => fetchAllRestPages('/customers.json', 'customers', queryParams)
+} = {}) {
+  // { promise, full } of the running sync
+  let activeSync = null;
+  // A full sync requested while another sync was running; it starts once that
+  // one finishes, so it reads everything after the request was made
+  let queuedFullSync = null;
+  // Bumped when the mirror is reset; a sync started before that discards what
+  // it fetched instead of writing it
+  let mirrorGeneration = 0;
+
+  async function getCustomerSyncStatus() {
+    const state = await store.getConfig(SYNC_STATE_KEY);
+
+    return {
+      syncing: activeSync !== null || queuedFullSync !== null,
+      watermark: state?.watermark || null,
+      lastSyncedAt: state?.lastSyncedAt || null,
+      lastFullSyncAt: state?.lastFullSyncAt || null,
+      lastSyncType: state?.lastSyncType || null,
+      lastSyncFetched: state?.lastSyncFetched ?? null,
+      lastError: state?.lastError || null,
+      customerCount: await store.getMirroredCustomerCount()
+    };
+  }
+
+  async function runCustomerSync(full) {
+    const generation = mirrorGeneration;
+    const isStale = () => generation !== mirrorGeneration;
+    const state = (await store.getConfig(SYNC_STATE_KEY)) || {};
+    const isFull = full || !state.watermark;
+    const startedAt = new Date();
+    const queryParams = { limit: 250 };
+
+    if (!isFull) {
+      queryParams.updated_at_min = new Date(new Date(state.watermark).getTime() - WATERMARK_OVERLAP_MS).toISOString();
+    }
+
+    console.log(`🔄 Starting ${isFull ? 'full' : 'incremental'} customer sync${isFull ? '' : ` (updated since ${queryParams.updated_at_min})`}`);
+
+    try {
+      const customers = await fetchCustomers(queryParams);
+      if (isStale()) {
+        console.log('⏭️  Discarding a customer sync started before the mirror was reset');
+        return;
+      }
+      await store.upsertCustomers(customers);
+
+      let pruned = 0;
+      if (isFull) {
+        pruned = await store.deleteCustomersNotSyncedSince(startedAt.toISOString());
+      }
+      // Customers written after a reset are pruned by the full sync that follows it
+      if (isStale()) return;
+
+      // Advance the watermark to the newest update we've actually seen
+      const newestUpdate = customers.reduce((latest, customer) => {
+        const updatedAt = customer.updated_at ? new Date(customer.updated_at).getTime() : 0;
+        return Math.max(latest, updatedAt);
+      }, state.watermark ? new Date(state.watermark).getTime() : 0);
+
+      await store.setConfig(SYNC_STATE_KEY, {
+        ...state,
+        watermark: newestUpdate ? new Date(newestUpdate).toISOString() : startedAt.toISOString(),
+        lastSyncedAt: startedAt.toISOString(),
+        lastFullSyncAt: isFull ? startedAt.toISOString() : state.lastFullSyncAt || null,
+        lastSyncType: isFull ? 'full' : 'incremental',
+        lastSyncFetched: customers.length,
+        lastError: null
+      });
+
+      console.log(`✅ Customer sync complete: ${customers.length} fetched${isFull ? `, ${pruned} removed` : ''}`);
+    } catch (error) {
+      if (!isStale()) {
+        await store.setConfig(SYNC_STATE_KEY, { ...state, lastError: error.message });
+      }
+      throw error;
+    }
+  }
+
+  function startSync(full) {
+    const promise = runCustomerSync(full).finally(() => {
+      if (activeSync?.promise === promise) activeSync = null;
+    });
+    activeSync = { promise, full };
+    return promise;
+  }
+
+  // Run a sync; resolves to the new status. An incremental sync joins the one
+  // in progress. A full sync never joins: it is queued behind the running sync
+  // (requests made meanwhile share the queued run).
+  async function syncCustomers({ full = false } = {}) {
+    if (!activeSync) {
+      await startSync(full);
+    } else if (full || queuedFullSync) {
+      if (!queuedFullSync) {
+        queuedFullSync = activeSync.promise.catch(() => {}).then(() => {
+          queuedFullSync = null;
+          return startSync(true);
+        });
+      }
+      await queuedFullSync;
+    } else {
+      await activeSync.promise;
+    }
+    return getCustomerSyncStatus();
+  }
+
+  // True once at least one sync has filled the mirror
+  async function isCustomerMirrorReady() {
+    const state = await store.getConfig(SYNC_STATE_KEY);
+    return Boolean(state?.watermark);
+  }
+
+  // Empty the mirror and forget the watermark (e.g. when the app switches to
+  // another store). The mirror is not ready again until a full sync completes.
+  async function resetCustomerMirror() {
+    mirrorGeneration++;
+    await store.setConfig(SYNC_STATE_KEY, {});
+    await store.deleteAllCustomers();
+  }
+
+  return { getCustomerSyncStatus, syncCustomers, isCustomerMirrorReady, resetCustomerMirror };
+}
+
+const { getCustomerSyncStatus, syncCustomers, isCustomerMirrorReady, resetCustomerMirror } = createCustomerSync();
+
+export {
+  createCustomerSync,
+  getCustomerSyncStatus,
+  syncCustomers,
+  isCustomerMirrorReady,
+  resetCustomerMirror
+};
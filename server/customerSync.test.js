@@ -0,0 +1,168 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCustomerSync } from './customerSync.js';
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Sync progress logging interleaved with the test runner's output can corrupt it
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// In-memory stand-in for the customers table and app_config
+function createStore(config = {}) {
+  const customers = new Map();
+  return {
+    config,
+    customers,
+    async getConfig(key) {
+      return config[key] ?? null;
+    },
+    async setConfig(key, value) {
+      config[key] = value;
+      return true;
+    },
+    async upsertCustomers(batch) {
+      const syncedAt = new Date().toISOString();
+      for (const customer of batch) customers.set(customer.id, { ...customer, syncedAt });
+      return batch.length;
+    },
+    async deleteCustomersNotSyncedSince(since) {
+      let deleted = 0;
+      for (const [id, customer] of customers) {
+        if (customer.syncedAt < since) {
+          customers.delete(id);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+    async deleteAllCustomers() {
+      const deleted = customers.size;
+      customers.clear();
+      return deleted;
+    },
+    async getMirroredCustomerCount() {
+      return customers.size;
+    }
+  };
+}
+
+test('fetches only customers updated since the watermark and advances it', async () => {
+  const store = createStore({ customer_sync: { watermark: '2024-06-10T12:00:00.000Z' } });
+  const requests = [];
+  const { syncCustomers } = createCustomerSync({
+    store,
+    fetchCustomers: async (params) => {
+      requests.push(params);
+      return [
+        { id: 1, updated_at: '2024-06-10T12:30:00Z' },
+        { id: 2, updated_at: '2024-06-11T08:00:00Z' }
+      ];
+    }
+  });
+
+  const status = await syncCustomers();
+
+  // Re-reads a minute before the watermark
+  assert.equal(requests[0].updated_at_min, '2024-06-10T11:59:00.000Z');
+  assert.equal(status.watermark, '2024-06-11T08:00:00.000Z');
+  assert.equal(status.lastSyncType, 'incremental');
+  assert.equal(status.customerCount, 2);
+});
+
+test('a full sync reads every customer and prunes the ones Shopify no longer has', async () => {
+  const store = createStore({ customer_sync: { watermark: '2024-06-10T12:00:00.000Z' } });
+  await store.upsertCustomers([{ id: 1 }, { id: 99 }]);
+  await tick(5);
+  const requests = [];
+  const { syncCustomers } = createCustomerSync({
+    store,
+    fetchCustomers: async (params) => {
+      requests.push(params);
+      return [{ id: 1, updated_at: '2024-06-09T00:00:00Z' }];
+    }
+  });
+
+  const status = await syncCustomers({ full: true });
+
+  assert.equal(requests[0].updated_at_min, undefined);
+  assert.deepEqual([...store.customers.keys()], [1]);
+  assert.equal(status.lastSyncType, 'full');
+  // An older update never moves the watermark back
+  assert.equal(status.watermark, '2024-06-10T12:00:00.000Z');
+});
+
+test('keeps the watermark and records the error when a sync fails', async () => {
+  const store = createStore({ customer_sync: { watermark: '2024-06-10T12:00:00.000Z' } });
+  const { syncCustomers, getCustomerSyncStatus } = createCustomerSync({
+    store,
+    fetchCustomers: async () => { throw new Error('Shopify is down'); }
+  });
+
+  await assert.rejects(syncCustomers(), /Shopify is down/);
+  const status = await getCustomerSyncStatus();
+  assert.equal(status.lastError, 'Shopify is down');
+  assert.equal(status.watermark, '2024-06-10T12:00:00.000Z');
+});
+
+test('joins a running sync, but queues a full sync behind it', async () => {
+  const store = createStore({ customer_sync: { watermark: '2024-06-10T12:00:00.000Z' } });
+  const runs = [];
+  const { syncCustomers } = createCustomerSync({
+    store,
+    fetchCustomers: async (params) => {
+      runs.push(params.updated_at_min ? 'incremental' : 'full');
+      await tick(10);
+      return [];
+    }
+  });
+
+  await Promise.all([syncCustomers(), syncCustomers()]);
+  assert.deepEqual(runs, ['incremental']);
+
+  runs.length = 0;
+  await Promise.all([syncCustomers(), syncCustomers({ full: true }), syncCustomers({ full: true })]);
+  assert.deepEqual(runs, ['incremental', 'full']);
+
+  // A full sync already running is not joined either: it may have started
+  // before whatever made the caller ask for one
+  runs.length = 0;
+  await Promise.all([syncCustomers({ full: true }), syncCustomers({ full: true })]);
+  assert.deepEqual(runs, ['full', 'full']);
+});
+
+test('a reset empties the mirror and discards a sync still running for the old store', async () => {
+  const store = createStore({ customer_sync: { watermark: '2024-06-10T12:00:00.000Z' } });
+  await store.upsertCustomers([{ id: 1 }]);
+  let shop = 'old';
+  const { syncCustomers, resetCustomerMirror, isCustomerMirrorReady } = createCustomerSync({
+    store,
+    fetchCustomers: async () => {
+      const fetchedFrom = shop;
+      await tick(10);
+      return [{ id: fetchedFrom === 'old' ? 2 : 3, updated_at: '2024-06-11T08:00:00Z' }];
+    }
+  });
+
+  const oldSync = syncCustomers();
+  await tick(1);
+  shop = 'new';
+  await resetCustomerMirror();
+  assert.equal(await isCustomerMirrorReady(), false);
+  assert.equal(store.customers.size, 0);
+
+  await oldSync;
+  assert.equal(await isCustomerMirrorReady(), false);
+  assert.equal(store.customers.size, 0);
+
+  const status = await syncCustomers({ full: true });
+  assert.deepEqual([...store.customers.keys()], [3]);
+  assert.equal(status.lastSyncType, 'full');
+  assert.equal(status.watermark, '2024-06-11T08:00:00.000Z');
+  assert.equal(await isCustomerMirrorReady(), true);
+});
@@ -1,4 +1,5 @@
 import { Client } from 'pg';
+import { getRuleDefinition } from './ruleVersions.js';
 
 // Database configuration
 const dbConfig = {
@@ -68,93 +69,1525 @@ async function createTables() {
       updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
     );
 
+    -- Scheduling columns for tagging rules (added after initial release)
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS schedule VARCHAR(100);
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE;
+
+    -- Actions applied when a customer leaves the trigger segment
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS exit_actions JSONB DEFAULT '[]'::jsonb;
+
+    -- Last known segment membership per rule, used to compute entered/exited customers
+    CREATE TABLE IF NOT EXISTS rule_segment_snapshots (
+      rule_id VARCHAR(255) PRIMARY KEY,
+      segment_name VARCHAR(255) NOT NULL,
+      customer_ids JSONB NOT NULL,
+      captured_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Local mirror of Shopify customers, kept fresh by incremental syncs
+    CREATE TABLE IF NOT EXISTS customers (
+      id VARCHAR(255) PRIMARY KEY,
+      email VARCHAR(255),
+      first_name VARCHAR(255),
+      last_name VARCHAR(255),
+      phone VARCHAR(100),
+      tags TEXT DEFAULT '',
+      orders_count INTEGER DEFAULT 0,
+      total_spent NUMERIC(14, 2) DEFAULT 0,
+      addresses JSONB DEFAULT '[]'::jsonb,
+      email_marketing_state VARCHAR(50),
+      marketing_opt_in_level VARCHAR(50),
+      state VARCHAR(50),
+      verified_email BOOLEAN,
+      created_at TIMESTAMP WITH TIME ZONE,
+      updated_at TIMESTAMP WITH TIME ZONE,
+      synced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Audit log of every effective tag change written to Shopify
+    CREATE TABLE IF NOT EXISTS tag_events (
+      id BIGSERIAL PRIMARY KEY,
+      customer_id VARCHAR(255) NOT NULL,
+      tag VARCHAR(255) NOT NULL,
+      action VARCHAR(10) NOT NULL,
+      source_type VARCHAR(50) NOT NULL,
+      source_id VARCHAR(255),
+      actor VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- One row per applyBulkTags run (bulk tag, rule run or rollback). The
+    -- per-customer changes it made are the tag_events rows with its job_id.
+    CREATE TABLE IF NOT EXISTS jobs (
+      id VARCHAR(255) PRIMARY KEY,
+      type VARCHAR(50) NOT NULL,
+      source_id VARCHAR(255),
+      actor VARCHAR(255),
+      actions JSONB DEFAULT '[]'::jsonb,
+      status VARCHAR(20) NOT NULL DEFAULT 'running',
+      result JSONB,
+      rolled_back_at TIMESTAMP WITH TIME ZONE,
+      rolled_back_by VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      completed_at TIMESTAMP WITH TIME ZONE
+    );
+
+    ALTER TABLE tag_events ADD COLUMN IF NOT EXISTS job_id VARCHAR(255);
+
+    -- Background job queue: queued jobs are picked up by the worker and
+    -- processed in chunks, saving progress and a checkpoint after each one
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS payload JSONB;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS progress JSONB DEFAULT '{}'::jsonb;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS checkpoint JSONB;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS errors JSONB DEFAULT '[]'::jsonb;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+    -- Rules that run together are executed in ascending priority order
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS priority INTEGER DEFAULT 0;
+
+    -- Compound trigger expression; trigger_segment holds its description when set
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS trigger_condition JSONB;
+
+    -- Safety limits; runs that exceed them wait for approval (NULL = global limit)
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS max_changes INTEGER;
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS max_change_percent NUMERIC;
+    ALTER TABLE jobs ADD COLUMN IF NOT EXISTS approval JSONB;
+
+    -- Ordered sets of mutually exclusive tags (e.g. loyalty tiers)
+    CREATE TABLE IF NOT EXISTS tag_groups (
+      id VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL UNIQUE,
+      tags JSONB NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
+    -- Tags scheduled for removal; removed by the expiry sweeper when due
+    CREATE TABLE IF NOT EXISTS tag_expirations (
+      customer_id VARCHAR(255) NOT NULL,
+      tag VARCHAR(255) NOT NULL,
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      source_type VARCHAR(50),
+      source_id VARCHAR(255),
+      job_id VARCHAR(255),
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (customer_id, tag)
+    );
+
+    -- History of rule runs, one row per rule job. Status comes from the job.
+    CREATE TABLE IF NOT EXISTS rule_runs (
+      job_id VARCHAR(255) PRIMARY KEY,
+      rule_id VARCHAR(255) NOT NULL,
+      triggered_by VARCHAR(255),
+      retry_of VARCHAR(255),
+      segment_size INTEGER,
+      entered INTEGER,
+      exited INTEGER,
+      customers_changed INTEGER,
+      failed INTEGER DEFAULT 0,
+      failed_entered JSONB DEFAULT '[]'::jsonb,
+      failed_exited JSONB DEFAULT '[]'::jsonb,
+      errors JSONB DEFAULT '[]'::jsonb,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      started_at TIMESTAMP WITH TIME ZONE,
+      finished_at TIMESTAMP WITH TIME ZONE
+    );
+
+    -- Immutable copy of a rule's definition for every save; version counts saves
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 0;
+    ALTER TABLE tagging_rules ADD COLUMN IF NOT EXISTS updated_by VARCHAR(255);
+    CREATE TABLE IF NOT EXISTS rule_versions (
+      rule_id VARCHAR(255) NOT NULL,
+      version INTEGER NOT NULL,
+      definition JSONB NOT NULL,
+      edited_by VARCHAR(255),
+      restored_from INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (rule_id, version)
+    );
+
+    -- Stores installed through the OAuth flow; access_token is encrypted
+    CREATE TABLE IF NOT EXISTS shops (
+      shop VARCHAR(255) PRIMARY KEY,
+      access_token TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      installed_by VARCHAR(255),
+      installed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+
     -- Create indexes for better performance
+    CREATE INDEX IF NOT EXISTS idx_tag_events_job ON tag_events(job_id);
+    CREATE INDEX IF NOT EXISTS idx_jobs_created ON jobs(created_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_tag_expirations_due ON tag_expirations(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_rule_runs_rule ON rule_runs(rule_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(LOWER(email));
+    CREATE INDEX IF NOT EXISTS idx_customers_updated ON customers(updated_at);
+    CREATE INDEX IF NOT EXISTS idx_tag_events_customer ON tag_events(customer_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_tag_events_tag ON tag_events(tag);
+    CREATE INDEX IF NOT EXISTS idx_tag_events_source ON tag_events(source_type, source_id);
+    CREATE INDEX IF NOT EXISTS idx_tag_events_created ON tag_events(created_at);
     CREATE INDEX IF NOT EXISTS idx_tagging_rules_active ON tagging_rules(is_active);
+    CREATE INDEX IF NOT EXISTS idx_tagging_rules_next_run ON tagging_rules(next_run_at);
     CREATE INDEX IF NOT EXISTS idx_tagging_rules_trigger ON tagging_rules(trigger_segment);
     CREATE INDEX IF NOT EXISTS idx_sessions_expires ON user_sessions(expires_at);
     CREATE INDEX IF NOT EXISTS idx_cache_expires ON segment_cache(expires_at);
   `;
 
-  await client.query(createTablesSQL);
+  await client.query(createTablesSQL);
+}
+
+// Convert a tagging_rules row into the shape used by the API
+function mapRuleRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    isActive: row.is_active,
+    triggerSegment: row.trigger_segment,
+    trigger: row.trigger_condition || null,
+    maxChanges: row.max_changes ?? null,
+    maxChangePercent: row.max_change_percent === null || row.max_change_percent === undefined
+      ? null
+      : Number(row.max_change_percent),
+    actions: row.actions,
+    exitActions: row.exit_actions || [],
+    priority: row.priority ?? 0,
+    schedule: row.schedule || null,
+    lastRunAt: row.last_run_at,
+    nextRunAt: row.next_run_at,
+    version: row.version ?? 0,
+    updatedBy: row.updated_by || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Run fn(connection) inside a transaction, rolling back if it throws. The
+// transaction gets a connection of its own so that queries other requests send
+// on the shared client meanwhile do not become part of it.
+async function withTransaction(fn) {
+  const connection = new Client(dbConfig);
+  await connection.connect();
+  try {
+    await connection.query('BEGIN');
+    const result = await fn(connection);
+    await connection.query('COMMIT');
+    return result;
+  } catch (error) {
+    await connection.query('ROLLBACK').catch(rollbackError => {
+      console.error('Error rolling back transaction:', rollbackError);
+    });
+    throw error;
+  } finally {
+    await connection.end();
+  }
+}
+
+// Tagging Rules CRUD operations
+// Every save bumps the rule's version and stores the new definition in
+// rule_versions, both in one transaction. restoredFrom is set when the save
+// restores an old version. Pass the connection of a surrounding withTransaction
+// to make the save part of it.
+async function saveTaggingRule(rule, { editedBy = null, restoredFrom = null, connection = null } = {}) {
+  if (!client) {
+    console.warn('Database not available - rule not persisted');
+    return rule;
+  }
+
+  try {
+    const savedRule = connection
+      ? await writeTaggingRule(connection, rule, editedBy, restoredFrom)
+      : await withTransaction(transaction => writeTaggingRule(transaction, rule, editedBy, restoredFrom));
+    console.log(`💾 Saved tagging rule: ${rule.name} (version ${savedRule.version})`);
+    return savedRule;
+  } catch (error) {
+    console.error('Error saving tagging rule:', error);
+    throw error;
+  }
+}
+
+async function writeTaggingRule(connection, rule, editedBy, restoredFrom) {
+  const query = `
+    INSERT INTO tagging_rules (id, name, is_active, trigger_segment, actions, exit_actions, schedule, next_run_at, created_at, updated_at, priority, trigger_condition, max_changes, max_change_percent, version, updated_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 1, $15)
+    ON CONFLICT (id) 
+    DO UPDATE SET 
+      name = EXCLUDED.name,
+      is_active = EXCLUDED.is_active,
+      trigger_segment = EXCLUDED.trigger_segment,
+      actions = EXCLUDED.actions,
+      exit_actions = EXCLUDED.exit_actions,
+      schedule = EXCLUDED.schedule,
+      next_run_at = EXCLUDED.next_run_at,
+      updated_at = EXCLUDED.updated_at,
+      priority = EXCLUDED.priority,
+      trigger_condition = EXCLUDED.trigger_condition,
+      max_changes = EXCLUDED.max_changes,
+      max_change_percent = EXCLUDED.max_change_percent,
+      version = tagging_rules.version + 1,
+      updated_by = EXCLUDED.updated_by
+    RETURNING *;
+  `;
+
+  const values = [
+    rule.id,
+    rule.name,
+    rule.isActive,
+    rule.triggerSegment,
+    JSON.stringify(rule.actions),
+    JSON.stringify(rule.exitActions || []),
+    rule.schedule || null,
+    rule.nextRunAt || null,
+    rule.createdAt || new Date().toISOString(),
+    new Date().toISOString(),
+    rule.priority || 0,
+    rule.trigger ? JSON.stringify(rule.trigger) : null,
+    rule.maxChanges ?? null,
+    rule.maxChangePercent ?? null,
+    editedBy
+  ];
+
+  const result = await connection.query(query, values);
+  const savedRule = mapRuleRow(result.rows[0]);
+  await connection.query(
+    'INSERT INTO rule_versions (rule_id, version, definition, edited_by, restored_from) VALUES ($1, $2, $3, $4, $5)',
+    [savedRule.id, savedRule.version, JSON.stringify(getRuleDefinition(savedRule)), editedBy, restoredFrom]
+  );
+  return savedRule;
+}
+
+async function getTaggingRules() {
+  if (!client) {
+    return []; // Return empty array if no database
+  }
+
+  try {
+    const query = 'SELECT * FROM tagging_rules ORDER BY created_at DESC';
+    const result = await client.query(query);
+    
+    return result.rows.map(mapRuleRow);
+  } catch (error) {
+    console.error('Error getting tagging rules:', error);
+    return [];
+  }
+}
+
+// Record when a rule last ran and when the scheduler should run it next
+async function updateRuleRunTimes(ruleId, lastRunAt, nextRunAt) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    const query = `
+      UPDATE tagging_rules
+      SET last_run_at = $2, next_run_at = $3
+      WHERE id = $1
+    `;
+    const result = await client.query(query, [ruleId, lastRunAt, nextRunAt]);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error updating rule run times:', error);
+    return false;
+  }
+}
+
+// Segment membership snapshots
+async function getRuleSnapshot(ruleId) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = 'SELECT * FROM rule_segment_snapshots WHERE rule_id = $1';
+    const result = await client.query(query, [ruleId]);
+    const row = result.rows[0];
+    
+    return row ? {
+      ruleId: row.rule_id,
+      segmentName: row.segment_name,
+      customerIds: row.customer_ids,
+      capturedAt: row.captured_at
+    } : null;
+  } catch (error) {
+    console.error('Error getting rule snapshot:', error);
+    return null;
+  }
+}
+
+// Every rule's last known segment membership, keyed by rule ID
+async function getRuleSnapshots() {
+  if (!client) {
+    return new Map();
+  }
+
+  try {
+    const result = await client.query('SELECT rule_id, segment_name, customer_ids FROM rule_segment_snapshots');
+    return new Map(result.rows.map(row => [row.rule_id, {
+      segmentName: row.segment_name,
+      customerIds: row.customer_ids
+    }]));
+  } catch (error) {
+    console.error('Error getting rule snapshots:', error);
+    return new Map();
+  }
+}
+
+async function saveRuleSnapshot(ruleId, segmentName, customerIds) {
+  if (!client) {
+    console.warn('Database not available - segment snapshot not persisted');
+    return false;
+  }
+
+  try {
+    const query = `
+      INSERT INTO rule_segment_snapshots (rule_id, segment_name, customer_ids, captured_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (rule_id)
+      DO UPDATE SET
+        segment_name = EXCLUDED.segment_name,
+        customer_ids = EXCLUDED.customer_ids,
+        captured_at = EXCLUDED.captured_at
+    `;
+
+    await client.query(query, [ruleId, segmentName, JSON.stringify(customerIds)]);
+    console.log(`📸 Saved segment snapshot for rule ${ruleId}: ${customerIds.length} customers`);
+    return true;
+  } catch (error) {
+    console.error('Error saving rule snapshot:', error);
+    return false;
+  }
+}
+
+async function deleteTaggingRule(ruleId) {
+  if (!client) {
+    console.warn('Database not available - rule not deleted');
+    return false;
+  }
+
+  try {
+    const query = 'DELETE FROM tagging_rules WHERE id = $1';
+    const result = await client.query(query, [ruleId]);
+    await client.query('DELETE FROM rule_segment_snapshots WHERE rule_id = $1', [ruleId]);
+    await client.query('DELETE FROM rule_runs WHERE rule_id = $1', [ruleId]);
+    await client.query('DELETE FROM rule_versions WHERE rule_id = $1', [ruleId]);
+    console.log(`🗑️  Deleted tagging rule: ${ruleId}`);
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error deleting tagging rule:', error);
+    return false;
+  }
+}
+
+// Customer mirror
+// Convert a customers row back into the REST API customer shape used everywhere else
+function mapCustomerRow(row) {
+  return {
+    id: row.id,
+    email: row.email || '',
+    first_name: row.first_name || '',
+    last_name: row.last_name || '',
+    phone: row.phone || '',
+    tags: row.tags || '',
+    orders_count: row.orders_count || 0,
+    total_spent: row.total_spent !== null ? Number(row.total_spent).toFixed(2) : '0.00',
+    addresses: row.addresses || [],
+    default_address: (row.addresses || []).find(address => address.default) || (row.addresses || [])[0] || null,
+    email_marketing_consent: row.email_marketing_state
+      ? { state: row.email_marketing_state, opt_in_level: row.marketing_opt_in_level }
+      : null,
+    state: row.state,
+    verified_email: row.verified_email,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    display_name: `${row.first_name || ''} ${row.last_name || ''}`.trim()
+  };
+}
+
+// Rows per INSERT when upserting customers
+const CUSTOMER_UPSERT_BATCH_SIZE = 500;
+const CUSTOMER_COLUMNS = [
+  'id', 'email', 'first_name', 'last_name', 'phone', 'tags', 'orders_count', 'total_spent',
+  'addresses', 'email_marketing_state', 'marketing_opt_in_level', 'state', 'verified_email',
+  'created_at', 'updated_at'
+];
+
+async function upsertCustomers(customers) {
+  if (!client) {
+    return 0;
+  }
+
+  try {
+    for (let start = 0; start < customers.length; start += CUSTOMER_UPSERT_BATCH_SIZE) {
+      const batch = customers.slice(start, start + CUSTOMER_UPSERT_BATCH_SIZE);
+      const values = [];
+      const rows = batch.map((customer, index) => {
+        values.push(
+          String(customer.id),
+          customer.email || null,
+          customer.first_name || null,
+          customer.last_name || null,
+          customer.phone || null,
+          customer.tags || '',
+          customer.orders_count || 0,
+          customer.total_spent || 0,
+          JSON.stringify(customer.addresses || []),
+          customer.email_marketing_consent?.state || null,
+          customer.email_marketing_consent?.opt_in_level || null,
+          customer.state || null,
+          customer.verified_email ?? null,
+          customer.created_at || null,
+          customer.updated_at || null
+        );
+        const offset = index * CUSTOMER_COLUMNS.length;
+        return `(${CUSTOMER_COLUMNS.map((_, column) => `$${offset + column + 1}`).join(', ')}, NOW())`;
+      });
+
+      const query = `
+        INSERT INTO customers (${CUSTOMER_COLUMNS.join(', ')}, synced_at)
+        VALUES ${rows.join(', ')}
+        ON CONFLICT (id)
+        DO UPDATE SET
+          ${CUSTOMER_COLUMNS.slice(1).map(column => `${column} = EXCLUDED.${column}`).join(',\n          ')},
+          synced_at = NOW()
+      `;
+
+      await client.query(query, values);
+    }
+
+    return customers.length;
+  } catch (error) {
+    console.error('Error upserting customers:', error);
+    throw error;
+  }
+}
+
+// Write tags the app just changed in Shopify to the mirrored customers, so
+// reads don't wait for the next sync. `tagsById` maps customer ID -> tag list.
+// Customers not mirrored yet are left for the sync to add.
+async function updateMirroredCustomerTags(tagsById) {
+  if (!client || tagsById.size === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await client.query(
+      `UPDATE customers SET tags = updates.tags
+       FROM unnest($1::text[], $2::text[]) AS updates(id, tags)
+       WHERE customers.id = updates.id`,
+      [[...tagsById.keys()].map(String), [...tagsById.values()].map(tags => tags.join(', '))]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error updating mirrored customer tags:', error);
+    return 0;
+  }
+}
+
+// Remove customers that a full sync no longer saw (deleted in Shopify)
+async function deleteCustomersNotSyncedSince(syncStartedAt) {
+  if (!client) {
+    return 0;
+  }
+
+  try {
+    const result = await client.query('DELETE FROM customers WHERE synced_at < $1', [syncStartedAt]);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error pruning customers:', error);
+    return 0;
+  }
+}
+
+async function deleteAllCustomers() {
+  if (!client) {
+    return 0;
+  }
+
+  try {
+    const result = await client.query('DELETE FROM customers');
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error deleting mirrored customers:', error);
+    throw error;
+  }
+}
+
+async function getMirroredCustomers() {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const result = await client.query('SELECT * FROM customers ORDER BY id');
+    return result.rows.map(mapCustomerRow);
+  } catch (error) {
+    console.error('Error getting mirrored customers:', error);
+    throw error;
+  }
+}
+
+async function searchMirroredCustomers(term, limit = 50) {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const query = `
+      SELECT * FROM customers
+      WHERE email ILIKE $1
+        OR first_name ILIKE $1
+        OR last_name ILIKE $1
+        OR (first_name || ' ' || last_name) ILIKE $1
+        OR tags ILIKE $1
+      ORDER BY updated_at DESC
+      LIMIT $2
+    `;
+    const result = await client.query(query, [`%${term}%`, limit]);
+    return result.rows.map(mapCustomerRow);
+  } catch (error) {
+    console.error('Error searching mirrored customers:', error);
+    throw error;
+  }
+}
+
+async function getMirroredCustomerCount() {
+  if (!client) {
+    return 0;
+  }
+
+  try {
+    const result = await client.query('SELECT COUNT(*) AS count FROM customers');
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    console.error('Error counting mirrored customers:', error);
+    return 0;
+  }
+}
+
+// Tag audit log
+function mapTagEventRow(row) {
+  return {
+    id: Number(row.id),
+    customerId: row.customer_id,
+    tag: row.tag,
+    action: row.action,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    jobId: row.job_id,
+    actor: row.actor,
+    createdAt: row.created_at
+  };
+}
+
+const TAG_EVENT_COLUMNS = ['customer_id', 'tag', 'action', 'source_type', 'source_id', 'job_id', 'actor'];
+
+async function recordTagEvents(events) {
+  if (!client || events.length === 0) {
+    return 0;
+  }
+
+  try {
+    const values = [];
+    const rows = events.map((event, index) => {
+      values.push(
+        String(event.customerId),
+        event.tag,
+        event.action,
+        event.sourceType,
+        event.sourceId || null,
+        event.jobId || null,
+        event.actor || null
+      );
+      const offset = index * TAG_EVENT_COLUMNS.length;
+      return `(${TAG_EVENT_COLUMNS.map((_, column) => `$${offset + column + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO tag_events (${TAG_EVENT_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}`,
+      values
+    );
+    return events.length;
+  } catch (error) {
+    console.error('Error recording tag events:', error);
+    return 0;
+  }
+}
+
+// Filters: customerId, tag, action, sourceType, sourceId, jobId, actor, since, until, limit, offset
+async function getTagEvents(filters = {}) {
+  if (!client) {
+    return { events: [], total: 0 };
+  }
+
+  try {
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.customerId) addCondition('customer_id = ?', String(filters.customerId));
+    if (filters.tag) addCondition('LOWER(tag) = LOWER(?)', filters.tag);
+    if (filters.action) addCondition('action = ?', filters.action);
+    if (filters.sourceType) addCondition('source_type = ?', filters.sourceType);
+    if (filters.sourceId) addCondition('source_id = ?', filters.sourceId);
+    if (filters.jobId) addCondition('job_id = ?', filters.jobId);
+    if (filters.actor) addCondition('actor = ?', filters.actor);
+    if (filters.since) addCondition('created_at >= ?', filters.since);
+    if (filters.until) addCondition('created_at <= ?', filters.until);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const [eventsResult, countResult] = await Promise.all([
+      client.query(
+        `SELECT * FROM tag_events ${where} ORDER BY created_at DESC, id DESC LIMIT ${limit} OFFSET ${offset}`,
+        values
+      ),
+      client.query(`SELECT COUNT(*) AS count FROM tag_events ${where}`, values)
+    ]);
+
+    return {
+      events: eventsResult.rows.map(mapTagEventRow),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  } catch (error) {
+    console.error('Error getting tag events:', error);
+    throw error;
+  }
+}
+
+// Every change a job made, flagged when a later job has since changed the
+// same tag on the same customer
+async function getJobTagEvents(jobId) {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const query = `
+      SELECT e.*, EXISTS (
+        SELECT 1 FROM tag_events later
+        WHERE later.customer_id = e.customer_id
+          AND LOWER(later.tag) = LOWER(e.tag)
+          AND later.id > e.id
+          AND later.job_id IS DISTINCT FROM e.job_id
+      ) AS superseded
+      FROM tag_events e
+      WHERE e.job_id = $1
+      ORDER BY e.id
+    `;
+    const result = await client.query(query, [jobId]);
+    return result.rows.map(row => ({ ...mapTagEventRow(row), superseded: row.superseded }));
+  } catch (error) {
+    console.error('Error getting job tag events:', error);
+    throw error;
+  }
+}
+
+// Tag jobs
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    sourceId: row.source_id,
+    actor: row.actor,
+    actions: row.actions || [],
+    status: row.status,
+    payload: row.payload,
+    progress: { total: 0, processed: 0, success: 0, failed: 0, ...row.progress },
+    checkpoint: row.checkpoint,
+    errors: row.errors || [],
+    cancelRequested: row.cancel_requested || false,
+    approval: row.approval || null,
+    result: row.result,
+    rolledBackAt: row.rolled_back_at,
+    rolledBackBy: row.rolled_back_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+async function createJob(job) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      INSERT INTO jobs (id, type, source_id, actor, actions, status, payload, progress, started_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $6 = 'running' THEN NOW() END)
+      RETURNING *
+    `;
+    const result = await client.query(query, [
+      job.id,
+      job.type,
+      job.sourceId || null,
+      job.actor || null,
+      JSON.stringify(job.actions || []),
+      job.status || 'queued',
+      job.payload ? JSON.stringify(job.payload) : null,
+      JSON.stringify(job.progress || {})
+    ]);
+    return mapJobRow(result.rows[0]);
+  } catch (error) {
+    console.error('Error creating job:', error);
+    return null;
+  }
+}
+
+async function finishJob(jobId, status, result) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    await client.query(
+      'UPDATE jobs SET status = $2, result = $3, completed_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [jobId, status, JSON.stringify(result)]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error finishing job:', error);
+    return false;
+  }
+}
+
+async function getJob(jobId) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const result = await client.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error getting job:', error);
+    throw error;
+  }
+}
+
+// Recent jobs without their (possibly large) payload and checkpoint
+async function getJobs(filters = {}) {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const conditions = [];
+    const values = [];
+    if (filters.status) {
+      values.push(filters.status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (filters.type) {
+      values.push(filters.type);
+      conditions.push(`type = $${values.length}`);
+    }
+    if (filters.sourceId) {
+      values.push(filters.sourceId);
+      conditions.push(`source_id = $${values.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 500);
+    const query = `
+      SELECT id, type, source_id, actor, actions, status, progress, errors, cancel_requested, approval, result,
+        rolled_back_at, rolled_back_by, created_at, started_at, updated_at, completed_at
+      FROM jobs ${where}
+      ORDER BY created_at DESC
+      LIMIT ${limit}
+    `;
+    const result = await client.query(query, values);
+    return result.rows.map(mapJobRow);
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    throw error;
+  }
+}
+
+// A queued, running or held job of the given type and source, if there is one
+async function findActiveJob(type, sourceId) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const result = await client.query(
+      `SELECT * FROM jobs
+       WHERE type = $1 AND source_id = $2 AND status IN ('queued', 'running', 'needs_approval')
+       ORDER BY created_at
+       LIMIT 1`,
+      [type, sourceId]
+    );
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error finding active job:', error);
+    throw error;
+  }
+}
+
+// Atomically move the oldest queued job of one of the given types to running
+async function claimNextJob(types) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'queued' AND type = ANY($1)
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const result = await client.query(query, [types]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error claiming job:', error);
+    throw error;
+  }
+}
+
+// Save a processed chunk; returns the updated job so the worker sees cancel requests
+async function updateJobProgress(jobId, { progress, checkpoint, errors }) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      UPDATE jobs SET progress = $2, checkpoint = $3, errors = $4, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await client.query(query, [
+      jobId,
+      JSON.stringify(progress),
+      JSON.stringify(checkpoint ?? null),
+      JSON.stringify(errors)
+    ]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error updating job progress:', error);
+    throw error;
+  }
+}
+
+// Queued jobs are cancelled straight away; running jobs stop after their current chunk
+async function requestJobCancel(jobId) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      UPDATE jobs SET
+        cancel_requested = true,
+        status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        completed_at = CASE WHEN status = 'queued' THEN NOW() ELSE completed_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *
+    `;
+    const result = await client.query(query, [jobId]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    throw error;
+  }
+}
+
+// Stop a running job until someone approves or rejects it
+async function holdJobForApproval(jobId, approval) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      UPDATE jobs SET status = 'needs_approval', approval = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await client.query(query, [jobId, JSON.stringify({ ...approval, requestedAt: new Date().toISOString() })]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error holding job for approval:', error);
+    throw error;
+  }
+}
+
+// Approve a held job (back in the queue, continuing from its checkpoint) or
+// reject it. Returns null if the job isn't waiting for approval.
+async function decideJobApproval(jobId, decision, actor) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const query = `
+      UPDATE jobs SET
+        status = $2,
+        approval = approval || $3::jsonb,
+        completed_at = CASE WHEN $2 = 'rejected' THEN NOW() ELSE completed_at END,
+        updated_at = NOW()
+      WHERE id = $1 AND status = 'needs_approval'
+      RETURNING *
+    `;
+    const result = await client.query(query, [
+      jobId,
+      decision === 'approved' ? 'queued' : 'rejected',
+      JSON.stringify({ decision, decidedBy: actor || null, decidedAt: new Date().toISOString() })
+    ]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error deciding job approval:', error);
+    throw error;
+  }
 }
 
-// Tagging Rules CRUD operations
-async function saveTaggingRule(rule) {
+// Put a cancelled or failed job back in the queue; it continues from its checkpoint
+async function requeueJob(jobId) {
   if (!client) {
-    console.warn('Database not available - rule not persisted');
-    return rule;
+    return null;
   }
 
   try {
     const query = `
-      INSERT INTO tagging_rules (id, name, is_active, trigger_segment, actions, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      ON CONFLICT (id) 
-      DO UPDATE SET 
+      UPDATE jobs SET status = 'queued', cancel_requested = false, completed_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('cancelled', 'failed') AND payload IS NOT NULL AND rolled_back_at IS NULL
+      RETURNING *
+    `;
+    const result = await client.query(query, [jobId]);
+    return result.rows[0] ? mapJobRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error requeueing job:', error);
+    throw error;
+  }
+}
+
+// After a restart nothing is actually running. Jobs the worker can process go
+// back in the queue (or are cancelled if that was requested); anything else
+// was running inside a request that no longer exists, so it failed.
+async function recoverInterruptedJobs(types) {
+  if (!client) {
+    return { requeued: 0, cancelled: 0, failed: 0 };
+  }
+
+  try {
+    const cancelled = await client.query(
+      `UPDATE jobs SET status = 'cancelled', completed_at = NOW(), updated_at = NOW()
+       WHERE status = 'running' AND cancel_requested = true`
+    );
+    const requeued = await client.query(
+      `UPDATE jobs SET status = 'queued', updated_at = NOW()
+       WHERE status = 'running' AND payload IS NOT NULL AND type = ANY($1)`,
+      [types]
+    );
+    const failed = await client.query(
+      `UPDATE jobs SET status = 'failed', result = $1, completed_at = NOW(), updated_at = NOW()
+       WHERE status = 'running'`,
+      [JSON.stringify({ error: 'Interrupted by a server restart' })]
+    );
+    return { requeued: requeued.rowCount, cancelled: cancelled.rowCount, failed: failed.rowCount };
+  } catch (error) {
+    console.error('Error recovering interrupted jobs:', error);
+    throw error;
+  }
+}
+
+async function markJobRolledBack(jobId, rollbackJobId) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    await client.query(
+      'UPDATE jobs SET rolled_back_at = NOW(), rolled_back_by = $2 WHERE id = $1',
+      [jobId, rollbackJobId]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error marking job rolled back:', error);
+    return false;
+  }
+}
+
+// Rule run history
+function mapRuleRunRow(row) {
+  return {
+    jobId: row.job_id,
+    ruleId: row.rule_id,
+    status: row.status || 'queued',
+    triggeredBy: row.triggered_by,
+    retryOf: row.retry_of,
+    segmentSize: row.segment_size,
+    entered: row.entered,
+    exited: row.exited,
+    customersChanged: row.customers_changed,
+    failed: row.failed || 0,
+    failedCustomerIds: { entered: row.failed_entered || [], exited: row.failed_exited || [] },
+    errors: row.errors || [],
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+async function createRuleRun(run) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    await client.query(
+      'INSERT INTO rule_runs (job_id, rule_id, triggered_by, retry_of) VALUES ($1, $2, $3, $4)',
+      [run.jobId, run.ruleId, run.triggeredBy || null, run.retryOf || null]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error creating rule run:', error);
+    return false;
+  }
+}
+
+// Record the membership diff a run works from, once it has been computed
+async function startRuleRun(jobId, { segmentSize, entered, exited }) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    await client.query(
+      'UPDATE rule_runs SET segment_size = $2, entered = $3, exited = $4, started_at = NOW() WHERE job_id = $1',
+      [jobId, segmentSize ?? null, entered, exited]
+    );
+    return true;
+  } catch (error) {
+    console.error('Error starting rule run:', error);
+    return false;
+  }
+}
+
+// Record how a run ended. Customers changed are counted from its audited tag events.
+async function finishRuleRun(jobId, { failed, failedEntered, failedExited, errors }) {
+  if (!client) {
+    return false;
+  }
+
+  try {
+    const query = `
+      UPDATE rule_runs SET
+        failed = $2,
+        failed_entered = $3,
+        failed_exited = $4,
+        errors = $5,
+        customers_changed = (SELECT COUNT(DISTINCT customer_id) FROM tag_events WHERE job_id = $1),
+        finished_at = NOW()
+      WHERE job_id = $1
+    `;
+    await client.query(query, [
+      jobId,
+      failed || 0,
+      JSON.stringify(failedEntered || []),
+      JSON.stringify(failedExited || []),
+      JSON.stringify(errors || [])
+    ]);
+    return true;
+  } catch (error) {
+    console.error('Error finishing rule run:', error);
+    return false;
+  }
+}
+
+const RULE_RUN_SELECT = 'SELECT r.*, j.status FROM rule_runs r LEFT JOIN jobs j ON j.id = r.job_id';
+
+async function getRuleRun(jobId) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const result = await client.query(`${RULE_RUN_SELECT} WHERE r.job_id = $1`, [jobId]);
+    return result.rows[0] ? mapRuleRunRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error getting rule run:', error);
+    throw error;
+  }
+}
+
+// A rule's runs, newest first
+async function getRuleRuns(ruleId, filters = {}) {
+  if (!client) {
+    return { runs: [], total: 0 };
+  }
+
+  try {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const [runsResult, countResult] = await Promise.all([
+      client.query(
+        `${RULE_RUN_SELECT} WHERE r.rule_id = $1 ORDER BY r.created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+        [ruleId]
+      ),
+      client.query('SELECT COUNT(*) AS count FROM rule_runs WHERE rule_id = $1', [ruleId])
+    ]);
+
+    return {
+      runs: runsResult.rows.map(mapRuleRunRow),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  } catch (error) {
+    console.error('Error getting rule runs:', error);
+    throw error;
+  }
+}
+
+// Rule versions
+function mapRuleVersionRow(row) {
+  return {
+    ruleId: row.rule_id,
+    version: row.version,
+    definition: row.definition,
+    editedBy: row.edited_by,
+    restoredFrom: row.restored_from,
+    createdAt: row.created_at
+  };
+}
+
+// A rule's versions, newest first
+async function getRuleVersions(ruleId) {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM rule_versions WHERE rule_id = $1 ORDER BY version DESC',
+      [ruleId]
+    );
+    return result.rows.map(mapRuleVersionRow);
+  } catch (error) {
+    console.error('Error getting rule versions:', error);
+    throw error;
+  }
+}
+
+async function getRuleVersion(ruleId, version) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM rule_versions WHERE rule_id = $1 AND version = $2',
+      [ruleId, version]
+    );
+    return result.rows[0] ? mapRuleVersionRow(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error getting rule version:', error);
+    throw error;
+  }
+}
+
+// Tag groups
+function mapTagGroupRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tags: row.tags,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getTagGroups() {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const result = await client.query('SELECT * FROM tag_groups ORDER BY name');
+    return result.rows.map(mapTagGroupRow);
+  } catch (error) {
+    console.error('Error getting tag groups:', error);
+    return [];
+  }
+}
+
+// Pass the connection of a surrounding withTransaction to make the save part of it
+async function saveTagGroup(group, { connection = null } = {}) {
+  if (!client) {
+    console.warn('Database not available - tag group not persisted');
+    return group;
+  }
+
+  try {
+    const query = `
+      INSERT INTO tag_groups (id, name, tags, created_at, updated_at)
+      VALUES ($1, $2, $3, COALESCE($4, NOW()), NOW())
+      ON CONFLICT (id)
+      DO UPDATE SET
         name = EXCLUDED.name,
-        is_active = EXCLUDED.is_active,
-        trigger_segment = EXCLUDED.trigger_segment,
-        actions = EXCLUDED.actions,
+        tags = EXCLUDED.tags,
         updated_at = EXCLUDED.updated_at
-      RETURNING *;
+      RETURNING *
     `;
+    const result = await (connection || client).query(query, [
+      group.id,
+      group.name,
+      JSON.stringify(group.tags),
+      group.createdAt || null
+    ]);
+    console.log(`💾 Saved tag group: ${group.name}`);
+    return mapTagGroupRow(result.rows[0]);
+  } catch (error) {
+    console.error('Error saving tag group:', error);
+    throw error;
+  }
+}
 
-    const values = [
-      rule.id,
-      rule.name,
-      rule.isActive,
-      rule.triggerSegment,
-      JSON.stringify(rule.actions),
-      rule.createdAt || new Date().toISOString(),
-      new Date().toISOString()
-    ];
+async function deleteTagGroup(groupId) {
+  if (!client) {
+    console.warn('Database not available - tag group not deleted');
+    return false;
+  }
 
-    const result = await client.query(query, values);
-    console.log(`💾 Saved tagging rule: ${rule.name}`);
-    return result.rows[0];
+  try {
+    const result = await client.query('DELETE FROM tag_groups WHERE id = $1', [groupId]);
+    return result.rowCount > 0;
   } catch (error) {
-    console.error('Error saving tagging rule:', error);
+    console.error('Error deleting tag group:', error);
+    return false;
+  }
+}
+
+function mapTagExpirationRow(row) {
+  return {
+    customerId: row.customer_id,
+    tag: row.tag,
+    expiresAt: row.expires_at,
+    sourceType: row.source_type,
+    sourceId: row.source_id,
+    jobId: row.job_id,
+    createdAt: row.created_at
+  };
+}
+
+const TAG_EXPIRATION_COLUMNS = ['customer_id', 'tag', 'expires_at', 'source_type', 'source_id', 'job_id'];
+
+// Schedule tags for removal. A tag that already has an expiry gets the new one.
+async function saveTagExpirations(expirations) {
+  if (!client || expirations.length === 0) {
+    return 0;
+  }
+
+  try {
+    const values = [];
+    const rows = expirations.map((expiration, index) => {
+      values.push(
+        String(expiration.customerId),
+        expiration.tag,
+        expiration.expiresAt,
+        expiration.sourceType || null,
+        expiration.sourceId || null,
+        expiration.jobId || null
+      );
+      const offset = index * TAG_EXPIRATION_COLUMNS.length;
+      return `(${TAG_EXPIRATION_COLUMNS.map((_, column) => `$${offset + column + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO tag_expirations (${TAG_EXPIRATION_COLUMNS.join(', ')}) VALUES ${rows.join(', ')}
+       ON CONFLICT (customer_id, tag)
+       DO UPDATE SET
+         expires_at = EXCLUDED.expires_at,
+         source_type = EXCLUDED.source_type,
+         source_id = EXCLUDED.source_id,
+         job_id = EXCLUDED.job_id,
+         created_at = NOW()`,
+      values
+    );
+    return expirations.length;
+  } catch (error) {
+    console.error('Error saving tag expirations:', error);
+    return 0;
+  }
+}
+
+// Forget the expiries of these tags (matched case-insensitively) on these customers
+async function clearTagExpirations(customerIds, tags) {
+  if (!client || customerIds.length === 0 || tags.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await client.query(
+      'DELETE FROM tag_expirations WHERE customer_id = ANY($1) AND LOWER(tag) = ANY($2)',
+      [customerIds.map(String), tags.map(tag => tag.toLowerCase())]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error clearing tag expirations:', error);
+    return 0;
+  }
+}
+
+// Expirations that are due, oldest first
+async function getDueTagExpirations(limit = 1000) {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM tag_expirations WHERE expires_at <= NOW() ORDER BY expires_at LIMIT $1',
+      [limit]
+    );
+    return result.rows.map(mapTagExpirationRow);
+  } catch (error) {
+    console.error('Error getting due tag expirations:', error);
+    return [];
+  }
+}
+
+// Filters: customerId, tag, limit, offset
+async function getTagExpirations(filters = {}) {
+  if (!client) {
+    return { expirations: [], total: 0 };
+  }
+
+  try {
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.customerId) addCondition('customer_id = ?', String(filters.customerId));
+    if (filters.tag) addCondition('LOWER(tag) = LOWER(?)', filters.tag);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+    const [expirationsResult, countResult] = await Promise.all([
+      client.query(
+        `SELECT * FROM tag_expirations ${where} ORDER BY expires_at, customer_id, tag LIMIT ${limit} OFFSET ${offset}`,
+        values
+      ),
+      client.query(`SELECT COUNT(*) AS count FROM tag_expirations ${where}`, values)
+    ]);
+
+    return {
+      expirations: expirationsResult.rows.map(mapTagExpirationRow),
+      total: parseInt(countResult.rows[0].count, 10)
+    };
+  } catch (error) {
+    console.error('Error getting tag expirations:', error);
     throw error;
   }
 }
 
-async function getTaggingRules() {
+// Installed shops
+function mapShopRow(row) {
+  return {
+    shop: row.shop,
+    accessToken: row.access_token,
+    scopes: row.scopes,
+    installedBy: row.installed_by,
+    installedAt: row.installed_at
+  };
+}
+
+// Reinstalling a shop replaces its token and makes it the latest install
+async function saveShop({ shop, accessToken, scopes, installedBy }) {
   if (!client) {
-    return []; // Return empty array if no database
+    throw new Error('Database not available - shop not saved');
   }
 
   try {
-    const query = 'SELECT * FROM tagging_rules ORDER BY created_at DESC';
-    const result = await client.query(query);
-    
-    return result.rows.map(row => ({
-      id: row.id,
-      name: row.name,
-      isActive: row.is_active,
-      triggerSegment: row.trigger_segment,
-      actions: row.actions,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    const query = `
+      INSERT INTO shops (shop, access_token, scopes, installed_by, installed_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      ON CONFLICT (shop)
+      DO UPDATE SET
+        access_token = EXCLUDED.access_token,
+        scopes = EXCLUDED.scopes,
+        installed_by = EXCLUDED.installed_by,
+        installed_at = EXCLUDED.installed_at
+      RETURNING *
+    `;
+    const result = await client.query(query, [shop, accessToken, scopes, installedBy]);
+    console.log(`💾 Saved shop: ${shop}`);
+    return mapShopRow(result.rows[0]);
   } catch (error) {
-    console.error('Error getting tagging rules:', error);
+    console.error('Error saving shop:', error);
+    throw error;
+  }
+}
+
+// Installed shops, latest install first
+async function getShops() {
+  if (!client) {
+    return [];
+  }
+
+  try {
+    const result = await client.query('SELECT * FROM shops ORDER BY installed_at DESC');
+    return result.rows.map(mapShopRow);
+  } catch (error) {
+    console.error('Error getting shops:', error);
     return [];
   }
 }
 
-async function deleteTaggingRule(ruleId) {
+// App configuration
+async function getConfig(key) {
+  if (!client) {
+    return null;
+  }
+
+  try {
+    const result = await client.query('SELECT value FROM app_config WHERE key = $1', [key]);
+    return result.rows[0]?.value ?? null;
+  } catch (error) {
+    console.error('Error getting config:', error);
+    return null;
+  }
+}
+
+async function setConfig(key, value) {
   if (!client) {
-    console.warn('Database not available - rule not deleted');
     return false;
   }
 
   try {
-    const query = 'DELETE FROM tagging_rules WHERE id = $1';
-    const result = await client.query(query, [ruleId]);
-    console.log(`🗑️  Deleted tagging rule: ${ruleId}`);
-    return result.rowCount > 0;
+    const query = `
+      INSERT INTO app_config (key, value, updated_at)
+      VALUES ($1, $2, NOW())
+      ON CONFLICT (key)
+      DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+    `;
+    await client.query(query, [key, JSON.stringify(value)]);
+    return true;
   } catch (error) {
-    console.error('Error deleting tagging rule:', error);
+    console.error('Error setting config:', error);
     return false;
   }
 }
@@ -260,6 +1693,27 @@ async function getCache(key) {
   }
 }
 
+// Drop what was collected from the previous store when the app switches to
+// another one: cached segments, rule segment snapshots (they hold its customer
+// IDs) and pending tag expirations
+async function clearStoreData() {
+  if (!client) {
+    return;
+  }
+
+  try {
+    await withTransaction(async connection => {
+      await connection.query('DELETE FROM segment_cache');
+      await connection.query('DELETE FROM rule_segment_snapshots');
+      await connection.query('DELETE FROM tag_expirations');
+    });
+    console.log('🧹 Cleared cached segments, rule snapshots and tag expirations');
+  } catch (error) {
+    console.error('Error clearing store data:', error);
+    throw error;
+  }
+}
+
 // Clean up expired data
 async function cleanupExpiredData() {
   if (!client) {
@@ -299,14 +1753,61 @@ async function closeDatabase() {
 
 export {
   initializeDatabase,
+  withTransaction,
   saveTaggingRule,
   getTaggingRules,
   deleteTaggingRule,
+  updateRuleRunTimes,
+  getRuleSnapshot,
+  getRuleSnapshots,
+  saveRuleSnapshot,
+  upsertCustomers,
+  deleteCustomersNotSyncedSince,
+  deleteAllCustomers,
+  updateMirroredCustomerTags,
+  getMirroredCustomers,
+  searchMirroredCustomers,
+  getMirroredCustomerCount,
+  recordTagEvents,
+  getTagEvents,
+  getJobTagEvents,
+  createJob,
+  finishJob,
+  getJob,
+  getJobs,
+  findActiveJob,
+  claimNextJob,
+  updateJobProgress,
+  requestJobCancel,
+  requeueJob,
+  holdJobForApproval,
+  decideJobApproval,
+  recoverInterruptedJobs,
+  markJobRolledBack,
+  createRuleRun,
+  startRuleRun,
+  finishRuleRun,
+  getRuleRun,
+  getRuleRuns,
+  getRuleVersions,
+  getRuleVersion,
+  getTagGroups,
+  saveTagGroup,
+  deleteTagGroup,
+  saveTagExpirations,
+  clearTagExpirations,
+  getDueTagExpirations,
+  getTagExpirations,
+  saveShop,
+  getShops,
+  getConfig,
+  setConfig,
   saveSession,
   getSession,
   deleteSession,
   setCache,
   getCache,
+  clearStoreData,
   cleanupExpiredData,
   isDatabaseConnected,
   closeDatabase
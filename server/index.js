@@ -6,6 +6,57 @@ import crypto from 'crypto';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import * as db from './database.js';
+import { getNextRunTime, isValidCronExpression } from './cron.js';
+import {
+  SHOPIFY_API_VERSION,
+  setShopifyCredentials,
+  getShopifyCredentials,
+  shopifyFetch,
+  shopifyGraphQL,
+  fetchAllRestPages
+} from './shopify.js';
+import { SegmentQueryError, parseSegmentQuery, evaluateSegmentQuery } from './segmentQuery.js';
+import { getCustomerSyncStatus, syncCustomers, isCustomerMirrorReady, resetCustomerMirror } from './customerSync.js';
+import { registerJobHandler, enqueueJob, startJobWorker, cancelJob, resumeJob, approveJob, rejectJob } from './jobQueue.js';
+import { mapWithConcurrency } from './pool.js';
+import { TagGroupError, normalizeTagGroup, validateTagActions, expandTagActions, findTierConflicts } from './tagGroups.js';
+import { sortRulesForExecution, analyzeRuleConflicts } from './ruleConflicts.js';
+import { TagExpiryError, validateTagExpiries, getTagExpiryChanges } from './tagExpiry.js';
+import { TagTemplateError, validateTagTemplates, hasTagTemplates, renderTagActions } from './tagTemplates.js';
+import { RuleLimitError, normalizeRuleLimits, resolveRuleLimits, checkRuleLimits } from './ruleLimits.js';
+import { diffRuleDefinitions } from './ruleVersions.js';
+import { WEBHOOK_TOPICS, verifyWebhook, getWebhookCustomerId, getRuleSegments, getCustomerRuleChanges } from './webhooks.js';
+import {
+  ShopifyAuthError,
+  DEFAULT_SCOPES,
+  normalizeShopDomain,
+  parseScopes,
+  buildAuthorizeUrl,
+  verifyOAuthQuery,
+  getMissingScopes,
+  encryptToken,
+  decryptToken
+} from './shopifyAuth.js';
+import { RuleBundleError, createRuleBundle, serializeRuleBundle, parseRuleBundle, planRuleImport, resolveBundleActions } from './ruleBundles.js';
+import {
+  RuleTriggerError,
+  normalizeTrigger,
+  getTriggerSegments,
+  requiresSegmentMembership,
+  evaluateTrigger,
+  describeTrigger,
+  getRuleTriggerKey
+} from './ruleTrigger.js';
+import {
+  startProgress,
+  updateProgress,
+  finishProgress,
+  getProgress,
+  runWithProgress,
+  reportProgress,
+  reportPageFetched,
+  subscribeToProgress
+} from './progress.js';
 
 dotenv.config();
 
@@ -13,134 +64,24 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Helper function to fetch all customers with pagination
-async function fetchAllCustomersWithPagination(baseUrl, headers, queryParams = {}) {
-  const allCustomers = [];
-  let hasNextPage = true;
-  let pageInfo = null;
-  
-  console.log(`🔄 Starting paginated fetch from: ${baseUrl}`);
-  
-  while (hasNextPage) {
-    try {
-      // Add pagination parameters
-      const url = new URL(baseUrl);
-      Object.keys(queryParams).forEach(key => url.searchParams.set(key, queryParams[key]));
-      
-      if (pageInfo?.nextPageInfo?.page_info) {
-        url.searchParams.set('page_info', pageInfo.nextPageInfo.page_info);
-      } else if (pageInfo?.endCursor) {
-        url.searchParams.set('after', pageInfo.endCursor);
-      }
-      
-      console.log(`📄 Fetching page: ${url.toString()}`);
-      
-      const response = await fetch(url.toString(), { headers });
-      
-      if (!response.ok) {
-        console.error(`❌ API request failed: ${response.status} ${response.statusText}`);
-        break;
-      }
-      
-      const data = await response.json();
-      
-      // Handle different response formats
-      let customers = [];
-      if (data.customers) {
-        // REST API format
-        customers = data.customers;
-        hasNextPage = customers.length > 0 && customers.length >= (queryParams.limit || 250);
-        pageInfo = { nextPageInfo: { page_info: response.headers.get('Link') } };
-      } else if (data.data?.customers) {
-        // GraphQL format
-        customers = data.data.customers.edges.map(edge => edge.node);
-        hasNextPage = data.data.customers.pageInfo.hasNextPage;
-        pageInfo = data.data.customers.pageInfo;
-      }
-      
-      console.log(`📋 Fetched ${customers.length} customers on this page`);
-      allCustomers.push(...customers);
-      
-      // Rate limiting - wait a bit between requests
-      if (hasNextPage) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-    } catch (error) {
-      console.error(`❌ Error fetching page:`, error);
-      break;
-    }
+// Every customer in the store, read from the local mirror once it has been
+// synced and from Shopify otherwise
+async function getAllCustomers() {
+  if (dbInitialized && await isCustomerMirrorReady()) {
+    return await db.getMirroredCustomers();
   }
-  
-  console.log(`✅ Total customers fetched: ${allCustomers.length}`);
-  return allCustomers;
+  return await fetchAllCustomersWithPagination('/customers.json', { limit: 250 });
 }
 
-// Helper function to fetch all customers with GraphQL pagination
-async function fetchAllCustomersWithGraphQLPagination(query, variables = {}) {
-  const allCustomers = [];
-  let hasNextPage = true;
-  let endCursor = null;
-  
-  console.log(`🔄 Starting GraphQL paginated fetch`);
+// Helper function to fetch all customers from a REST list endpoint, following
+// Shopify's Link header until the last page
+async function fetchAllCustomersWithPagination(path, queryParams = {}) {
+  console.log(`🔄 Starting paginated fetch from: ${path}`);
+  reportProgress({ phase: 'Fetching customers' });
   
-  while (hasNextPage) {
-    try {
-      const currentVariables = {
-        ...variables,
-        after: endCursor
-      };
-      
-      console.log(`📄 Fetching GraphQL page with cursor: ${endCursor || 'initial'}`);
-      
-      const response = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
-        {
-          method: 'POST',
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            query: query,
-            variables: currentVariables
-          })
-        }
-      );
-      
-      if (!response.ok) {
-        console.error(`❌ GraphQL request failed: ${response.status}`);
-        break;
-      }
-      
-      const data = await response.json();
-      
-      if (data.errors) {
-        console.error(`❌ GraphQL errors:`, data.errors);
-        break;
-      }
-      
-      const customers = data.data?.customers?.edges?.map(edge => edge.node) || [];
-      const pageInfo = data.data?.customers?.pageInfo;
-      
-      console.log(`📋 Fetched ${customers.length} customers on this page`);
-      allCustomers.push(...customers);
-      
-      hasNextPage = pageInfo?.hasNextPage || false;
-      endCursor = pageInfo?.endCursor || null;
-      
-      // Rate limiting
-      if (hasNextPage) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-    } catch (error) {
-      console.error(`❌ Error fetching GraphQL page:`, error);
-      break;
-    }
-  }
+  const allCustomers = await fetchAllRestPages(path, 'customers', queryParams);
   
-  console.log(`✅ Total customers fetched via GraphQL: ${allCustomers.length}`);
+  console.log(`✅ Total customers fetched: ${allCustomers.length}`);
   return allCustomers;
 }
 
@@ -154,6 +95,9 @@ app.use(cors({
     : ['http://localhost:4321', 'http://localhost:3000'],
   credentials: true
 }));
+// Webhook signatures are checked against the raw body, so this route is
+// registered before the JSON parser
+app.post('/api/webhooks/shopify', express.raw({ type: '*/*', limit: '1mb' }), handleShopifyWebhook);
 app.use(express.json());
 
 // Serve static files from dist directory (after all API routes)
@@ -177,7 +121,7 @@ const missingVars = Object.entries(requiredEnvVars)
 
 if (missingVars.length > 0) {
   console.warn('⚠️  Missing environment variables:', missingVars.join(', '));
-  console.warn('   App may not function properly without these variables');
+  console.warn('   App may not function properly without these variables unless a store is installed through /api/auth/shopify');
 }
 
 // Authentication configuration with fallbacks
@@ -215,6 +159,44 @@ async function initDB() {
 // Fallback in-memory session store when database is not available
 const sessions = new Map();
 
+// Pending OAuth installs by state: { shop, actor, expiresAt }
+const oauthStates = new Map();
+
+const SCHEDULER_INTERVAL = 60 * 1000; // check for due rules every minute
+const CUSTOMER_SYNC_INTERVAL = (parseInt(process.env.CUSTOMER_SYNC_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+const TAG_EXPIRY_SWEEP_INTERVAL = (parseInt(process.env.TAG_EXPIRY_SWEEP_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+// Expired tags removed per sweep; any left over are picked up by the next one
+const TAG_EXPIRY_SWEEP_LIMIT = 1000;
+// Expirations that still fail this long after they fell due (e.g. the customer
+// was deleted) are dropped
+const TAG_EXPIRY_RETRY_WINDOW = 7 * 24 * 60 * 60 * 1000;
+// Tag mutation batches sent to Shopify at once
+const TAG_WRITE_CONCURRENCY = Math.max(1, parseInt(process.env.TAG_WRITE_CONCURRENCY, 10) || 4);
+// Customers tagged per job step; progress is checkpointed after each step.
+// Several mutation batches per concurrent writer.
+const JOB_CHUNK_SIZE = 250;
+// Global safety limits for rule runs; a rule's own limits replace them
+const RULE_LIMITS = normalizeRuleLimits({
+  maxChanges: process.env.RULE_MAX_CHANGES,
+  maxChangePercent: process.env.RULE_MAX_CHANGE_PERCENT
+});
+// Customers shown when reviewing a run that is waiting for approval
+const APPROVAL_PREVIEW_LIMIT = 100;
+// The app's API credentials; Shopify signs webhooks and OAuth callbacks with the secret
+const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
+const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
+// Scopes requested when installing on a store
+const SHOPIFY_SCOPES = parseScopes(process.env.SHOPIFY_SCOPES || DEFAULT_SCOPES);
+// Encrypts installed stores' access tokens in the database
+const TOKEN_ENCRYPTION_KEY = process.env.TOKEN_ENCRYPTION_KEY;
+// Public URL of the app for the OAuth redirect; defaults to the request's host
+const SHOPIFY_APP_URL = process.env.SHOPIFY_APP_URL || null;
+// Time allowed between starting an install and Shopify's callback
+const OAUTH_STATE_TTL = 10 * 60 * 1000;
+const OAUTH_STATE_COOKIE = 'shopify_oauth_state';
+// Optional: keep every received webhook body here for replay-webhook.js
+const WEBHOOK_PAYLOAD_DIR = process.env.WEBHOOK_PAYLOAD_DIR || null;
+
 // Authentication middleware
 function requireAuth(req, res, next) {
   // Skip auth for health check
@@ -236,6 +218,8 @@ function requireAuth(req, res, next) {
   const [username, password] = credentials.split(':');
 
   if (username === AUTH_USERNAME && password === AUTH_PASSWORD) {
+    // Recorded as the actor on audit log entries
+    req.actor = username;
     next();
   } else {
     res.status(401).json({ 
@@ -245,6 +229,25 @@ function requireAuth(req, res, next) {
   }
 }
 
+// When the client passes ?progressId=, run the request inside a progress
+// tracker so it can follow page fetches on /api/jobs/:progressId/events
+function trackProgress(req, res, next) {
+  const progressId = req.query.progressId;
+  if (!progressId) {
+    return next();
+  }
+  
+  if (!/^[\w-]{1,100}$/.test(progressId)) {
+    return res.status(400).json({ error: 'Invalid progressId' });
+  }
+  
+  startProgress(progressId);
+  res.on('finish', () => {
+    finishProgress(progressId, res.statusCode < 400 ? 'completed' : 'failed');
+  });
+  runWithProgress(progressId, next);
+}
+
 // Add a new API endpoint for getting customer count of a specific segment
 async function handleSegmentCount(req, res) {
   try {
@@ -396,18 +399,55 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Shopify OAuth install. The callback arrives from the merchant's browser via
+// Shopify, so it is checked by its HMAC and state rather than a login.
+app.post('/api/auth/shopify', requireAuth, handleShopifyInstall);
+app.get('/api/auth/shopify/callback', handleShopifyCallback);
+app.get('/api/shops', requireAuth, handleGetShops);
+
 // Protected API Routes
 app.get('/api/segments', requireAuth, handleSegments);
 app.post('/api/segments/sync', requireAuth, handleSegmentsSync);
-app.get('/api/customers', requireAuth, handleCustomers);
+app.post('/api/segments/preview', requireAuth, handleSegmentPreview);
+app.get('/api/customers', requireAuth, trackProgress, handleCustomers);
+app.get('/api/customers/search', requireAuth, handleCustomerSearch);
+app.get('/api/customers/mirror', requireAuth, handleCustomerMirrorStatus);
+app.post('/api/customers/mirror/sync', requireAuth, handleCustomerMirrorSync);
+app.get('/api/customers/:id/tag-history', requireAuth, handleCustomerTagHistory);
 app.post('/api/bulk-tag', requireAuth, handleBulkTag);
+app.get('/api/audit', requireAuth, handleAuditLog);
+app.get('/api/tag-expirations', requireAuth, handleGetTagExpirations);
+app.delete('/api/tag-expirations/:customerId', requireAuth, handleCancelTagExpiration);
+app.get('/api/jobs', requireAuth, handleGetJobs);
+app.get('/api/jobs/:id', requireAuth, handleGetJob);
+app.get('/api/jobs/:id/events', requireAuth, handleJobEvents);
+app.post('/api/jobs/:id/cancel', requireAuth, handleCancelJob);
+app.post('/api/jobs/:id/resume', requireAuth, handleResumeJob);
+app.post('/api/jobs/:id/rollback', requireAuth, handleRollbackJob);
 app.get('/api/rules', requireAuth, handleGetRules);
+app.get('/api/rules/conflicts', requireAuth, handleRuleConflicts);
+app.get('/api/rules/export', requireAuth, handleExportRules);
+app.post('/api/rules/import', requireAuth, handleImportRules);
 app.post('/api/rules', requireAuth, handleCreateRule);
 app.put('/api/rules/:id', requireAuth, handleUpdateRule);
 app.delete('/api/rules/:id', requireAuth, handleDeleteRule);
 app.post('/api/rules/:id/execute', requireAuth, handleExecuteRule);
-app.get('/api/segments/count', requireAuth, handleSegmentCount);
-app.get('/api/customers/sync', requireAuth, handleCustomersSync);
+app.get('/api/rules/:id/runs', requireAuth, handleGetRuleRuns);
+app.post('/api/rules/:id/runs/:jobId/retry', requireAuth, handleRetryRuleRun);
+app.get('/api/rules/:id/runs/:jobId/preview', requireAuth, handlePreviewHeldRuleRun);
+app.post('/api/rules/:id/runs/:jobId/approve', requireAuth, handleApproveRuleRun);
+app.post('/api/rules/:id/runs/:jobId/reject', requireAuth, handleRejectRuleRun);
+app.get('/api/rules/:id/versions', requireAuth, handleGetRuleVersions);
+app.get('/api/rules/:id/versions/diff', requireAuth, handleDiffRuleVersions);
+app.post('/api/rules/:id/versions/:version/restore', requireAuth, handleRestoreRuleVersion);
+app.get('/api/tag-groups', requireAuth, handleGetTagGroups);
+app.post('/api/tag-groups', requireAuth, handleCreateTagGroup);
+app.get('/api/tag-groups/conflicts', requireAuth, handleTagGroupConflicts);
+app.put('/api/tag-groups/:id', requireAuth, handleUpdateTagGroup);
+app.delete('/api/tag-groups/:id', requireAuth, handleDeleteTagGroup);
+app.post('/api/tag-templates/preview', requireAuth, handlePreviewTagTemplates);
+app.get('/api/segments/count', requireAuth, trackProgress, handleSegmentCount);
+app.get('/api/customers/sync', requireAuth, trackProgress, handleCustomersSync);
 
 // Simple endpoint to list all segments with IDs for debugging
 app.get('/api/segments/list', requireAuth, async (req, res) => {
@@ -438,18 +478,20 @@ app.get('/api/segments/list', requireAuth, async (req, res) => {
 
 // Health check with configuration status
 app.get('/api/health', async (req, res) => {
+  const shopify = getShopifyCredentials();
   const config = {
     status: 'ok',
     timestamp: new Date().toISOString(),
     version: process.env.npm_package_version || '1.0.0',
     environment: process.env.NODE_ENV || 'production',
     configuration: {
-      shopifyConfigured: !!(process.env.SHOPIFY_STORE_URL && process.env.SHOPIFY_ACCESS_TOKEN),
+      shopifyConfigured: !!(shopify.storeUrl && shopify.accessToken),
+      shopifyCredentials: shopify.source,
       authConfigured: !!(AUTH_USERNAME && AUTH_PASSWORD),
       databaseConfigured: !!process.env.DATABASE_URL,
       databaseConnected: dbInitialized && await db.isDatabaseConnected(),
-      storeUrl: process.env.SHOPIFY_STORE_URL ? 'configured' : 'missing',
-      accessToken: process.env.SHOPIFY_ACCESS_TOKEN ? 'configured' : 'missing',
+      storeUrl: shopify.storeUrl ? 'configured' : 'missing',
+      accessToken: shopify.accessToken ? 'configured' : 'missing',
       authUsername: AUTH_USERNAME ? 'configured' : 'missing',
       sessionSecret: SESSION_SECRET ? 'configured' : 'missing',
       databaseUrl: process.env.DATABASE_URL ? 'configured' : 'missing'
@@ -458,8 +500,8 @@ app.get('/api/health', async (req, res) => {
 
   // Add warnings for missing configuration
   const warnings = [];
-  if (!process.env.SHOPIFY_STORE_URL) warnings.push('SHOPIFY_STORE_URL missing');
-  if (!process.env.SHOPIFY_ACCESS_TOKEN) warnings.push('SHOPIFY_ACCESS_TOKEN missing');
+  if (!shopify.storeUrl) warnings.push('SHOPIFY_STORE_URL missing and no store installed');
+  if (!shopify.accessToken) warnings.push('SHOPIFY_ACCESS_TOKEN missing and no store installed');
   if (!process.env.DATABASE_URL) warnings.push('DATABASE_URL missing - using in-memory storage');
   
   if (warnings.length > 0) {
@@ -543,8 +585,7 @@ app.get('/api/debug/graphql', async (req, res) => {
   try {
     console.log('=== GraphQL DEBUG ENDPOINT CALLED ===');
     
-    const storeUrl = process.env.SHOPIFY_STORE_URL;
-    const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+    const { storeUrl, accessToken } = getShopifyCredentials();
     
     if (!storeUrl || !accessToken) {
       return res.json({
@@ -577,14 +618,10 @@ app.get('/api/debug/graphql', async (req, res) => {
     `;
 
     console.log('Making GraphQL request...');
-    const response = await fetch(
-      `${storeUrl}/admin/api/2023-10/graphql.json`,
+    const response = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query,
           variables: { first: 250 } // Shopify GraphQL maximum limit
@@ -630,28 +667,21 @@ app.get('/api/debug/graphql', async (req, res) => {
 // Debug endpoint to test Shopify connection
 app.get('/api/debug/shopify', async (req, res) => {
   try {
+    const { storeUrl, accessToken } = getShopifyCredentials();
     console.log('Testing Shopify connection...');
-    console.log('Store URL:', process.env.SHOPIFY_STORE_URL);
-    console.log('Access Token configured:', !!process.env.SHOPIFY_ACCESS_TOKEN);
+    console.log('Store URL:', storeUrl);
+    console.log('Access Token configured:', !!accessToken);
     
-    if (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN) {
+    if (!storeUrl || !accessToken) {
       return res.status(500).json({
         error: 'Missing Shopify configuration',
-        storeUrl: !!process.env.SHOPIFY_STORE_URL,
-        accessToken: !!process.env.SHOPIFY_ACCESS_TOKEN
+        storeUrl: !!storeUrl,
+        accessToken: !!accessToken
       });
     }
 
     // Test basic Shopify API call
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/shop.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+    const response = await shopifyFetch('/shop.json');
 
     console.log('Shopify API response status:', response.status);
     
@@ -688,14 +718,7 @@ app.get('/api/test/shopify', requireAuth, async (req, res) => {
   try {
     console.log('=== TESTING SHOPIFY REST API ACCESS ===');
     
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?limit=5`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        }
-      }
-    );
+    const response = await shopifyFetch('/customers.json?limit=5');
     
     console.log(`Shopify REST API response status: ${response.status}`);
     
@@ -759,14 +782,10 @@ app.get('/api/test/customers', requireAuth, async (req, res) => {
       }
     `;
     
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const response = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: customerQuery,
           variables: { first: 5 }
@@ -832,14 +851,10 @@ app.get('/api/test/segment-members', requireAuth, async (req, res) => {
       }
     `;
     
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const response = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query,
           variables: { segmentId }
@@ -891,14 +906,7 @@ app.get('/api/test/email-domain', requireAuth, async (req, res) => {
     console.log(`=== TESTING DIRECT EMAIL DOMAIN CUSTOMER FETCH for domain: ${domain} ===`);
     
     // Use Shopify's customer search by email domain
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:*@${domain}`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        }
-      }
-    );
+    const response = await shopifyFetch(`/customers/search.json?query=email:*@${domain}`);
     
     console.log(`📊 Response status: ${response.status}`);
     
@@ -976,14 +984,7 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
     
     // Test 1: Check if we can access Shopify API at all
     try {
-      const testResponse = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?limit=1`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          }
-        }
-      );
+      const testResponse = await shopifyFetch('/customers.json?limit=1');
       
       results.tests.shopify_access = {
         status: testResponse.status,
@@ -1000,14 +1001,7 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
     
     // Test 2: Try to get all customers to see what's available
     try {
-      const customersResponse = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?limit=10`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          }
-        }
-      );
+      const customersResponse = await shopifyFetch('/customers.json?limit=10');
       
       if (customersResponse.ok) {
         const customersData = await customersResponse.json();
@@ -1050,14 +1044,7 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
         
         // Test search API with RFM group
         try {
-          const searchResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=rfm_group:${rfmGroup}`,
-            {
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              }
-            }
-          );
+          const searchResponse = await shopifyFetch(`/customers/search.json?query=rfm_group:${rfmGroup}`);
           
           results.tests.rfm_search = {
             status: searchResponse.status,
@@ -1106,14 +1093,10 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
             }
           `;
           
-          const graphqlResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+          const graphqlResponse = await shopifyFetch(
+            '/graphql.json',
             {
               method: 'POST',
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json',
-              },
               body: JSON.stringify({
                 query: graphqlQuery,
                 variables: {
@@ -1153,14 +1136,7 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
         // Test customer segment endpoint
         try {
           const segmentId = segment.id.replace('gid://shopify/Segment/', '');
-          const segmentResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customer_segments/${segmentId}/customers.json`,
-            {
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              }
-            }
-          );
+          const segmentResponse = await shopifyFetch(`/customer_segments/${segmentId}/customers.json`);
           
           results.tests.segment_endpoint = {
             status: segmentResponse.status,
@@ -1204,14 +1180,7 @@ app.get('/api/test/segment/:segmentId', async (req, res) => {
       
       for (const query of testQueries) {
         try {
-          const searchResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=${encodeURIComponent(query)}`,
-            {
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              }
-            }
-          );
+          const searchResponse = await shopifyFetch(`/customers/search.json?query=${encodeURIComponent(query)}`);
           
           if (searchResponse.ok) {
             const searchData = await searchResponse.json();
@@ -1305,14 +1274,7 @@ app.get('/api/debug/segment/:segmentId', async (req, res) => {
     
     // Step 2: Get a sample of customers to see what data we have
     try {
-      const customersResponse = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?limit=20`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          }
-        }
-      );
+      const customersResponse = await shopifyFetch('/customers.json?limit=20');
       
       if (customersResponse.ok) {
         const customersData = await customersResponse.json();
@@ -1415,14 +1377,7 @@ app.get('/api/debug/segment/:segmentId', async (req, res) => {
         // Test 1: Direct search API
         if (debugInfo.analysis.criteria_type === 'rfm_group') {
           try {
-            const searchResponse = await fetch(
-              `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=rfm_group:${debugInfo.analysis.target_value}`,
-              {
-                headers: {
-                  'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-                }
-              }
-            );
+            const searchResponse = await shopifyFetch(`/customers/search.json?query=rfm_group:${debugInfo.analysis.target_value}`);
             
             debugInfo.analysis.api_tests.search_api = {
               status: searchResponse.status,
@@ -1478,14 +1433,10 @@ app.get('/api/debug/segment/:segmentId', async (req, res) => {
           }
           
           if (graphqlQuery) {
-            const graphqlResponse = await fetch(
-              `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+            const graphqlResponse = await shopifyFetch(
+              '/graphql.json',
               {
                 method: 'POST',
-                headers: {
-                  'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-                  'Content-Type': 'application/json',
-                },
                 body: JSON.stringify({
                   query: graphqlQuery,
                   variables: {
@@ -1625,1340 +1576,3041 @@ async function handleSegmentsSync(req, res) {
   }
 }
 
-async function handleCustomers(req, res) {
+// Evaluate a segment query locally against the store's customers
+async function handleSegmentPreview(req, res) {
   try {
-    const segmentName = req.query.segment;
-    console.log(`=== CUSTOMERS API CALLED for segment: ${segmentName} ===`);
+    const { query } = req.body;
+    // Matching customers returned, 1-250
+    const limit = Math.min(Math.max(parseInt(req.body.limit, 10) || 50, 1), 250);
     
-    if (!segmentName) {
-      return res.status(400).json({ error: 'Segment parameter is required' });
+    if (!query) {
+      return res.status(400).json({ error: 'query is required' });
     }
     
-    const customers = await getCustomersBySegment(segmentName);
-    console.log(`Returning ${customers.length} customers for segment: ${segmentName}`);
-    res.json(customers);
+    let ast;
+    try {
+      ast = parseSegmentQuery(query);
+    } catch (error) {
+      if (error instanceof SegmentQueryError) {
+        return res.status(400).json({ error: 'Invalid segment query', details: error.message, position: error.position });
+      }
+      throw error;
+    }
+    
+    const customers = await getAllCustomers();
+    const matches = customers.filter(customer => evaluateSegmentQuery(ast, customer));
+    
+    console.log(`🔎 Segment preview "${query}": ${matches.length} of ${customers.length} customers match`);
+    res.json({
+      query,
+      ast,
+      totalCustomers: customers.length,
+      matchCount: matches.length,
+      customers: matches.slice(0, limit)
+    });
   } catch (error) {
-    console.error('Error fetching customers:', error);
-    res.status(500).json({ error: 'Failed to fetch customers', details: error.message });
+    console.error('Error previewing segment query:', error);
+    res.status(500).json({ error: 'Failed to preview segment query', details: error.message });
   }
 }
 
-async function handleBulkTag(req, res) {
+// Search the local customer mirror by name, email or tag
+async function handleCustomerSearch(req, res) {
   try {
-    const { customerIds, actions } = req.body;
+    const term = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 250);
     
-    if (!customerIds || !actions) {
-      return res.status(400).json({ error: 'customerIds and actions are required' });
+    if (!term) {
+      return res.status(400).json({ error: 'q parameter is required' });
     }
     
-    const result = await applyBulkTags(customerIds, actions);
-    res.json(result);
+    if (!dbInitialized || !(await isCustomerMirrorReady())) {
+      return res.status(503).json({ error: 'Customer mirror is not available yet - run a customer sync first' });
+    }
+    
+    const customers = await db.searchMirroredCustomers(term, limit);
+    res.json(customers);
   } catch (error) {
-    console.error('Error applying bulk tags:', error);
-    res.status(500).json({ error: 'Failed to apply bulk tags' });
+    console.error('Error searching customers:', error);
+    res.status(500).json({ error: 'Failed to search customers', details: error.message });
   }
 }
 
-// Rule management handlers
-async function handleGetRules(req, res) {
+async function handleCustomerMirrorStatus(req, res) {
   try {
-    console.log('=== GET RULES API CALLED ===');
-    const rules = await db.getTaggingRules();
-    console.log(`Returning ${rules.length} tagging rules`);
-    res.json(rules);
+    if (!dbInitialized) {
+      return res.json({ available: false });
+    }
+    
+    const status = await getCustomerSyncStatus();
+    res.json({ available: true, ...status });
   } catch (error) {
-    console.error('Error getting rules:', error);
-    res.status(500).json({ error: 'Failed to get rules', details: error.message });
+    console.error('Error getting customer sync status:', error);
+    res.status(500).json({ error: 'Failed to get customer sync status', details: error.message });
   }
 }
 
-async function handleCreateRule(req, res) {
+// Start a customer sync in the background; the client polls the status endpoint
+async function handleCustomerMirrorSync(req, res) {
   try {
-    console.log('=== CREATE RULE API CALLED ===');
-    const ruleData = req.body;
-    
-    // Generate ID if not provided
-    if (!ruleData.id) {
-      ruleData.id = `rule-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Customer mirror requires a database' });
     }
     
-    // Set creation timestamp
-    if (!ruleData.createdAt) {
-      ruleData.createdAt = new Date().toISOString();
-    }
+    const full = req.body?.full === true;
+    syncCustomers({ full }).catch(error => {
+      console.error('❌ Customer sync failed:', error);
+    });
     
-    const savedRule = await db.saveTaggingRule(ruleData);
-    console.log(`Created rule: ${savedRule.name}`);
-    res.json(savedRule);
+    const status = await getCustomerSyncStatus();
+    res.status(202).json({ available: true, ...status, syncing: true });
   } catch (error) {
-    console.error('Error creating rule:', error);
-    res.status(500).json({ error: 'Failed to create rule', details: error.message });
+    console.error('Error starting customer sync:', error);
+    res.status(500).json({ error: 'Failed to start customer sync', details: error.message });
   }
 }
 
-async function handleUpdateRule(req, res) {
-  try {
-    console.log('=== UPDATE RULE API CALLED ===');
-    const ruleId = req.params.id;
-    const ruleData = { ...req.body, id: ruleId };
-    
-    const savedRule = await db.saveTaggingRule(ruleData);
-    console.log(`Updated rule: ${savedRule.name}`);
-    res.json(savedRule);
-  } catch (error) {
-    console.error('Error updating rule:', error);
-    res.status(500).json({ error: 'Failed to update rule', details: error.message });
+// Audit log handlers
+const TAG_EVENT_ACTIONS = ['add', 'remove'];
+
+// Read audit filters from the query string; returns an error message for bad input
+function parseAuditFilters(query) {
+  const filters = {
+    customerId: query.customerId,
+    tag: query.tag,
+    action: query.action,
+    sourceType: query.sourceType,
+    sourceId: query.sourceId,
+    jobId: query.jobId,
+    actor: query.actor,
+    since: query.since,
+    until: query.until,
+    limit: query.limit,
+    offset: query.offset
+  };
+  
+  if (filters.action && !TAG_EVENT_ACTIONS.includes(filters.action)) {
+    return { error: `action must be one of: ${TAG_EVENT_ACTIONS.join(', ')}` };
   }
+  
+  for (const key of ['since', 'until']) {
+    if (filters[key] && Number.isNaN(new Date(filters[key]).getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+  }
+  
+  return { filters };
 }
 
-async function handleDeleteRule(req, res) {
+async function handleCustomerTagHistory(req, res) {
   try {
-    console.log('=== DELETE RULE API CALLED ===');
-    const ruleId = req.params.id;
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Tag history requires a database' });
+    }
     
-    const deleted = await db.deleteTaggingRule(ruleId);
-    if (deleted) {
-      console.log(`Deleted rule: ${ruleId}`);
-      res.json({ success: true, message: 'Rule deleted successfully' });
-    } else {
-      res.status(404).json({ error: 'Rule not found' });
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
+    
+    const result = await db.getTagEvents({ ...filters, customerId: req.params.id });
+    res.json(result);
   } catch (error) {
-    console.error('Error deleting rule:', error);
-    res.status(500).json({ error: 'Failed to delete rule', details: error.message });
+    console.error('Error getting customer tag history:', error);
+    res.status(500).json({ error: 'Failed to get tag history', details: error.message });
   }
 }
 
-async function handleExecuteRule(req, res) {
+async function handleAuditLog(req, res) {
   try {
-    console.log('=== EXECUTE RULE API CALLED ===');
-    const ruleId = req.params.id;
-    
-    // Get the rule from database
-    const rules = await db.getTaggingRules();
-    const rule = rules.find(r => r.id === ruleId);
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Audit log requires a database' });
+    }
     
-    if (!rule) {
-      return res.status(404).json({ error: 'Rule not found' });
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
     
-    if (!rule.isActive) {
-      return res.status(400).json({ error: 'Rule is not active' });
+    const result = await db.getTagEvents(filters);
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.status(500).json({ error: 'Failed to get audit log', details: error.message });
+  }
+}
+
+// Pending tag expirations, soonest first. Filters: customerId, tag, limit, offset
+async function handleGetTagExpirations(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Expiring tags require a database' });
     }
     
-    const result = await executeTaggingRule(rule);
+    const { customerId, tag, limit, offset } = req.query;
+    const result = await db.getTagExpirations({ customerId, tag, limit, offset });
     res.json(result);
   } catch (error) {
-    console.error('Error executing rule:', error);
-    res.status(500).json({ error: 'Failed to execute rule', details: error.message });
+    console.error('Error getting tag expirations:', error);
+    res.status(500).json({ error: 'Failed to get tag expirations', details: error.message });
   }
 }
 
-// Shopify API Functions
-async function getCustomerSegments() {
-  console.log('Getting customer segments from Shopify...');
-  
-  // Check environment variables first
-  if (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN) {
-    console.error('Missing Shopify configuration in getCustomerSegments');
-    throw new Error('Shopify configuration missing');
+// Keep a tag: drop its pending expiry for one customer (?tag=...)
+async function handleCancelTagExpiration(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Expiring tags require a database' });
+    }
+    if (!req.query.tag) {
+      return res.status(400).json({ error: 'tag is required' });
+    }
+    
+    const cleared = await db.clearTagExpirations([req.params.customerId], [req.query.tag]);
+    if (cleared === 0) {
+      return res.status(404).json({ error: 'Tag expiration not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling tag expiration:', error);
+    res.status(500).json({ error: 'Failed to cancel tag expiration', details: error.message });
   }
+}
 
-  console.log('Store URL:', process.env.SHOPIFY_STORE_URL);
-  console.log('Access Token configured:', !!process.env.SHOPIFY_ACCESS_TOKEN);
+// Jobs as returned by the API, without the payload and checkpoint (which can
+// hold thousands of customer IDs)
+function toJobResponse(job) {
+  const { payload, checkpoint, ...rest } = job;
+  return rest;
+}
 
+async function handleGetJobs(req, res) {
   try {
-    // Fetch real Shopify customer segments using GraphQL (metadata only, no customer counts)
-    const query = `
-      query getSegments($first: Int!) {
-        segments(first: $first) {
-          edges {
-            node {
-              id
-              name
-              query
-              creationDate
-              lastEditDate
-            }
-          }
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-        }
-      }
-    `;
+    if (!dbInitialized) {
+      return res.json([]);
+    }
+    
+    const jobs = await db.getJobs({
+      status: req.query.status,
+      type: req.query.type,
+      sourceId: req.query.sourceId,
+      limit: req.query.limit
+    });
+    res.json(jobs.map(toJobResponse));
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    res.status(500).json({ error: 'Failed to get jobs', details: error.message });
+  }
+}
 
-    console.log('Making GraphQL request to:', `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`);
+async function handleGetJob(req, res) {
+  try {
+    const job = dbInitialized ? await db.getJob(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
     
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
-      {
-        method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query,
-          variables: { first: 250 } // Shopify GraphQL maximum limit
-        })
-      }
-    );
-
-    console.log('Segments GraphQL response status:', response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Shopify GraphQL API error:', errorText);
-      // Fall back to basic segments if GraphQL fails
-      return await getBasicSegments();
-    }
-
-    const data = await response.json();
-    console.log('GraphQL Response Status:', response.status);
-
-    if (data.errors) {
-      console.error('GraphQL errors:', data.errors);
-      // Fall back to basic segments if GraphQL has errors
-      return await getBasicSegments();
-    }
-
-    const shopifySegments = data.data?.segments?.edges || [];
-    console.log(`Found ${shopifySegments.length} Shopify segments`);
-    
-    // Debug: Log all segment names
-    console.log('Segment names from Shopify:');
-    shopifySegments.forEach((edge, index) => {
-      console.log(`${index + 1}. ${edge.node.name} (ID: ${edge.node.id})`);
-    });
-    
-    // Check for pagination
-    const hasNextPage = data.data?.segments?.pageInfo?.hasNextPage || false;
-    console.log('Has more segments (next page):', hasNextPage);
-
-    // Convert Shopify segments to our format WITHOUT fetching customer counts (for speed)
-    console.log('Processing segments (metadata only, no customer counts)...');
-    const segments = shopifySegments.map((edge) => {
-      const segment = edge.node;
-      
-      return {
-        id: segment.id,
-        name: segment.name,
-        criteria: segment.query || 'Shopify defined segment',
-        customerCount: 0, // Will be populated on-demand when user requests it
-        lastSync: new Date().toISOString(),
-        description: `Segment: ${segment.name}`,
-        createdAt: segment.creationDate,
-        updatedAt: segment.lastEditDate,
-        needsCustomerCount: true // Flag to indicate count needs to be fetched
-      };
-    });
-    
-    console.log(`✅ Successfully processed ${segments.length} segment metadata (customer counts will be fetched on-demand)`);
-
-    // Add "All Customers" as the first segment
-    const allCustomersSegment = {
-      id: 'all-customers',
-      name: 'All Customers',
-      criteria: 'All registered customers',
-      customerCount: 0, // Will be populated on-demand
-      lastSync: new Date().toISOString(),
-      description: 'Complete customer base',
-      needsCustomerCount: true
-    };
-    segments.unshift(allCustomersSegment);
-
-    console.log('Final segments (fast metadata sync complete):', segments.map(s => `${s.name}: metadata only`));
-    return segments;
-
+    res.json(toJobResponse(job));
   } catch (error) {
-    console.error('Error fetching Shopify segments:', error);
-    // Fall back to basic segments if everything fails
-    return await getBasicSegments();
+    console.error('Error getting job:', error);
+    res.status(500).json({ error: 'Failed to get job', details: error.message });
   }
 }
 
-// Fallback function for basic segments when Shopify segments API fails
-async function getBasicSegments() {
-  console.log('Using fallback basic segments...');
+// Live job progress as Server-Sent Events. Sends a `progress` event with the
+// current snapshot, then one per update, and a final `done` event once the job
+// finishes. Also works for requests started with ?progressId= (see trackProgress),
+// which may connect before the request has begun.
+const EVENTS_HEARTBEAT_INTERVAL = 15 * 1000;
+const EVENTS_WAIT_TIMEOUT = 30 * 1000;
+
+async function handleJobEvents(req, res) {
+  const id = req.params.id;
+  let closed = false;
+  let waitTimer = null;
+  let heartbeat = null;
+  let unsubscribe = () => {};
   
-  const segments = [
-    {
-      id: 'all',
-      name: 'All Customers',
-      criteria: 'All registered customers',
-      customerCount: await getAllCustomerCount(),
-      lastSync: new Date().toISOString(),
-      description: 'Complete customer base'
-    },
-    {
-      id: 'vip',
-      name: 'VIP Customers',
-      criteria: 'customers with "VIP" tag',
-      customerCount: await getCustomerCountByTag('VIP'),
-      lastSync: new Date().toISOString(),
-      description: 'High-value customers'
-    },
-    {
-      id: 'vvip',
-      name: 'VVIP Customers',
-      criteria: 'customers with "VVIP" tag', 
-      customerCount: await getCustomerCountByTag('VVIP'),
-      lastSync: new Date().toISOString(),
-      description: 'Premium customers'
-    },
-    {
-      id: 'new',
-      name: 'New Customers',
-      criteria: 'created in last 30 days',
-      customerCount: await getNewCustomerCount(),
-      lastSync: new Date().toISOString(),
-      description: 'Recently registered customers'
-    },
-    {
-      id: 'repeat',
-      name: 'Repeat Buyers',
-      criteria: 'orders_count > 1',
-      customerCount: await getRepeatBuyerCount(),
-      lastSync: new Date().toISOString(),
-      description: 'Customers with multiple orders'
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(waitTimer);
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
     }
-  ];
+  };
+  
+  const onProgress = (snapshot) => {
+    clearTimeout(waitTimer);
+    send('progress', snapshot);
+    if (snapshot.status !== 'queued' && snapshot.status !== 'running') {
+      send('done', snapshot);
+      close();
+    }
+  };
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  req.on('close', close);
+  
+  unsubscribe = subscribeToProgress(id, onProgress);
+  heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, EVENTS_HEARTBEAT_INTERVAL);
   
-  return segments;
-}
-
-// Get customer count for a specific Shopify segment
-async function getSegmentCustomerCount(segmentId) {
   try {
-    console.log(`🔢 Getting accurate customer count for segment: ${segmentId}`);
-    
-    // Get segment details first
-    const segments = await getCustomerSegments();
-    const segment = segments.find(s => s.id === segmentId);
-    
-    if (!segment) {
-      console.error(`❌ Segment not found: ${segmentId}`);
-      return 0;
+    const live = getProgress(id);
+    if (live) {
+      return onProgress(live);
     }
     
-    console.log(`📋 Segment criteria: ${segment.criteria}`);
-    
-    // Use the same logic as the customer sync function to get accurate counts
-    if (segment.criteria.includes('customer_email_domain')) {
-      const domainMatch = segment.criteria.match(/customer_email_domain = '([^']+)'/);
-      if (domainMatch) {
-        const domain = domainMatch[1];
-        console.log(`🌐 Counting customers with email domain: ${domain}`);
-        
-        // Use pagination to get ALL customers with this domain
-        const allCustomers = await fetchAllCustomersWithPagination(
-          `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`,
-          {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          },
-          { limit: 250 }
-        );
-        
-        const matchingCustomers = allCustomers.filter(customer => 
-          customer.email && customer.email.toLowerCase().includes(`@${domain.toLowerCase()}`)
-        );
-        
-        console.log(`📊 Found ${matchingCustomers.length} customers with domain ${domain}`);
-        return matchingCustomers.length;
-      }
-    } else if (segment.criteria.includes('customer_tags')) {
-      const tagsMatch = segment.criteria.match(/customer_tags = '([^']+)'/);
-      if (tagsMatch) {
-        const tags = tagsMatch[1];
-        console.log(`🏷️ Counting customers with tags: ${tags}`);
-        
-        // Use pagination to get ALL customers and filter by tags
-        const allCustomers = await fetchAllCustomersWithPagination(
-          `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`,
-          {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          },
-          { limit: 250 }
-        );
-        
-        const targetTags = tags.split(',').map(tag => tag.trim());
-        const matchingCustomers = allCustomers.filter(customer => {
-          const customerTags = customer.tags ? customer.tags.split(',').map(tag => tag.trim()) : [];
-          return targetTags.some(tag => customerTags.includes(tag));
-        });
-        
-        console.log(`📊 Found ${matchingCustomers.length} customers with tags ${tags}`);
-        return matchingCustomers.length;
-      }
-    } else if (segment.criteria.includes('rfm_group')) {
-      const rfmMatch = segment.criteria.match(/rfm_group = '([^']+)'/);
-      if (rfmMatch) {
-        const rfmGroup = rfmMatch[1];
-        console.log(`🏆 Fetching customers with RFM group: ${rfmGroup}`);
-        
-        // Approach 1: Try direct segment customers endpoint with pagination (most reliable)
-        try {
-          console.log(`🔍 Approach 1: Using direct segment customers endpoint with pagination`);
-          const segmentId = segment.id.replace('gid://shopify/Segment/', '');
-          
-          // Use the pagination helper for REST API to get ALL customers
-          const allCustomers = await fetchAllCustomersWithPagination(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customer_segments/${segmentId}/customers.json`,
-            {
-              'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            },
-            { limit: 250 }
-          );
-          
-          console.log(`📋 Found ${allCustomers.length} customers via paginated REST segment endpoint`);
-          
-          if (allCustomers.length > 0) {
-            return allCustomers.map(customer => ({
-              id: customer.id.toString(),
-              first_name: customer.first_name || '',
-              last_name: customer.last_name || '',
-              email: customer.email || '',
-              phone: customer.phone || '',
-              created_at: customer.created_at || new Date().toISOString(),
-              updated_at: customer.updated_at || new Date().toISOString(),
-              tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-              orders_count: customer.orders_count || 0,
-              total_spent: customer.total_spent || '0.00',
-              addresses: customer.addresses || [],
-              display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-              note: customer.note || ''
-            }));
-          }
-        } catch (error) {
-          console.log(`❌ Direct segment endpoint approach failed:`, error.message);
-        }
-        
-        // Approach 2: Try GraphQL customerSegmentMembers with pagination
-        try {
-          console.log(`🔍 Approach 2: Using GraphQL customerSegmentMembers with pagination`);
-          const customers = await fetchAllCustomersWithGraphQLPagination(
-            `
-            query getSegmentMembers($segmentId: ID!, $first: Int!, $after: String) {
-              customerSegmentMembers(segmentId: $segmentId, first: $first, after: $after) {
-                edges {
-                  node {
-                    id
-                    customer {
-                      id
-                      firstName
-                      lastName
-                      email
-                      phone
-                      createdAt
-                      updatedAt
-                      tags
-                      ordersCount
-                      totalSpent
-                      addresses {
-                        id
-                        firstName
-                        lastName
-                        company
-                        address1
-                        address2
-                        city
-                        province
-                        country
-                        zip
-                        phone
-                      }
-                      note
-                    }
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  endCursor
-                }
-              }
-            }
-            `,
-            { segmentId: segment.id, first: 250 }
-          );
-          
-          console.log(`📋 Found ${customers.length} customers via paginated GraphQL customerSegmentMembers`);
-          
-          if (customers.length > 0) {
-            return customers.map(customer => ({
-              id: customer.id.split('/').pop(),
-              first_name: customer.firstName || '',
-              last_name: customer.lastName || '',
-              email: customer.email || '',
-              phone: customer.phone || '',
-              created_at: customer.createdAt || new Date().toISOString(),
-              updated_at: customer.updatedAt || new Date().toISOString(),
-              tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-              orders_count: customer.ordersCount || 0,
-              total_spent: customer.totalSpent || '0.00',
-              addresses: customer.addresses || [],
-              display_name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
-              note: customer.note || ''
-            }));
-          }
-        } catch (error) {
-          console.log(`❌ GraphQL customerSegmentMembers approach failed:`, error.message);
-        }
-        
-        // Approach 3: Fallback to RFM calculation (least reliable)
-        console.log(`🔍 Approach 3: Using fallback RFM calculation`);
-        const customers = await fetchCustomersWithRfmGroupFallback(rfmGroup);
-        
-        if (customers.length > 0) {
-          console.log(`📋 Found ${customers.length} customers via RFM calculation fallback`);
-          return customers;
-        }
-      }
+    const job = dbInitialized ? await db.getJob(id) : null;
+    if (job) {
+      return onProgress({
+        id: job.id,
+        status: job.status,
+        phase: job.status === 'queued' ? 'Waiting in the queue' : null,
+        ...job.progress,
+        etaSeconds: null,
+        updatedAt: job.updatedAt
+      });
     }
     
-    // Fallback: get all customers and count them
-    console.log(`🔄 Using fallback approach for segment count`);
-    const allCustomers = await fetchAllCustomersWithPagination(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`,
-      {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-      },
-      { limit: 250 }
-    );
-    
-    const matchingCustomers = allCustomers.filter(customer => {
-      return matchesSegmentCriteria(customer, segment.criteria);
-    });
-    
-    console.log(`📊 Segment ${segmentId}: ${matchingCustomers.length} customers (from paginated fetch)`);
-    return matchingCustomers.length;
-
+    // Nothing known yet: the request this id belongs to may not have started
+    waitTimer = setTimeout(() => {
+      send('error', { error: 'No progress found for this id' });
+      close();
+    }, EVENTS_WAIT_TIMEOUT);
   } catch (error) {
-    console.error(`❌ Exception getting count for segment ${segmentId}:`, error.message);
-    return 0; // Return 0 instead of throwing
+    console.error('Error streaming job events:', error);
+    send('error', { error: 'Failed to load job', details: error.message });
+    close();
   }
 }
 
-async function getCustomerCountByTag(tag) {
+async function handleCancelJob(req, res) {
   try {
-    console.log(`Getting customer count for tag: ${tag}`);
-    const url = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/count.json?tags=${encodeURIComponent(tag)}`;
-    console.log('API URL:', url);
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Background jobs require a database' });
+    }
     
-    const response = await fetch(url, {
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    console.log(`Response status for tag ${tag}:`, response.status);
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job not found or no longer queued or running' });
+    }
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`Shopify API error for tag ${tag}:`, errorText);
-      return 0;
+    // Let anyone following the job know; queued jobs are cancelled right away
+    if (job.status === 'cancelled') {
+      startProgress(job.id, { ...job.progress });
+      finishProgress(job.id, 'cancelled');
+    } else {
+      updateProgress(job.id, { cancelRequested: true });
     }
     
-    const data = await response.json();
-    console.log(`Count for tag ${tag}:`, data.count);
-    return data.count || 0;
+    res.json(toJobResponse(job));
   } catch (error) {
-    console.error(`Error getting customer count for tag ${tag}:`, error);
-    return 0;
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job', details: error.message });
   }
 }
 
-async function getNewCustomerCount() {
+async function handleResumeJob(req, res) {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Background jobs require a database' });
+    }
     
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/count.json?created_at_min=${thirtyDaysAgo.toISOString()}`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    if (!response.ok) return 0;
+    const job = await resumeJob(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Only cancelled or failed bulk tag and rule jobs can be resumed' });
+    }
     
-    const data = await response.json();
-    return data.count || 0;
+    res.json(toJobResponse(job));
   } catch (error) {
-    console.error('Error getting new customer count:', error);
-    return 0;
+    console.error('Error resuming job:', error);
+    res.status(500).json({ error: 'Failed to resume job', details: error.message });
   }
 }
 
-async function getAllCustomerCount() {
+async function handleRollbackJob(req, res) {
   try {
-    console.log('Getting total customer count...');
-    const url = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/count.json`;
-    console.log('API URL:', url);
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rollback requires a database' });
+    }
     
-    const response = await fetch(url, {
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    console.log('Response status for total customers:', response.status);
+    const job = await db.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Shopify API error for total customers:', errorText);
-      return 0;
+    if (job.status === 'queued' || job.status === 'running') {
+      return res.status(409).json({ error: 'Job is still queued or running' });
     }
     
-    const data = await response.json();
-    console.log('Total customer count:', data.count);
-    return data.count || 0;
+    if (job.rolledBackAt) {
+      return res.status(409).json({ error: `Job was already rolled back by ${job.rolledBackBy}` });
+    }
+    
+    const result = await rollbackTagJob(job, req.actor);
+    res.json(result);
   } catch (error) {
-    console.error('Error getting total customer count:', error);
-    return 0;
+    console.error('Error rolling back job:', error);
+    res.status(500).json({ error: 'Failed to roll back job', details: error.message });
   }
 }
 
-async function getRepeatBuyerCount() {
-  // Placeholder - would require more complex logic to identify repeat buyers
-  return 150;
+async function handleCustomers(req, res) {
+  try {
+    const segmentName = req.query.segment;
+    console.log(`=== CUSTOMERS API CALLED for segment: ${segmentName} ===`);
+    
+    if (!segmentName) {
+      return res.status(400).json({ error: 'Segment parameter is required' });
+    }
+    
+    const customers = await getCustomersBySegment(segmentName);
+    console.log(`Returning ${customers.length} customers for segment: ${segmentName}`);
+    res.json(customers);
+  } catch (error) {
+    console.error('Error fetching customers:', error);
+    res.status(500).json({ error: 'Failed to fetch customers', details: error.message });
+  }
 }
 
-async function getCustomersBySegment(segmentName) {
-  console.log(`Getting customers for segment: ${segmentName}`);
+async function handleBulkTag(req, res) {
+  try {
+    const { customerIds, dryRun } = req.body;
+    
+    if (!customerIds || !req.body.actions) {
+      return res.status(400).json({ error: 'customerIds and actions are required' });
+    }
+    
+    if (!Array.isArray(customerIds) || customerIds.length === 0) {
+      return res.status(400).json({ error: 'customerIds must be a non-empty array' });
+    }
+    
+    if (hasTagTemplates(req.body.actions)) {
+      return res.status(400).json({ error: 'Tag templates can only be used in rule actions' });
+    }
+    
+    let actions;
+    try {
+      validateTagExpiries(req.body.actions);
+      actions = await resolveTagActions(req.body.actions);
+    } catch (error) {
+      if (error instanceof TagGroupError || error instanceof TagExpiryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    if (dryRun) {
+      const preview = await previewBulkTags(customerIds, actions);
+      return res.json(preview);
+    }
+    
+    // Without a database there is no queue, so tag within the request and
+    // answer with an already completed job
+    if (!dbInitialized) {
+      const result = await applyBulkTags(customerIds, actions, { sourceType: 'bulk', actor: req.actor });
+      return res.json({
+        id: result.jobId,
+        type: 'bulk',
+        status: 'completed',
+        progress: { total: customerIds.length, processed: customerIds.length, success: result.success, failed: result.failed },
+        errors: result.errors,
+        result: null
+      });
+    }
+    
+    const job = await enqueueJob({
+      id: createJobId(),
+      type: 'bulk',
+      actor: req.actor,
+      actions: req.body.actions,
+      payload: { customerIds: customerIds.map(String), actions },
+      progress: { total: customerIds.length }
+    });
+    res.status(202).json(toJobResponse(job));
+  } catch (error) {
+    console.error('Error applying bulk tags:', error);
+    res.status(500).json({ error: 'Failed to apply bulk tags' });
+  }
+}
+
+// Rule management handlers
+async function handleGetRules(req, res) {
+  try {
+    console.log('=== GET RULES API CALLED ===');
+    const rules = await db.getTaggingRules();
+    console.log(`Returning ${rules.length} tagging rules`);
+    res.json(rules);
+  } catch (error) {
+    console.error('Error getting rules:', error);
+    res.status(500).json({ error: 'Failed to get rules', details: error.message });
+  }
+}
+
+// Pairs of active rules whose actions contradict each other on overlapping
+// triggers, with the rule that wins given the current priorities
+async function handleRuleConflicts(req, res) {
+  try {
+    const [rules, groups, snapshots] = await Promise.all([
+      db.getTaggingRules(),
+      db.getTagGroups(),
+      db.getRuleSnapshots()
+    ]);
+    
+    const conflicts = analyzeRuleConflicts(rules, { groups, snapshots });
+    res.json({
+      executionOrder: sortRulesForExecution(rules.filter(rule => rule.isActive)).map(rule => rule.id),
+      conflicts
+    });
+  } catch (error) {
+    console.error('Error analyzing rule conflicts:', error);
+    res.status(500).json({ error: 'Failed to analyze rule conflicts', details: error.message });
+  }
+}
+
+async function handleCreateRule(req, res) {
+  try {
+    console.log('=== CREATE RULE API CALLED ===');
+    const ruleData = req.body;
+    
+    // Generate ID if not provided
+    if (!ruleData.id) {
+      ruleData.id = `rule-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+    
+    // Set creation timestamp
+    if (!ruleData.createdAt) {
+      ruleData.createdAt = new Date().toISOString();
+    }
+    
+    const ruleError = await prepareRuleData(ruleData);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+    
+    const savedRule = await db.saveTaggingRule(ruleData, { editedBy: req.actor });
+    console.log(`Created rule: ${savedRule.name}`);
+    res.json(savedRule);
+  } catch (error) {
+    console.error('Error creating rule:', error);
+    res.status(500).json({ error: 'Failed to create rule', details: error.message });
+  }
+}
+
+async function handleUpdateRule(req, res) {
+  try {
+    console.log('=== UPDATE RULE API CALLED ===');
+    const ruleId = req.params.id;
+    const ruleData = { ...req.body, id: ruleId };
+    
+    const ruleError = await prepareRuleData(ruleData);
+    if (ruleError) {
+      return res.status(400).json({ error: ruleError });
+    }
+    
+    const savedRule = await db.saveTaggingRule(ruleData, { editedBy: req.actor });
+    console.log(`Updated rule: ${savedRule.name}`);
+    res.json(savedRule);
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ error: 'Failed to update rule', details: error.message });
+  }
+}
+
+async function handleDeleteRule(req, res) {
+  try {
+    console.log('=== DELETE RULE API CALLED ===');
+    const ruleId = req.params.id;
+    
+    const deleted = await db.deleteTaggingRule(ruleId);
+    if (deleted) {
+      console.log(`Deleted rule: ${ruleId}`);
+      res.json({ success: true, message: 'Rule deleted successfully' });
+    } else {
+      res.status(404).json({ error: 'Rule not found' });
+    }
+  } catch (error) {
+    console.error('Error deleting rule:', error);
+    res.status(500).json({ error: 'Failed to delete rule', details: error.message });
+  }
+}
+
+async function handleExecuteRule(req, res) {
+  try {
+    console.log('=== EXECUTE RULE API CALLED ===');
+    const ruleId = req.params.id;
+    
+    // Get the rule from database
+    const rules = await db.getTaggingRules();
+    const rule = rules.find(r => r.id === ruleId);
+    
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    
+    if (!rule.isActive) {
+      return res.status(400).json({ error: 'Rule is not active' });
+    }
+    
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+    if (dryRun) {
+      const preview = await previewTaggingRule(rule);
+      return res.json(preview);
+    }
+    
+    const activeJob = await db.findActiveJob('rule', rule.id);
+    if (activeJob) {
+      return res.status(409).json({ error: 'Rule is already queued, running or waiting for approval', jobId: activeJob.id });
+    }
+    
+    const job = await enqueueRuleRun(rule, req.actor);
+    res.status(202).json(toJobResponse(job));
+  } catch (error) {
+    if (error instanceof TagGroupError || error instanceof TagExpiryError || error instanceof TagTemplateError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error executing rule:', error);
+    res.status(500).json({ error: 'Failed to execute rule', details: error.message });
+  }
+}
+
+// A rule's run history, newest first
+async function handleGetRuleRuns(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rule run history requires a database' });
+    }
+    
+    const result = await db.getRuleRuns(req.params.id, { limit: req.query.limit, offset: req.query.offset });
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting rule runs:', error);
+    res.status(500).json({ error: 'Failed to get rule runs', details: error.message });
+  }
+}
+
+// Queue a run of just the customers a finished run failed on
+async function handleRetryRuleRun(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rule run history requires a database' });
+    }
+    
+    const run = await db.getRuleRun(req.params.jobId);
+    if (!run || run.ruleId !== req.params.id) {
+      return res.status(404).json({ error: 'Rule run not found' });
+    }
+    if (!['completed', 'cancelled', 'failed'].includes(run.status)) {
+      return res.status(409).json({ error: 'Rule run has not finished yet' });
+    }
+    if (run.failedCustomerIds.entered.length === 0 && run.failedCustomerIds.exited.length === 0) {
+      return res.status(400).json({ error: 'Rule run has no failed customers to retry' });
+    }
+    
+    const activeJob = await db.findActiveJob('rule', run.ruleId);
+    if (activeJob) {
+      return res.status(409).json({ error: 'Rule is already queued, running or waiting for approval', jobId: activeJob.id });
+    }
+    
+    const job = await enqueueRuleRetry(run, req.actor);
+    res.status(202).json(toJobResponse(job));
+  } catch (error) {
+    console.error('Error retrying rule run:', error);
+    res.status(500).json({ error: 'Failed to retry rule run', details: error.message });
+  }
+}
+
+// A rule run that is waiting for approval, or an error response
+async function getHeldRuleRun(req, res) {
+  if (!dbInitialized) {
+    res.status(503).json({ error: 'Rule approvals require a database' });
+    return null;
+  }
   
+  const job = await db.getJob(req.params.jobId);
+  if (!job || job.type !== 'rule' || job.sourceId !== req.params.id) {
+    res.status(404).json({ error: 'Rule run not found' });
+    return null;
+  }
+  if (job.status !== 'needs_approval') {
+    res.status(409).json({ error: 'Rule run is not waiting for approval' });
+    return null;
+  }
+  return job;
+}
+
+// The tag changes a held run would make, for a sample of its customers
+async function handlePreviewHeldRuleRun(req, res) {
   try {
-    // First, try to find the segment by name to get its ID
-    const segments = await getCustomerSegments();
-    const segment = segments.find(s => s.name === segmentName);
+    const job = await getHeldRuleRun(req, res);
+    if (!job) return;
     
-    if (!segment) {
-      console.log(`Segment not found: ${segmentName}`);
-      return [];
+    res.json(await previewHeldRuleRun(job));
+  } catch (error) {
+    console.error('Error previewing held rule run:', error);
+    res.status(500).json({ error: 'Failed to preview rule run', details: error.message });
+  }
+}
+
+async function handleApproveRuleRun(req, res) {
+  try {
+    const job = await getHeldRuleRun(req, res);
+    if (!job) return;
+    
+    const approved = await approveJob(job.id, req.actor);
+    if (!approved) {
+      return res.status(409).json({ error: 'Rule run is not waiting for approval' });
+    }
+    res.json(toJobResponse(approved));
+  } catch (error) {
+    console.error('Error approving rule run:', error);
+    res.status(500).json({ error: 'Failed to approve rule run', details: error.message });
+  }
+}
+
+async function handleRejectRuleRun(req, res) {
+  try {
+    const job = await getHeldRuleRun(req, res);
+    if (!job) return;
+    
+    const rejected = await rejectJob(job.id, req.actor);
+    if (!rejected) {
+      return res.status(409).json({ error: 'Rule run is not waiting for approval' });
+    }
+    res.json(toJobResponse(rejected));
+  } catch (error) {
+    console.error('Error rejecting rule run:', error);
+    res.status(500).json({ error: 'Failed to reject rule run', details: error.message });
+  }
+}
+
+async function handleGetRuleVersions(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rule version history requires a database' });
     }
+    
+    res.json(await db.getRuleVersions(req.params.id));
+  } catch (error) {
+    console.error('Error getting rule versions:', error);
+    res.status(500).json({ error: 'Failed to get rule versions', details: error.message });
+  }
+}
 
-    // If it's a Shopify segment (has a proper ID), use GraphQL
-    if (segment.id && segment.id.startsWith('gid://shopify/')) {
-      return await getCustomersFromShopifySegment(segment.id);
+// The fields that changed between two versions of a rule. `to` defaults to the
+// latest version.
+async function handleDiffRuleVersions(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rule version history requires a database' });
+    }
+    
+    const versions = await db.getRuleVersions(req.params.id);
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Rule not found' });
     }
     
-    // Fallback to REST API for basic segments
-    return await getCustomersFromBasicSegment(segmentName);
+    const fromNumber = parseInt(req.query.from, 10);
+    const toNumber = req.query.to ? parseInt(req.query.to, 10) : versions[0].version;
+    const from = versions.find(version => version.version === fromNumber);
+    const to = versions.find(version => version.version === toNumber);
+    if (!from || !to) {
+      return res.status(404).json({ error: `Rule version not found: ${!from ? req.query.from : req.query.to}` });
+    }
     
+    res.json({ from, to, changes: diffRuleDefinitions(from.definition, to.definition) });
   } catch (error) {
-    console.error('Error getting customers by segment:', error);
-    return [];
+    console.error('Error diffing rule versions:', error);
+    res.status(500).json({ error: 'Failed to diff rule versions', details: error.message });
   }
 }
 
-// Get customers from a real Shopify segment using simplified approach
-async function getCustomersFromShopifySegment(segmentId) {
+// Save an old version's definition as the rule's newest version. It is
+// validated again, since tag groups or segments may have changed since.
+async function handleRestoreRuleVersion(req, res) {
   try {
-    console.log(`🔄 Starting simplified approach for segment: ${segmentId}`);
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Rule version history requires a database' });
+    }
     
-    // Get segment details first
-    const segments = await getCustomerSegments();
-    const segment = segments.find(s => s.id === segmentId);
+    const rules = await db.getTaggingRules();
+    const rule = rules.find(r => r.id === req.params.id);
+    const version = rule && await db.getRuleVersion(rule.id, parseInt(req.params.version, 10));
+    if (!version) {
+      return res.status(404).json({ error: rule ? 'Rule version not found' : 'Rule not found' });
+    }
+    if (diffRuleDefinitions(rule, version.definition).length === 0) {
+      return res.status(400).json({ error: `Version ${version.version} matches the current rule` });
+    }
     
-    if (!segment) {
-      console.error(`❌ Segment not found: ${segmentId}`);
-      return [];
+    const ruleData = { ...rule, ...version.definition };
+    const ruleError = await prepareRuleData(ruleData);
+    if (ruleError) {
+      return res.status(400).json({ error: `Version ${version.version} can no longer be restored: ${ruleError}` });
     }
     
-    console.log(`📋 Segment criteria: ${segment.criteria}`);
+    const savedRule = await db.saveTaggingRule(ruleData, { editedBy: req.actor, restoredFrom: version.version });
+    console.log(`Restored rule ${savedRule.name} to version ${version.version}`);
+    res.json(savedRule);
+  } catch (error) {
+    console.error('Error restoring rule version:', error);
+    res.status(500).json({ error: 'Failed to restore rule version', details: error.message });
+  }
+}
+
+// Download rules as a bundle for another store (see server/ruleBundles.js).
+// ?ids= limits it to some rules and the tag groups they use.
+async function handleExportRules(req, res) {
+  try {
+    const format = req.query.format === 'json' ? 'json' : 'yaml';
+    const ids = req.query.ids ? String(req.query.ids).split(',') : null;
     
-    // Use a simple approach based on criteria type
-    if (segment.criteria.includes('customer_email_domain')) {
-      const domainMatch = segment.criteria.match(/customer_email_domain = '([^']+)'/);
-      if (domainMatch) {
-        const domain = domainMatch[1];
-        console.log(`📧 Fetching customers with email domain: ${domain}`);
-        
-        // Use Shopify's customer search by email domain
-        const response = await fetch(
-          `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=email:*@${domain}`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            }
-          }
-        );
-        
-        if (!response.ok) {
-          console.error(`❌ Search API error: ${response.status}`);
-          return [];
-        }
-        
-        const data = await response.json();
-        const customers = data.customers || [];
-        
-        console.log(`📋 Found ${customers.length} customers with domain ${domain}`);
-        
-        return customers.map(customer => ({
-          id: customer.id.toString(),
-          first_name: customer.first_name || '',
-          last_name: customer.last_name || '',
-          email: customer.email || '',
-          phone: customer.phone || '',
-          created_at: customer.created_at || new Date().toISOString(),
-          updated_at: customer.updated_at || new Date().toISOString(),
-          tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-          orders_count: customer.orders_count || 0,
-          total_spent: customer.total_spent || '0.00',
-          addresses: customer.addresses || [],
-          display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-          note: customer.note || ''
-        }));
-      }
-    } else if (segment.criteria.includes('customer_tags')) {
-      const tagMatch = segment.criteria.match(/customer_tags CONTAINS '([^']+)'/);
-      if (tagMatch) {
-        const requiredTag = tagMatch[1];
-        console.log(`🏷️ Fetching customers with tag: ${requiredTag}`);
-        
-        const response = await fetch(
-          `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?tags=${encodeURIComponent(requiredTag)}&limit=250`,
-          {
-            headers: {
-              'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            }
-          }
-        );
-        
-        if (!response.ok) return [];
-        
-        const data = await response.json();
-        const customers = data.customers || [];
-        
-        console.log(`📋 Found ${customers.length} customers with tag ${requiredTag}`);
-        
-        return customers.map(customer => ({
-          id: customer.id.toString(),
-          first_name: customer.first_name || '',
-          last_name: customer.last_name || '',
-          email: customer.email || '',
-          phone: customer.phone || '',
-          created_at: customer.created_at || new Date().toISOString(),
-          updated_at: customer.updated_at || new Date().toISOString(),
-          tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-          orders_count: customer.orders_count || 0,
-          total_spent: customer.total_spent || '0.00',
-          addresses: customer.addresses || [],
-          display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-          note: customer.note || ''
-        }));
-      }
-    } else if (segment.criteria.includes('rfm_group')) {
-      const rfmMatch = segment.criteria.match(/rfm_group = '([^']+)'/);
-      if (rfmMatch) {
-        const rfmGroup = rfmMatch[1];
-        console.log(`🏆 Fetching customers with RFM group: ${rfmGroup}`);
-        
-        // Try multiple approaches for RFM groups based on Shopify documentation
-        
-        // Approach 1: Try Shopify's customer search API with RFM group
-        try {
-          console.log(`🔍 Approach 1: Using customer search API with RFM group`);
-          const searchResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/search.json?query=rfm_group:${rfmGroup}`,
-            {
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              }
-            }
-          );
-          
-          if (searchResponse.ok) {
-            const searchData = await searchResponse.json();
-            const customers = searchData.customers || [];
-            console.log(`📋 Found ${customers.length} customers via search API`);
-            
-            if (customers.length > 0) {
-              return customers.map(customer => ({
-                id: customer.id.toString(),
-                first_name: customer.first_name || '',
-                last_name: customer.last_name || '',
-                email: customer.email || '',
-                phone: customer.phone || '',
-                created_at: customer.created_at || new Date().toISOString(),
-                updated_at: customer.updated_at || new Date().toISOString(),
-                tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-                orders_count: customer.orders_count || 0,
-                total_spent: customer.total_spent || '0.00',
-                addresses: customer.addresses || [],
-                display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-                note: customer.note || ''
-              }));
+    const [allRules, allGroups] = await Promise.all([db.getTaggingRules(), db.getTagGroups()]);
+    const rules = ids ? allRules.filter(rule => ids.includes(rule.id)) : allRules;
+    if (rules.length === 0) {
+      return res.status(404).json({ error: 'No rules to export' });
+    }
+    
+    const tagGroups = ids
+      ? allGroups.filter(group => getRulesUsingTagGroup(rules, group.id).length > 0)
+      : allGroups;
+    const bundle = createRuleBundle({ rules, tagGroups });
+    
+    console.log(`📦 Exported ${rules.length} rules and ${tagGroups.length} tag groups`);
+    res.type(format === 'json' ? 'application/json' : 'application/yaml');
+    res.attachment(`rules-${bundle.exportedAt.slice(0, 10)}.${format}`);
+    res.send(serializeRuleBundle(bundle, format));
+  } catch (error) {
+    console.error('Error exporting rules:', error);
+    res.status(500).json({ error: 'Failed to export rules', details: error.message });
+  }
+}
+
+// Work out the groups and rules an import would save, validating each rule
+// against the tag groups the store will have afterwards. Entries that can't
+// be saved get an error, which stops the whole import.
+async function prepareRuleImport(plan, { rules, tagGroups }) {
+  const groupsToSave = [];
+  const bundleGroups = [];
+  const groupReport = plan.tagGroups.map(entry => {
+    const existing = tagGroups.find(group => group.id === entry.existingId);
+    let group = existing;
+    if (entry.action === 'create' || entry.action === 'rename') {
+      group = {
+        id: `group-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+        name: entry.newName || entry.group.name,
+        tags: entry.group.tags
+      };
+    } else if (entry.action === 'overwrite') {
+      group = { ...existing, tags: entry.group.tags };
+    }
+    if (group !== existing) groupsToSave.push(group);
+    bundleGroups.push({ name: entry.name, id: group.id });
+    return { name: entry.name, action: entry.action, newName: entry.newName };
+  });
+  
+  const groupsAfter = [
+    ...tagGroups.map(group => groupsToSave.find(saved => saved.id === group.id) || group),
+    ...groupsToSave.filter(saved => !tagGroups.some(group => group.id === saved.id))
+  ];
+  const overwrittenRuleIds = plan.rules.filter(entry => entry.action === 'overwrite').map(entry => entry.existingId);
+  
+  // Overwriting a group must not drop tiers that rules left as they are still set
+  plan.tagGroups.forEach((entry, index) => {
+    if (entry.action !== 'overwrite') return;
+    const existing = tagGroups.find(group => group.id === entry.existingId);
+    const affected = getRulesSettingDroppedTiers(
+      rules.filter(rule => !overwrittenRuleIds.includes(rule.id)),
+      existing,
+      entry.group.tags
+    );
+    if (affected.length > 0) {
+      groupReport[index].error = `Rules still set a tier this removes: ${affected.map(rule => rule.name).join(', ')}`;
+    }
+  });
+  
+  const rulesToSave = [];
+  const ruleReport = [];
+  for (const entry of plan.rules) {
+    const report = { name: entry.name, action: entry.action, newName: entry.newName, missingSegments: entry.missingSegments };
+    ruleReport.push(report);
+    if (entry.action === 'skip') continue;
+    
+    // Overwriting replaces the bundled definition fields and keeps the rest
+    // of the rule (run times and the like) as it is
+    const existing = rules.find(rule => rule.id === entry.existingId);
+    const ruleData = {
+      ...existing,
+      ...entry.rule,
+      id: existing?.id || `rule-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      name: entry.newName || entry.rule.name,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    };
+    // A rule whose segments don't exist here would fail every run
+    if (entry.missingSegments.length > 0 && ruleData.isActive) {
+      ruleData.isActive = false;
+      report.deactivated = true;
+    }
+    
+    try {
+      ruleData.actions = resolveBundleActions(ruleData.actions, [...bundleGroups, ...groupsAfter]);
+      ruleData.exitActions = resolveBundleActions(ruleData.exitActions, [...bundleGroups, ...groupsAfter]);
+      report.error = await prepareRuleData(ruleData, { tagGroups: groupsAfter }) || undefined;
+    } catch (error) {
+      if (!(error instanceof RuleBundleError)) throw error;
+      report.error = error.message;
+    }
+    rulesToSave.push(ruleData);
+  }
+  
+  return {
+    groupsToSave,
+    rulesToSave,
+    report: {
+      valid: [...groupReport, ...ruleReport].every(entry => !entry.error),
+      tagGroups: groupReport,
+      rules: ruleReport,
+      missingSegments: plan.missingSegments
+    }
+  };
+}
+
+// Import a rule bundle (JSON or YAML text). Rules and groups whose names are
+// taken are skipped, overwritten or renamed according to `conflict`. Nothing
+// is saved unless every entry is valid, and nothing at all with dryRun.
+async function handleImportRules(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Importing rules requires a database' });
+    }
+    
+    const { bundle: input, conflict = 'skip', dryRun = false } = req.body || {};
+    if (!input) {
+      return res.status(400).json({ error: 'bundle is required' });
+    }
+    
+    const [rules, tagGroups, segments] = await Promise.all([
+      db.getTaggingRules(),
+      db.getTagGroups(),
+      getCustomerSegments()
+    ]);
+    
+    let plan;
+    try {
+      plan = planRuleImport(parseRuleBundle(input), {
+        rules,
+        tagGroups,
+        segmentNames: segments.map(segment => segment.name),
+        conflict
+      });
+    } catch (error) {
+      // Reported like the other problems, so the client can show the reason
+      if (error instanceof RuleBundleError) {
+        return res.json({ valid: false, imported: false, conflict, error: error.message, tagGroups: [], rules: [], missingSegments: [] });
+      }
+      throw error;
+    }
+    
+    const { groupsToSave, rulesToSave, report } = await prepareRuleImport(plan, { rules, tagGroups });
+    if (dryRun || !report.valid) {
+      return res.json({ ...report, conflict, imported: false });
+    }
+    
+    // All or nothing, so a failed save can't leave rules pointing at groups
+    // that were never created
+    await db.withTransaction(async connection => {
+      for (const group of groupsToSave) {
+        await db.saveTagGroup(group, { connection });
+      }
+      for (const ruleData of rulesToSave) {
+        await db.saveTaggingRule(ruleData, { editedBy: req.actor, connection });
+      }
+    });
+    
+    console.log(`📦 Imported ${rulesToSave.length} rules and ${groupsToSave.length} tag groups (${conflict} on conflict)`);
+    res.json({ ...report, conflict, imported: true });
+  } catch (error) {
+    console.error('Error importing rules:', error);
+    res.status(500).json({ error: 'Failed to import rules', details: error.message });
+  }
+}
+
+// Validate and normalize a rule before it is saved. Returns an error message
+// if it is invalid. tagGroups defaults to the saved groups.
+async function prepareRuleData(ruleData, { tagGroups } = {}) {
+  return applyRuleSchedule(ruleData) ||
+    applyRulePriority(ruleData) ||
+    applyRuleTrigger(ruleData) ||
+    applyRuleLimits(ruleData) ||
+    await validateRuleActions(ruleData, tagGroups);
+}
+
+// Check a rule's enter and exit actions, including that every set_tier action
+// names an existing tag group and tier and that expiries and tag templates are
+// well-formed. Returns an error message if not.
+async function validateRuleActions(ruleData, tagGroups) {
+  try {
+    const groups = tagGroups || await db.getTagGroups();
+    validateTagActions(ruleData.actions || [], groups);
+    validateTagActions(ruleData.exitActions || [], groups);
+    validateTagExpiries(ruleData.actions);
+    validateTagExpiries(ruleData.exitActions);
+    validateTagTemplates(ruleData.actions);
+    validateTagTemplates(ruleData.exitActions);
+    return null;
+  } catch (error) {
+    if (error instanceof TagGroupError || error instanceof TagExpiryError || error instanceof TagTemplateError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+// Turn set_tier actions into plain add/remove actions using the current tag
+// groups. Expiries are kept on the resulting add actions.
+async function resolveTagActions(actions) {
+  const groups = Array.isArray(actions) && actions.some(action => action.type === 'set_tier')
+    ? await db.getTagGroups()
+    : [];
+  return expandTagActions(actions, groups);
+}
+
+// Rules whose enter or exit actions set a tier in the given group
+function getRulesUsingTagGroup(rules, groupId) {
+  return rules.filter(rule =>
+    [...(rule.actions || []), ...(rule.exitActions || [])]
+      .some(action => action.type === 'set_tier' && action.groupId === groupId)
+  );
+}
+
+// Rules that set a tier which `tags` drops from the group; they would fail on
+// their next run
+function getRulesSettingDroppedTiers(rules, group, tags) {
+  const dropped = group.tags.filter(tag => !tags.includes(tag));
+  return rules.filter(rule =>
+    [...(rule.actions || []), ...(rule.exitActions || [])]
+      .some(action => action.type === 'set_tier' && action.groupId === group.id && dropped.includes(action.tag))
+  );
+}
+
+// Tag group handlers
+async function handleGetTagGroups(req, res) {
+  try {
+    const groups = await db.getTagGroups();
+    res.json(groups);
+  } catch (error) {
+    console.error('Error getting tag groups:', error);
+    res.status(500).json({ error: 'Failed to get tag groups', details: error.message });
+  }
+}
+
+async function saveTagGroupFromRequest(req, res, existing) {
+  let group;
+  try {
+    group = normalizeTagGroup(req.body);
+  } catch (error) {
+    if (error instanceof TagGroupError) {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+  
+  const groups = await db.getTagGroups();
+  if (groups.some(other => other.id !== existing?.id && other.name.toLowerCase() === group.name.toLowerCase())) {
+    return res.status(409).json({ error: `A tag group named "${group.name}" already exists` });
+  }
+  
+  if (existing) {
+    const affected = getRulesSettingDroppedTiers(await db.getTaggingRules(), existing, group.tags);
+    if (affected.length > 0) {
+      return res.status(409).json({
+        error: 'Some rules still set a tier that was removed from this group',
+        rules: affected.map(rule => rule.name)
+      });
+    }
+  }
+  
+  const saved = await db.saveTagGroup({
+    ...group,
+    id: existing?.id || `group-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+    createdAt: existing?.createdAt
+  });
+  return res.json(saved);
+}
+
+async function handleCreateTagGroup(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Tag groups require a database' });
+    }
+    
+    await saveTagGroupFromRequest(req, res, null);
+  } catch (error) {
+    console.error('Error creating tag group:', error);
+    res.status(500).json({ error: 'Failed to create tag group', details: error.message });
+  }
+}
+
+async function handleUpdateTagGroup(req, res) {
+  try {
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Tag groups require a database' });
+    }
+    
+    const groups = await db.getTagGroups();
+    const existing = groups.find(group => group.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Tag group not found' });
+    }
+    
+    await saveTagGroupFromRequest(req, res, existing);
+  } catch (error) {
+    console.error('Error updating tag group:', error);
+    res.status(500).json({ error: 'Failed to update tag group', details: error.message });
+  }
+}
+
+async function handleDeleteTagGroup(req, res) {
+  try {
+    const rules = getRulesUsingTagGroup(await db.getTaggingRules(), req.params.id);
+    if (rules.length > 0) {
+      return res.status(409).json({
+        error: 'Tag group is used by rules',
+        rules: rules.map(rule => rule.name)
+      });
+    }
+    
+    const deleted = await db.deleteTagGroup(req.params.id);
+    if (deleted) {
+      res.json({ success: true, message: 'Tag group deleted successfully' });
+    } else {
+      res.status(404).json({ error: 'Tag group not found' });
+    }
+  } catch (error) {
+    console.error('Error deleting tag group:', error);
+    res.status(500).json({ error: 'Failed to delete tag group', details: error.message });
+  }
+}
+
+// Validation report: customers holding more than one tag from the same group
+async function handleTagGroupConflicts(req, res) {
+  try {
+    const groups = await db.getTagGroups();
+    if (groups.length === 0) {
+      return res.json({ customersChecked: 0, conflicts: [] });
+    }
+    
+    const customers = await getAllCustomers();
+    const conflicts = findTierConflicts(customers, groups);
+    
+    console.log(`🏷️  Tag group check: ${conflicts.length} conflicts across ${customers.length} customers`);
+    res.json({ customersChecked: customers.length, conflicts });
+  } catch (error) {
+    console.error('Error checking tag group conflicts:', error);
+    res.status(500).json({ error: 'Failed to check tag group conflicts', details: error.message });
+  }
+}
+
+// Render a rule's tag templates for a few sample customers. The sample is taken
+// from `segment` unless the client passes back the `customers` it got earlier.
+async function handlePreviewTagTemplates(req, res) {
+  try {
+    const { actions = [], exitActions = [], segment, customers } = req.body || {};
+    const limit = Math.min(Math.max(parseInt(req.body?.limit, 10) || 5, 1), 20);
+    
+    try {
+      validateTagTemplates(actions);
+      validateTagTemplates(exitActions);
+    } catch (error) {
+      if (error instanceof TagTemplateError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+    
+    let sample;
+    if (Array.isArray(customers)) {
+      sample = customers.slice(0, limit);
+    } else if (segment) {
+      sample = (await getCustomersBySegment(segment)).slice(0, limit);
+    } else {
+      return res.status(400).json({ error: 'segment or customers is required' });
+    }
+    
+    const runDate = new Date();
+    const results = sample.map(customer => {
+      const enter = renderTagActions(actions, customer, { runDate });
+      const exit = renderTagActions(exitActions, customer, { runDate });
+      return {
+        customerId: String(customer.id),
+        email: customer.email || '',
+        name: [customer.first_name, customer.last_name].filter(Boolean).join(' '),
+        enter: enter.actions,
+        exit: exit.actions,
+        skipped: [...enter.skipped, ...exit.skipped]
+      };
+    });
+    
+    res.json({ customers: sample, results });
+  } catch (error) {
+    console.error('Error previewing tag templates:', error);
+    res.status(500).json({ error: 'Failed to preview tag templates', details: error.message });
+  }
+}
+
+// Validate a rule's schedule and compute when it should next run.
+// Returns an error message if the schedule is invalid.
+function applyRuleSchedule(ruleData) {
+  const schedule = typeof ruleData.schedule === 'string' ? ruleData.schedule.trim() : '';
+  
+  if (!schedule) {
+    ruleData.schedule = null;
+    ruleData.nextRunAt = null;
+    return null;
+  }
+  
+  if (!isValidCronExpression(schedule)) {
+    return `Invalid schedule: ${schedule}`;
+  }
+  
+  const nextRunAt = getNextScheduledRun(schedule);
+  if (!nextRunAt) {
+    return `Invalid schedule: ${schedule} never fires`;
+  }
+  
+  ruleData.schedule = schedule;
+  ruleData.nextRunAt = nextRunAt;
+  return null;
+}
+
+// When a valid schedule next fires, or null if it never does (e.g. 0 0 30 2 *)
+function getNextScheduledRun(schedule) {
+  try {
+    return getNextRunTime(schedule).toISOString();
+  } catch {
+    return null;
+  }
+}
+
+// Validate a rule's priority, defaulting to 0. Returns an error message if it
+// isn't a whole number.
+function applyRulePriority(ruleData) {
+  if (ruleData.priority === undefined || ruleData.priority === null || ruleData.priority === '') {
+    ruleData.priority = 0;
+    return null;
+  }
+  
+  const priority = Number(ruleData.priority);
+  if (!Number.isInteger(priority) || Math.abs(priority) > 1000000) {
+    return `Invalid priority: ${ruleData.priority}`;
+  }
+  
+  ruleData.priority = priority;
+  return null;
+}
+
+// Validate a rule's safety limits (empty means the global limit applies).
+// Returns an error message if they are invalid.
+function applyRuleLimits(ruleData) {
+  try {
+    Object.assign(ruleData, normalizeRuleLimits(ruleData));
+    return null;
+  } catch (error) {
+    if (error instanceof RuleLimitError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+// Validate a rule's compound trigger, if it has one. A trigger that is just a
+// single segment is stored as a plain triggerSegment; otherwise triggerSegment
+// holds a readable description of the trigger. Returns an error message if the
+// trigger is invalid.
+function applyRuleTrigger(ruleData) {
+  if (!ruleData.trigger) {
+    ruleData.trigger = null;
+    return ruleData.triggerSegment ? null : 'A trigger segment or trigger condition is required';
+  }
+  
+  try {
+    const trigger = normalizeTrigger(ruleData.trigger);
+    if (trigger.type === 'segment') {
+      ruleData.triggerSegment = trigger.segment;
+      ruleData.trigger = null;
+    } else {
+      ruleData.triggerSegment = describeTrigger(trigger).slice(0, 255);
+      ruleData.trigger = trigger;
+    }
+    return null;
+  } catch (error) {
+    if (error instanceof RuleTriggerError) {
+      return error.message;
+    }
+    throw error;
+  }
+}
+
+// Shopify API Functions
+async function getCustomerSegments() {
+  console.log('Getting customer segments from Shopify...');
+  
+  // Check the Shopify credentials first
+  const { storeUrl, accessToken } = getShopifyCredentials();
+  if (!storeUrl || !accessToken) {
+    console.error('Missing Shopify configuration in getCustomerSegments');
+    throw new Error('Shopify configuration missing');
+  }
+
+  console.log('Store URL:', storeUrl);
+  console.log('Access Token configured:', !!accessToken);
+
+  try {
+    // Fetch real Shopify customer segments using GraphQL (metadata only, no customer counts)
+    const query = `
+      query getSegments($first: Int!, $after: String) {
+        segments(first: $first, after: $after) {
+          edges {
+            node {
+              id
+              name
+              query
+              creationDate
+              lastEditDate
             }
           }
-        } catch (error) {
-          console.log(`❌ Search API approach failed:`, error.message);
-        }
-        
-        // Approach 2: Try GraphQL with customer segment query
-        try {
-          console.log(`🔍 Approach 2: Using GraphQL customer segment query`);
-          const graphqlQuery = `
-            query getCustomersBySegment($segmentId: ID!, $first: Int!) {
-              customerSegment(id: $segmentId) {
-                id
-                name
-                customers(first: $first) {
-                  edges {
-                    node {
-                      id
-                      firstName
-                      lastName
-                      email
-                      phone
-                      createdAt
-                      updatedAt
-                      tags
-                      ordersCount
-                      totalSpent
-                      addresses {
-                        id
-                        firstName
-                        lastName
-                        company
-                        address1
-                        address2
-                        city
-                        province
-                        country
-                        zip
-                        phone
-                      }
-                      note
-                    }
-                  }
-                  pageInfo {
-                    hasNextPage
-                    endCursor
-                  }
-                }
-              }
-            }
-          `;
-          
-          const response = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
-            {
-              method: 'POST',
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                query: graphqlQuery,
-                variables: {
-                  segmentId: segmentId,
-                  first: 250
-                }
-              })
-            }
-          );
-          
-          if (response.ok) {
-            const data = await response.json();
-            
-            if (!data.errors && data.data?.customerSegment?.customers) {
-              const customers = data.data.customerSegment.customers.edges.map(edge => edge.node);
-              console.log(`📋 Found ${customers.length} customers via GraphQL segment query`);
-              
-              if (customers.length > 0) {
-                return customers.map(customer => ({
-                  id: customer.id.split('/').pop(),
-                  first_name: customer.firstName || '',
-                  last_name: customer.lastName || '',
-                  email: customer.email || '',
-                  phone: customer.phone || '',
-                  created_at: customer.createdAt || new Date().toISOString(),
-                  updated_at: customer.updatedAt || new Date().toISOString(),
-                  tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-                  orders_count: customer.ordersCount || 0,
-                  total_spent: customer.totalSpent || '0.00',
-                  addresses: customer.addresses || [],
-                  display_name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
-                  note: customer.note || ''
-                }));
-              }
-            }
+          pageInfo {
+            hasNextPage
+            endCursor
           }
-        } catch (error) {
-          console.log(`❌ GraphQL segment approach failed:`, error.message);
         }
-        
-        // Approach 3: Try REST API with customer segment endpoint
-        try {
-          console.log(`🔍 Approach 3: Using REST API customer segment endpoint`);
-          const segmentId = segment.id.replace('gid://shopify/Segment/', '');
-          const segmentResponse = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customer_segments/${segmentId}/customers.json`,
-            {
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-              }
-            }
-          );
-          
-          if (segmentResponse.ok) {
-            const segmentData = await segmentResponse.json();
-            const customers = segmentData.customers || [];
-            console.log(`📋 Found ${customers.length} customers via REST segment endpoint`);
-            
-            if (customers.length > 0) {
-              return customers.map(customer => ({
-                id: customer.id.toString(),
-                first_name: customer.first_name || '',
-                last_name: customer.last_name || '',
-                email: customer.email || '',
-                phone: customer.phone || '',
-                created_at: customer.created_at || new Date().toISOString(),
-                updated_at: customer.updated_at || new Date().toISOString(),
-                tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-                orders_count: customer.orders_count || 0,
-                total_spent: customer.total_spent || '0.00',
-                addresses: customer.addresses || [],
-                display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-                note: customer.note || ''
-              }));
-            }
+      }
+    `;
+
+    console.log('Making GraphQL request to:', `${storeUrl}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`);
+    
+    // Follow the cursor until every segment has been fetched
+    const shopifySegments = [];
+    let hasNextPage = true;
+    let endCursor = null;
+    
+    while (hasNextPage) {
+      const response = await shopifyFetch(
+        '/graphql.json',
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            query,
+            variables: { first: 250, after: endCursor } // Shopify GraphQL maximum limit
+          })
+        }
+      );
+
+      console.log('Segments GraphQL response status:', response.status);
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Shopify GraphQL API error:', errorText);
+        // Fall back to basic segments if GraphQL fails
+        return await getBasicSegments();
+      }
+
+      const data = await response.json();
+
+      if (data.errors) {
+        console.error('GraphQL errors:', data.errors);
+        // Fall back to basic segments if GraphQL has errors
+        return await getBasicSegments();
+      }
+
+      shopifySegments.push(...(data.data?.segments?.edges || []));
+      hasNextPage = data.data?.segments?.pageInfo?.hasNextPage || false;
+      endCursor = data.data?.segments?.pageInfo?.endCursor || null;
+    }
+    
+    console.log(`Found ${shopifySegments.length} Shopify segments`);
+    
+    // Debug: Log all segment names
+    console.log('Segment names from Shopify:');
+    shopifySegments.forEach((edge, index) => {
+      console.log(`${index + 1}. ${edge.node.name} (ID: ${edge.node.id})`);
+    });
+
+    // Convert Shopify segments to our format WITHOUT fetching customer counts (for speed)
+    console.log('Processing segments (metadata only, no customer counts)...');
+    const segments = shopifySegments.map((edge) => {
+      const segment = edge.node;
+      
+      return {
+        id: segment.id,
+        name: segment.name,
+        criteria: segment.query || 'Shopify defined segment',
+        customerCount: 0, // Will be populated on-demand when user requests it
+        lastSync: new Date().toISOString(),
+        description: `Segment: ${segment.name}`,
+        createdAt: segment.creationDate,
+        updatedAt: segment.lastEditDate,
+        needsCustomerCount: true // Flag to indicate count needs to be fetched
+      };
+    });
+    
+    console.log(`✅ Successfully processed ${segments.length} segment metadata (customer counts will be fetched on-demand)`);
+
+    // Add "All Customers" as the first segment
+    const allCustomersSegment = {
+      id: 'all-customers',
+      name: 'All Customers',
+      criteria: 'All registered customers',
+      customerCount: 0, // Will be populated on-demand
+      lastSync: new Date().toISOString(),
+      description: 'Complete customer base',
+      needsCustomerCount: true
+    };
+    segments.unshift(allCustomersSegment);
+
+    console.log('Final segments (fast metadata sync complete):', segments.map(s => `${s.name}: metadata only`));
+    return segments;
+
+  } catch (error) {
+    console.error('Error fetching Shopify segments:', error);
+    // Fall back to basic segments if everything fails
+    return await getBasicSegments();
+  }
+}
+
+// Fallback function for basic segments when Shopify segments API fails
+async function getBasicSegments() {
+  console.log('Using fallback basic segments...');
+  
+  const segments = [
+    {
+      id: 'all',
+      name: 'All Customers',
+      criteria: 'All registered customers',
+      customerCount: await getAllCustomerCount(),
+      lastSync: new Date().toISOString(),
+      description: 'Complete customer base'
+    },
+    {
+      id: 'vip',
+      name: 'VIP Customers',
+      criteria: 'customers with "VIP" tag',
+      customerCount: await getCustomerCountByTag('VIP'),
+      lastSync: new Date().toISOString(),
+      description: 'High-value customers'
+    },
+    {
+      id: 'vvip',
+      name: 'VVIP Customers',
+      criteria: 'customers with "VVIP" tag', 
+      customerCount: await getCustomerCountByTag('VVIP'),
+      lastSync: new Date().toISOString(),
+      description: 'Premium customers'
+    },
+    {
+      id: 'new',
+      name: 'New Customers',
+      criteria: 'created in last 30 days',
+      customerCount: await getNewCustomerCount(),
+      lastSync: new Date().toISOString(),
+      description: 'Recently registered customers'
+    },
+    {
+      id: 'repeat',
+      name: 'Repeat Buyers',
+      criteria: 'orders_count > 1',
+      customerCount: await getRepeatBuyerCount(),
+      lastSync: new Date().toISOString(),
+      description: 'Customers with multiple orders'
+    }
+  ];
+  
+  return segments;
+}
+
+// Get customer count for a specific Shopify segment straight from Shopify's
+// segment membership, so it matches the segment's query exactly
+async function getSegmentCustomerCount(segmentId) {
+  console.log(`🔢 Getting customer count for segment: ${segmentId}`);
+  
+  const data = await shopifyGraphQL(`
+    query getSegmentMemberCount($segmentId: ID!) {
+      customerSegmentMembers(segmentId: $segmentId, first: 1) {
+        totalCount
+      }
+    }
+  `, { segmentId });
+  
+  const totalCount = data?.customerSegmentMembers?.totalCount ?? 0;
+  console.log(`📊 Segment ${segmentId}: ${totalCount} customers`);
+  return totalCount;
+}
+
+async function getCustomerCountByTag(tag) {
+  try {
+    console.log(`Getting customer count for tag: ${tag}`);
+    const url = `/customers/count.json?tags=${encodeURIComponent(tag)}`;
+    console.log('API URL:', url);
+    
+    const response = await shopifyFetch(url);
+
+    console.log(`Response status for tag ${tag}:`, response.status);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Shopify API error for tag ${tag}:`, errorText);
+      return 0;
+    }
+    
+    const data = await response.json();
+    console.log(`Count for tag ${tag}:`, data.count);
+    return data.count || 0;
+  } catch (error) {
+    console.error(`Error getting customer count for tag ${tag}:`, error);
+    return 0;
+  }
+}
+
+async function getNewCustomerCount() {
+  try {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    const response = await shopifyFetch(`/customers/count.json?created_at_min=${thirtyDaysAgo.toISOString()}`);
+
+    if (!response.ok) return 0;
+    
+    const data = await response.json();
+    return data.count || 0;
+  } catch (error) {
+    console.error('Error getting new customer count:', error);
+    return 0;
+  }
+}
+
+async function getAllCustomerCount() {
+  try {
+    console.log('Getting total customer count...');
+    const url = '/customers/count.json';
+    console.log('API URL:', url);
+    
+    const response = await shopifyFetch(url);
+
+    console.log('Response status for total customers:', response.status);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Shopify API error for total customers:', errorText);
+      return 0;
+    }
+    
+    const data = await response.json();
+    console.log('Total customer count:', data.count);
+    return data.count || 0;
+  } catch (error) {
+    console.error('Error getting total customer count:', error);
+    return 0;
+  }
+}
+
+async function getRepeatBuyerCount() {
+  // Placeholder - would require more complex logic to identify repeat buyers
+  return 150;
+}
+
+// Throws when the segment or its members can't be loaded, so callers never
+// mistake a failed lookup for an empty segment
+async function getCustomersBySegment(segmentName) {
+  console.log(`Getting customers for segment: ${segmentName}`);
+  
+  // First, find the segment by name to get its ID
+  const segments = await getCustomerSegments();
+  const segment = segments.find(s => s.name === segmentName);
+  
+  if (!segment) {
+    throw new Error(`Segment not found: ${segmentName}`);
+  }
+
+  // If it's a Shopify segment (has a proper ID), use its membership
+  if (segment.id && segment.id.startsWith('gid://shopify/')) {
+    return await getCustomersFromShopifySegment(segment.id);
+  }
+  
+  // Fallback to REST API for basic segments
+  return await getCustomersFromBasicSegment(segmentName);
+}
+
+// Which of the named segments a customer is in. Segments that don't exist
+// are left out of checkedSegments.
+async function getCustomerSegmentMembership(customerId, segmentNames) {
+  const segments = await getCustomerSegments();
+  const memberSegments = new Set();
+  const checkedSegments = new Set();
+  const shopifySegments = [];
+  
+  for (const segmentName of segmentNames) {
+    const segment = segments.find(s => s.name === segmentName);
+    if (!segment) {
+      console.warn(`⚠️  Segment not found: ${segmentName}`);
+    } else if (segment.id && segment.id.startsWith('gid://shopify/')) {
+      shopifySegments.push(segment);
+    } else {
+      // Basic segments have no membership lookup, so load their members
+      const members = await getCustomersFromBasicSegment(segmentName);
+      if (members.some(customer => String(customer.id) === String(customerId))) {
+        memberSegments.add(segmentName);
+      }
+      checkedSegments.add(segmentName);
+    }
+  }
+  
+  if (shopifySegments.length > 0) {
+    const data = await shopifyGraphQL(`
+      query customerSegmentMembership($customerId: ID!, $segmentIds: [ID!]!) {
+        customerSegmentMembership(customerId: $customerId, segmentIds: $segmentIds) {
+          memberships {
+            segmentId
+            isMember
           }
-        } catch (error) {
-          console.log(`❌ REST segment endpoint approach failed:`, error.message);
         }
-        
-        // Approach 4: Try GraphQL with customer query and RFM filter
-        try {
-          console.log(`🔍 Approach 4: Using GraphQL customer query with RFM filter`);
-          const graphqlQuery = `
-            query getCustomersWithRfmFilter($first: Int!) {
-              customers(first: $first, query: "rfm_group:${rfmGroup}") {
-                edges {
-                  node {
-                    id
-                    firstName
-                    lastName
-                    email
-                    phone
-                    createdAt
-                    updatedAt
-                    tags
-                    ordersCount
-                    totalSpent
-                    addresses {
-                      id
-                      firstName
-                      lastName
-                      company
-                      address1
-                      address2
-                      city
-                      province
-                      country
-                      zip
-                      phone
-                    }
-                    note
-                  }
-                }
-                pageInfo {
-                  hasNextPage
-                  endCursor
-                }
-              }
-            }
-          `;
-          
-          const response = await fetch(
-            `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
-            {
-              method: 'POST',
-              headers: {
-                'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json',
-              },
-              body: JSON.stringify({
-                query: graphqlQuery,
-                variables: {
-                  first: 250
-                }
-              })
-            }
-          );
-          
-          if (response.ok) {
-            const data = await response.json();
-            
-            if (!data.errors && data.data?.customers) {
-              const customers = data.data.customers.edges.map(edge => edge.node);
-              console.log(`📋 Found ${customers.length} customers via GraphQL RFM filter`);
-              
-              if (customers.length > 0) {
-                return customers.map(customer => ({
-                  id: customer.id.split('/').pop(),
-                  first_name: customer.firstName || '',
-                  last_name: customer.lastName || '',
-                  email: customer.email || '',
-                  phone: customer.phone || '',
-                  created_at: customer.createdAt || new Date().toISOString(),
-                  updated_at: customer.updatedAt || new Date().toISOString(),
-                  tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-                  orders_count: customer.ordersCount || 0,
-                  total_spent: customer.totalSpent || '0.00',
-                  addresses: customer.addresses || [],
-                  display_name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
-                  note: customer.note || ''
-                }));
-              }
+      }
+    `, { customerId: toCustomerGid(customerId), segmentIds: shopifySegments.map(segment => segment.id) });
+    
+    for (const membership of data?.customerSegmentMembership?.memberships || []) {
+      const segment = shopifySegments.find(candidate => candidate.id === membership.segmentId);
+      if (!segment) continue;
+      checkedSegments.add(segment.name);
+      if (membership.isMember) {
+        memberSegments.add(segment.name);
+      }
+    }
+  }
+  
+  return { memberSegments, checkedSegments };
+}
+
+// Customer fields we hydrate for segment members, shaped like the REST API
+// customer objects the rest of the app works with
+const SEGMENT_CUSTOMER_FIELDS = `
+  id
+  firstName
+  lastName
+  email
+  phone
+  createdAt
+  updatedAt
+  tags
+  numberOfOrders
+  amountSpent {
+    amount
+  }
+  defaultAddress {
+    city
+    province
+    provinceCode
+    country
+    countryCodeV2
+    zip
+  }
+  note
+`;
+
+// Customers per nodes() lookup when hydrating segment members
+const CUSTOMER_HYDRATE_BATCH_SIZE = 100;
+
+function mapGraphQLCustomer(customer) {
+  return {
+    id: customer.id.split('/').pop(),
+    first_name: customer.firstName || '',
+    last_name: customer.lastName || '',
+    email: customer.email || '',
+    phone: customer.phone || '',
+    created_at: customer.createdAt,
+    updated_at: customer.updatedAt,
+    tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
+    orders_count: Number(customer.numberOfOrders) || 0,
+    total_spent: customer.amountSpent?.amount || '0.00',
+    default_address: customer.defaultAddress ? {
+      city: customer.defaultAddress.city,
+      province: customer.defaultAddress.province,
+      province_code: customer.defaultAddress.provinceCode,
+      country: customer.defaultAddress.country,
+      country_code: customer.defaultAddress.countryCodeV2,
+      zip: customer.defaultAddress.zip
+    } : null,
+    addresses: [],
+    display_name: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+    note: customer.note || ''
+  };
+}
+
+// Page through customerSegmentMembers and return every member's customer ID.
+// Members are identified by the same numeric ID as the customer they represent.
+async function getSegmentMemberIds(segmentId) {
+  const memberIds = [];
+  let totalCount = null;
+  let hasNextPage = true;
+  let endCursor = null;
+  
+  reportProgress({ phase: 'Reading segment members' });
+  
+  while (hasNextPage) {
+    const data = await shopifyGraphQL(`
+      query getSegmentMembers($segmentId: ID!, $first: Int!, $after: String) {
+        customerSegmentMembers(segmentId: $segmentId, first: $first, after: $after) {
+          totalCount
+          edges {
+            node {
+              id
             }
           }
-        } catch (error) {
-          console.log(`❌ GraphQL RFM filter approach failed:`, error.message);
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
         }
-        
-        // Approach 5: Fallback to REST API with custom RFM calculation
-        console.log(`🔍 Using fallback REST API with custom RFM calculation`);
-        return await fetchCustomersWithRfmGroupFallback(rfmGroup);
       }
+    `, { segmentId, first: 250, after: endCursor });
+    
+    const connection = data?.customerSegmentMembers;
+    if (!connection) {
+      throw new Error(`Shopify returned no membership for segment ${segmentId}`);
+    }
+    
+    totalCount = connection.totalCount;
+    memberIds.push(...connection.edges.map(edge => edge.node.id.split('/').pop()));
+    reportProgress({ expected: totalCount });
+    reportPageFetched(connection.edges.length);
+    hasNextPage = connection.pageInfo.hasNextPage;
+    endCursor = connection.pageInfo.endCursor;
+  }
+  
+  if (totalCount !== null && memberIds.length !== totalCount) {
+    console.warn(`⚠️ Segment ${segmentId}: fetched ${memberIds.length} members but Shopify reports ${totalCount}`);
+  }
+  
+  return memberIds;
+}
+
+// Load full customer records for a list of customer IDs
+async function getCustomersByIds(customerIds) {
+  const customers = [];
+  reportProgress({ phase: 'Loading customer details', expected: customerIds.length });
+  
+  for (let start = 0; start < customerIds.length; start += CUSTOMER_HYDRATE_BATCH_SIZE) {
+    const ids = customerIds
+      .slice(start, start + CUSTOMER_HYDRATE_BATCH_SIZE)
+      .map(toCustomerGid);
+    
+    const data = await shopifyGraphQL(`
+      query getCustomers($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on Customer {
+            ${SEGMENT_CUSTOMER_FIELDS}
+          }
+        }
+      }
+    `, { ids });
+    
+    // Customers deleted since the membership was read come back as null
+    customers.push(...(data?.nodes || []).filter(node => node?.id).map(mapGraphQLCustomer));
+    reportPageFetched(ids.length);
+  }
+  
+  return customers;
+}
+
+// Get every customer in a Shopify segment using Shopify's own membership,
+// which works for any segment query
+async function getCustomersFromShopifySegment(segmentId) {
+  console.log(`🔄 Fetching members of segment: ${segmentId}`);
+  
+  const memberIds = await getSegmentMemberIds(segmentId);
+  const customers = await getCustomersByIds(memberIds);
+  
+  console.log(`✅ Loaded ${customers.length} customers for segment ${segmentId}`);
+  return customers;
+}
+
+// Fallback function for basic segments using REST API
+async function getCustomersFromBasicSegment(segmentName) {
+  switch (segmentName) {
+    case 'All Customers':
+      return await getAllCustomers();
+    case 'VIP Customers':
+      return await fetchAllCustomersWithPagination('/customers.json', { tags: 'VIP', limit: 250 });
+    case 'VVIP Customers':
+      return await fetchAllCustomersWithPagination('/customers.json', { tags: 'VVIP', limit: 250 });
+    case 'New Customers': {
+      const thirtyDaysAgo = new Date();
+      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+      return await fetchAllCustomersWithPagination('/customers.json', {
+        created_at_min: thirtyDaysAgo.toISOString(),
+        limit: 250
+      });
+    }
+    default:
+      return [];
+  }
+}
+
+// Split a Shopify tag string (or array) into a clean list of tags
+function parseTags(tags) {
+  if (Array.isArray(tags)) {
+    return tags.map(tag => String(tag).trim()).filter(Boolean);
+  }
+  return (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Apply tag actions in order to a customer's current tags
+function computeTagChanges(currentTags, actions) {
+  let resultingTags = [...currentTags];
+  
+  for (const action of actions) {
+    if (action.type === 'add' && !resultingTags.includes(action.tag)) {
+      resultingTags.push(action.tag);
+    } else if (action.type === 'remove') {
+      resultingTags = resultingTags.filter(tag => tag !== action.tag);
+    }
+  }
+  
+  return {
+    resultingTags,
+    added: resultingTags.filter(tag => !currentTags.includes(tag)),
+    removed: currentTags.filter(tag => !resultingTags.includes(tag))
+  };
+}
+
+// Work out what applyBulkTags would change without writing anything to Shopify
+// Tag templates in the actions are rendered for each customer as of `runDate`.
+async function previewBulkTags(customerIds, actions, { runDate = new Date() } = {}) {
+  const templated = hasTagTemplates(actions);
+  const preview = {
+    dryRun: true,
+    customers: [],
+    summary: { customers: customerIds.length, changed: 0, unchanged: 0, tagsAdded: 0, tagsRemoved: 0, failed: 0 },
+    errors: []
+  };
+  
+  // Customers are loaded in batched nodes() lookups rather than one REST
+  // request each, so large previews finish within the HTTP request
+  let customersById;
+  try {
+    const customers = customerIds.length > 0 ? await getCustomersByIds(customerIds.map(String)) : [];
+    customersById = new Map(customers.map(customer => [String(customer.id), customer]));
+  } catch (error) {
+    preview.summary.failed = customerIds.length;
+    preview.errors.push(`Error loading customers: ${error.message}`);
+    return preview;
+  }
+  
+  for (const customerId of customerIds) {
+    try {
+      const customer = customersById.get(String(customerId));
+      if (!customer) {
+        preview.summary.failed++;
+        preview.errors.push(`Failed to fetch customer ${customerId}`);
+        continue;
+      }
+      
+      const currentTags = parseTags(customer.tags);
+      const customerActions = templated ? renderTagActions(actions, customer, { runDate }).actions : actions;
+      const { resultingTags, added, removed } = computeTagChanges(currentTags, customerActions);
+      const changed = added.length > 0 || removed.length > 0;
+      
+      preview.customers.push({
+        customerId: String(customerId),
+        email: customer.email || '',
+        name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+        currentTags,
+        resultingTags,
+        added,
+        removed,
+        changed
+      });
+      
+      preview.summary[changed ? 'changed' : 'unchanged']++;
+      preview.summary.tagsAdded += added.length;
+      preview.summary.tagsRemoved += removed.length;
+    } catch (error) {
+      preview.summary.failed++;
+      preview.errors.push(`Error previewing customer ${customerId}: ${error.message}`);
+    }
+  }
+  
+  return preview;
+}
+
+// Collapse an ordered action list into the tags to add and remove. The last
+// action for a tag wins, matching computeTagChanges.
+function getNetTagActions(actions) {
+  const finalTypes = new Map();
+  for (const action of actions) {
+    const tag = (action.tag || '').trim();
+    if (tag) {
+      finalTypes.set(tag, action.type);
+    }
+  }
+  
+  const tagsToAdd = [];
+  const tagsToRemove = [];
+  for (const [tag, type] of finalTypes) {
+    if (type === 'add') {
+      tagsToAdd.push(tag);
+    } else if (type === 'remove') {
+      tagsToRemove.push(tag);
+    }
+  }
+  
+  return { tagsToAdd, tagsToRemove };
+}
+
+function toCustomerGid(customerId) {
+  const id = String(customerId);
+  return id.startsWith('gid://') ? id : `gid://shopify/Customer/${id}`;
+}
+
+// Customers per tagsAdd/tagsRemove request; each customer costs up to two
+// mutations, which keeps a batch well under Shopify's query cost limit
+const TAG_MUTATION_BATCH_SIZE = 25;
+
+// Build one mutation document that adds/removes the same tags on several
+// customers using aliased tagsAdd/tagsRemove fields
+function buildTagMutation(batchSize, tagsToAdd, tagsToRemove) {
+  const variableDefinitions = [];
+  if (tagsToAdd.length > 0) variableDefinitions.push('$add: [String!]!');
+  if (tagsToRemove.length > 0) variableDefinitions.push('$remove: [String!]!');
+  
+  const fields = [];
+  for (let i = 0; i < batchSize; i++) {
+    variableDefinitions.push(`$id${i}: ID!`);
+    if (tagsToAdd.length > 0) {
+      fields.push(`add${i}: tagsAdd(id: $id${i}, tags: $add) { userErrors { field message } }`);
+    }
+    if (tagsToRemove.length > 0) {
+      fields.push(`remove${i}: tagsRemove(id: $id${i}, tags: $remove) { userErrors { field message } }`);
+    }
+  }
+  
+  return `mutation BulkTagCustomers(${variableDefinitions.join(', ')}) {\n  ${fields.join('\n  ')}\n}`;
+}
+
+// Read the current tags for a batch of customers, keyed by numeric customer ID.
+// Customers that no longer exist are left out of the map.
+async function getCurrentTags(customerIds) {
+  const data = await shopifyGraphQL(`
+    query getCustomerTags($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Customer {
+          id
+          tags
+        }
+      }
+    }
+  `, { ids: customerIds.map(toCustomerGid) });
+  
+  const tagsById = new Map();
+  for (const node of data?.nodes || []) {
+    if (node?.id) {
+      tagsById.set(node.id.split('/').pop(), node.tags || []);
+    }
+  }
+  return tagsById;
+}
+
+function createJobId() {
+  return `job-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Record a unit of tagging work in the jobs table and mark it completed or
+// failed when `work(jobId)` settles. Resolves to the work's result plus jobId.
+// The work runs right away rather than through the queue, so the job starts
+// out running (and is failed, not requeued, if the server restarts meanwhile).
+async function runTagJob(job, work) {
+  const jobId = createJobId();
+  await db.createJob({ id: jobId, ...job, status: 'running' });
+  
+  try {
+    const result = await work(jobId);
+    await db.finishJob(jobId, 'completed', {
+      ...result,
+      errors: result.errors.slice(0, 100),
+      failedCustomerIds: undefined
+    });
+    return { ...result, jobId };
+  } catch (error) {
+    await db.finishJob(jobId, 'failed', { error: error.message });
+    throw error;
+  }
+}
+
+// Apply the same tag changes to one batch of customers in a single mutation
+async function applyTagBatch(batch, actions, eventSource) {
+  const results = { success: 0, failed: 0, errors: [], failedCustomerIds: [] };
+  const { tagsToAdd, tagsToRemove } = getNetTagActions(actions);
+
+  const failCustomers = (ids, message) => {
+    for (const customerId of ids) {
+      results.failed++;
+      results.errors.push(`Failed to update customer ${customerId}: ${message}`);
+      results.failedCustomerIds.push(customerId);
+    }
+  };
+  // Customers in this batch whose outcome isn't known yet
+  let pending = batch;
+  
+  try {
+    // Work out each customer's effective changes so only real changes are
+    // written and audited
+    const currentTags = await getCurrentTags(batch);
+    const changes = new Map();
+    const unchanged = [];
+    
+    for (const customerId of batch) {
+      if (!currentTags.has(customerId)) {
+        failCustomers([customerId], 'customer not found');
+        continue;
+      }
+      const { resultingTags, added, removed } = computeTagChanges(currentTags.get(customerId), actions);
+      if (added.length === 0 && removed.length === 0) {
+        results.success++;
+        unchanged.push(customerId);
+      } else {
+        changes.set(customerId, { resultingTags, added, removed });
+      }
+    }
+    
+    const toUpdate = [...changes.keys()];
+    pending = toUpdate;
+    if (toUpdate.length === 0) {
+      await trackTagExpiries(unchanged, actions, eventSource);
+      return results;
+    }
+    
+    const variables = {};
+    if (tagsToAdd.length > 0) variables.add = tagsToAdd;
+    if (tagsToRemove.length > 0) variables.remove = tagsToRemove;
+    toUpdate.forEach((customerId, index) => {
+      variables[`id${index}`] = toCustomerGid(customerId);
+    });
+
+    const response = await shopifyFetch(
+      '/graphql.json',
+      {
+        method: 'POST',
+        body: JSON.stringify({
+          query: buildTagMutation(toUpdate.length, tagsToAdd, tagsToRemove),
+          variables
+        }),
+      }
+    );
+
+    if (!response.ok) {
+      failCustomers(toUpdate, `HTTP ${response.status}`);
+      return results;
+    }
+
+    const result = await response.json();
+    
+    if (result.errors && !result.data) {
+      failCustomers(toUpdate, result.errors.map(error => error.message).join('; '));
+      return results;
+    }
+
+    const events = [];
+    const updated = [];
+    toUpdate.forEach((customerId, index) => {
+      const userErrors = [
+        ...(result.data?.[`add${index}`]?.userErrors || []),
+        ...(result.data?.[`remove${index}`]?.userErrors || [])
+      ];
+      const missing = (tagsToAdd.length > 0 && !result.data?.[`add${index}`]) ||
+        (tagsToRemove.length > 0 && !result.data?.[`remove${index}`]);
+      
+      if (userErrors.length === 0 && !missing) {
+        results.success++;
+        updated.push(customerId);
+        const { added, removed } = changes.get(customerId);
+        events.push(
+          ...added.map(tag => ({ customerId, tag, action: 'add', ...eventSource })),
+          ...removed.map(tag => ({ customerId, tag, action: 'remove', ...eventSource }))
+        );
+      } else {
+        failCustomers([customerId], userErrors.length > 0
+          ? userErrors.map(error => error.message).join('; ')
+          : 'no result returned');
+      }
+    });
+    
+    await db.recordTagEvents(events);
+    await db.updateMirroredCustomerTags(new Map(updated.map(customerId => [customerId, changes.get(customerId).resultingTags])));
+    await trackTagExpiries([...unchanged, ...updated], actions, eventSource);
+  } catch (error) {
+    failCustomers(pending, error.message);
+  }
+
+  return results;
+}
+
+// Record when tags just applied to these customers expire, and drop pending
+// expiries of tags that were removed
+async function trackTagExpiries(customerIds, actions, eventSource) {
+  const { expiring, cleared } = getTagExpiryChanges(actions);
+  if (customerIds.length === 0) return;
+  
+  await db.clearTagExpirations(customerIds, cleared);
+  await db.saveTagExpirations(customerIds.flatMap(customerId =>
+    expiring.map(({ tag, expiresAt }) => ({
+      customerId,
+      tag,
+      expiresAt: expiresAt.toISOString(),
+      sourceType: eventSource.sourceType,
+      sourceId: eventSource.sourceId,
+      jobId: eventSource.jobId
+    }))
+  ));
+}
+
+// Apply tag actions to customers in batches of GraphQL tagsAdd/tagsRemove
+// mutations, TAG_WRITE_CONCURRENCY batches at a time. Every tag that actually
+// changes is written to the tag_events audit log with the given source:
+// { sourceType: 'rule' | 'bulk' | 'manual' | 'rollback' | 'expiry' | 'webhook', sourceId, jobId, actor }.
+// Calls made outside a job get a job of their own.
+async function applyBulkTags(customerIds, actions, source = {}) {
+  if (!source.jobId) {
+    return runTagJob(
+      { type: source.sourceType || 'manual', sourceId: source.sourceId, actor: source.actor, actions },
+      jobId => applyBulkTags(customerIds, actions, { ...source, jobId })
+    );
+  }
+
+  const results = { success: 0, failed: 0, errors: [], failedCustomerIds: [] };
+  const { tagsToAdd, tagsToRemove } = getNetTagActions(actions);
+  const eventSource = {
+    sourceType: source.sourceType || 'manual',
+    // Bulk jobs are their own source
+    sourceId: source.sourceId || source.jobId,
+    jobId: source.jobId,
+    actor: source.actor || null
+  };
+  
+  if (tagsToAdd.length === 0 && tagsToRemove.length === 0) {
+    results.success = customerIds.length;
+    return results;
+  }
+
+  const batches = [];
+  for (let start = 0; start < customerIds.length; start += TAG_MUTATION_BATCH_SIZE) {
+    batches.push(customerIds.slice(start, start + TAG_MUTATION_BATCH_SIZE).map(String));
+  }
+
+  // Batches run concurrently; the Shopify client's shared throttle keeps the
+  // combined request rate within the store's limits
+  const batchResults = await mapWithConcurrency(
+    batches,
+    TAG_WRITE_CONCURRENCY,
+    batch => applyTagBatch(batch, actions, eventSource)
+  );
+
+  for (const batchResult of batchResults) {
+    results.success += batchResult.success;
+    results.failed += batchResult.failed;
+    results.errors.push(...batchResult.errors);
+    results.failedCustomerIds.push(...batchResult.failedCustomerIds);
+  }
+
+  return results;
+}
+
+// Queue a run of a rule and record the run time so the scheduler moves on to
+// the next occurrence
+async function enqueueRuleRun(rule, actor) {
+  const actions = await resolveTagActions(rule.actions);
+  const exitActions = await resolveTagActions(rule.exitActions || []);
+  const jobId = createJobId();
+  await db.createRuleRun({ jobId, ruleId: rule.id, triggeredBy: actor });
+  const job = await enqueueJob({
+    id: jobId,
+    type: 'rule',
+    sourceId: rule.id,
+    actor,
+    actions: { enter: rule.actions, exit: rule.exitActions || [] },
+    payload: {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      triggerSegment: rule.triggerSegment,
+      trigger: rule.trigger || null,
+      actions,
+      exitActions,
+      limits: resolveRuleLimits(rule, RULE_LIMITS),
+      // Tag templates render `{{date}}` as the day the run was queued
+      runDate: new Date().toISOString()
+    }
+  });
+  
+  const nextRunAt = rule.schedule ? getNextScheduledRun(rule.schedule) : null;
+  await db.updateRuleRunTimes(rule.id, new Date().toISOString(), nextRunAt);
+  
+  return job;
+}
+
+// Queue a run that repeats a finished run's actions for just the customers it
+// failed on
+async function enqueueRuleRetry(run, actor) {
+  const original = await db.getJob(run.jobId);
+  const jobId = createJobId();
+  await db.createRuleRun({ jobId, ruleId: run.ruleId, triggeredBy: actor, retryOf: run.jobId });
+  
+  return enqueueJob({
+    id: jobId,
+    type: 'rule',
+    sourceId: run.ruleId,
+    actor,
+    actions: original.actions,
+    payload: { ...original.payload, retry: run.failedCustomerIds }
+  });
+}
+
+// Execute every active rule whose scheduled time has arrived
+async function runScheduledRules() {
+  const rules = await db.getTaggingRules();
+  const now = Date.now();
+  
+  // Queued in priority order; the worker runs jobs in the order they were queued
+  const dueRules = sortRulesForExecution(rules.filter(rule =>
+    rule.isActive &&
+    rule.schedule &&
+    rule.nextRunAt &&
+    new Date(rule.nextRunAt).getTime() <= now
+  ));
+  
+  // A rule that fails to queue is skipped until its next scheduled time, so it
+  // can't hold up the rules after it every minute
+  for (const rule of dueRules) {
+    try {
+      if (await db.findActiveJob('rule', rule.id)) {
+        console.log(`⏭️  Skipping scheduled run of "${rule.name}" - previous run still queued, in progress or waiting for approval`);
+        continue;
+      }
+      
+      console.log(`⏰ Queueing scheduled rule: ${rule.name} (${rule.schedule})`);
+      await enqueueRuleRun(rule, 'scheduler');
+    } catch (error) {
+      console.error(`❌ Failed to queue scheduled rule "${rule.name}":`, error);
+      await db.updateRuleRunTimes(rule.id, rule.lastRunAt || null, getNextScheduledRun(rule.schedule));
+    }
+  }
+}
+
+function startRuleScheduler() {
+  if (!dbInitialized) {
+    console.warn('⚠️  Rule scheduler disabled - scheduled rules require a database');
+    return;
+  }
+  
+  setInterval(() => {
+    runScheduledRules().catch(error => {
+      console.error('❌ Rule scheduler error:', error);
+    });
+  }, SCHEDULER_INTERVAL);
+  
+  console.log('⏰ Rule scheduler started');
+}
+
+// Keep the local customer mirror fresh: sync on startup (a full sync the first
+// time), then incrementally on an interval
+function startCustomerSync() {
+  if (!dbInitialized) {
+    console.warn('⚠️  Customer mirror disabled - it requires a database');
+    return;
+  }
+  
+  const runSync = () => {
+    syncCustomers().catch(error => {
+      console.error('❌ Customer sync error:', error);
+    });
+  };
+  
+  runSync();
+  setInterval(runSync, CUSTOMER_SYNC_INTERVAL);
+  
+  console.log(`👥 Customer sync started (every ${CUSTOMER_SYNC_INTERVAL / 60000} minutes)`);
+}
+
+let tagExpirySweepRunning = false;
+
+// Remove tags whose expiry has passed. Each expired tag is removed through
+// applyBulkTags as an 'expiry' job, which also clears the expirations of the
+// customers it succeeded for; failures stay due and are retried next sweep
+// until TAG_EXPIRY_RETRY_WINDOW has passed.
+async function sweepExpiredTags() {
+  if (tagExpirySweepRunning) return;
+  tagExpirySweepRunning = true;
+  
+  try {
+    const due = await db.getDueTagExpirations(TAG_EXPIRY_SWEEP_LIMIT);
+    if (due.length === 0) return;
+    
+    const expirationsByTag = new Map();
+    for (const expiration of due) {
+      if (!expirationsByTag.has(expiration.tag)) {
+        expirationsByTag.set(expiration.tag, []);
+      }
+      expirationsByTag.get(expiration.tag).push(expiration);
+    }
+    
+    for (const [tag, expirations] of expirationsByTag) {
+      const customerIds = expirations.map(expiration => expiration.customerId);
+      const result = await applyBulkTags(customerIds, [{ type: 'remove', tag }], {
+        sourceType: 'expiry',
+        sourceId: tag,
+        actor: 'expiry-sweeper'
+      });
+      console.log(`⌛ Removed expired tag "${tag}": ${result.success} customers, ${result.failed} failed`);
+      
+      const failed = new Set(result.failedCustomerIds);
+      const giveUpBefore = Date.now() - TAG_EXPIRY_RETRY_WINDOW;
+      const abandoned = expirations
+        .filter(expiration => failed.has(expiration.customerId) && new Date(expiration.expiresAt).getTime() < giveUpBefore)
+        .map(expiration => expiration.customerId);
+      if (abandoned.length > 0) {
+        console.warn(`⚠️  Giving up removing expired tag "${tag}" from ${abandoned.length} customers`);
+        await db.clearTagExpirations(abandoned, [tag]);
+      }
+    }
+  } finally {
+    tagExpirySweepRunning = false;
+  }
+}
+
+function startTagExpirySweeper() {
+  if (!dbInitialized) {
+    console.warn('⚠️  Tag expiry sweeper disabled - expiring tags require a database');
+    return;
+  }
+  
+  const runSweep = () => {
+    sweepExpiredTags().catch(error => {
+      console.error('❌ Tag expiry sweep error:', error);
+    });
+  };
+  
+  runSweep();
+  setInterval(runSweep, TAG_EXPIRY_SWEEP_INTERVAL);
+  
+  console.log(`⌛ Tag expiry sweeper started (every ${TAG_EXPIRY_SWEEP_INTERVAL / 60000} minutes)`);
+}
+
+// Shopify OAuth install (see server/shopifyAuth.js)
+function getOAuthRedirectUri(req) {
+  const appUrl = SHOPIFY_APP_URL || `${req.get('X-Forwarded-Proto') || req.protocol}://${req.get('host')}`;
+  return `${appUrl.replace(/\/$/, '')}/api/auth/shopify/callback`;
+}
+
+function getCookie(req, name) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+function getMissingOAuthConfig() {
+  return Object.entries({ SHOPIFY_API_KEY, SHOPIFY_API_SECRET, TOKEN_ENCRYPTION_KEY })
+    .filter(([, value]) => !value)
+    .map(([key]) => key);
+}
+
+// Send every Shopify request to an installed shop
+function useInstalledShop(shop) {
+  setShopifyCredentials({
+    storeUrl: `https://${shop.shop}`,
+    accessToken: decryptToken(shop.accessToken, TOKEN_ENCRYPTION_KEY),
+    source: 'oauth'
+  });
+}
+
+async function loadInstalledShop() {
+  const [shop] = await db.getShops();
+  if (!shop) return;
+  
+  if (!TOKEN_ENCRYPTION_KEY) {
+    console.warn(`⚠️  ${shop.shop} is installed but TOKEN_ENCRYPTION_KEY is not set - using SHOPIFY_ACCESS_TOKEN`);
+    return;
+  }
+  try {
+    useInstalledShop(shop);
+    console.log(`🏪 Using installed shop ${shop.shop}`);
+  } catch (error) {
+    console.warn(`⚠️  Could not read the access token of ${shop.shop}: ${error.message}`);
+  }
+}
+
+// Start an install: returns the Shopify URL to send the merchant to
+async function handleShopifyInstall(req, res) {
+  try {
+    const missingConfig = getMissingOAuthConfig();
+    if (missingConfig.length > 0) {
+      return res.status(503).json({ error: `Installing on a store requires ${missingConfig.join(', ')}` });
+    }
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Installing on a store requires a database' });
     }
     
-    // Fallback to the original REST API approach for other criteria
-    console.log(`🔄 Using fallback REST API approach for criteria: ${segment.criteria}`);
+    let shop;
+    try {
+      shop = normalizeShopDomain(req.body.shop);
+    } catch (error) {
+      if (error instanceof ShopifyAuthError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
     
-    // Use the new pagination helper to fetch ALL customers
-    const allCustomers = await fetchAllCustomersWithPagination(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`,
-      {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-      },
-      { limit: 250 }
-    );
+    const now = Date.now();
+    for (const [state, pending] of oauthStates) {
+      if (pending.expiresAt < now) oauthStates.delete(state);
+    }
     
-    console.log(`📋 Retrieved ${allCustomers.length} total customers from Shopify`);
+    const state = crypto.randomBytes(16).toString('hex');
+    oauthStates.set(state, { shop, actor: req.actor, expiresAt: now + OAUTH_STATE_TTL });
     
-    // Filter customers based on segment criteria
-    const filteredCustomers = allCustomers.filter(customer => {
-      return matchesSegmentCriteria(customer, segment.criteria);
+    // The state cookie ties the callback to the browser that started the install
+    res.cookie(OAUTH_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure || req.get('X-Forwarded-Proto') === 'https',
+      maxAge: OAUTH_STATE_TTL,
+      path: '/api/auth/shopify'
+    });
+    res.json({
+      authUrl: buildAuthorizeUrl({
+        shop,
+        apiKey: SHOPIFY_API_KEY,
+        scopes: SHOPIFY_SCOPES,
+        redirectUri: getOAuthRedirectUri(req),
+        state
+      })
     });
+  } catch (error) {
+    console.error('Error starting Shopify install:', error);
+    res.status(500).json({ error: 'Failed to start install', details: error.message });
+  }
+}
+
+// Shopify redirects the merchant here once they approve the install. The
+// request is only trusted once its HMAC, state and shop check out; the
+// granted scopes must cover SHOPIFY_SCOPES before the token is stored.
+async function handleShopifyCallback(req, res) {
+  try {
+    if (getMissingOAuthConfig().length > 0 || !dbInitialized) {
+      return res.status(503).send('Installing on a store is not configured');
+    }
+    if (!verifyOAuthQuery(req.query, SHOPIFY_API_SECRET)) {
+      return res.status(401).send('Invalid Shopify signature');
+    }
     
-    console.log(`🔍 Filtered ${filteredCustomers.length} customers matching criteria`);
+    // States are single use
+    const { state } = req.query;
+    const pending = oauthStates.get(state);
+    oauthStates.delete(state);
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: '/api/auth/shopify' });
+    if (!pending || pending.expiresAt < Date.now() || getCookie(req, OAUTH_STATE_COOKIE) !== state) {
+      return res.status(403).send('This install has expired or was started in another browser. Start it again from the app.');
+    }
     
-    const processedCustomers = filteredCustomers.map(customer => ({
-      id: customer.id.toString(),
-      first_name: customer.first_name || '',
-      last_name: customer.last_name || '',
-      email: customer.email || '',
-      phone: customer.phone || '',
-      created_at: customer.created_at || new Date().toISOString(),
-      updated_at: customer.updated_at || new Date().toISOString(),
-      tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-      orders_count: customer.orders_count || 0,
-      total_spent: customer.total_spent || '0.00',
-      addresses: customer.addresses || [],
-      display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-      note: customer.note || ''
-    }));
+    let shop = null;
+    try {
+      shop = normalizeShopDomain(req.query.shop);
+    } catch (error) {
+      if (!(error instanceof ShopifyAuthError)) throw error;
+    }
+    if (shop !== pending.shop) {
+      return res.status(403).send('The shop does not match the install that was started');
+    }
+    
+    const response = await fetch(`https://${shop}/admin/oauth/access_token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ client_id: SHOPIFY_API_KEY, client_secret: SHOPIFY_API_SECRET, code: req.query.code })
+    });
+    if (!response.ok) {
+      console.error(`❌ Access token request for ${shop} failed: ${response.status} ${await response.text()}`);
+      return res.status(502).send('Shopify did not issue an access token. Start the install again from the app.');
+    }
+    const { access_token: accessToken, scope } = await response.json();
+    
+    const missingScopes = getMissingScopes(SHOPIFY_SCOPES, scope);
+    if (missingScopes.length > 0) {
+      return res.status(403).send(`The app was not granted ${missingScopes.join(', ')}`);
+    }
     
-    console.log(`✅ Successfully processed ${processedCustomers.length} customers matching segment criteria`);
-    return processedCustomers;
+    const previousStoreUrl = getShopifyCredentials().storeUrl;
+    const saved = await db.saveShop({
+      shop,
+      accessToken: encryptToken(accessToken, TOKEN_ENCRYPTION_KEY),
+      scopes: scope,
+      installedBy: pending.actor
+    });
+    useInstalledShop(saved);
+    console.log(`✅ Installed on ${shop} by ${pending.actor}`);
+    
+    // A different store: drop everything collected from the old one. Reads
+    // go to Shopify until the full sync has mirrored the new store's customers.
+    if (previousStoreUrl !== `https://${shop}`) {
+      await resetCustomerMirror();
+      await db.clearStoreData();
+      segmentsCache = null;
+      cacheTimestamp = null;
+      syncCustomers({ full: true }).catch(error => {
+        console.error('❌ Customer sync failed:', error);
+      });
+    }
     
+    res.redirect(`/?installed=${encodeURIComponent(shop)}`);
   } catch (error) {
-    console.error(`💥 Critical error getting customers from Shopify segment ${segmentId}:`, error);
-    return [];
+    console.error('Error completing Shopify install:', error);
+    res.status(500).send(`Failed to complete the install: ${error.message}`);
   }
 }
 
-// Fallback function for RFM groups using REST API with filtering
-async function fetchCustomersWithRfmGroupFallback(rfmGroup) {
-  console.log(`🔄 Using fallback REST API approach for RFM group: ${rfmGroup}`);
-  
-  // Use the new pagination helper to fetch ALL customers
-  const allCustomers = await fetchAllCustomersWithPagination(
-    `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json`,
-    {
-      'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-    },
-    { limit: 250 }
-  );
-  
-  console.log(`📋 Retrieved ${allCustomers.length} total customers from Shopify`);
-  
-  // For RFM groups, we need to calculate the RFM score for each customer
-  const filteredCustomers = allCustomers.filter(customer => {
-    const orders = customer.orders_count || 0;
-    const totalSpent = parseFloat(customer.total_spent || '0');
-    
-    // Simple RFM logic for CHAMPIONS group (high frequency, high monetary value)
-    if (rfmGroup === 'CHAMPIONS') {
-      return orders >= 5 && totalSpent >= 500; // Example criteria for champions
-    } else if (rfmGroup === 'LOYAL_CUSTOMERS') {
-      return orders >= 3 && totalSpent >= 200;
-    } else if (rfmGroup === 'AT_RISK') {
-      return orders >= 1 && totalSpent >= 50;
-    } else if (rfmGroup === 'CANT_LOSE') {
-      return orders === 0 || totalSpent < 50;
-    }
-    
-    return false;
-  });
-  
-  console.log(`🔍 Filtered ${filteredCustomers.length} customers matching RFM group ${rfmGroup}`);
-  
-  const processedCustomers = filteredCustomers.map(customer => ({
-    id: customer.id.toString(),
-    first_name: customer.first_name || '',
-    last_name: customer.last_name || '',
-    email: customer.email || '',
-    phone: customer.phone || '',
-    created_at: customer.created_at || new Date().toISOString(),
-    updated_at: customer.updated_at || new Date().toISOString(),
-    tags: Array.isArray(customer.tags) ? customer.tags.join(', ') : (customer.tags || ''),
-    orders_count: customer.orders_count || 0,
-    total_spent: customer.total_spent || '0.00',
-    addresses: customer.addresses || [],
-    display_name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
-    note: customer.note || ''
-  }));
-  
-  console.log(`✅ Successfully processed ${processedCustomers.length} customers for RFM group ${rfmGroup}`);
-  return processedCustomers;
+// The store the app is using and the stores installed through OAuth
+async function handleGetShops(req, res) {
+  try {
+    const { storeUrl, source } = getShopifyCredentials();
+    const shops = await db.getShops();
+    res.json({
+      current: storeUrl ? { storeUrl, source } : null,
+      scopes: SHOPIFY_SCOPES,
+      installConfigured: getMissingOAuthConfig().length === 0 && dbInitialized,
+      shops: shops.map(({ shop, scopes, installedBy, installedAt }) => ({ shop, scopes, installedBy, installedAt }))
+    });
+  } catch (error) {
+    console.error('Error getting shops:', error);
+    res.status(500).json({ error: 'Failed to get shops', details: error.message });
+  }
 }
 
-// Helper function to check if a customer matches segment criteria
-function matchesSegmentCriteria(customer, criteria) {
+// Webhook events are handled one at a time, so two events about the same
+// customer can't both apply a rule to them
+let webhookQueue = Promise.resolve();
+
+// The myshopify.com domain of the store the app is using, or null
+function getActiveShopDomain() {
   try {
-    console.log(`🔍 Checking customer ${customer.email} against criteria: ${criteria}`);
-    
-    // Simple criteria matching for common patterns
-    if (criteria.includes('customer_email_domain =')) {
-      const domainMatch = criteria.match(/customer_email_domain = '([^']+)'/);
-      if (domainMatch) {
-        const requiredDomain = domainMatch[1];
-        const customerDomain = customer.email ? customer.email.split('@')[1] : '';
-        const matches = customerDomain === requiredDomain;
-        console.log(`📧 Domain check: ${customerDomain} === ${requiredDomain} = ${matches}`);
-        return matches;
-      }
+    return normalizeShopDomain(getShopifyCredentials().storeUrl);
+  } catch {
+    return null;
+  }
+}
+
+// Keep a webhook's raw body in WEBHOOK_PAYLOAD_DIR for replay-webhook.js. Not
+// awaited by the receiver; a failed write is logged and the event handled anyway.
+async function saveWebhookPayload(topic, rawBody) {
+  try {
+    await fs.promises.mkdir(WEBHOOK_PAYLOAD_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(WEBHOOK_PAYLOAD_DIR, `${Date.now()}-${topic.replace('/', '-')}.json`), rawBody);
+  } catch (error) {
+    console.error(`⚠️  Could not save the ${topic} webhook payload:`, error.message);
+  }
+}
+
+// Shopify webhook receiver (see server/webhooks.js). Shopify expects an answer
+// within a few seconds, so the customer is tagged after responding.
+async function handleShopifyWebhook(req, res) {
+  try {
+    if (!SHOPIFY_API_SECRET) {
+      return res.status(503).json({ error: 'Webhooks require SHOPIFY_API_SECRET' });
+    }
+    if (!Buffer.isBuffer(req.body) || !verifyWebhook(req.body, req.get('X-Shopify-Hmac-Sha256'), SHOPIFY_API_SECRET)) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    // Every store the app was installed on signs with the same secret. Events
+    // from a store the app has since switched away from are acknowledged (so
+    // Shopify stops retrying) but not applied to the current one.
+    const shop = req.get('X-Shopify-Shop-Domain');
+    if (!shop || shop.toLowerCase() !== getActiveShopDomain()) {
+      return res.json({ received: true, ignored: `Not the active store: ${shop || 'unknown'}` });
+    }
+    if (!dbInitialized) {
+      return res.status(503).json({ error: 'Webhooks require a database' });
     }
     
-    if (criteria.includes('customer_tags')) {
-      const tagMatch = criteria.match(/customer_tags CONTAINS '([^']+)'/);
-      if (tagMatch) {
-        const requiredTag = tagMatch[1];
-        const customerTags = customer.tags || '';
-        const matches = customerTags.includes(requiredTag);
-        console.log(`🏷️ Tag check: "${customerTags}" contains "${requiredTag}" = ${matches}`);
-        return matches;
-      }
+    const topic = req.get('X-Shopify-Topic');
+    if (!WEBHOOK_TOPICS.includes(topic)) {
+      return res.json({ received: true, ignored: `Unsupported topic: ${topic}` });
     }
     
-    if (criteria.includes('rfm_group =')) {
-      const rfmMatch = criteria.match(/rfm_group = '([^']+)'/);
-      if (rfmMatch) {
-        const requiredRfmGroup = rfmMatch[1];
-        
-        // RFM groups are calculated based on customer behavior, not stored as tags
-        // This is a simplified RFM calculation - in practice, this would be more sophisticated
-        const orders = customer.orders_count || 0;
-        const totalSpent = parseFloat(customer.total_spent || '0');
-        
-        let matches = false;
-        if (requiredRfmGroup === 'CHAMPIONS') {
-          // Champions: High frequency, high monetary value customers
-          matches = orders >= 5 && totalSpent >= 500;
-        } else if (requiredRfmGroup === 'LOYAL') {
-          // Loyal: Regular customers with good spending
-          matches = orders >= 3 && totalSpent >= 200;
-        } else if (requiredRfmGroup === 'AT_RISK') {
-          // At Risk: Customers who haven't ordered recently
-          matches = orders >= 1 && totalSpent >= 50;
-        } else if (requiredRfmGroup === 'NEW') {
-          // New: Recent customers with few orders
-          matches = orders <= 2 && totalSpent <= 100;
-        }
-        
-        console.log(`🏆 RFM group check: orders=${orders}, spent=${totalSpent}, group=${requiredRfmGroup} = ${matches}`);
-        return matches;
-      }
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'Webhook body is not valid JSON' });
     }
     
-    if (criteria.includes('number_of_orders')) {
-      const orderMatch = criteria.match(/number_of_orders\s*([><=]+)\s*(\d+)/);
-      if (orderMatch) {
-        const operator = orderMatch[1];
-        const requiredOrders = parseInt(orderMatch[2]);
-        const customerOrders = customer.orders_count || 0;
-        
-        let matches = false;
-        switch (operator) {
-          case '>':
-            matches = customerOrders > requiredOrders;
-            break;
-          case '>=':
-            matches = customerOrders >= requiredOrders;
-            break;
-          case '<':
-            matches = customerOrders < requiredOrders;
-            break;
-          case '<=':
-            matches = customerOrders <= requiredOrders;
-            break;
-          case '=':
-            matches = customerOrders === requiredOrders;
-            break;
-        }
-        
-        console.log(`📦 Orders check: ${customerOrders} ${operator} ${requiredOrders} = ${matches}`);
-        return matches;
-      }
+    if (WEBHOOK_PAYLOAD_DIR) {
+      saveWebhookPayload(topic, req.body);
     }
     
-    // Default: if we can't parse the criteria, return false
-    console.log(`❓ Unknown criteria format: ${criteria}`);
-    return false;
+    const customerId = getWebhookCustomerId(topic, payload);
+    if (!customerId) {
+      return res.json({ received: true, ignored: 'No customer' });
+    }
     
+    res.json({ received: true, customerId });
+    webhookQueue = webhookQueue
+      .then(() => applyRulesToCustomer(customerId, topic))
+      .catch(error => console.error(`❌ Webhook ${topic} for customer ${customerId} failed:`, error));
   } catch (error) {
-    console.error(`❌ Error matching criteria:`, error);
-    return false;
+    console.error('Error handling webhook:', error);
+    res.status(500).json({ error: 'Failed to handle webhook', details: error.message });
   }
 }
 
-// Fallback function for basic segments using REST API
-async function getCustomersFromBasicSegment(segmentName) {
-  let endpoint = '';
+// Check one customer against every active rule, in execution order, and apply
+// the enter or exit actions of each rule they entered or left since its last
+// run. The rule's snapshot is updated to match, so its next run doesn't apply
+// them again; if tagging fails it is left for that run to retry.
+async function applyRulesToCustomer(customerId, topic) {
+  const rules = sortRulesForExecution((await db.getTaggingRules()).filter(rule => rule.isActive));
+  if (rules.length === 0) return;
   
-  switch (segmentName) {
-    case 'All Customers':
-      endpoint = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?limit=300`;
-      break;
-    case 'VIP Customers':
-      endpoint = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?tags=VIP&limit=300`;
-      break;
-    case 'VVIP Customers':
-      endpoint = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?tags=VVIP&limit=300`;
-      break;
-    case 'New Customers':
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      endpoint = `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers.json?created_at_min=${thirtyDaysAgo.toISOString()}&limit=300`;
-      break;
-    default:
-      return [];
+  const [customer] = await getCustomersByIds([customerId]);
+  if (!customer) {
+    console.warn(`⚠️  Webhook ${topic}: customer ${customerId} not found`);
+    return;
+  }
+  
+  const { memberSegments, checkedSegments } = await getCustomerSegmentMembership(
+    customerId,
+    [...new Set(rules.flatMap(getRuleSegments))]
+  );
+  const changes = getCustomerRuleChanges(rules, customer, {
+    memberSegments,
+    checkedSegments,
+    snapshots: await db.getRuleSnapshots()
+  });
+  
+  for (const { rule, change } of changes) {
+    // A run in progress saves its own snapshot when it finishes, which would
+    // undo the patch below; it picks the customer up instead
+    if (await db.findActiveJob('rule', rule.id)) {
+      console.log(`⏭️  Webhook ${topic}: rule "${rule.name}" is running, leaving customer ${customerId} to it`);
+      continue;
+    }
+    
+    const actions = await resolveTagActions(change === 'entered' ? rule.actions : rule.exitActions || []);
+    if (actions.length > 0) {
+      const source = { sourceType: 'webhook', sourceId: rule.id, actor: `webhook:${topic}` };
+      const result = hasTagTemplates(actions)
+        ? await applyTemplatedTags([customerId], actions, source, new Date())
+        : await applyBulkTags([customerId], actions, source);
+      if (result.failed > 0) {
+        console.warn(`⚠️  Webhook ${topic}: rule "${rule.name}" failed for customer ${customerId}: ${result.errors.join('; ')}`);
+        continue;
+      }
+    }
+    
+    await patchRuleSnapshot(rule, change === 'entered' ? { added: [customerId] } : { removed: [customerId] });
+    console.log(`⚡ Webhook ${topic}: customer ${customerId} ${change} rule "${rule.name}"`);
   }
+}
 
-  try {
-    const response = await fetch(endpoint, {
-      headers: {
-        'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        'Content-Type': 'application/json',
-      },
-    });
+// Compare the previous and current segment membership of a rule.
+// Without a previous snapshot every current member counts as entered.
+function diffSegmentMembership(previousIds, currentIds) {
+  if (!previousIds) {
+    return { entered: [...currentIds], exited: [] };
+  }
+  
+  const previous = new Set(previousIds);
+  const current = new Set(currentIds);
+  
+  return {
+    entered: currentIds.filter(id => !previous.has(id)),
+    exited: previousIds.filter(id => !current.has(id))
+  };
+}
 
-    if (!response.ok) return [];
-    
-    const data = await response.json();
-    return data.customers || [];
-  } catch (error) {
-    console.error('Error getting customers by basic segment:', error);
-    return [];
+// Customers currently matching a rule's trigger: the members of its trigger
+// segment, or for a compound trigger every customer the expression matches
+async function getTriggerCustomers(rule) {
+  if (!rule.trigger) {
+    return await getCustomersBySegment(rule.triggerSegment);
   }
+  
+  const segmentMembers = new Map();
+  const segmentCustomers = new Map();
+  for (const segmentName of getTriggerSegments(rule.trigger)) {
+    const members = await getCustomersBySegment(segmentName);
+    segmentMembers.set(segmentName, new Set(members.map(customer => String(customer.id))));
+    for (const customer of members) {
+      segmentCustomers.set(String(customer.id), customer);
+    }
+  }
+  
+  // Only look beyond the referenced segments when the trigger can match
+  // customers outside all of them (e.g. "VIP OR spent > 1000")
+  const candidates = requiresSegmentMembership(rule.trigger)
+    ? [...segmentCustomers.values()]
+    : await getAllCustomers();
+  const now = new Date();
+  
+  return candidates.filter(customer => evaluateTrigger(rule.trigger, customer, { segmentMembers, now }));
 }
 
-async function applyBulkTags(customerIds, actions) {
-  const results = { success: 0, failed: 0, errors: [] };
+// Find which customers entered or left a rule's trigger since its last run
+async function getRuleMembershipChanges(rule) {
+  const customers = await getTriggerCustomers(rule);
+  const currentIds = customers.map(customer => String(customer.id));
+  
+  // Compare with the membership recorded on the previous run. A snapshot taken
+  // for a different trigger (the trigger was edited) is treated as no snapshot.
+  const snapshot = await db.getRuleSnapshot(rule.id);
+  const previousIds = snapshot && snapshot.segmentName === getRuleTriggerKey(rule)
+    ? snapshot.customerIds
+    : null;
+  
+  const { entered, exited } = diffSegmentMembership(previousIds, currentIds);
+  console.log(`🔀 Rule "${rule.name}": ${entered.length} entered, ${exited.length} exited ${rule.trigger ? describeTrigger(rule.trigger) : `"${rule.triggerSegment}"`}`);
+  
+  return { currentIds, entered, exited, previousSize: previousIds ? previousIds.length : null };
+}
 
-  for (const customerId of customerIds) {
-    try {
-      // Get current customer data
-      const customerResponse = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/${customerId}.json`,
-        {
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            'Content-Type': 'application/json',
-          },
-        }
-      );
+// How a run's membership changes measure up against the rule's safety limits:
+// null if it may go ahead, otherwise why it needs approval
+function checkRuleRunLimits(limits, { entered, exited, previousSize }, actions, exitActions) {
+  const changes = (actions.length > 0 ? entered.length : 0) + (exitActions.length > 0 ? exited.length : 0);
+  return checkRuleLimits({ changes, previousSize }, limits);
+}
 
-      if (!customerResponse.ok) {
-        results.failed++;
-        results.errors.push(`Failed to fetch customer ${customerId}`);
-        continue;
-      }
+// Merge the enter and exit previews of a rule run into one dry-run result
+function combineRulePreviews(details, enterPreview, exitPreview) {
+  const summary = {};
+  for (const key of Object.keys(enterPreview.summary)) {
+    summary[key] = enterPreview.summary[key] + exitPreview.summary[key];
+  }
+  
+  return {
+    dryRun: true,
+    ...details,
+    customers: [
+      ...enterPreview.customers.map(customer => ({ ...customer, membership: 'entered' })),
+      ...exitPreview.customers.map(customer => ({ ...customer, membership: 'exited' }))
+    ],
+    summary,
+    errors: [...enterPreview.errors, ...exitPreview.errors]
+  };
+}
 
-      const customerData = await customerResponse.json();
-      const currentTags = customerData.customer.tags.split(',').map(tag => tag.trim()).filter(Boolean);
-      
-      // Apply tag actions
-      let newTags = [...currentTags];
-      
-      for (const action of actions) {
-        if (action.type === 'add' && !newTags.includes(action.tag)) {
-          newTags.push(action.tag);
-        } else if (action.type === 'remove') {
-          newTags = newTags.filter(tag => tag !== action.tag);
-        }
-      }
+// Preview a run held for approval from the membership diff it saved. Large
+// runs are previewed for their first APPROVAL_PREVIEW_LIMIT customers.
+async function previewHeldRuleRun(job) {
+  const { ruleName, actions, exitActions, runDate } = job.payload;
+  const { currentIds, entered, exited } = job.checkpoint;
+  const options = { runDate: new Date(runDate || job.createdAt) };
+  
+  const enterSample = actions.length > 0 ? entered.slice(0, APPROVAL_PREVIEW_LIMIT) : [];
+  const exitSample = exitActions.length > 0 ? exited.slice(0, APPROVAL_PREVIEW_LIMIT - enterSample.length) : [];
+  const enterPreview = await previewBulkTags(enterSample, actions, options);
+  const exitPreview = await previewBulkTags(exitSample, exitActions, options);
+  
+  const changes = (actions.length > 0 ? entered.length : 0) + (exitActions.length > 0 ? exited.length : 0);
+  return combineRulePreviews({
+    rule: ruleName,
+    customersProcessed: currentIds ? currentIds.length : entered.length + exited.length,
+    entered: entered.length,
+    exited: exited.length,
+    approval: job.approval,
+    sampled: enterSample.length + exitSample.length < changes
+  }, enterPreview, exitPreview);
+}
 
-      // Update customer with new tags
-      const updateResponse = await fetch(
-        `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customers/${customerId}.json`,
-        {
-          method: 'PUT',
-          headers: {
-            'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            customer: {
-              id: customerId,
-              tags: newTags.join(', ')
-            }
-          }),
-        }
-      );
+// Preview a rule run: the same membership diff and tag changes, without writes
+async function previewTaggingRule(rule) {
+  const { currentIds, entered, exited, previousSize } = await getRuleMembershipChanges(rule);
+  const actions = await resolveTagActions(rule.actions);
+  const exitActions = await resolveTagActions(rule.exitActions || []);
+  
+  const enterPreview = await previewBulkTags(entered, actions);
+  const exitPreview = exitActions.length > 0
+    ? await previewBulkTags(exited, exitActions)
+    : await previewBulkTags([], []);
+  
+  return combineRulePreviews({
+    rule: rule.name,
+    customersProcessed: currentIds.length,
+    entered: entered.length,
+    exited: exited.length,
+    // Set if running the rule now would wait for approval
+    approval: checkRuleRunLimits(resolveRuleLimits(rule, RULE_LIMITS), { entered, exited, previousSize }, actions, exitActions)
+  }, enterPreview, exitPreview);
+}
 
-      if (updateResponse.ok) {
-        results.success++;
-      } else {
-        results.failed++;
-        results.errors.push(`Failed to update customer ${customerId}`);
-      }
-    } catch (error) {
-      results.failed++;
-      results.errors.push(`Error processing customer ${customerId}: ${error.message}`);
+// Apply actions containing tag templates: render them for each customer, then
+// tag the customers that ended up with the same actions together
+async function applyTemplatedTags(customerIds, actions, source, runDate) {
+  const totals = { success: 0, failed: 0, errors: [], failedCustomerIds: [] };
+  const customers = await getCustomersByIds(customerIds);
+  const found = new Set(customers.map(customer => String(customer.id)));
+  
+  for (const customerId of customerIds.map(String)) {
+    if (!found.has(customerId)) {
+      totals.failed++;
+      totals.errors.push(`Failed to update customer ${customerId}: customer not found`);
+      totals.failedCustomerIds.push(customerId);
+    }
+  }
+  
+  const groups = new Map();
+  for (const customer of customers) {
+    const { actions: customerActions } = renderTagActions(actions, customer, { runDate });
+    const key = JSON.stringify(customerActions);
+    if (!groups.has(key)) {
+      groups.set(key, { actions: customerActions, customerIds: [] });
+    }
+    groups.get(key).customerIds.push(String(customer.id));
+  }
+  
+  for (const group of groups.values()) {
+    // Every template was skipped for these customers, so there is nothing to do
+    if (group.actions.length === 0) {
+      totals.success += group.customerIds.length;
+      continue;
     }
+    const result = await applyBulkTags(group.customerIds, group.actions, source);
+    totals.success += result.success;
+    totals.failed += result.failed;
+    totals.errors.push(...result.errors);
+    totals.failedCustomerIds.push(...result.failedCustomerIds);
   }
+  
+  return totals;
+}
 
-  return results;
+// Job handler for bulk tag jobs: tag the next chunk of customers
+async function processBulkTagJob(job) {
+  const { customerIds, actions } = job.payload;
+  const offset = job.checkpoint?.offset || 0;
+  const chunk = customerIds.slice(offset, offset + JOB_CHUNK_SIZE);
+  
+  reportProgress({ phase: 'Tagging customers' });
+  const result = await applyBulkTags(chunk, actions, { sourceType: 'bulk', jobId: job.id, actor: job.actor });
+  
+  return {
+    processed: chunk.length,
+    success: result.success,
+    failed: result.failed,
+    errors: result.errors,
+    checkpoint: { offset: offset + chunk.length },
+    done: offset + chunk.length >= customerIds.length
+  };
 }
 
-async function executeTaggingRule(rule) {
-  try {
-    // Get customers from the trigger segment
-    const customers = await getCustomersBySegment(rule.triggerSegment);
-    const customerIds = customers.map(customer => customer.id);
-    
-    // Apply the rule actions to all customers in the segment
-    const result = await applyBulkTags(customerIds, rule.actions);
+// Patch a rule's membership snapshot: `added` customers are now members,
+// `removed` ones no longer are. A snapshot for another trigger is left alone.
+async function patchRuleSnapshot(rule, { added = [], removed = [] }) {
+  const snapshot = await db.getRuleSnapshot(rule.id);
+  if (!snapshot || snapshot.segmentName !== getRuleTriggerKey(rule)) {
+    return;
+  }
+  
+  const ids = new Set(snapshot.customerIds);
+  added.forEach(id => ids.add(id));
+  removed.forEach(id => ids.delete(id));
+  await db.saveRuleSnapshot(rule.id, snapshot.segmentName, [...ids]);
+}
+
+// Patch the membership snapshot after a retry: customers it tagged on entry
+// are now members, customers it tagged on exit no longer are
+async function applyRetryToSnapshot(rule, checkpoint) {
+  const failedEntered = new Set(checkpoint.failedEntered);
+  const failedExited = new Set(checkpoint.failedExited);
+  await patchRuleSnapshot(rule, {
+    added: checkpoint.entered.filter(id => !failedEntered.has(id)),
+    removed: checkpoint.exited.filter(id => !failedExited.has(id))
+  });
+}
+
+// Job handler for rule runs. The first step diffs segment membership against
+// the last snapshot; later steps apply the enter actions, then the exit
+// actions, a chunk at a time. The new snapshot is only saved once every chunk
+// is done, so a cancelled run is simply picked up again by the next one.
+// A retry skips the diff and works through the customers an earlier run failed on.
+async function processRuleJob(job) {
+  const { ruleId, ruleName, triggerSegment, trigger = null, actions, exitActions, limits = {}, runDate, retry } = job.payload;
+  const rule = { id: ruleId, name: ruleName, triggerSegment, trigger };
+  const checkpoint = job.checkpoint;
+  
+  if (!checkpoint) {
+    const membership = retry
+      ? { currentIds: null, previousSize: null, ...retry }
+      : await getRuleMembershipChanges(rule);
+    const { currentIds, entered, exited } = membership;
+    await db.startRuleRun(job.id, {
+      segmentSize: currentIds?.length,
+      entered: entered.length,
+      exited: exited.length
+    });
+    return {
+      total: (actions.length > 0 ? entered.length : 0) + (exitActions.length > 0 ? exited.length : 0),
+      checkpoint: { phase: 'enter', offset: 0, currentIds, entered, exited, failedEntered: [], failedExited: [] },
+      // Runs over the safety limits wait for approval before tagging anyone.
+      // A retry only covers customers an earlier run already got to.
+      approval: retry ? null : checkRuleRunLimits(limits, membership, actions, exitActions),
+      done: false
+    };
+  }
+  
+  const isEnter = checkpoint.phase === 'enter';
+  const ids = isEnter ? checkpoint.entered : checkpoint.exited;
+  const phaseActions = isEnter ? actions : exitActions;
+  
+  if (phaseActions.length > 0 && checkpoint.offset < ids.length) {
+    const chunk = ids.slice(checkpoint.offset, checkpoint.offset + JOB_CHUNK_SIZE);
+    reportProgress({ phase: isEnter ? 'Tagging customers who entered the segment' : 'Tagging customers who left the segment' });
+    const source = { sourceType: 'rule', sourceId: ruleId, jobId: job.id, actor: job.actor };
+    const result = hasTagTemplates(phaseActions)
+      ? await applyTemplatedTags(chunk, phaseActions, source, new Date(runDate || job.createdAt))
+      : await applyBulkTags(chunk, phaseActions, source);
+    const failedKey = isEnter ? 'failedEntered' : 'failedExited';
     
     return {
-      rule: rule.name,
-      customersProcessed: customerIds.length,
-      ...result
+      processed: chunk.length,
+      success: result.success,
+      failed: result.failed,
+      errors: result.errors,
+      checkpoint: {
+        ...checkpoint,
+        offset: checkpoint.offset + chunk.length,
+        [failedKey]: [...checkpoint[failedKey], ...result.failedCustomerIds]
+      },
+      done: false
     };
-  } catch (error) {
-    console.error('Error executing tagging rule:', error);
-    throw error;
   }
+  
+  if (isEnter) {
+    return { checkpoint: { ...checkpoint, phase: 'exit', offset: 0 }, done: false };
+  }
+  
+  if (retry) {
+    await applyRetryToSnapshot(rule, checkpoint);
+  } else {
+    // Save the new membership. Customers whose actions failed are left in their
+    // previous state so the next run retries them.
+    const failedEntered = new Set(checkpoint.failedEntered);
+    const snapshotIds = [
+      ...checkpoint.currentIds.filter(id => !failedEntered.has(id)),
+      ...checkpoint.failedExited
+    ];
+    await db.saveRuleSnapshot(ruleId, getRuleTriggerKey(rule), snapshotIds);
+  }
+  
+  return {
+    checkpoint,
+    done: true,
+    result: {
+      rule: ruleName,
+      customersProcessed: checkpoint.currentIds ? checkpoint.currentIds.length : checkpoint.entered.length + checkpoint.exited.length,
+      entered: checkpoint.entered.length,
+      exited: checkpoint.exited.length
+    }
+  };
+}
+
+registerJobHandler('bulk', processBulkTagJob);
+// Record how a rule run ended in its run history
+async function recordRuleRunResult(job, status, { error } = {}) {
+  const checkpoint = job.checkpoint || {};
+  await db.finishRuleRun(job.id, {
+    failed: job.progress.failed,
+    failedEntered: checkpoint.failedEntered,
+    failedExited: checkpoint.failedExited,
+    errors: error ? [...job.errors, error] : job.errors
+  });
+}
+
+registerJobHandler('rule', processRuleJob, { onFinish: recordRuleRunResult });
+
+// Undo the tag changes a job made. Changes that a later job has since touched
+// (same customer and tag) are left alone and reported as skipped. The undo
+// itself runs as a 'rollback' job, so it is audited and can be inspected too.
+async function rollbackTagJob(job, actor) {
+  const events = await db.getJobTagEvents(job.id);
+  const skipped = [];
+  const reversals = new Map();
+  
+  for (const event of events) {
+    if (event.superseded) {
+      skipped.push({ customerId: event.customerId, tag: event.tag, action: event.action, reason: 'Changed by a later job' });
+      continue;
+    }
+    const actions = reversals.get(event.customerId) || [];
+    actions.push({ type: event.action === 'add' ? 'remove' : 'add', tag: event.tag });
+    reversals.set(event.customerId, actions);
+  }
+  
+  // applyBulkTags applies one action list to many customers, so group
+  // customers that need the same reversal
+  const groups = new Map();
+  for (const [customerId, actions] of reversals) {
+    const key = JSON.stringify(actions);
+    if (!groups.has(key)) {
+      groups.set(key, { actions, customerIds: [] });
+    }
+    groups.get(key).customerIds.push(customerId);
+  }
+  
+  const result = await runTagJob(
+    { type: 'rollback', sourceId: job.id, actor, actions: [...groups.values()].map(group => group.actions) },
+    async (jobId) => {
+      const totals = { success: 0, failed: 0, errors: [], failedCustomerIds: [] };
+      
+      for (const { actions, customerIds } of groups.values()) {
+        const groupResult = await applyBulkTags(customerIds, actions, {
+          sourceType: 'rollback',
+          sourceId: job.id,
+          jobId,
+          actor
+        });
+        totals.success += groupResult.success;
+        totals.failed += groupResult.failed;
+        totals.errors.push(...groupResult.errors);
+        totals.failedCustomerIds.push(...groupResult.failedCustomerIds);
+      }
+      
+      return {
+        ...totals,
+        rolledBackJobId: job.id,
+        reverted: events.length - skipped.length,
+        skipped
+      };
+    }
+  );
+  
+  // Leave a partly failed rollback open so it can be retried; the changes that
+  // did get reverted now count as superseded and won't be touched again
+  if (result.failed === 0) {
+    await db.markJobRolledBack(job.id, result.jobId);
+  }
+  
+  return result;
 }
 
 // Initialize and start server
@@ -2967,11 +4619,32 @@ async function startServer() {
     // Initialize database
     await initDB();
     
+    // Use the latest store installed through OAuth, if any
+    if (dbInitialized) {
+      await loadInstalledShop();
+    }
+    
+    // Resume interrupted jobs and start processing the job queue
+    if (dbInitialized) {
+      await startJobWorker();
+    } else {
+      console.warn('⚠️  Job queue disabled - background jobs require a database');
+    }
+    
+    // Start running scheduled rules in the background
+    startRuleScheduler();
+    
+    // Keep the local customer mirror in sync with Shopify
+    startCustomerSync();
+    
+    // Remove expiring tags once they are due
+    startTagExpirySweeper();
+    
     // Start the server
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Stanley Tag Manager running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`🏪 Shopify Store: ${process.env.SHOPIFY_STORE_URL || 'Not configured'}`);
+      console.log(`🏪 Shopify Store: ${getShopifyCredentials().storeUrl || 'Not configured'}`);
       console.log(`💾 Database: ${dbInitialized ? '✅ Connected' : '⚠️  In-memory fallback'}`);
     });
   } catch (error) {
@@ -3014,14 +4687,10 @@ app.get('/api/debug/champions', requireAuth, async (req, res) => {
       }
     `;
     
-    const segmentResponse = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const segmentResponse = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: segmentQuery,
           variables: { id: segmentId }
@@ -3056,14 +4725,10 @@ app.get('/api/debug/champions', requireAuth, async (req, res) => {
       }
     `;
     
-    const membersResponse = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const membersResponse = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: membersQuery,
           variables: { id: segmentId, first: 250 }
@@ -3117,14 +4782,10 @@ app.get('/api/test-champions', async (req, res) => {
       }
     `;
     
-    const segmentResponse = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const segmentResponse = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: segmentQuery,
           variables: { id: segmentId }
@@ -3159,14 +4820,10 @@ app.get('/api/test-champions', async (req, res) => {
       }
     `;
     
-    const membersResponse = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/graphql.json`,
+    const membersResponse = await shopifyFetch(
+      '/graphql.json',
       {
         method: 'POST',
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-          'Content-Type': 'application/json',
-        },
         body: JSON.stringify({
           query: membersQuery,
           variables: { id: segmentId, first: 250 }
@@ -3219,14 +4876,7 @@ app.get('/api/debug/segment-customers', requireAuth, async (req, res) => {
     console.log(`📋 Using numeric ID: ${numericId}`);
     
     // Test the direct segment customers endpoint
-    const response = await fetch(
-      `${process.env.SHOPIFY_STORE_URL}/admin/api/2023-10/customer_segments/${numericId}/customers.json?limit=250`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': process.env.SHOPIFY_ACCESS_TOKEN,
-        }
-      }
-    );
+    const response = await shopifyFetch(`/customer_segments/${numericId}/customers.json?limit=250`);
     
     console.log(`📊 Response status: ${response.status}`);
     
@@ -0,0 +1,203 @@
+// Database-backed queue for long-running tagging work. Jobs are enqueued by the
+// API, then a single worker processes them one step (chunk) at a time. After
+// every step the job's progress and checkpoint are saved, so a cancel takes
+// effect between chunks and a job interrupted by a restart resumes from its
+// last checkpoint instead of starting over.
+//
+// A handler is registered per job type and called with the job (including its
+// payload and last checkpoint). It returns one step's outcome:
+//   { checkpoint, total?, processed, success, failed, errors, done, result? }
+// A step may instead return { checkpoint, total?, approval } to hold the job
+// in 'needs_approval' until someone approves it (it then continues from the
+// checkpoint) or rejects it.
+// An optional onFinish(job, status, { error? }) hook is called once the job has
+// completed, been cancelled or failed; the job carries its final progress,
+// checkpoint and errors.
+import * as db from './database.js';
+import { startProgress, updateProgress, finishProgress, runWithProgress } from './progress.js';
+
+const JOB_POLL_INTERVAL = 5 * 1000;
+// Keep the stored error list bounded for jobs that fail on every customer
+const MAX_STORED_ERRORS = 500;
+
+// The database is passed in so tests can use a stand-in
+function createJobQueue({ store = db } = {}) {
+  const handlers = new Map();
+  const finishHooks = new Map();
+  let workerRunning = false;
+  let workerTimer = null;
+
+  function registerJobHandler(type, handler, { onFinish } = {}) {
+    handlers.set(type, handler);
+    if (onFinish) {
+      finishHooks.set(type, onFinish);
+    }
+  }
+
+  // A failing hook is logged; it doesn't change how the job ended
+  async function runFinishHook(job, status, details = {}) {
+    const onFinish = finishHooks.get(job.type);
+    if (!onFinish) return;
+
+    try {
+      await onFinish(job, status, details);
+    } catch (error) {
+      console.error(`❌ Finish hook for ${job.type} job ${job.id} failed:`, error);
+    }
+  }
+
+  async function enqueueJob(job) {
+    const created = await store.createJob({ ...job, status: 'queued' });
+    if (created) {
+      console.log(`📥 Queued ${job.type} job ${job.id}`);
+      setImmediate(runWorker);
+    }
+    return created;
+  }
+
+  async function processJob(job) {
+    const handler = handlers.get(job.type);
+    let { progress, checkpoint, errors } = job;
+
+    console.log(`🏃 Processing ${job.type} job ${job.id}${checkpoint ? ' (resuming from checkpoint)' : ''}`);
+    startProgress(job.id, { ...progress });
+
+    try {
+      for (;;) {
+        const step = await runWithProgress(job.id, () => handler({ ...job, progress, checkpoint, errors }));
+
+        progress = {
+          total: step.total ?? progress.total,
+          processed: progress.processed + (step.processed || 0),
+          success: progress.success + (step.success || 0),
+          failed: progress.failed + (step.failed || 0)
+        };
+        errors = [...errors, ...(step.errors || [])].slice(0, MAX_STORED_ERRORS);
+        checkpoint = step.checkpoint;
+
+        const saved = await store.updateJobProgress(job.id, { progress, checkpoint, errors });
+        updateProgress(job.id, progress);
+
+        if (step.approval) {
+          await store.holdJobForApproval(job.id, step.approval);
+          finishProgress(job.id, 'needs_approval');
+          console.log(`✋ ${job.type} job ${job.id} needs approval: ${step.approval.reason}`);
+          return;
+        }
+
+        if (step.done) {
+          await store.finishJob(job.id, 'completed', { ...step.result, ...progress });
+          await runFinishHook({ ...job, progress, checkpoint, errors }, 'completed');
+          finishProgress(job.id, 'completed');
+          console.log(`✅ ${job.type} job ${job.id} completed: ${progress.success} updated, ${progress.failed} failed`);
+          return;
+        }
+
+        if (saved?.cancelRequested) {
+          await store.finishJob(job.id, 'cancelled', { ...progress });
+          await runFinishHook({ ...job, progress, checkpoint, errors }, 'cancelled');
+          finishProgress(job.id, 'cancelled');
+          console.log(`🛑 ${job.type} job ${job.id} cancelled after ${progress.processed} customers`);
+          return;
+        }
+      }
+    } catch (error) {
+      console.error(`❌ ${job.type} job ${job.id} failed:`, error);
+      await store.finishJob(job.id, 'failed', { ...progress, error: error.message });
+      await runFinishHook({ ...job, progress, checkpoint, errors }, 'failed', { error: error.message });
+      finishProgress(job.id, 'failed', { error: error.message });
+    }
+  }
+
+  // Approve a held job; it goes back in the queue
+  async function approveJob(jobId, actor) {
+    const job = await store.decideJobApproval(jobId, 'approved', actor);
+    if (job) {
+      console.log(`👍 Job ${jobId} approved by ${actor}`);
+      setImmediate(runWorker);
+    }
+    return job;
+  }
+
+  async function rejectJob(jobId, actor) {
+    const job = await store.decideJobApproval(jobId, 'rejected', actor);
+    if (job) {
+      console.log(`👎 Job ${jobId} rejected by ${actor}`);
+      await runFinishHook(job, 'rejected');
+    }
+    return job;
+  }
+
+  // Drain the queue one job at a time; a no-op if the worker is already busy
+  async function runWorker() {
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+      let job;
+      while ((job = await store.claimNextJob([...handlers.keys()]))) {
+        await processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Job worker error:', error);
+    } finally {
+      workerRunning = false;
+    }
+  }
+
+  async function startJobWorker() {
+    const recovered = await store.recoverInterruptedJobs([...handlers.keys()]);
+    if (recovered.requeued > 0 || recovered.cancelled > 0 || recovered.failed > 0) {
+      console.log(`♻️  Recovered interrupted jobs: ${recovered.requeued} resumed, ${recovered.cancelled} cancelled, ${recovered.failed} failed`);
+    }
+
+    if (!workerTimer) {
+      workerTimer = setInterval(runWorker, JOB_POLL_INTERVAL);
+    }
+    runWorker();
+    console.log('🧵 Job worker started');
+  }
+
+  async function cancelJob(jobId) {
+    return store.requestJobCancel(jobId);
+  }
+
+  async function resumeJob(jobId) {
+    const job = await store.requeueJob(jobId);
+    if (job) {
+      setImmediate(runWorker);
+    }
+    return job;
+  }
+
+  return {
+    registerJobHandler,
+    enqueueJob,
+    startJobWorker,
+    cancelJob,
+    resumeJob,
+    approveJob,
+    rejectJob
+  };
+}
+
+const {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  cancelJob,
+  resumeJob,
+  approveJob,
+  rejectJob
+} = createJobQueue();
+
+export {
+  createJobQueue,
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  cancelJob,
+  resumeJob,
+  approveJob,
+  rejectJob
+};
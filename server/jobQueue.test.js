@@ -0,0 +1,198 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from './jobQueue.js';
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worker logging interleaved with the test runner's output can corrupt it
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// In-memory stand-in for the jobs table, with the same status transitions
+function createStore() {
+  const jobs = new Map();
+  const update = (jobId, changes) => {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    Object.assign(job, changes);
+    return structuredClone(job);
+  };
+
+  return {
+    jobs,
+    async createJob(job) {
+      jobs.set(job.id, {
+        ...job,
+        progress: { total: 0, processed: 0, success: 0, failed: 0, ...job.progress },
+        checkpoint: null,
+        errors: [],
+        cancelRequested: false,
+        approval: null
+      });
+      return structuredClone(jobs.get(job.id));
+    },
+    async claimNextJob(types) {
+      const next = [...jobs.values()].find(job => job.status === 'queued' && types.includes(job.type));
+      return next ? update(next.id, { status: 'running' }) : null;
+    },
+    async updateJobProgress(jobId, { progress, checkpoint, errors }) {
+      return update(jobId, { progress, checkpoint, errors });
+    },
+    async holdJobForApproval(jobId, approval) {
+      return update(jobId, { status: 'needs_approval', approval });
+    },
+    async decideJobApproval(jobId, decision, actor) {
+      if (jobs.get(jobId)?.status !== 'needs_approval') return null;
+      return update(jobId, {
+        status: decision === 'approved' ? 'queued' : 'rejected',
+        approval: { ...jobs.get(jobId).approval, decision, decidedBy: actor }
+      });
+    },
+    async finishJob(jobId, status, result) {
+      update(jobId, { status, result });
+      return true;
+    },
+    async requestJobCancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job || !['queued', 'running'].includes(job.status)) return null;
+      return update(jobId, { cancelRequested: true, status: job.status === 'queued' ? 'cancelled' : job.status });
+    },
+    async requeueJob(jobId) {
+      if (!['cancelled', 'failed'].includes(jobs.get(jobId)?.status)) return null;
+      return update(jobId, { status: 'queued', cancelRequested: false });
+    }
+  };
+}
+
+async function waitForStatus(store, jobId, status) {
+  for (let i = 0; i < 200; i++) {
+    if (store.jobs.get(jobId)?.status === status) return store.jobs.get(jobId);
+    await tick(2);
+  }
+  throw new Error(`Job ${jobId} never reached ${status} (is ${store.jobs.get(jobId)?.status})`);
+}
+
+// Tags payload.items two at a time; the checkpoint is the next index
+function chunkHandler(calls, { failOn, onStep } = {}) {
+  return async (job) => {
+    const start = job.checkpoint?.next || 0;
+    calls.push(start);
+    await onStep?.(job, start);
+    if (failOn === start) throw new Error(`Shopify rejected item ${start}`);
+
+    const chunk = job.payload.items.slice(start, start + 2);
+    const next = start + chunk.length;
+    return {
+      checkpoint: { next },
+      total: job.payload.items.length,
+      processed: chunk.length,
+      success: chunk.length,
+      failed: 0,
+      errors: [],
+      done: next >= job.payload.items.length,
+      result: { tagged: next }
+    };
+  };
+}
+
+test('claims queued jobs in order and checkpoints every step until done', async () => {
+  const store = createStore();
+  const queue = createJobQueue({ store });
+  const calls = [];
+  const finished = [];
+  queue.registerJobHandler('bulk', chunkHandler(calls), {
+    onFinish: (job, status) => finished.push([job.id, status, job.checkpoint])
+  });
+
+  await queue.enqueueJob({ id: 'job-1', type: 'bulk', payload: { items: ['a', 'b', 'c', 'd', 'e'] } });
+  await queue.enqueueJob({ id: 'job-2', type: 'bulk', payload: { items: ['f'] } });
+  await waitForStatus(store, 'job-2', 'completed');
+
+  assert.deepEqual(calls, [0, 2, 4, 0]);
+  assert.deepEqual(store.jobs.get('job-1').progress, { total: 5, processed: 5, success: 5, failed: 0 });
+  assert.deepEqual(store.jobs.get('job-1').result, { tagged: 5, total: 5, processed: 5, success: 5, failed: 0 });
+  assert.deepEqual(finished, [['job-1', 'completed', { next: 5 }], ['job-2', 'completed', { next: 1 }]]);
+});
+
+test('a failed job resumes from its last checkpoint', async () => {
+  const store = createStore();
+  const queue = createJobQueue({ store });
+  const calls = [];
+  let failOn = 2;
+  const finished = [];
+  queue.registerJobHandler('bulk', (job) => chunkHandler(calls, { failOn })(job), {
+    onFinish: (job, status, details) => finished.push([status, details.error])
+  });
+
+  await queue.enqueueJob({ id: 'job-1', type: 'bulk', payload: { items: ['a', 'b', 'c', 'd'] } });
+  const failed = await waitForStatus(store, 'job-1', 'failed');
+  assert.equal(failed.result.error, 'Shopify rejected item 2');
+  assert.deepEqual(failed.checkpoint, { next: 2 });
+
+  failOn = null;
+  assert.ok(await queue.resumeJob('job-1'));
+  await waitForStatus(store, 'job-1', 'completed');
+
+  assert.deepEqual(calls, [0, 2, 2]);
+  assert.equal(store.jobs.get('job-1').progress.processed, 4);
+  assert.deepEqual(finished, [['failed', 'Shopify rejected item 2'], ['completed', undefined]]);
+  assert.equal(await queue.resumeJob('job-1'), null);
+});
+
+test('cancelling stops a running job after its current step and drops a queued one', async () => {
+  const store = createStore();
+  const queue = createJobQueue({ store });
+  const calls = [];
+  queue.registerJobHandler('bulk', chunkHandler(calls, {
+    onStep: async (job, start) => {
+      if (job.id === 'job-1' && start === 2) await queue.cancelJob('job-1');
+    }
+  }));
+
+  await queue.enqueueJob({ id: 'job-1', type: 'bulk', payload: { items: ['a', 'b', 'c', 'd', 'e', 'f'] } });
+  await queue.enqueueJob({ id: 'job-2', type: 'bulk', payload: { items: ['g'] } });
+  assert.equal((await queue.cancelJob('job-2')).status, 'cancelled');
+
+  const cancelled = await waitForStatus(store, 'job-1', 'cancelled');
+  assert.deepEqual(calls, [0, 2]);
+  assert.equal(cancelled.progress.processed, 4);
+  assert.deepEqual(cancelled.checkpoint, { next: 4 });
+  assert.equal(store.jobs.get('job-2').status, 'cancelled');
+});
+
+test('holds a job for approval, then continues or rejects it', async () => {
+  const store = createStore();
+  const queue = createJobQueue({ store });
+  const calls = [];
+  const finished = [];
+  const tagItems = chunkHandler(calls);
+  queue.registerJobHandler('rule', async (job) => {
+    if (!job.checkpoint) {
+      calls.push('limits');
+      return { checkpoint: { next: 0, approved: true }, total: job.payload.items.length, approval: { reason: 'Over the change limit' } };
+    }
+    return tagItems(job);
+  }, { onFinish: (job, status) => finished.push([job.id, status]) });
+
+  await queue.enqueueJob({ id: 'job-1', type: 'rule', payload: { items: ['a', 'b', 'c'] } });
+  const held = await waitForStatus(store, 'job-1', 'needs_approval');
+  assert.equal(held.approval.reason, 'Over the change limit');
+
+  await queue.approveJob('job-1', 'admin');
+  await waitForStatus(store, 'job-1', 'completed');
+  assert.deepEqual(calls, ['limits', 0, 2]);
+  assert.equal(store.jobs.get('job-1').approval.decidedBy, 'admin');
+
+  await queue.enqueueJob({ id: 'job-2', type: 'rule', payload: { items: ['d'] } });
+  await waitForStatus(store, 'job-2', 'needs_approval');
+  await queue.rejectJob('job-2', 'admin');
+  assert.equal(store.jobs.get('job-2').status, 'rejected');
+  assert.equal(await queue.approveJob('job-2', 'admin'), null);
+  assert.deepEqual(finished, [['job-1', 'completed'], ['job-2', 'rejected']]);
+});
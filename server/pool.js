@@ -0,0 +1,20 @@
+// Run an async worker over a list with at most `concurrency` calls in flight.
+// Results come back in input order. Rate limiting is left to the Shopify
+// client, so the pool only bounds how many requests are queued against it.
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+}
+
+export { mapWithConcurrency };
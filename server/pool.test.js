@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from './pool.js';
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('never runs more than the given number of workers at once', async () => {
+  let running = 0;
+  let peak = 0;
+
+  await mapWithConcurrency([...Array(10).keys()], 3, async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await tick(5);
+    running--;
+  });
+
+  assert.equal(peak, 3);
+});
+
+test('returns results in input order regardless of completion order', async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 3, async (delay, index) => {
+    await tick(delay);
+    return `${index}:${delay}`;
+  });
+
+  assert.deepEqual(results, ['0:30', '1:10', '2:20']);
+});
+
+test('handles an empty list and a concurrency below one', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  assert.deepEqual(await mapWithConcurrency([1, 2], 0, async (n) => n * 2), [2, 4]);
+});
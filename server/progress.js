@@ -0,0 +1,144 @@
+// Live progress for long-running work, streamed to the UI over Server-Sent
+// Events (GET /api/jobs/:id/events). Work runs inside runWithProgress(id, fn);
+// code further down the call stack (page fetches, job steps) reports through
+// reportProgress()/reportPageFetched() without a tracker being passed around.
+//
+// A snapshot looks like:
+//   { id, status, phase, total, processed, success, failed,
+//     expected, fetched, pagesFetched, etaSeconds, updatedAt }
+// where total/processed count customers being tagged and expected/fetched
+// count records being read from Shopify in the current phase.
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+
+// Keep finished snapshots around so a client that connects late still gets the outcome
+const FINISHED_RETENTION_MS = 5 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const trackers = new Map();
+const storage = new AsyncLocalStorage();
+
+function getEtaSeconds(tracker) {
+  const { snapshot } = tracker;
+  const now = Date.now();
+
+  // Tagging progress, measured from when this process started the work (a
+  // resumed job's earlier progress doesn't count towards the rate)
+  const done = snapshot.processed - tracker.baseProcessed;
+  if (snapshot.total > 0 && done > 0) {
+    const remaining = snapshot.total - snapshot.processed;
+    return remaining > 0 ? Math.round(((now - tracker.startedAt) / 1000 / done) * remaining) : 0;
+  }
+
+  if (snapshot.expected > 0 && snapshot.fetched > 0) {
+    const remaining = snapshot.expected - snapshot.fetched;
+    return remaining > 0 ? Math.round(((now - tracker.phaseStartedAt) / 1000 / snapshot.fetched) * remaining) : 0;
+  }
+
+  return null;
+}
+
+function getProgress(id) {
+  const tracker = trackers.get(id);
+  if (!tracker) return null;
+  return { ...tracker.snapshot, etaSeconds: tracker.snapshot.status === 'running' ? getEtaSeconds(tracker) : null };
+}
+
+function emit(id) {
+  emitter.emit(id, getProgress(id));
+}
+
+function startProgress(id, initial = {}) {
+  const existing = trackers.get(id);
+  if (existing?.cleanupTimer) {
+    clearTimeout(existing.cleanupTimer);
+  }
+
+  const snapshot = {
+    id,
+    status: 'running',
+    phase: null,
+    total: 0,
+    processed: 0,
+    success: 0,
+    failed: 0,
+    expected: 0,
+    fetched: 0,
+    pagesFetched: 0,
+    ...initial,
+    updatedAt: new Date().toISOString()
+  };
+
+  trackers.set(id, {
+    snapshot,
+    startedAt: Date.now(),
+    phaseStartedAt: Date.now(),
+    baseProcessed: snapshot.processed,
+    cleanupTimer: null
+  });
+  emit(id);
+}
+
+function updateProgress(id, changes) {
+  const tracker = trackers.get(id);
+  if (!tracker) return;
+
+  // A new phase starts its own fetch count and rate
+  if (changes.phase && changes.phase !== tracker.snapshot.phase) {
+    tracker.phaseStartedAt = Date.now();
+    tracker.snapshot = { ...tracker.snapshot, expected: 0, fetched: 0 };
+  }
+
+  tracker.snapshot = { ...tracker.snapshot, ...changes, updatedAt: new Date().toISOString() };
+  emit(id);
+}
+
+function finishProgress(id, status, changes = {}) {
+  const tracker = trackers.get(id);
+  if (!tracker) return;
+
+  updateProgress(id, { ...changes, status });
+  tracker.cleanupTimer = setTimeout(() => trackers.delete(id), FINISHED_RETENTION_MS);
+  tracker.cleanupTimer.unref?.();
+}
+
+function runWithProgress(id, fn) {
+  return storage.run(id, fn);
+}
+
+// Report progress for whatever work is running in the current async context
+function reportProgress(changes) {
+  const id = storage.getStore();
+  if (id) {
+    updateProgress(id, changes);
+  }
+}
+
+function reportPageFetched(itemCount) {
+  const id = storage.getStore();
+  const tracker = id && trackers.get(id);
+  if (!tracker) return;
+
+  updateProgress(id, {
+    pagesFetched: tracker.snapshot.pagesFetched + 1,
+    fetched: tracker.snapshot.fetched + itemCount
+  });
+}
+
+// Call listener with every snapshot for the given id; returns an unsubscribe function
+function subscribeToProgress(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+export {
+  startProgress,
+  updateProgress,
+  finishProgress,
+  getProgress,
+  runWithProgress,
+  reportProgress,
+  reportPageFetched,
+  subscribeToProgress
+};
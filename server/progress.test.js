@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  startProgress,
+  updateProgress,
+  finishProgress,
+  getProgress,
+  runWithProgress,
+  reportProgress,
+  reportPageFetched,
+  subscribeToProgress
+} from './progress.js';
+
+test('reports page fetches to the tracker of the current async context', async () => {
+  startProgress('ctx-a');
+  startProgress('ctx-b');
+
+  await Promise.all([
+    runWithProgress('ctx-a', async () => {
+      reportProgress({ phase: 'Reading segment members', expected: 500 });
+      await new Promise(resolve => setImmediate(resolve));
+      reportPageFetched(250);
+      reportPageFetched(250);
+    }),
+    runWithProgress('ctx-b', async () => {
+      reportPageFetched(10);
+    })
+  ]);
+
+  assert.equal(getProgress('ctx-a').pagesFetched, 2);
+  assert.equal(getProgress('ctx-a').fetched, 500);
+  assert.equal(getProgress('ctx-b').pagesFetched, 1);
+  assert.equal(getProgress('ctx-b').fetched, 10);
+});
+
+test('reporting outside a tracked context is a no-op', () => {
+  assert.doesNotThrow(() => {
+    reportProgress({ phase: 'Fetching customers' });
+    reportPageFetched(50);
+  });
+});
+
+test('a new phase resets the fetch counters', () => {
+  startProgress('phases');
+  runWithProgress('phases', () => {
+    reportProgress({ phase: 'Reading segment members', expected: 300 });
+    reportPageFetched(300);
+    reportProgress({ phase: 'Loading customer details', expected: 300 });
+  });
+
+  const snapshot = getProgress('phases');
+  assert.equal(snapshot.phase, 'Loading customer details');
+  assert.equal(snapshot.fetched, 0);
+  assert.equal(snapshot.expected, 300);
+  assert.equal(snapshot.pagesFetched, 1);
+});
+
+test('estimates time remaining from the tagging rate', () => {
+  startProgress('eta', { total: 1000, processed: 0 });
+  updateProgress('eta', { processed: 250 });
+
+  const { etaSeconds } = getProgress('eta');
+  assert.equal(typeof etaSeconds, 'number');
+  assert.ok(etaSeconds >= 0);
+
+  finishProgress('eta', 'completed');
+  assert.equal(getProgress('eta').etaSeconds, null);
+});
+
+test('has no estimate before anything has been processed', () => {
+  startProgress('no-eta', { total: 1000 });
+  assert.equal(getProgress('no-eta').etaSeconds, null);
+});
+
+test('subscribers receive updates until they unsubscribe', () => {
+  const statuses = [];
+  const unsubscribe = subscribeToProgress('subscribed', snapshot => statuses.push(snapshot.status));
+
+  startProgress('subscribed');
+  updateProgress('subscribed', { processed: 1 });
+  finishProgress('subscribed', 'cancelled');
+  unsubscribe();
+  startProgress('subscribed');
+
+  assert.deepEqual(statuses, ['running', 'running', 'cancelled']);
+});
@@ -0,0 +1,212 @@
+// Rule bundles: rules and tag groups exported from one store to be imported
+// into another (e.g. staging to production). Stores don't share IDs, so
+// everything is matched by name: rules and groups by their own names, segments
+// by segment name, and set_tier actions name their group instead of its ID:
+//   { type: 'set_tier', group: 'Loyalty', tag: 'VIP' }
+// A bundle is JSON or YAML:
+//   { format: 'tag-manager/rules', version: 1, exportedAt, tagGroups: [{ name, tags }],
+//     rules: [{ name, isActive, triggerSegment, trigger, actions, exitActions,
+//               schedule, priority, maxChanges, maxChangePercent }] }
+import YAML from 'yaml';
+import { getRuleDefinition } from './ruleVersions.js';
+import { TagGroupError, normalizeTagGroup } from './tagGroups.js';
+import { normalizeTrigger, getTriggerSegments } from './ruleTrigger.js';
+
+class RuleBundleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleBundleError';
+  }
+}
+
+const BUNDLE_FORMAT = 'tag-manager/rules';
+const BUNDLE_VERSION = 1;
+
+// What to do with a bundled rule or group whose name is already taken
+const CONFLICT_MODES = ['skip', 'overwrite', 'rename'];
+
+const nameKey = name => String(name).trim().toLowerCase();
+
+function createRuleBundle({ rules, tagGroups, exportedAt = new Date() }) {
+  const toBundleActions = actions => (actions || []).map(action => {
+    if (action.type !== 'set_tier') return action;
+
+    const group = tagGroups.find(candidate => candidate.id === action.groupId);
+    if (!group) {
+      throw new RuleBundleError(`Tag group "${action.groupId}" does not exist`);
+    }
+    const bundled = { ...action, group: group.name };
+    delete bundled.groupId;
+    return bundled;
+  });
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    tagGroups: tagGroups.map(group => ({ name: group.name, tags: group.tags })),
+    rules: rules.map(rule => {
+      const definition = getRuleDefinition(rule);
+      return {
+        ...definition,
+        actions: toBundleActions(definition.actions),
+        exitActions: toBundleActions(definition.exitActions)
+      };
+    })
+  };
+}
+
+function serializeRuleBundle(bundle, format = 'yaml') {
+  return format === 'json' ? JSON.stringify(bundle, null, 2) : YAML.stringify(bundle);
+}
+
+// Parse and check a bundle, given as JSON or YAML text or as an object. Rule
+// definitions are only checked for shape here; the importer validates them
+// like any other saved rule.
+function parseRuleBundle(input) {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      // YAML is a superset of JSON, so this reads both
+      bundle = YAML.parse(input);
+    } catch (error) {
+      throw new RuleBundleError(`Bundle is not valid JSON or YAML: ${error.message}`);
+    }
+  }
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new RuleBundleError(`Not a rule bundle (expected format "${BUNDLE_FORMAT}")`);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new RuleBundleError(`Invalid bundle version: ${bundle.version}`);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new RuleBundleError(`Bundle version ${bundle.version} is newer than this app supports (${BUNDLE_VERSION})`);
+  }
+
+  const tagGroups = (bundle.tagGroups || []).map((group, index) => {
+    try {
+      return normalizeTagGroup(group);
+    } catch (error) {
+      if (error instanceof TagGroupError) {
+        throw new RuleBundleError(`Tag group ${index + 1}: ${error.message}`);
+      }
+      throw error;
+    }
+  });
+
+  if (!Array.isArray(bundle.rules) || bundle.rules.length === 0) {
+    throw new RuleBundleError('Bundle has no rules');
+  }
+  const rules = bundle.rules.map((rule, index) => {
+    const name = typeof rule?.name === 'string' ? rule.name.trim() : '';
+    if (!name) {
+      throw new RuleBundleError(`Rule ${index + 1}: name is required`);
+    }
+    if (!Array.isArray(rule.actions) || (rule.exitActions && !Array.isArray(rule.exitActions))) {
+      throw new RuleBundleError(`Rule "${name}": actions must be an array`);
+    }
+    return { ...getRuleDefinition(rule), name, isActive: rule.isActive !== false };
+  });
+
+  for (const [label, items] of [['tag group', tagGroups], ['rule', rules]]) {
+    const seen = new Set();
+    for (const item of items) {
+      if (seen.has(nameKey(item.name))) {
+        throw new RuleBundleError(`The bundle has more than one ${label} named "${item.name}"`);
+      }
+      seen.add(nameKey(item.name));
+    }
+  }
+
+  return { version: bundle.version, exportedAt: bundle.exportedAt || null, tagGroups, rules };
+}
+
+// "Name (2)", "Name (3)", ... whichever is free first
+function getUniqueName(name, takenNames) {
+  const taken = new Set(takenNames.map(nameKey));
+  let suffix = 2;
+  while (taken.has(nameKey(`${name} (${suffix})`))) suffix++;
+  return `${name} (${suffix})`;
+}
+
+// The segments a rule's trigger needs. A malformed trigger names none; saving
+// the rule reports it.
+function getRuleSegments(rule) {
+  if (!rule.trigger) return rule.triggerSegment ? [rule.triggerSegment] : [];
+  try {
+    return getTriggerSegments(normalizeTrigger(rule.trigger));
+  } catch {
+    return [];
+  }
+}
+
+// Decide what importing a bundle does to each of its groups and rules, given
+// what is already in the store. Each entry gets an action: create, skip,
+// overwrite (existingId is replaced) or rename (created as newName). Groups
+// identical to an existing one are unchanged whatever the conflict mode.
+function planRuleImport(bundle, { rules, tagGroups, segmentNames, conflict }) {
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new RuleBundleError(`Invalid conflict mode "${conflict}" (expected ${CONFLICT_MODES.join(', ')})`);
+  }
+
+  const planEntries = (items, existingItems, isUnchanged) => {
+    const takenNames = [...existingItems.map(item => item.name), ...items.map(item => item.name)];
+    return items.map(item => {
+      const existing = existingItems.find(candidate => nameKey(candidate.name) === nameKey(item.name));
+      if (!existing) return { item, action: 'create' };
+      if (isUnchanged(item, existing)) return { item, action: 'unchanged', existingId: existing.id };
+      if (conflict === 'rename') {
+        const newName = getUniqueName(item.name, takenNames);
+        takenNames.push(newName);
+        return { item, action: 'rename', newName };
+      }
+      return { item, action: conflict, existingId: existing.id };
+    });
+  };
+
+  const groupPlan = planEntries(bundle.tagGroups, tagGroups,
+    (group, existing) => group.tags.join('\n') === existing.tags.join('\n'));
+  const rulePlan = planEntries(bundle.rules, rules, () => false);
+
+  const knownSegments = new Set(segmentNames);
+  const missingSegments = new Set();
+
+  return {
+    tagGroups: groupPlan.map(({ item, ...entry }) => ({ ...entry, name: item.name, group: item })),
+    rules: rulePlan.map(({ item, ...entry }) => {
+      const ruleMissing = getRuleSegments(item).filter(segment => !knownSegments.has(segment));
+      if (entry.action !== 'skip') ruleMissing.forEach(segment => missingSegments.add(segment));
+      return { ...entry, name: item.name, rule: item, missingSegments: ruleMissing };
+    }),
+    missingSegments: [...missingSegments]
+  };
+}
+
+// Turn a bundled rule's set_tier actions back into group IDs. groups lists
+// { name, id } by the names the bundle uses; the first match wins.
+function resolveBundleActions(actions, tagGroups) {
+  return (actions || []).map(action => {
+    if (action.type !== 'set_tier') return action;
+
+    const group = tagGroups.find(candidate => nameKey(candidate.name) === nameKey(action.group || ''));
+    if (!group) {
+      throw new RuleBundleError(`Tag group "${action.group}" is not in the bundle or this store`);
+    }
+    const resolved = { ...action, groupId: group.id };
+    delete resolved.group;
+    return resolved;
+  });
+}
+
+export {
+  RuleBundleError,
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  CONFLICT_MODES,
+  createRuleBundle,
+  serializeRuleBundle,
+  parseRuleBundle,
+  planRuleImport,
+  resolveBundleActions
+};
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RuleBundleError,
+  createRuleBundle,
+  serializeRuleBundle,
+  parseRuleBundle,
+  planRuleImport,
+  resolveBundleActions
+} from './ruleBundles.js';
+
+const loyalty = { id: 'group-1', name: 'Loyalty', tags: ['Member', 'VIP', 'VVIP'] };
+
+const vipRule = {
+  id: 'rule-1',
+  name: 'VIP tier',
+  isActive: true,
+  triggerSegment: 'Champions',
+  actions: [{ type: 'set_tier', groupId: 'group-1', tag: 'VIP' }],
+  schedule: '0 3 * * *',
+  lastRunAt: '2024-06-01T00:00:00Z'
+};
+
+test('exports rules with groups by name and round-trips through YAML and JSON', () => {
+  const bundle = createRuleBundle({ rules: [vipRule], tagGroups: [loyalty], exportedAt: new Date('2024-07-01T00:00:00Z') });
+
+  assert.equal(bundle.exportedAt, '2024-07-01T00:00:00.000Z');
+  assert.deepEqual(bundle.rules[0].actions, [{ type: 'set_tier', tag: 'VIP', group: 'Loyalty' }]);
+  assert.equal(bundle.rules[0].schedule, '0 3 * * *');
+  assert.equal('lastRunAt' in bundle.rules[0], false);
+
+  for (const format of ['yaml', 'json']) {
+    const parsed = parseRuleBundle(serializeRuleBundle(bundle, format));
+    assert.deepEqual(parsed.tagGroups, [{ name: 'Loyalty', tags: ['Member', 'VIP', 'VVIP'] }]);
+    assert.deepEqual(parsed.rules, bundle.rules);
+  }
+});
+
+test('rejects text that is not a usable bundle', () => {
+  assert.throws(() => parseRuleBundle('rules: ['), /not valid JSON or YAML/);
+  assert.throws(() => parseRuleBundle({ rules: [] }), RuleBundleError);
+  assert.throws(() => parseRuleBundle({ format: 'tag-manager/rules', version: 2, rules: [] }), /newer/);
+  assert.throws(
+    () => parseRuleBundle({ format: 'tag-manager/rules', version: 1, rules: [{ name: 'A', actions: [] }, { name: 'a', actions: [] }] }),
+    /more than one rule named "a"/
+  );
+});
+
+test('plans conflicts by name and reports missing segments', () => {
+  const bundle = parseRuleBundle({
+    format: 'tag-manager/rules',
+    version: 1,
+    tagGroups: [{ name: 'loyalty', tags: ['Member', 'VIP', 'VVIP'] }],
+    rules: [
+      { name: 'VIP tier', triggerSegment: 'Champions', actions: [{ type: 'set_tier', group: 'Loyalty', tag: 'VIP' }] },
+      { name: 'Lapsed', trigger: { type: 'and', conditions: [{ type: 'segment', segment: 'At Risk' }, { type: 'tag', tag: 'VIP' }] }, actions: [] }
+    ]
+  });
+  const store = { rules: [vipRule], tagGroups: [loyalty], segmentNames: ['Champions'] };
+
+  const skip = planRuleImport(bundle, { ...store, conflict: 'skip' });
+  assert.deepEqual(skip.tagGroups.map(entry => entry.action), ['unchanged']);
+  assert.deepEqual(skip.rules.map(entry => entry.action), ['skip', 'create']);
+  assert.deepEqual(skip.rules[1].missingSegments, ['At Risk']);
+  assert.deepEqual(skip.missingSegments, ['At Risk']);
+
+  assert.equal(planRuleImport(bundle, { ...store, conflict: 'overwrite' }).rules[0].existingId, 'rule-1');
+
+  const rename = planRuleImport(bundle, { ...store, rules: [vipRule, { ...vipRule, id: 'rule-2', name: 'VIP tier (2)' }], conflict: 'rename' });
+  assert.equal(rename.rules[0].newName, 'VIP tier (3)');
+
+  assert.throws(() => planRuleImport(bundle, { ...store, conflict: 'merge' }), /Invalid conflict mode/);
+});
+
+test('resolves set_tier groups to IDs', () => {
+  assert.deepEqual(
+    resolveBundleActions([{ type: 'set_tier', group: 'loyalty', tag: 'VIP' }, { type: 'add', tag: 'x' }], [loyalty]),
+    [{ type: 'set_tier', tag: 'VIP', groupId: 'group-1' }, { type: 'add', tag: 'x' }]
+  );
+  assert.throws(() => resolveBundleActions([{ type: 'set_tier', group: 'Tiers', tag: 'A' }], [loyalty]), /"Tiers"/);
+});
@@ -0,0 +1,123 @@
+// Conflict analysis and execution order for tagging rules.
+//
+// Two active rules conflict when one adds a tag the other removes in the same
+// phase (both on enter, or both on exit) and their trigger segments can hold
+// the same customers. Which rule "wins" then depends on which runs last, so
+// rules that run together are ordered by priority: lowest first, so the
+// highest-priority rule's changes are applied last and stick. Ties are broken
+// by creation time and then ID, which keeps the order deterministic.
+import { expandTagActions } from './tagGroups.js';
+import { getRuleTriggerKey } from './ruleTrigger.js';
+
+function getRulePriority(rule) {
+  return Number.isFinite(rule.priority) ? rule.priority : 0;
+}
+
+function compareRuleExecutionOrder(a, b) {
+  const byPriority = getRulePriority(a) - getRulePriority(b);
+  if (byPriority !== 0) return byPriority;
+
+  const byCreated = new Date(a.createdAt || 0).getTime() - new Date(b.createdAt || 0).getTime();
+  if (byCreated !== 0) return byCreated;
+
+  return String(a.id).localeCompare(String(b.id));
+}
+
+function sortRulesForExecution(rules) {
+  return [...rules].sort(compareRuleExecutionOrder);
+}
+
+// Net tag changes of an action list: the last action for a tag wins
+function getNetChanges(actions, groups) {
+  const changes = new Map();
+  for (const action of expandTagActions(actions || [], groups)) {
+    if (action.tag) {
+      changes.set(action.tag, action.type);
+    }
+  }
+  return changes;
+}
+
+// How far two rules' triggers overlap, from the membership recorded on each
+// rule's last run
+function getTriggerOverlap(a, b, snapshots) {
+  const keyA = getRuleTriggerKey(a);
+  const keyB = getRuleTriggerKey(b);
+  if (keyA === keyB) {
+    return { status: 'same-segment', customers: null };
+  }
+
+  const snapshotA = snapshots.get(a.id);
+  const snapshotB = snapshots.get(b.id);
+  if (snapshotA?.segmentName !== keyA || snapshotB?.segmentName !== keyB) {
+    return { status: 'unknown', customers: null };
+  }
+
+  const membersA = new Set(snapshotA.customerIds.map(String));
+  const shared = snapshotB.customerIds.filter(id => membersA.has(String(id))).length;
+  return { status: shared > 0 ? 'overlapping' : 'disjoint', customers: shared };
+}
+
+// Find pairs of active rules with contradictory actions on overlapping
+// triggers. `snapshots` maps rule ID -> { segmentName, customerIds }.
+function analyzeRuleConflicts(rules, { groups = [], snapshots = new Map() } = {}) {
+  const active = sortRulesForExecution(rules.filter(rule => rule.isActive));
+  const changes = new Map(active.map(rule => [rule.id, {
+    enter: getNetChanges(rule.actions, groups),
+    exit: getNetChanges(rule.exitActions, groups)
+  }]));
+  const conflicts = [];
+
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      // active is in execution order, so `later` runs after `earlier` and wins
+      const earlier = active[i];
+      const later = active[j];
+      const tags = [];
+
+      for (const phase of ['enter', 'exit']) {
+        const earlierChanges = changes.get(earlier.id)[phase];
+        const laterChanges = changes.get(later.id)[phase];
+        for (const [tag, type] of earlierChanges) {
+          const otherType = laterChanges.get(tag);
+          if (otherType && otherType !== type) {
+            tags.push({
+              tag,
+              phase,
+              addedBy: type === 'add' ? earlier.id : later.id,
+              removedBy: type === 'remove' ? earlier.id : later.id
+            });
+          }
+        }
+      }
+
+      if (tags.length === 0) continue;
+
+      const overlap = getTriggerOverlap(earlier, later, snapshots);
+      if (overlap.status === 'disjoint') continue;
+
+      conflicts.push({
+        rules: [earlier, later].map(rule => ({
+          id: rule.id,
+          name: rule.name,
+          triggerSegment: rule.triggerSegment,
+          priority: getRulePriority(rule)
+        })),
+        tags,
+        overlap,
+        // Equal priorities still run in a fixed order, but that order is
+        // probably not a deliberate choice
+        samePriority: getRulePriority(earlier) === getRulePriority(later),
+        winnerId: later.id
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+export {
+  getRulePriority,
+  sortRulesForExecution,
+  analyzeRuleConflicts
+};
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortRulesForExecution, analyzeRuleConflicts } from './ruleConflicts.js';
+
+const rule = (id, overrides = {}) => ({
+  id,
+  name: id,
+  isActive: true,
+  triggerSegment: 'VIP Customers',
+  actions: [],
+  exitActions: [],
+  priority: 0,
+  createdAt: '2024-01-01T00:00:00Z',
+  ...overrides
+});
+
+test('orders rules by priority, then creation time, then id', () => {
+  const rules = [
+    rule('c', { priority: 5 }),
+    rule('b', { createdAt: '2024-02-01T00:00:00Z' }),
+    rule('a', { createdAt: '2024-02-01T00:00:00Z' }),
+    rule('d', { priority: -1 })
+  ];
+
+  assert.deepEqual(sortRulesForExecution(rules).map(r => r.id), ['d', 'a', 'b', 'c']);
+});
+
+test('flags rules that add and remove the same tag on the same segment', () => {
+  const rules = [
+    rule('adds-vip', { actions: [{ type: 'add', tag: 'VIP' }], priority: 10 }),
+    rule('removes-vip', { actions: [{ type: 'remove', tag: 'VIP' }] })
+  ];
+
+  const [conflict] = analyzeRuleConflicts(rules);
+
+  assert.deepEqual(conflict.rules.map(r => r.id), ['removes-vip', 'adds-vip']);
+  assert.deepEqual(conflict.tags, [{ tag: 'VIP', phase: 'enter', addedBy: 'adds-vip', removedBy: 'removes-vip' }]);
+  assert.equal(conflict.overlap.status, 'same-segment');
+  assert.equal(conflict.winnerId, 'adds-vip');
+  assert.equal(conflict.samePriority, false);
+});
+
+test('ignores inactive rules, agreeing rules and different phases', () => {
+  const rules = [
+    rule('adds', { actions: [{ type: 'add', tag: 'VIP' }] }),
+    rule('also-adds', { actions: [{ type: 'add', tag: 'VIP' }] }),
+    rule('removes-on-exit', { exitActions: [{ type: 'remove', tag: 'VIP' }] }),
+    rule('inactive', { isActive: false, actions: [{ type: 'remove', tag: 'VIP' }] })
+  ];
+
+  assert.deepEqual(analyzeRuleConflicts(rules), []);
+});
+
+test('uses segment snapshots to skip rules whose segments do not overlap', () => {
+  const rules = [
+    rule('a', { triggerSegment: 'Gold', actions: [{ type: 'add', tag: 'Promo' }] }),
+    rule('b', { triggerSegment: 'Silver', actions: [{ type: 'remove', tag: 'Promo' }] }),
+    rule('c', { triggerSegment: 'Bronze', actions: [{ type: 'remove', tag: 'Promo' }] })
+  ];
+  const snapshots = new Map([
+    ['a', { segmentName: 'Gold', customerIds: ['1', '2'] }],
+    ['b', { segmentName: 'Silver', customerIds: ['3'] }],
+    ['c', { segmentName: 'Bronze', customerIds: ['2', '4'] }]
+  ]);
+
+  const conflicts = analyzeRuleConflicts(rules, { snapshots });
+
+  assert.equal(conflicts.length, 1);
+  assert.deepEqual(conflicts[0].rules.map(r => r.id), ['a', 'c']);
+  assert.deepEqual(conflicts[0].overlap, { status: 'overlapping', customers: 1 });
+});
+
+test('reports unknown overlap when a rule has not run yet', () => {
+  const rules = [
+    rule('a', { triggerSegment: 'Gold', actions: [{ type: 'add', tag: 'Promo' }] }),
+    rule('b', { triggerSegment: 'Silver', actions: [{ type: 'remove', tag: 'Promo' }] })
+  ];
+
+  const [conflict] = analyzeRuleConflicts(rules);
+  assert.deepEqual(conflict.overlap, { status: 'unknown', customers: null });
+});
+
+test('rules setting different tiers of a tag group conflict', () => {
+  const groups = [{ id: 'loyalty', name: 'Loyalty', tags: ['Member', 'VIP'] }];
+  const rules = [
+    rule('member', { actions: [{ type: 'set_tier', groupId: 'loyalty', tag: 'Member' }] }),
+    rule('vip', { actions: [{ type: 'set_tier', groupId: 'loyalty', tag: 'VIP' }] })
+  ];
+
+  const [conflict] = analyzeRuleConflicts(rules, { groups });
+  assert.deepEqual(conflict.tags.map(t => t.tag).sort(), ['Member', 'VIP']);
+});
@@ -0,0 +1,73 @@
+// Safety limits for rule runs. A run that would tag more customers than its
+// limits allow is held for approval instead of writing anything:
+//   maxChanges         most customers one run may tag
+//   maxChangePercent   most customers one run may tag, as a percentage of the
+//                      customers that matched the trigger on the previous run
+// A rule's own limit replaces the global one (RULE_MAX_CHANGES and
+// RULE_MAX_CHANGE_PERCENT). A limit left empty in both places is off.
+
+class RuleLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleLimitError';
+  }
+}
+
+const isUnset = value => value === undefined || value === null || value === '';
+
+function parseLimit(value, label, { integer }) {
+  if (isUnset(value)) return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+    throw new RuleLimitError(`${label} must be a positive ${integer ? 'whole number' : 'number'} (got ${value})`);
+  }
+  return number;
+}
+
+// The limits set on a rule (or the global settings), null where unset
+function normalizeRuleLimits({ maxChanges, maxChangePercent } = {}) {
+  return {
+    maxChanges: parseLimit(maxChanges, 'Maximum customers changed', { integer: true }),
+    maxChangePercent: parseLimit(maxChangePercent, 'Maximum change percentage', { integer: false })
+  };
+}
+
+function resolveRuleLimits(rule, globalLimits = {}) {
+  return {
+    maxChanges: rule.maxChanges ?? globalLimits.maxChanges ?? null,
+    maxChangePercent: rule.maxChangePercent ?? globalLimits.maxChangePercent ?? null
+  };
+}
+
+// Check a run that would tag `changes` customers against its limits. The
+// percentage is only checked when there was a previous run to compare with.
+// Returns null if the run may go ahead, otherwise why it needs approval.
+function checkRuleLimits({ changes, previousSize = null }, limits) {
+  const changePercent = previousSize > 0 ? Math.round((changes / previousSize) * 1000) / 10 : null;
+  const reasons = [];
+
+  if (limits.maxChanges !== null && limits.maxChanges !== undefined && changes > limits.maxChanges) {
+    reasons.push(`would change ${changes} customers (limit ${limits.maxChanges})`);
+  }
+  if (limits.maxChangePercent !== null && limits.maxChangePercent !== undefined &&
+    changePercent !== null && changePercent > limits.maxChangePercent) {
+    reasons.push(`would change ${changePercent}% of the ${previousSize} customers matched last run (limit ${limits.maxChangePercent}%)`);
+  }
+
+  if (reasons.length === 0) return null;
+  return {
+    reason: `Run ${reasons.join(' and ')}`,
+    changes,
+    previousSize,
+    changePercent,
+    limits
+  };
+}
+
+export {
+  RuleLimitError,
+  normalizeRuleLimits,
+  resolveRuleLimits,
+  checkRuleLimits
+};
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RuleLimitError,
+  normalizeRuleLimits,
+  resolveRuleLimits,
+  checkRuleLimits
+} from './ruleLimits.js';
+
+test('normalizes limits, treating empty values as unset', () => {
+  assert.deepEqual(normalizeRuleLimits({}), { maxChanges: null, maxChangePercent: null });
+  assert.deepEqual(normalizeRuleLimits({ maxChanges: '500', maxChangePercent: '' }), { maxChanges: 500, maxChangePercent: null });
+  assert.deepEqual(normalizeRuleLimits({ maxChangePercent: 12.5 }), { maxChanges: null, maxChangePercent: 12.5 });
+});
+
+test('rejects invalid limits', () => {
+  assert.throws(() => normalizeRuleLimits({ maxChanges: 0 }), RuleLimitError);
+  assert.throws(() => normalizeRuleLimits({ maxChanges: 2.5 }), /whole number/);
+  assert.throws(() => normalizeRuleLimits({ maxChangePercent: 'lots' }), RuleLimitError);
+});
+
+test("a rule's own limits replace the global ones", () => {
+  const global = { maxChanges: 1000, maxChangePercent: 20 };
+  assert.deepEqual(resolveRuleLimits({ maxChanges: 50000, maxChangePercent: null }, global), { maxChanges: 50000, maxChangePercent: 20 });
+  assert.deepEqual(resolveRuleLimits({}, {}), { maxChanges: null, maxChangePercent: null });
+});
+
+test('holds runs that exceed a limit', () => {
+  const limits = { maxChanges: 1000, maxChangePercent: 25 };
+
+  assert.equal(checkRuleLimits({ changes: 1000, previousSize: 4000 }, limits), null);
+  assert.equal(checkRuleLimits({ changes: 5, previousSize: null }, { maxChanges: null, maxChangePercent: 10 }), null);
+
+  const held = checkRuleLimits({ changes: 1200, previousSize: 4000 }, limits);
+  assert.equal(held.changePercent, 30);
+  assert.match(held.reason, /1200 customers \(limit 1000\) and .*30% of the 4000/);
+
+  assert.match(checkRuleLimits({ changes: 40000, previousSize: null }, limits).reason, /limit 1000\)$/);
+});
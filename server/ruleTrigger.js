@@ -0,0 +1,205 @@
+// Compound rule triggers. A rule either has a plain `triggerSegment` or a
+// `trigger` expression stored as JSON, built from:
+//   { type: 'and' | 'or', conditions: [...] }
+//   { type: 'not', condition }
+//   { type: 'segment', segment: 'Champions' }       member of a Shopify segment
+//   { type: 'tag', tag: 'wholesale' }               currently has the tag
+//   { type: 'field', field: 'total_spent', operator: '>', value: 1000 }
+// e.g. "in Champions AND NOT tagged wholesale":
+//   { type: 'and', conditions: [
+//     { type: 'segment', segment: 'Champions' },
+//     { type: 'not', condition: { type: 'tag', tag: 'wholesale' } }
+//   ] }
+// Field conditions use the same fields and comparison rules as segment
+// queries (see segmentQuery.js).
+import crypto from 'crypto';
+import { evaluateSegmentQuery, resolveSegmentQueryField } from './segmentQuery.js';
+
+class RuleTriggerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleTriggerError';
+  }
+}
+
+const MAX_TRIGGER_DEPTH = 5;
+const FIELD_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'CONTAINS', 'NOT CONTAINS'];
+const RELATIVE_DATE = /^-(\d+)([dwmy])$/i;
+
+const splitTags = (tags) =>
+  Array.isArray(tags) ? tags : (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+const requireText = (value, message) => {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) {
+    throw new RuleTriggerError(message);
+  }
+  return text;
+};
+
+// Check a trigger expression and return it in canonical form (only the known
+// keys, trimmed values, canonical field names, no single-condition groups)
+function normalizeTrigger(trigger, depth = 0) {
+  if (!trigger || typeof trigger !== 'object') {
+    throw new RuleTriggerError('Trigger condition must be an object');
+  }
+  if (depth > MAX_TRIGGER_DEPTH) {
+    throw new RuleTriggerError(`Trigger conditions can be nested at most ${MAX_TRIGGER_DEPTH} levels deep`);
+  }
+
+  switch (trigger.type) {
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(trigger.conditions) || trigger.conditions.length === 0) {
+        throw new RuleTriggerError(`An ${trigger.type.toUpperCase()} group needs at least one condition`);
+      }
+      const conditions = trigger.conditions.map(condition => normalizeTrigger(condition, depth + 1));
+      // A group of one is just that condition
+      return conditions.length === 1 ? conditions[0] : { type: trigger.type, conditions };
+    }
+
+    case 'not':
+      return { type: 'not', condition: normalizeTrigger(trigger.condition, depth + 1) };
+
+    case 'segment':
+      return { type: 'segment', segment: requireText(trigger.segment, 'Segment conditions need a segment') };
+
+    case 'tag':
+      return { type: 'tag', tag: requireText(trigger.tag, 'Tag conditions need a tag') };
+
+    case 'field': {
+      const resolved = resolveSegmentQueryField(trigger.field);
+      if (!resolved) {
+        throw new RuleTriggerError(`Unknown customer field "${trigger.field}"`);
+      }
+      if (!FIELD_OPERATORS.includes(trigger.operator)) {
+        throw new RuleTriggerError(`Unknown operator "${trigger.operator}"`);
+      }
+      if (trigger.value === undefined || trigger.value === null || trigger.value === '') {
+        throw new RuleTriggerError(`Field condition on "${trigger.field}" needs a value`);
+      }
+      if (resolved.type === 'number' && !Number.isFinite(Number(trigger.value))) {
+        throw new RuleTriggerError(`"${trigger.field}" must be compared with a number`);
+      }
+      return { type: 'field', field: resolved.field, operator: trigger.operator, value: trigger.value };
+    }
+
+    default:
+      throw new RuleTriggerError(`Unknown trigger condition type "${trigger.type}"`);
+  }
+}
+
+// Every segment the trigger refers to
+function getTriggerSegments(trigger) {
+  switch (trigger.type) {
+    case 'and':
+    case 'or':
+      return [...new Set(trigger.conditions.flatMap(getTriggerSegments))];
+    case 'not':
+      return getTriggerSegments(trigger.condition);
+    case 'segment':
+      return [trigger.segment];
+    default:
+      return [];
+  }
+}
+
+// Whether every matching customer must be in at least one of the trigger's
+// segments, in which case only those segments' members need to be checked
+function requiresSegmentMembership(trigger) {
+  switch (trigger.type) {
+    case 'and':
+      return trigger.conditions.some(requiresSegmentMembership);
+    case 'or':
+      return trigger.conditions.every(requiresSegmentMembership);
+    case 'segment':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function toQueryValue(fieldType, value) {
+  if (fieldType === 'number') {
+    return { type: 'number', value: Number(value) };
+  }
+  if (fieldType === 'boolean') {
+    return { type: 'boolean', value: value === true || String(value).toLowerCase() === 'true' };
+  }
+  const relative = fieldType === 'date' && String(value).match(RELATIVE_DATE);
+  if (relative) {
+    return { type: 'relative_date', amount: parseInt(relative[1], 10), unit: relative[2].toLowerCase() };
+  }
+  return { type: 'string', value: String(value) };
+}
+
+// `segmentMembers` maps segment name -> Set of customer IDs (as strings)
+function evaluateTrigger(trigger, customer, { segmentMembers = new Map(), now = new Date() } = {}) {
+  const evaluate = (condition) => evaluateTrigger(condition, customer, { segmentMembers, now });
+
+  switch (trigger.type) {
+    case 'and':
+      return trigger.conditions.every(evaluate);
+    case 'or':
+      return trigger.conditions.some(evaluate);
+    case 'not':
+      return !evaluate(trigger.condition);
+    case 'segment':
+      return segmentMembers.get(trigger.segment)?.has(String(customer.id)) || false;
+    case 'tag': {
+      const tag = trigger.tag.toLowerCase();
+      return splitTags(customer.tags).some(customerTag => customerTag.toLowerCase() === tag);
+    }
+    case 'field': {
+      const { type } = resolveSegmentQueryField(trigger.field);
+      return evaluateSegmentQuery(
+        { type: 'comparison', field: trigger.field, operator: trigger.operator, value: toQueryValue(type, trigger.value) },
+        customer,
+        { now }
+      );
+    }
+    default:
+      throw new RuleTriggerError(`Unknown trigger condition type "${trigger.type}"`);
+  }
+}
+
+// Human-readable form, e.g. `"Champions" AND NOT tagged "wholesale"`
+function describeTrigger(trigger, nested = false) {
+  switch (trigger.type) {
+    case 'and':
+    case 'or': {
+      const text = trigger.conditions.map(condition => describeTrigger(condition, true)).join(` ${trigger.type.toUpperCase()} `);
+      return nested && trigger.conditions.length > 1 ? `(${text})` : text;
+    }
+    case 'not':
+      return `NOT ${describeTrigger(trigger.condition, true)}`;
+    case 'segment':
+      return `"${trigger.segment}"`;
+    case 'tag':
+      return `tagged "${trigger.tag}"`;
+    case 'field':
+      return `${trigger.field} ${trigger.operator} ${typeof trigger.value === 'number' ? trigger.value : `"${trigger.value}"`}`;
+    default:
+      return '';
+  }
+}
+
+// Identifies what a rule's membership snapshot was taken for, so editing the
+// trigger starts membership tracking afresh
+function getRuleTriggerKey(rule) {
+  if (!rule.trigger) {
+    return rule.triggerSegment;
+  }
+  const hash = crypto.createHash('sha256').update(JSON.stringify(rule.trigger)).digest('hex').slice(0, 16);
+  return `trigger:${hash}`;
+}
+
+export {
+  RuleTriggerError,
+  normalizeTrigger,
+  getTriggerSegments,
+  requiresSegmentMembership,
+  evaluateTrigger,
+  describeTrigger,
+  getRuleTriggerKey
+};
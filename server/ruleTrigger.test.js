@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RuleTriggerError,
+  normalizeTrigger,
+  getTriggerSegments,
+  requiresSegmentMembership,
+  evaluateTrigger,
+  describeTrigger,
+  getRuleTriggerKey
+} from './ruleTrigger.js';
+
+const championsNotWholesale = {
+  type: 'and',
+  conditions: [
+    { type: 'segment', segment: 'Champions' },
+    { type: 'not', condition: { type: 'tag', tag: 'wholesale' } }
+  ]
+};
+
+const vipOrBigSpender = {
+  type: 'or',
+  conditions: [
+    { type: 'segment', segment: 'VIP' },
+    { type: 'field', field: 'amount_spent', operator: '>', value: 1000 }
+  ]
+};
+
+const segmentMembers = new Map([
+  ['Champions', new Set(['1', '2'])],
+  ['VIP', new Set(['3'])]
+]);
+
+test('evaluates segment membership combined with tags', () => {
+  const trigger = normalizeTrigger(championsNotWholesale);
+
+  assert.equal(evaluateTrigger(trigger, { id: 1, tags: 'Newsletter' }, { segmentMembers }), true);
+  assert.equal(evaluateTrigger(trigger, { id: 2, tags: 'Newsletter, Wholesale' }, { segmentMembers }), false);
+  assert.equal(evaluateTrigger(trigger, { id: 3, tags: '' }, { segmentMembers }), false);
+});
+
+test('evaluates customer fields using segment query fields', () => {
+  const trigger = normalizeTrigger(vipOrBigSpender);
+
+  assert.equal(trigger.conditions[1].field, 'total_spent');
+  assert.equal(evaluateTrigger(trigger, { id: 3, total_spent: '10.00' }, { segmentMembers }), true);
+  assert.equal(evaluateTrigger(trigger, { id: 4, total_spent: '1500.00' }, { segmentMembers }), true);
+  assert.equal(evaluateTrigger(trigger, { id: 5, total_spent: '999.99' }, { segmentMembers }), false);
+
+  const recent = normalizeTrigger({ type: 'field', field: 'last_order_date', operator: '>=', value: '-30d' });
+  const now = new Date('2024-06-30T12:00:00Z');
+  assert.equal(evaluateTrigger(recent, { id: 1, last_order_date: '2024-06-20T00:00:00Z' }, { now }), true);
+  assert.equal(evaluateTrigger(recent, { id: 1, last_order_date: '2024-04-01T00:00:00Z' }, { now }), false);
+});
+
+test('rejects malformed triggers and simplifies single-condition groups', () => {
+  assert.throws(() => normalizeTrigger({ type: 'and', conditions: [] }), RuleTriggerError);
+  assert.deepEqual(
+    normalizeTrigger({ type: 'or', conditions: [{ type: 'segment', segment: ' VIP ' }] }),
+    { type: 'segment', segment: 'VIP' }
+  );
+  assert.throws(() => normalizeTrigger({ type: 'segment', segment: '  ' }), /need a segment/);
+  assert.throws(() => normalizeTrigger({ type: 'field', field: 'shoe_size', operator: '=', value: 9 }), /Unknown customer field/);
+  assert.throws(() => normalizeTrigger({ type: 'field', field: 'total_spent', operator: '~', value: 9 }), /Unknown operator/);
+  assert.throws(() => normalizeTrigger({ type: 'field', field: 'total_spent', operator: '>', value: 'lots' }), /with a number/);
+  assert.throws(() => normalizeTrigger({ type: 'xor' }), /Unknown trigger condition type/);
+
+  let deep = { type: 'tag', tag: 'VIP' };
+  for (let i = 0; i < 6; i++) {
+    deep = { type: 'not', condition: deep };
+  }
+  assert.throws(() => normalizeTrigger(deep), /nested at most/);
+});
+
+test('finds referenced segments and whether membership is required', () => {
+  assert.deepEqual(getTriggerSegments(vipOrBigSpender), ['VIP']);
+  assert.equal(requiresSegmentMembership(championsNotWholesale), true);
+  assert.equal(requiresSegmentMembership(vipOrBigSpender), false);
+  assert.equal(requiresSegmentMembership({ type: 'not', condition: { type: 'segment', segment: 'VIP' } }), false);
+});
+
+test('describes triggers and keys snapshots by trigger', () => {
+  assert.equal(describeTrigger(championsNotWholesale), '"Champions" AND NOT tagged "wholesale"');
+  assert.equal(
+    describeTrigger({ type: 'and', conditions: [vipOrBigSpender, { type: 'tag', tag: 'Newsletter' }] }),
+    '("VIP" OR amount_spent > 1000) AND tagged "Newsletter"'
+  );
+
+  assert.equal(getRuleTriggerKey({ triggerSegment: 'VIP', trigger: null }), 'VIP');
+  const key = getRuleTriggerKey({ triggerSegment: 'x', trigger: championsNotWholesale });
+  assert.match(key, /^trigger:[0-9a-f]{16}$/);
+  assert.notEqual(key, getRuleTriggerKey({ triggerSegment: 'x', trigger: vipOrBigSpender }));
+});
@@ -0,0 +1,60 @@
+// Rule versions. Every save of a rule stores an immutable copy of its
+// definition: the fields below, but not run bookkeeping such as lastRunAt.
+// Versions are numbered per rule from 1.
+
+const VERSIONED_FIELDS = [
+  'name',
+  'isActive',
+  'triggerSegment',
+  'trigger',
+  'actions',
+  'exitActions',
+  'schedule',
+  'priority',
+  'maxChanges',
+  'maxChangePercent'
+];
+
+const DEFAULTS = {
+  trigger: null,
+  exitActions: [],
+  schedule: null,
+  priority: 0,
+  maxChanges: null,
+  maxChangePercent: null
+};
+
+function getRuleDefinition(rule) {
+  const definition = {};
+  for (const field of VERSIONED_FIELDS) {
+    definition[field] = rule[field] ?? DEFAULTS[field] ?? null;
+  }
+  return definition;
+}
+
+// JSON with object keys sorted, so values read back from JSONB (which
+// reorders keys) compare equal to the originals
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// The fields that differ between two definitions, in VERSIONED_FIELDS order
+function diffRuleDefinitions(before, after) {
+  const from = getRuleDefinition(before);
+  const to = getRuleDefinition(after);
+  return VERSIONED_FIELDS
+    .filter(field => stableStringify(from[field]) !== stableStringify(to[field]))
+    .map(field => ({ field, before: from[field], after: to[field] }));
+}
+
+export {
+  VERSIONED_FIELDS,
+  getRuleDefinition,
+  diffRuleDefinitions
+};
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRuleDefinition, diffRuleDefinitions } from './ruleVersions.js';
+
+const rule = {
+  id: 'rule-1',
+  name: 'VIP',
+  isActive: true,
+  triggerSegment: 'Champions',
+  actions: [{ type: 'add', tag: 'VIP' }],
+  lastRunAt: '2024-06-01T00:00:00Z',
+  createdAt: '2024-01-01T00:00:00Z'
+};
+
+test('keeps only the versioned fields, with defaults', () => {
+  assert.deepEqual(getRuleDefinition(rule), {
+    name: 'VIP',
+    isActive: true,
+    triggerSegment: 'Champions',
+    trigger: null,
+    actions: [{ type: 'add', tag: 'VIP' }],
+    exitActions: [],
+    schedule: null,
+    priority: 0,
+    maxChanges: null,
+    maxChangePercent: null
+  });
+});
+
+test('lists the fields that changed', () => {
+  const edited = {
+    ...rule,
+    actions: [{ type: 'add', tag: 'VIP' }, { type: 'remove', tag: 'Regular' }],
+    schedule: '0 3 * * *',
+    lastRunAt: '2024-07-01T00:00:00Z'
+  };
+
+  assert.deepEqual(diffRuleDefinitions(rule, edited), [
+    { field: 'actions', before: rule.actions, after: edited.actions },
+    { field: 'schedule', before: null, after: '0 3 * * *' }
+  ]);
+});
+
+test('ignores key order and missing defaults', () => {
+  const reordered = { ...rule, actions: [{ tag: 'VIP', type: 'add' }], exitActions: [], priority: 0 };
+  assert.deepEqual(diffRuleDefinitions(rule, reordered), []);
+});
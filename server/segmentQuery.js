@@ -0,0 +1,450 @@
+// Parser and local evaluator for Shopify segment queries (see
+// SHOPIFY_SEGMENT_CRITERIA.md), e.g.
+//   customer_tags CONTAINS 'VIP' AND (orders_count >= 5 OR total_spent > 500)
+//   customer_created_at > -30d AND customer_country = 'SG'
+// parseSegmentQuery() turns a query into an AST; evaluateSegmentQuery() runs
+// that AST against a REST-shaped customer record.
+
+class SegmentQueryError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} (at position ${position})`);
+    this.name = 'SegmentQueryError';
+    this.position = position;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getDefaultAddress = (customer) =>
+  customer.default_address || (customer.addresses || [])[0] || {};
+
+const getAddressValues = (customer, key) => {
+  const addresses = customer.addresses?.length ? customer.addresses : [getDefaultAddress(customer)];
+  return addresses.flatMap(address => [address[key], address[`${key}_code`]]).filter(Boolean);
+};
+
+const splitTags = (tags) =>
+  Array.isArray(tags) ? tags : (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Field name -> value type and how to read it from a customer record.
+// List fields match when any of their values match.
+const FIELDS = {
+  customer_email_domain: {
+    type: 'string',
+    get: customer => (customer.email || '').split('@')[1] || null
+  },
+  customer_email: { type: 'string', get: customer => customer.email || null },
+  customer_tags: { type: 'list', get: customer => splitTags(customer.tags) },
+  customer_first_name: { type: 'string', get: customer => customer.first_name || null },
+  customer_last_name: { type: 'string', get: customer => customer.last_name || null },
+  customer_phone: { type: 'string', get: customer => customer.phone || null },
+  customer_created_at: { type: 'date', get: customer => customer.created_at || null },
+  customer_updated_at: { type: 'date', get: customer => customer.updated_at || null },
+  orders_count: { type: 'number', get: customer => customer.orders_count ?? null },
+  total_spent: { type: 'number', get: customer => customer.total_spent ?? null },
+  average_order_value: {
+    type: 'number',
+    get: customer => customer.orders_count > 0
+      ? Number(customer.total_spent || 0) / Number(customer.orders_count)
+      : null
+  },
+  last_order_date: { type: 'date', get: customer => customer.last_order_date || null },
+  first_order_date: { type: 'date', get: customer => customer.first_order_date || null },
+  rfm_group: { type: 'string', get: customer => customer.rfm_group || null },
+  customer_country: { type: 'list', get: customer => getAddressValues(customer, 'country') },
+  customer_province: { type: 'list', get: customer => getAddressValues(customer, 'province') },
+  customer_city: { type: 'list', get: customer => getAddressValues(customer, 'city') },
+  customer_zip: { type: 'list', get: customer => getAddressValues(customer, 'zip') },
+  accepted_marketing: {
+    type: 'boolean',
+    get: customer => customer.email_marketing_consent
+      ? customer.email_marketing_consent.state === 'subscribed'
+      : (customer.accepts_marketing ?? null)
+  },
+  marketing_opt_in_level: {
+    type: 'string',
+    get: customer => customer.email_marketing_consent?.opt_in_level ||
+      customer.marketing_opt_in_level || null
+  },
+  customer_state: { type: 'string', get: customer => customer.state || null },
+  customer_verified_email: { type: 'boolean', get: customer => customer.verified_email ?? null }
+};
+
+// Names Shopify uses in its own segment editor for the same fields
+const FIELD_ALIASES = {
+  email_domain: 'customer_email_domain',
+  customer_added_date: 'customer_created_at',
+  number_of_orders: 'orders_count',
+  amount_spent: 'total_spent',
+  customer_countries: 'customer_country',
+  customer_regions: 'customer_province',
+  customer_cities: 'customer_city',
+  email_subscription_status: 'accepted_marketing',
+  customer_account_status: 'customer_state'
+};
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'CONTAINS', 'BETWEEN', 'IS', 'NULL', 'TRUE', 'FALSE']);
+const COMPARISON_OPERATORS = new Set(['=', '!=', '>', '>=', '<', '<=']);
+const RELATIVE_DATE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < query.length && query[i] !== char) {
+        if (query[i] === '\\' && i + 1 < query.length) {
+          i++;
+        }
+        value += query[i];
+        i++;
+      }
+      if (i >= query.length) {
+        throw new SegmentQueryError('Unterminated string', start);
+      }
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const operator = query.slice(i).match(/^(>=|<=|!=|<>|=|>|<)/);
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator[1] === '<>' ? '!=' : operator[1], position: i });
+      i += operator[1].length;
+      continue;
+    }
+
+    const relativeDate = query.slice(i).match(/^-(\d+)([dwmy])\b/i);
+    if (relativeDate) {
+      tokens.push({
+        type: 'relative_date',
+        amount: parseInt(relativeDate[1], 10),
+        unit: relativeDate[2].toLowerCase(),
+        position: i
+      });
+      i += relativeDate[0].length;
+      continue;
+    }
+
+    const number = query.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = query.slice(i).match(/^[A-Za-z_][\w.]*/);
+    if (word) {
+      const upper = word[0].toUpperCase();
+      tokens.push(KEYWORDS.has(upper)
+        ? { type: 'keyword', value: upper, position: i }
+        : { type: 'identifier', value: word[0], position: i });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new SegmentQueryError(`Unexpected character "${char}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: query.length });
+  return tokens;
+}
+
+// Recursive descent parser. Precedence, lowest first: OR, AND, NOT, comparison.
+function parseSegmentQuery(query) {
+  if (typeof query !== 'string' || !query.trim()) {
+    throw new SegmentQueryError('Segment query is empty');
+  }
+
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isKeyword = (value) => peek().type === 'keyword' && peek().value === value;
+
+  const expect = (type, value) => {
+    const token = next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new SegmentQueryError(`Expected ${value || type}`, token.position);
+    }
+    return token;
+  };
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isKeyword('OR')) {
+      next();
+      left = { type: 'or', left, right: parseAnd() };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (isKeyword('AND')) {
+      next();
+      left = { type: 'and', left, right: parseNot() };
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'not', expression: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    if (peek().type === '(') {
+      next();
+      const expression = parseOr();
+      expect(')');
+      return expression;
+    }
+    return parseCondition();
+  }
+
+  function parseValue() {
+    const token = next();
+    switch (token.type) {
+      case 'string':
+        return { type: 'string', value: token.value };
+      case 'number':
+        return { type: 'number', value: token.value };
+      case 'relative_date':
+        return { type: 'relative_date', amount: token.amount, unit: token.unit };
+      case 'keyword':
+        if (token.value === 'TRUE' || token.value === 'FALSE') {
+          return { type: 'boolean', value: token.value === 'TRUE' };
+        }
+        break;
+      case 'identifier': {
+        const name = token.value.toLowerCase();
+        if (name === 'today' || name === 'yesterday') {
+          return { type: 'relative_date', amount: name === 'today' ? 0 : 1, unit: 'd' };
+        }
+        // Bare enum values such as rfm_group = CHAMPIONS
+        return { type: 'string', value: token.value };
+      }
+    }
+    throw new SegmentQueryError('Expected a value', token.position);
+  }
+
+  function parseCondition() {
+    const fieldToken = expect('identifier');
+    const name = fieldToken.value.toLowerCase();
+    const field = FIELD_ALIASES[name] || name;
+
+    if (!FIELDS[field]) {
+      throw new SegmentQueryError(`Unknown field "${fieldToken.value}"`, fieldToken.position);
+    }
+
+    if (isKeyword('IS')) {
+      next();
+      const negated = isKeyword('NOT');
+      if (negated) next();
+      expect('keyword', 'NULL');
+      return { type: 'null_check', field, negated };
+    }
+
+    const negated = isKeyword('NOT');
+    if (negated) next();
+
+    if (isKeyword('CONTAINS')) {
+      next();
+      return { type: 'comparison', field, operator: negated ? 'NOT CONTAINS' : 'CONTAINS', value: parseValue() };
+    }
+
+    if (isKeyword('BETWEEN')) {
+      next();
+      const min = parseValue();
+      expect('keyword', 'AND');
+      const max = parseValue();
+      return { type: 'between', field, min, max, negated };
+    }
+
+    if (negated) {
+      throw new SegmentQueryError('Expected CONTAINS or BETWEEN after NOT', peek().position);
+    }
+
+    const operatorToken = next();
+    if (operatorToken.type !== 'operator' || !COMPARISON_OPERATORS.has(operatorToken.value)) {
+      throw new SegmentQueryError('Expected a comparison operator', operatorToken.position);
+    }
+
+    return { type: 'comparison', field, operator: operatorToken.value, value: parseValue() };
+  }
+
+  const ast = parseOr();
+  if (peek().type !== 'end') {
+    throw new SegmentQueryError(`Unexpected "${peek().value || peek().type}"`, peek().position);
+  }
+  return ast;
+}
+
+function resolveDate(value, now) {
+  if (value.type === 'relative_date') {
+    const date = new Date(now.getTime() - value.amount * RELATIVE_DATE_UNITS[value.unit] * DAY_MS);
+    date.setUTCHours(0, 0, 0, 0);
+    return date;
+  }
+  const date = new Date(value.value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Convert a literal to something comparable with the field's values
+function resolveValue(fieldType, value, now) {
+  switch (fieldType) {
+    case 'number':
+      return Number(value.value);
+    case 'date':
+      return resolveDate(value, now)?.getTime() ?? null;
+    case 'boolean':
+      if (value.type === 'boolean') return value.value;
+      return ['true', 'subscribed', 'yes'].includes(String(value.value).toLowerCase());
+    default:
+      return String(value.value).toLowerCase();
+  }
+}
+
+function normalizeFieldValue(fieldType, raw) {
+  if (raw === null || raw === undefined || raw === '') return null;
+  switch (fieldType) {
+    case 'number': {
+      const number = Number(raw);
+      return Number.isNaN(number) ? null : number;
+    }
+    case 'date': {
+      const time = new Date(raw).getTime();
+      return Number.isNaN(time) ? null : time;
+    }
+    case 'boolean':
+      return Boolean(raw);
+    default:
+      return String(raw).toLowerCase();
+  }
+}
+
+// Dates compare by UTC calendar day, whatever the server's time zone: = and
+// <= (and the top of a BETWEEN) take in the whole day, > starts after it
+const toUtcDay = time => Math.floor(time / DAY_MS);
+
+function compare(fieldType, actual, operator, expected) {
+  if (fieldType === 'date') {
+    return compare('number', toUtcDay(actual), operator, toUtcDay(expected));
+  }
+
+  switch (operator) {
+    case '=':
+      return actual === expected;
+    case '!=':
+      return !compare(fieldType, actual, '=', expected);
+    case '>':
+      return actual > expected;
+    case '>=':
+      return actual >= expected;
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case 'CONTAINS':
+      return typeof actual === 'string' && actual.includes(expected);
+    default:
+      return false;
+  }
+}
+
+function evaluateSegmentQuery(ast, customer, { now = new Date() } = {}) {
+  switch (ast.type) {
+    case 'and':
+      return evaluateSegmentQuery(ast.left, customer, { now }) && evaluateSegmentQuery(ast.right, customer, { now });
+    case 'or':
+      return evaluateSegmentQuery(ast.left, customer, { now }) || evaluateSegmentQuery(ast.right, customer, { now });
+    case 'not':
+      return !evaluateSegmentQuery(ast.expression, customer, { now });
+  }
+
+  const field = FIELDS[ast.field];
+  const raw = field.get(customer);
+  const isList = field.type === 'list';
+  const valueType = isList ? 'string' : field.type;
+  const values = (isList ? raw : [raw])
+    .map(value => normalizeFieldValue(valueType, value))
+    .filter(value => value !== null);
+
+  switch (ast.type) {
+    case 'null_check':
+      return ast.negated ? values.length > 0 : values.length === 0;
+
+    case 'between': {
+      const min = resolveValue(valueType, ast.min, now);
+      const max = resolveValue(valueType, ast.max, now);
+      const inRange = values.some(value =>
+        compare(valueType, value, '>=', min) && compare(valueType, value, '<=', max));
+      return ast.negated ? !inRange : inRange;
+    }
+
+    case 'comparison': {
+      const expected = resolveValue(valueType, ast.value, now);
+      if (expected === null) return false;
+
+      // For list fields CONTAINS means "has this value"; on strings it's a substring match
+      if (ast.operator === 'CONTAINS' || ast.operator === 'NOT CONTAINS') {
+        const contains = isList
+          ? values.includes(expected)
+          : values.some(value => compare(valueType, value, 'CONTAINS', expected));
+        return ast.operator === 'CONTAINS' ? contains : !contains;
+      }
+
+      // Exactly the negation of =, including for list fields
+      if (ast.operator === '!=') {
+        return !values.some(value => compare(valueType, value, '=', expected));
+      }
+
+      return values.some(value => compare(valueType, value, ast.operator, expected));
+    }
+
+    default:
+      throw new SegmentQueryError(`Unknown node type "${ast.type}"`);
+  }
+}
+
+// Canonical name and value type of a field (accepting Shopify's aliases), or
+// null for an unknown field
+function resolveSegmentQueryField(name) {
+  const key = String(name || '').toLowerCase();
+  const field = FIELD_ALIASES[key] || key;
+  return FIELDS[field] ? { field, type: FIELDS[field].type } : null;
+}
+
+function matchesSegmentQuery(query, customer, options) {
+  return evaluateSegmentQuery(parseSegmentQuery(query), customer, options);
+}
+
+export {
+  SegmentQueryError,
+  parseSegmentQuery,
+  evaluateSegmentQuery,
+  matchesSegmentQuery,
+  resolveSegmentQueryField
+};
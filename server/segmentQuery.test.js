@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SegmentQueryError,
+  parseSegmentQuery,
+  evaluateSegmentQuery,
+  matchesSegmentQuery
+} from './segmentQuery.js';
+
+const now = new Date('2024-06-30T12:00:00Z');
+
+const customer = {
+  id: 7000000001,
+  email: 'jane@example.com',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  tags: 'VIP, Newsletter',
+  orders_count: 6,
+  total_spent: '742.50',
+  created_at: '2024-06-10T09:00:00Z',
+  state: 'enabled',
+  verified_email: true,
+  email_marketing_consent: { state: 'subscribed', opt_in_level: 'single_opt_in' },
+  addresses: [{ city: 'Singapore', country: 'Singapore', country_code: 'SG', zip: '018956' }]
+};
+
+const matches = (query, record = customer) => matchesSegmentQuery(query, record, { now });
+
+test('parses boolean operators with AND binding tighter than OR', () => {
+  const ast = parseSegmentQuery("customer_tags CONTAINS 'VIP' OR orders_count > 5 AND total_spent >= 100");
+
+  assert.equal(ast.type, 'or');
+  assert.equal(ast.left.type, 'comparison');
+  assert.equal(ast.right.type, 'and');
+});
+
+test('parses parentheses, NOT, BETWEEN and relative dates', () => {
+  const ast = parseSegmentQuery('NOT (customer_created_at > -30d) AND orders_count BETWEEN 1 AND 5');
+
+  assert.equal(ast.type, 'and');
+  assert.equal(ast.left.type, 'not');
+  assert.deepEqual(ast.left.expression.value, { type: 'relative_date', amount: 30, unit: 'd' });
+  assert.deepEqual(ast.right, {
+    type: 'between',
+    field: 'orders_count',
+    min: { type: 'number', value: 1 },
+    max: { type: 'number', value: 5 },
+    negated: false
+  });
+});
+
+test('maps Shopify field aliases to canonical fields', () => {
+  const ast = parseSegmentQuery("number_of_orders >= 2 AND email_domain = 'example.com'");
+
+  assert.equal(ast.left.field, 'orders_count');
+  assert.equal(ast.right.field, 'customer_email_domain');
+});
+
+test('rejects unknown fields and malformed queries with a position', () => {
+  assert.throws(() => parseSegmentQuery("favourite_colour = 'blue'"), SegmentQueryError);
+  assert.throws(() => parseSegmentQuery('orders_count >'), /Expected a value/);
+  assert.throws(() => parseSegmentQuery("(orders_count > 1"), /Expected \)/);
+  assert.throws(() => parseSegmentQuery("customer_tags CONTAINS 'VIP"), /Unterminated string/);
+  assert.throws(() => parseSegmentQuery(''), /empty/);
+});
+
+test('evaluates string, list and numeric comparisons', () => {
+  assert.equal(matches("customer_email_domain = 'EXAMPLE.com'"), true);
+  assert.equal(matches("customer_tags CONTAINS 'vip'"), true);
+  assert.equal(matches("customer_tags NOT CONTAINS 'Wholesale'"), true);
+  assert.equal(matches("customer_first_name CONTAINS 'an'"), true);
+  assert.equal(matches('orders_count > 5 AND total_spent < 1000'), true);
+  assert.equal(matches('total_spent BETWEEN 100 AND 500'), false);
+  assert.equal(matches('total_spent NOT BETWEEN 100 AND 500'), true);
+});
+
+test('evaluates AND/OR/NOT combinations', () => {
+  assert.equal(matches("customer_tags CONTAINS 'Wholesale' OR (orders_count >= 5 AND NOT customer_state = 'disabled')"), true);
+  assert.equal(matches("customer_tags CONTAINS 'Wholesale' OR orders_count < 2"), false);
+});
+
+test('evaluates relative and absolute dates against the given clock', () => {
+  assert.equal(matches('customer_created_at > -30d'), true);
+  assert.equal(matches('customer_created_at > -7d'), false);
+  assert.equal(matches("customer_created_at BETWEEN '2024-06-01' AND '2024-06-15'"), true);
+  assert.equal(matches("customer_created_at = '2024-06-10'"), true);
+  assert.equal(matches("customer_created_at != '2024-06-10'"), false);
+  assert.equal(matches("customer_created_at != '2024-06-11'"), true);
+});
+
+test('compares dates by UTC day whatever the server time zone', () => {
+  const clock = { now: new Date('2026-10-19T10:00:00Z') };
+  const createdThisMorning = { ...customer, created_at: '2026-10-19T09:00:00Z' };
+  const createdYesterday = { ...customer, created_at: '2026-10-18T23:30:00Z' };
+  const timeZone = process.env.TZ;
+
+  try {
+    for (const zone of ['UTC', 'Asia/Singapore', 'America/Los_Angeles']) {
+      process.env.TZ = zone;
+      const check = (query, record) => matchesSegmentQuery(query, record, clock);
+
+      assert.equal(check('customer_created_at = today', createdThisMorning), true, zone);
+      assert.equal(check('customer_created_at <= today', createdThisMorning), true, zone);
+      assert.equal(check('customer_created_at BETWEEN -7d AND today', createdThisMorning), true, zone);
+      assert.equal(check('customer_created_at > yesterday', createdThisMorning), true, zone);
+      assert.equal(check('customer_created_at = yesterday', createdYesterday), true, zone);
+      assert.equal(check('customer_created_at < today', createdYesterday), true, zone);
+      assert.equal(check('customer_created_at > yesterday', createdYesterday), false, zone);
+      assert.equal(check("customer_created_at <= '2026-10-18'", createdYesterday), true, zone);
+    }
+  } finally {
+    if (timeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = timeZone;
+  }
+});
+
+test('evaluates geographic and marketing fields', () => {
+  assert.equal(matches("customer_country = 'SG'"), true);
+  assert.equal(matches("customer_city = 'Singapore' AND customer_zip CONTAINS '018956'"), true);
+  assert.equal(matches('accepted_marketing = true'), true);
+  assert.equal(matches("marketing_opt_in_level = 'single_opt_in'"), true);
+  assert.equal(matches('customer_verified_email = false'), false);
+});
+
+test('treats missing values as non-matching except for IS NULL', () => {
+  const bare = { id: 7000000002, email: 'sam@example.org', tags: '' };
+
+  assert.equal(matches('orders_count > 0', bare), false);
+  assert.equal(matches("rfm_group = 'CHAMPIONS'", bare), false);
+  assert.equal(matches('rfm_group IS NULL', bare), true);
+  assert.equal(matches('customer_phone IS NOT NULL', bare), false);
+  assert.equal(evaluateSegmentQuery(parseSegmentQuery("customer_tags NOT CONTAINS 'VIP'"), bare), true);
+});
@@ -0,0 +1,347 @@
+// Shared Shopify Admin API client. Every request to Shopify goes through here so
+// rate limits are respected in one place:
+// - REST calls track the leaky bucket reported in X-Shopify-Shop-Api-Call-Limit
+// - GraphQL calls track extensions.cost.throttleStatus
+// - 429s, 5xx responses, network errors and THROTTLED GraphQL errors are retried
+//   with exponential backoff (honoring Retry-After when Shopify sends it)
+// - Concurrent callers take turns reserving capacity, and a throttled response
+//   pauses every caller rather than just the one that hit the limit
+
+import { reportPageFetched } from './progress.js';
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2023-10';
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES || '5', 10);
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+// REST bucket defaults for standard plans; updated from response headers
+const restBucket = {
+  used: 0,
+  size: 40,
+  leakPerSecond: 2,
+  updatedAt: Date.now()
+};
+
+// GraphQL cost bucket; updated from extensions.cost.throttleStatus
+const graphqlBucket = {
+  available: 1000,
+  maximum: 1000,
+  restorePerSecond: 50,
+  lastQueryCost: 50,
+  updatedAt: Date.now()
+};
+
+// Set when Shopify throttles a request; no request is sent before this time
+let throttledUntil = 0;
+// Capacity reservations for each bucket run one at a time so concurrent
+// callers can't all spend the same budget
+const capacityQueues = { rest: Promise.resolve(), graphql: Promise.resolve() };
+
+class ShopifyApiError extends Error {
+  constructor(message, { status, errors } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Store installed through the OAuth flow: { storeUrl, accessToken, source: 'oauth' }.
+// Until one is installed, SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN are used.
+let installedCredentials = null;
+
+function setShopifyCredentials(credentials) {
+  installedCredentials = credentials;
+}
+
+function getShopifyCredentials() {
+  return installedCredentials || {
+    storeUrl: process.env.SHOPIFY_STORE_URL,
+    accessToken: process.env.SHOPIFY_ACCESS_TOKEN,
+    source: 'env'
+  };
+}
+
+function getApiBaseUrl() {
+  return `${getShopifyCredentials().storeUrl}/admin/api/${SHOPIFY_API_VERSION}`;
+}
+
+// Accept either a path relative to the versioned Admin API ("/customers.json")
+// or a full URL (e.g. a pagination link returned by Shopify)
+function buildUrl(pathOrUrl) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${getApiBaseUrl()}${pathOrUrl}`;
+}
+
+function getBackoffDelay(attempt, retryAfter) {
+  const retryAfterSeconds = parseFloat(retryAfter);
+  if (!Number.isNaN(retryAfterSeconds) && retryAfterSeconds >= 0) {
+    return retryAfterSeconds * 1000;
+  }
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  // Jitter so parallel callers don't retry in lockstep
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function inTurn(bucket, reserve) {
+  const turn = capacityQueues[bucket].then(reserve);
+  capacityQueues[bucket] = turn.catch(() => {});
+  return turn;
+}
+
+function backOffAll(delay) {
+  throttledUntil = Math.max(throttledUntil, Date.now() + delay);
+}
+
+async function waitForThrottle() {
+  const waitMs = throttledUntil - Date.now();
+  if (waitMs > 0) {
+    await sleep(waitMs);
+  }
+}
+
+async function waitForRestCapacity() {
+  await waitForThrottle();
+  const elapsedSeconds = (Date.now() - restBucket.updatedAt) / 1000;
+  const used = Math.max(0, restBucket.used - elapsedSeconds * restBucket.leakPerSecond);
+
+  // Leave one slot free for other apps sharing the bucket
+  if (used >= restBucket.size - 1) {
+    const waitMs = ((used - (restBucket.size - 2)) / restBucket.leakPerSecond) * 1000;
+    console.log(`⏳ Shopify REST bucket nearly full (${Math.ceil(used)}/${restBucket.size}), waiting ${Math.ceil(waitMs)}ms`);
+    await sleep(waitMs);
+  }
+
+  restBucket.used = Math.max(0, restBucket.used - elapsedSeconds * restBucket.leakPerSecond) + 1;
+  restBucket.updatedAt = Date.now();
+}
+
+function updateRestBucket(response) {
+  const callLimit = response.headers.get('X-Shopify-Shop-Api-Call-Limit');
+  if (!callLimit) return;
+
+  const [used, size] = callLimit.split('/').map(Number);
+  if (Number.isFinite(used) && Number.isFinite(size) && size > 0) {
+    restBucket.used = used;
+    restBucket.size = size;
+    restBucket.updatedAt = Date.now();
+  }
+}
+
+async function waitForGraphQLCapacity() {
+  await waitForThrottle();
+  const elapsedSeconds = (Date.now() - graphqlBucket.updatedAt) / 1000;
+  const available = Math.min(
+    graphqlBucket.maximum,
+    graphqlBucket.available + elapsedSeconds * graphqlBucket.restorePerSecond
+  );
+
+  if (available < graphqlBucket.lastQueryCost) {
+    const waitMs = ((graphqlBucket.lastQueryCost - available) / graphqlBucket.restorePerSecond) * 1000;
+    console.log(`⏳ Shopify GraphQL cost budget low (${Math.floor(available)} available), waiting ${Math.ceil(waitMs)}ms`);
+    await sleep(waitMs);
+  }
+
+  // Reserve the expected cost until Shopify reports the real figure
+  const restored = Math.min(
+    graphqlBucket.maximum,
+    graphqlBucket.available + ((Date.now() - graphqlBucket.updatedAt) / 1000) * graphqlBucket.restorePerSecond
+  );
+  graphqlBucket.available = restored - graphqlBucket.lastQueryCost;
+  graphqlBucket.updatedAt = Date.now();
+}
+
+function updateGraphQLBucket(body) {
+  const cost = body?.extensions?.cost;
+  if (!cost) return;
+
+  if (cost.requestedQueryCost) {
+    graphqlBucket.lastQueryCost = cost.requestedQueryCost;
+  }
+
+  const status = cost.throttleStatus;
+  if (status) {
+    graphqlBucket.available = status.currentlyAvailable;
+    graphqlBucket.maximum = status.maximumAvailable;
+    graphqlBucket.restorePerSecond = status.restoreRate;
+    graphqlBucket.updatedAt = Date.now();
+  }
+}
+
+function isThrottledGraphQLResponse(body) {
+  return Array.isArray(body?.errors) &&
+    body.errors.some(error => error.extensions?.code === 'THROTTLED');
+}
+
+// Time until the GraphQL bucket holds enough budget to retry the last query
+function getGraphQLRetryDelay(attempt) {
+  const needed = graphqlBucket.lastQueryCost - graphqlBucket.available;
+  if (needed > 0 && graphqlBucket.restorePerSecond > 0) {
+    return (needed / graphqlBucket.restorePerSecond) * 1000;
+  }
+  return getBackoffDelay(attempt);
+}
+
+// Low-level request. Returns the fetch Response so callers can inspect status
+// and headers; retries transient failures before giving up.
+async function shopifyFetch(pathOrUrl, options = {}) {
+  const url = buildUrl(pathOrUrl);
+  const isGraphQL = url.includes('/graphql.json');
+
+  for (let attempt = 0; ; attempt++) {
+    if (isGraphQL) {
+      await inTurn('graphql', waitForGraphQLCapacity);
+    } else {
+      await inTurn('rest', waitForRestCapacity);
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: {
+          'X-Shopify-Access-Token': getShopifyCredentials().accessToken,
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+      });
+    } catch (error) {
+      if (attempt >= MAX_RETRIES) throw error;
+      const delay = getBackoffDelay(attempt);
+      console.warn(`⚠️ Shopify request failed (${error.message}), retrying in ${Math.ceil(delay)}ms`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!isGraphQL) {
+      updateRestBucket(response);
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+      if (attempt >= MAX_RETRIES) return response;
+      const delay = getBackoffDelay(attempt, response.headers.get('Retry-After'));
+      if (response.status === 429) {
+        backOffAll(delay);
+      }
+      console.warn(`⚠️ Shopify responded ${response.status}, retrying in ${Math.ceil(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (isGraphQL && response.ok) {
+      const body = await response.clone().json().catch(() => null);
+      updateGraphQLBucket(body);
+
+      if (isThrottledGraphQLResponse(body) && attempt < MAX_RETRIES) {
+        const delay = getGraphQLRetryDelay(attempt);
+        backOffAll(delay);
+        console.warn(`⚠️ Shopify GraphQL throttled, retrying in ${Math.ceil(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+        await sleep(delay);
+        continue;
+      }
+    }
+
+    return response;
+  }
+}
+
+// REST helper: returns the parsed JSON body and throws on a non-2xx response
+async function shopifyRest(pathOrUrl, options = {}) {
+  const response = await shopifyFetch(pathOrUrl, options);
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new ShopifyApiError(
+      `Shopify REST request failed: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ''}`,
+      { status: response.status }
+    );
+  }
+
+  return response.json();
+}
+
+// GraphQL helper: returns `data` and throws on HTTP or top-level GraphQL errors
+async function shopifyGraphQL(query, variables = {}) {
+  const response = await shopifyFetch('/graphql.json', {
+    method: 'POST',
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    throw new ShopifyApiError(
+      `Shopify GraphQL request failed: ${response.status} ${response.statusText}${errorText ? ` - ${errorText}` : ''}`,
+      { status: response.status }
+    );
+  }
+
+  const body = await response.json();
+
+  if (body.errors && body.errors.length > 0) {
+    throw new ShopifyApiError(
+      `Shopify GraphQL errors: ${body.errors.map(error => error.message).join('; ')}`,
+      { status: response.status, errors: body.errors }
+    );
+  }
+
+  return body.data;
+}
+
+// Parse a Link header (`<url>; rel="next", <url>; rel="previous"`) into { rel: url }
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+    if (match) {
+      links[match[2].trim()] = match[1];
+    }
+  }
+
+  return links;
+}
+
+// Fetch every page of a REST list endpoint (e.g. "/customers.json") by
+// following the rel="next" link until Shopify stops returning one. Throws if
+// any page fails so callers never mistake a partial list for the full result.
+async function fetchAllRestPages(path, resourceKey, queryParams = {}) {
+  const items = [];
+  const params = new URLSearchParams(queryParams).toString();
+  let nextUrl = params ? `${path}${path.includes('?') ? '&' : '?'}${params}` : path;
+
+  while (nextUrl) {
+    console.log(`📄 Fetching page: ${nextUrl}`);
+    const response = await shopifyFetch(nextUrl);
+
+    if (!response.ok) {
+      throw new ShopifyApiError(
+        `Shopify request for ${nextUrl} failed: ${response.status} ${response.statusText}`,
+        { status: response.status }
+      );
+    }
+
+    const data = await response.json();
+    const pageItems = data[resourceKey] || [];
+    console.log(`📋 Fetched ${pageItems.length} ${resourceKey} on this page`);
+    items.push(...pageItems);
+    reportPageFetched(pageItems.length);
+
+    nextUrl = parseLinkHeader(response.headers.get('Link')).next || null;
+  }
+
+  return items;
+}
+
+export {
+  SHOPIFY_API_VERSION,
+  ShopifyApiError,
+  setShopifyCredentials,
+  getShopifyCredentials,
+  shopifyFetch,
+  shopifyRest,
+  shopifyGraphQL,
+  parseLinkHeader,
+  fetchAllRestPages
+};
@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseLinkHeader, fetchAllRestPages } from './shopify.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixture = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'fixtures/customers-pagination.json'), 'utf8')
+);
+
+const originalFetch = globalThis.fetch;
+let requestedUrls;
+
+// Serve the recorded pages by URL; anything else is a 404 like Shopify would return
+function replayFixture(pages) {
+  requestedUrls = [];
+  globalThis.fetch = async (url) => {
+    requestedUrls.push(url);
+    const page = pages.find(p => p.url === url);
+    if (!page) {
+      return new Response(JSON.stringify({ errors: 'Not Found' }), { status: 404, statusText: 'Not Found' });
+    }
+    return new Response(JSON.stringify(page.body), { status: 200, headers: page.headers });
+  };
+}
+
+beforeEach(() => {
+  process.env.SHOPIFY_STORE_URL = 'https://test-store.myshopify.com';
+  process.env.SHOPIFY_ACCESS_TOKEN = 'shpat_test';
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+test('parseLinkHeader extracts next and previous URLs', () => {
+  const links = parseLinkHeader(fixture.pages[1].headers.Link);
+
+  assert.equal(links.next, fixture.pages[2].url);
+  assert.match(links.previous, /page_info=/);
+  assert.deepEqual(parseLinkHeader(null), {});
+  assert.deepEqual(parseLinkHeader(fixture.pages[2].headers.Link).next, undefined);
+});
+
+test('fetchAllRestPages follows rel="next" links until the last page', async () => {
+  replayFixture(fixture.pages);
+
+  const customers = await fetchAllRestPages('/customers.json', 'customers', { limit: 3 });
+
+  assert.deepEqual(requestedUrls, fixture.pages.map(page => page.url));
+  assert.equal(customers.length, 8);
+  assert.deepEqual(
+    customers.map(customer => customer.id),
+    fixture.pages.flatMap(page => page.body.customers.map(customer => customer.id))
+  );
+});
+
+test('fetchAllRestPages stops after a single page without a next link', async () => {
+  const [firstPage] = fixture.pages;
+  replayFixture([{ ...firstPage, headers: { 'X-Shopify-Shop-Api-Call-Limit': '1/40' } }]);
+
+  const customers = await fetchAllRestPages('/customers.json', 'customers', { limit: 3 });
+
+  assert.equal(requestedUrls.length, 1);
+  assert.equal(customers.length, 3);
+});
+
+test('fetchAllRestPages throws instead of returning a truncated list', async () => {
+  replayFixture(fixture.pages.slice(0, 2));
+
+  await assert.rejects(
+    fetchAllRestPages('/customers.json', 'customers', { limit: 3 }),
+    /failed: 404/
+  );
+});
@@ -0,0 +1,113 @@
+// Shopify OAuth install flow (authorization code grant). The app sends the
+// merchant to https://{shop}/admin/oauth/authorize with a one-time state;
+// Shopify redirects back with ?code&hmac&shop&state&timestamp, where hmac is
+// the hex HMAC-SHA256 of the other query parameters (sorted, joined with &)
+// using the app secret. The code is then exchanged for a per-shop access token,
+// which is stored encrypted.
+import crypto from 'crypto';
+
+class ShopifyAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShopifyAuthError';
+  }
+}
+
+const DEFAULT_SCOPES = ['read_customers', 'write_customers'];
+
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/;
+
+// Accept "my-store", "my-store.myshopify.com" or a store URL; only
+// *.myshopify.com domains are allowed so the token exchange can't be pointed
+// at another host
+function normalizeShopDomain(input) {
+  let shop = String(input || '').trim().toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/\/.*$/, '');
+  if (shop && !shop.includes('.')) shop = `${shop}.myshopify.com`;
+
+  if (!SHOP_DOMAIN_PATTERN.test(shop)) {
+    throw new ShopifyAuthError(`Invalid shop domain "${input}" (expected your-store.myshopify.com)`);
+  }
+  return shop;
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  return list.map(scope => scope.trim()).filter(Boolean);
+}
+
+function buildAuthorizeUrl({ shop, apiKey, scopes, redirectUri, state }) {
+  const params = new URLSearchParams({
+    client_id: apiKey,
+    scope: parseScopes(scopes).join(','),
+    redirect_uri: redirectUri,
+    state
+  });
+  return `https://${shop}/admin/oauth/authorize?${params}`;
+}
+
+function signOAuthQuery(query, secret) {
+  const message = Object.keys(query)
+    .filter(key => key !== 'hmac' && key !== 'signature')
+    .sort()
+    .map(key => `${key}=${Array.isArray(query[key]) ? query[key].join(',') : query[key]}`)
+    .join('&');
+  return crypto.createHmac('sha256', secret).update(message).digest('hex');
+}
+
+function verifyOAuthQuery(query, secret) {
+  if (!query?.hmac || !secret) return false;
+  const expected = Buffer.from(signOAuthQuery(query, secret));
+  const given = Buffer.from(String(query.hmac));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// The requested scopes Shopify didn't grant. Shopify leaves out read scopes
+// implied by a granted write scope.
+function getMissingScopes(requested, granted) {
+  const grantedScopes = new Set(parseScopes(granted));
+  return parseScopes(requested).filter(scope =>
+    !grantedScopes.has(scope) &&
+    !(scope.startsWith('read_') && grantedScopes.has(scope.replace(/^read_/, 'write_')))
+  );
+}
+
+// AES-256-GCM with a key derived from `secret`; stored as
+// v1:<iv>:<auth tag>:<ciphertext>, each base64
+function encryptToken(token, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return ['v1', ...[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64'))].join(':');
+}
+
+function decryptToken(value, secret) {
+  const [version, iv, tag, encrypted] = String(value).split(':');
+  if (version !== 'v1' || !encrypted) {
+    throw new ShopifyAuthError('Unrecognized encrypted token');
+  }
+
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  try {
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new ShopifyAuthError('Could not decrypt token (wrong encryption key?)');
+  }
+}
+
+export {
+  ShopifyAuthError,
+  DEFAULT_SCOPES,
+  normalizeShopDomain,
+  parseScopes,
+  buildAuthorizeUrl,
+  signOAuthQuery,
+  verifyOAuthQuery,
+  getMissingScopes,
+  encryptToken,
+  decryptToken
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ShopifyAuthError,
+  normalizeShopDomain,
+  buildAuthorizeUrl,
+  signOAuthQuery,
+  verifyOAuthQuery,
+  getMissingScopes,
+  encryptToken,
+  decryptToken
+} from './shopifyAuth.js';
+
+test('normalizes shop domains and rejects other hosts', () => {
+  assert.equal(normalizeShopDomain('My-Store'), 'my-store.myshopify.com');
+  assert.equal(normalizeShopDomain('https://my-store.myshopify.com/admin'), 'my-store.myshopify.com');
+  assert.throws(() => normalizeShopDomain('evil.example.com'), ShopifyAuthError);
+  assert.throws(() => normalizeShopDomain('my-store.myshopify.com.evil.com'), ShopifyAuthError);
+  assert.throws(() => normalizeShopDomain(''), ShopifyAuthError);
+});
+
+test('builds the authorize URL', () => {
+  const url = new URL(buildAuthorizeUrl({
+    shop: 'my-store.myshopify.com',
+    apiKey: 'key',
+    scopes: 'read_customers, write_customers',
+    redirectUri: 'https://app.example.com/api/auth/shopify/callback',
+    state: 'nonce'
+  }));
+
+  assert.equal(url.origin, 'https://my-store.myshopify.com');
+  assert.equal(url.pathname, '/admin/oauth/authorize');
+  assert.equal(url.searchParams.get('scope'), 'read_customers,write_customers');
+  assert.equal(url.searchParams.get('state'), 'nonce');
+});
+
+test('verifies the HMAC of the callback query', () => {
+  const query = { code: 'abc', shop: 'my-store.myshopify.com', state: 'nonce', timestamp: '1718000000' };
+  const signed = { ...query, hmac: signOAuthQuery(query, 'secret') };
+
+  assert.equal(verifyOAuthQuery(signed, 'secret'), true);
+  assert.equal(verifyOAuthQuery({ ...signed, shop: 'other.myshopify.com' }, 'secret'), false);
+  assert.equal(verifyOAuthQuery(signed, 'other-secret'), false);
+  assert.equal(verifyOAuthQuery(query, 'secret'), false);
+});
+
+test('reports requested scopes that were not granted', () => {
+  assert.deepEqual(getMissingScopes(['read_customers', 'write_customers'], 'write_customers'), []);
+  assert.deepEqual(getMissingScopes(['read_customers', 'write_customers'], 'read_customers'), ['write_customers']);
+  assert.deepEqual(getMissingScopes('read_orders', ''), ['read_orders']);
+});
+
+test('encrypts tokens so only the same key can read them', () => {
+  const encrypted = encryptToken('shpat_123', 'key');
+
+  assert.match(encrypted, /^v1:/);
+  assert.equal(encrypted.includes('shpat_123'), false);
+  assert.notEqual(encryptToken('shpat_123', 'key'), encrypted);
+  assert.equal(decryptToken(encrypted, 'key'), 'shpat_123');
+  assert.throws(() => decryptToken(encrypted, 'other-key'), /wrong encryption key/);
+  assert.throws(() => decryptToken('shpat_123', 'key'), ShopifyAuthError);
+});
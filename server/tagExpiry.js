@@ -0,0 +1,113 @@
+// Expiring tags. An add (or set_tier) action may carry an expiry, either
+//   expiresAt: '2024-12-02T00:00:00Z'   remove the tag at a fixed time
+//   expiresIn: '30d'                    remove it this long after it was applied
+// Durations are a whole number of hours (h), days (d), weeks (w) or 30-day
+// months (m). Expiries are tracked per customer and tag; a background sweeper
+// removes tags once they are due.
+
+class TagExpiryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagExpiryError';
+  }
+}
+
+const DURATION = /^(\d+)\s*([hdwm])$/i;
+const HOUR_MS = 60 * 60 * 1000;
+const DURATION_UNIT_MS = { h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS, m: 30 * 24 * HOUR_MS };
+const EXPIRING_ACTION_TYPES = ['add', 'set_tier'];
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+// The expiry fields of an action, in canonical form ({} if it has none)
+function getExpiryFields(action) {
+  const hasAt = hasValue(action.expiresAt);
+  const hasIn = hasValue(action.expiresIn);
+  if (!hasAt && !hasIn) {
+    return {};
+  }
+
+  if (!EXPIRING_ACTION_TYPES.includes(action.type)) {
+    throw new TagExpiryError(`Only added tags can expire (got a ${action.type} action for "${action.tag}")`);
+  }
+  if (hasAt && hasIn) {
+    throw new TagExpiryError(`"${action.tag}" has both an expiry date and a duration`);
+  }
+
+  if (hasAt) {
+    const date = new Date(action.expiresAt);
+    if (Number.isNaN(date.getTime())) {
+      throw new TagExpiryError(`Invalid expiry date for "${action.tag}": ${action.expiresAt}`);
+    }
+    return { expiresAt: date.toISOString() };
+  }
+
+  const duration = String(action.expiresIn).trim().match(DURATION);
+  if (!duration || parseInt(duration[1], 10) === 0) {
+    throw new TagExpiryError(`Invalid expiry duration for "${action.tag}": ${action.expiresIn} (use e.g. 12h, 30d, 2w or 3m)`);
+  }
+  return { expiresIn: `${parseInt(duration[1], 10)}${duration[2].toLowerCase()}` };
+}
+
+// Check the expiries of actions being saved or submitted. A fixed expiry must
+// still be ahead of `now` then; once saved it may pass, and the actions keep
+// resolving (the sweeper removes such a tag right after it is applied).
+function validateTagExpiries(actions, now = new Date()) {
+  for (const action of Array.isArray(actions) ? actions : []) {
+    const { expiresAt } = getExpiryFields(action);
+    if (expiresAt && new Date(expiresAt) <= now) {
+      throw new TagExpiryError(`The expiry date for "${action.tag}" has already passed: ${expiresAt}`);
+    }
+  }
+}
+
+// When a tag applied at `appliedAt` by this action expires, or null
+function resolveTagExpiry(action, appliedAt = new Date()) {
+  const { expiresAt, expiresIn } = getExpiryFields(action);
+  if (expiresAt) {
+    return new Date(expiresAt);
+  }
+  if (expiresIn) {
+    const [, amount, unit] = expiresIn.match(DURATION);
+    return new Date(appliedAt.getTime() + parseInt(amount, 10) * DURATION_UNIT_MS[unit]);
+  }
+  return null;
+}
+
+// The expiry bookkeeping for customers an action list was applied to: tags
+// to (re)schedule for removal, and tags whose pending expiry no longer
+// applies because they were removed. As with the tag changes themselves, the
+// last action for a tag wins. Adding a tag without an expiry leaves any
+// pending expiry for it in place.
+function getTagExpiryChanges(actions, appliedAt = new Date()) {
+  const finalActions = new Map();
+  for (const action of actions) {
+    const tag = (action.tag || '').trim();
+    if (tag) {
+      finalActions.set(tag, action);
+    }
+  }
+
+  const expiring = [];
+  const cleared = [];
+  for (const [tag, action] of finalActions) {
+    if (action.type === 'remove') {
+      cleared.push(tag);
+      continue;
+    }
+    const expiresAt = resolveTagExpiry(action, appliedAt);
+    if (expiresAt) {
+      expiring.push({ tag, expiresAt });
+    }
+  }
+
+  return { expiring, cleared };
+}
+
+export {
+  TagExpiryError,
+  getExpiryFields,
+  validateTagExpiries,
+  resolveTagExpiry,
+  getTagExpiryChanges
+};
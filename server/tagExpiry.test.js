@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TagExpiryError,
+  getExpiryFields,
+  validateTagExpiries,
+  resolveTagExpiry,
+  getTagExpiryChanges
+} from './tagExpiry.js';
+
+const appliedAt = new Date('2024-11-01T10:00:00Z');
+
+test('normalizes expiry dates and durations', () => {
+  assert.deepEqual(getExpiryFields({ type: 'add', tag: 'VIP' }), {});
+  assert.deepEqual(
+    getExpiryFields({ type: 'add', tag: 'PROMO-BF24', expiresAt: '2024-12-02' }),
+    { expiresAt: '2024-12-02T00:00:00.000Z' }
+  );
+  assert.deepEqual(getExpiryFields({ type: 'set_tier', tag: 'VIP', expiresIn: ' 030D ' }), { expiresIn: '30d' });
+});
+
+test('rejects invalid expiries', () => {
+  assert.throws(() => validateTagExpiries([{ type: 'remove', tag: 'VIP', expiresIn: '30d' }]), TagExpiryError);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresIn: '30d', expiresAt: '2024-12-02' }]), /both/);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresAt: 'next week' }]), /Invalid expiry date/);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresIn: '30 days' }]), /Invalid expiry duration/);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresIn: '0d' }]), /Invalid expiry duration/);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresAt: '2024-10-31' }], appliedAt), /already passed/);
+  assert.throws(() => validateTagExpiries([{ type: 'add', tag: 'VIP', expiresAt: '2024-12-02' }]), TagExpiryError);
+  validateTagExpiries([{ type: 'add', tag: 'VIP', expiresAt: '2024-12-02' }], appliedAt);
+});
+
+test('resolves durations from when the tag was applied', () => {
+  assert.equal(resolveTagExpiry({ type: 'add', tag: 'NEW', expiresIn: '30d' }, appliedAt).toISOString(), '2024-12-01T10:00:00.000Z');
+  assert.equal(resolveTagExpiry({ type: 'add', tag: 'NEW', expiresIn: '12h' }, appliedAt).toISOString(), '2024-11-01T22:00:00.000Z');
+  assert.equal(resolveTagExpiry({ type: 'add', tag: 'NEW', expiresAt: '2025-01-01T00:00:00Z' }, appliedAt).toISOString(), '2025-01-01T00:00:00.000Z');
+  assert.equal(resolveTagExpiry({ type: 'add', tag: 'VIP' }, appliedAt), null);
+});
+
+test('schedules expiring tags and clears removed ones, last action winning', () => {
+  const { expiring, cleared } = getTagExpiryChanges([
+    { type: 'add', tag: 'NEW-SIGNUP', expiresIn: '30d' },
+    { type: 'add', tag: 'PROMO', expiresIn: '1w' },
+    { type: 'remove', tag: 'PROMO' },
+    { type: 'add', tag: 'VIP' },
+    { type: 'remove', tag: 'OLD' }
+  ], appliedAt);
+
+  assert.deepEqual(expiring, [{ tag: 'NEW-SIGNUP', expiresAt: new Date('2024-12-01T10:00:00.000Z') }]);
+  assert.deepEqual(cleared, ['PROMO', 'OLD']);
+});
+
+test('keeps resolving a saved rule whose fixed expiry has passed', () => {
+  const actions = [{ type: 'add', tag: 'PROMO-BF24', expiresAt: '2024-12-02T00:00:00Z' }];
+  const later = new Date('2025-01-15T10:00:00Z');
+
+  assert.deepEqual(getExpiryFields(actions[0]), { expiresAt: '2024-12-02T00:00:00.000Z' });
+  assert.deepEqual(getTagExpiryChanges(actions, later), {
+    expiring: [{ tag: 'PROMO-BF24', expiresAt: new Date('2024-12-02T00:00:00.000Z') }],
+    cleared: []
+  });
+});
@@ -0,0 +1,127 @@
+// Tag groups: ordered sets of mutually exclusive tags (e.g. the loyalty tiers
+// Member, VIP, VVIP) of which a customer may hold at most one. The action
+//   { type: 'set_tier', groupId, tag }
+// puts a customer on one tier of a group. Before anything is written it is
+// expanded into plain add/remove actions, so the rest of the tagging code only
+// ever sees 'add' and 'remove'.
+import { getExpiryFields } from './tagExpiry.js';
+
+class TagGroupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagGroupError';
+  }
+}
+
+const TAG_ACTION_TYPES = ['add', 'remove', 'set_tier'];
+
+const splitTags = (tags) =>
+  Array.isArray(tags) ? tags : (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+// Validate a group from the API and return its cleaned name and tags
+function normalizeTagGroup(input) {
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new TagGroupError('Tag group name is required');
+  }
+
+  if (!Array.isArray(input.tags)) {
+    throw new TagGroupError('tags must be an array');
+  }
+
+  const tags = input.tags.map(tag => String(tag).trim()).filter(Boolean);
+  if (tags.length < 2) {
+    throw new TagGroupError('A tag group needs at least two tags');
+  }
+
+  const seen = new Set();
+  for (const tag of tags) {
+    if (tag.includes(',')) {
+      throw new TagGroupError(`Tag "${tag}" cannot contain a comma`);
+    }
+    // Shopify treats tags case-insensitively
+    const key = tag.toLowerCase();
+    if (seen.has(key)) {
+      throw new TagGroupError(`Tag "${tag}" appears more than once`);
+    }
+    seen.add(key);
+  }
+
+  return { name, tags };
+}
+
+// Throw if any action is malformed or points at a missing group or tier
+function validateTagActions(actions, groups) {
+  if (!Array.isArray(actions)) {
+    throw new TagGroupError('actions must be an array');
+  }
+
+  for (const action of actions) {
+    if (!TAG_ACTION_TYPES.includes(action?.type)) {
+      throw new TagGroupError(`Unknown action type "${action?.type}"`);
+    }
+    if (action.type !== 'set_tier') continue;
+
+    const group = groups.find(candidate => candidate.id === action.groupId);
+    if (!group) {
+      throw new TagGroupError(`Tag group "${action.groupId}" does not exist`);
+    }
+    if (!group.tags.includes(action.tag)) {
+      throw new TagGroupError(`"${action.tag}" is not a tier of tag group "${group.name}"`);
+    }
+  }
+}
+
+// Replace every set_tier action with removals of the other tiers followed by
+// an add of the chosen one. The removals come first so the chosen tier wins
+// when the same tag is also a sibling elsewhere in the list.
+function expandTagActions(actions, groups) {
+  validateTagActions(actions, groups);
+
+  return actions.flatMap(action => {
+    if (action.type !== 'set_tier') {
+      return [{ type: action.type, tag: action.tag, ...getExpiryFields(action) }];
+    }
+
+    const group = groups.find(candidate => candidate.id === action.groupId);
+    return [
+      ...group.tags
+        .filter(tag => tag !== action.tag)
+        .map(tag => ({ type: 'remove', tag })),
+      { type: 'add', tag: action.tag, ...getExpiryFields(action) }
+    ];
+  });
+}
+
+// Customers holding more than one tag from the same group
+function findTierConflicts(customers, groups) {
+  const conflicts = [];
+
+  for (const customer of customers) {
+    const customerTags = splitTags(customer.tags).map(tag => tag.toLowerCase());
+
+    for (const group of groups) {
+      const held = group.tags.filter(tag => customerTags.includes(tag.toLowerCase()));
+      if (held.length > 1) {
+        conflicts.push({
+          customerId: String(customer.id),
+          email: customer.email || '',
+          name: `${customer.first_name || ''} ${customer.last_name || ''}`.trim(),
+          groupId: group.id,
+          groupName: group.name,
+          tags: held
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+export {
+  TagGroupError,
+  normalizeTagGroup,
+  validateTagActions,
+  expandTagActions,
+  findTierConflicts
+};
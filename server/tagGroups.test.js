@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TagGroupError,
+  normalizeTagGroup,
+  validateTagActions,
+  expandTagActions,
+  findTierConflicts
+} from './tagGroups.js';
+
+const loyalty = { id: 'group-loyalty', name: 'Loyalty', tags: ['Member', 'VIP', 'VVIP'] };
+
+test('normalizes a group and keeps the tier order', () => {
+  assert.deepEqual(
+    normalizeTagGroup({ name: ' Loyalty ', tags: [' Member', 'VIP', '', 'VVIP '] }),
+    { name: 'Loyalty', tags: ['Member', 'VIP', 'VVIP'] }
+  );
+});
+
+test('rejects groups without a name, with too few tags or with duplicates', () => {
+  assert.throws(() => normalizeTagGroup({ name: '', tags: ['A', 'B'] }), TagGroupError);
+  assert.throws(() => normalizeTagGroup({ name: 'Tiers', tags: ['A'] }), /at least two tags/);
+  assert.throws(() => normalizeTagGroup({ name: 'Tiers', tags: ['VIP', 'vip'] }), /more than once/);
+  assert.throws(() => normalizeTagGroup({ name: 'Tiers', tags: ['A,B', 'C'] }), /comma/);
+});
+
+test('expands set_tier into removing the sibling tiers and adding the chosen one', () => {
+  const actions = expandTagActions(
+    [{ type: 'add', tag: 'Newsletter' }, { type: 'set_tier', groupId: 'group-loyalty', tag: 'VIP' }],
+    [loyalty]
+  );
+
+  assert.deepEqual(actions, [
+    { type: 'add', tag: 'Newsletter' },
+    { type: 'remove', tag: 'Member' },
+    { type: 'remove', tag: 'VVIP' },
+    { type: 'add', tag: 'VIP' }
+  ]);
+});
+
+test('rejects set_tier actions for unknown groups or tiers', () => {
+  assert.throws(
+    () => validateTagActions([{ type: 'set_tier', groupId: 'missing', tag: 'VIP' }], [loyalty]),
+    /does not exist/
+  );
+  assert.throws(
+    () => validateTagActions([{ type: 'set_tier', groupId: 'group-loyalty', tag: 'Gold' }], [loyalty]),
+    /not a tier/
+  );
+  assert.throws(() => validateTagActions([{ type: 'rename', tag: 'VIP' }], [loyalty]), /Unknown action type/);
+});
+
+test('reports customers holding more than one tier of a group', () => {
+  const customers = [
+    { id: 1, email: 'a@example.com', first_name: 'Ann', last_name: 'Lee', tags: 'Member, vip, Newsletter' },
+    { id: 2, email: 'b@example.com', tags: 'VVIP' },
+    { id: 3, email: 'c@example.com', tags: '' }
+  ];
+
+  assert.deepEqual(findTierConflicts(customers, [loyalty]), [{
+    customerId: '1',
+    email: 'a@example.com',
+    name: 'Ann Lee',
+    groupId: 'group-loyalty',
+    groupName: 'Loyalty',
+    tags: ['Member', 'VIP']
+  }]);
+});
@@ -0,0 +1,281 @@
+// Tag templates: rule action tags rendered per customer when the rule runs.
+//   cohort-{{created_at|yyyy-MM}}                  cohort-2024-03
+//   spent-band-{{total_spent|bucket:100,500,1000}}  spent-band-500-1000
+//   country-{{default_address.country_code}}       country-DE
+//   run-{{date}}                                   run-2024-06-30
+// An expression is a customer field (dotted paths reach into nested objects)
+// or `date`, the day the run started, followed by any number of filters. If an
+// expression has no value and no `default` filter, the tag is skipped for that
+// customer. A remove action with a template removes every tag the template
+// could have produced, e.g. any spent-band-* tag.
+
+class TagTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TagTemplateError';
+  }
+}
+
+const EXPRESSION = /\{\{(.*?)\}\}/g;
+const PATH = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)*$/i;
+const DATE_FORMAT = /^(yyyy|yy|MM|dd|HH|Q|[-_./ ])+$/;
+const MAX_TAG_LENGTH = 255;
+
+// Top-level names a template can use. Customers are shaped like REST API
+// customer records (see mapGraphQLCustomer in index.js).
+const VARIABLES = new Set([
+  'date',
+  'id',
+  'email',
+  'first_name',
+  'last_name',
+  'phone',
+  'state',
+  'currency',
+  'created_at',
+  'updated_at',
+  'orders_count',
+  'total_spent',
+  'last_order_date',
+  'first_order_date',
+  'rfm_group',
+  'verified_email',
+  'accepts_marketing',
+  'default_address'
+]);
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+const pad = value => String(value).padStart(2, '0');
+
+function formatDate(value, format) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return format.replace(/yyyy|yy|MM|dd|HH|Q/g, token => {
+    switch (token) {
+      case 'yyyy': return String(date.getUTCFullYear());
+      case 'yy': return String(date.getUTCFullYear()).slice(-2);
+      case 'MM': return pad(date.getUTCMonth() + 1);
+      case 'dd': return pad(date.getUTCDate());
+      case 'HH': return pad(date.getUTCHours());
+      default: return String(Math.floor(date.getUTCMonth() / 3) + 1);
+    }
+  });
+}
+
+// Band label for a number, e.g. bounds 100,500,1000 give 0-100, 100-500,
+// 500-1000 and 1000+ (lower bounds inclusive)
+function bucket(value, bounds) {
+  const number = Number(value);
+  if (value === null || value === '' || Number.isNaN(number)) return null;
+
+  let lower = 0;
+  for (const bound of bounds) {
+    if (number < bound) return `${lower}-${bound}`;
+    lower = bound;
+  }
+  return `${lower}+`;
+}
+
+const FILTERS = {
+  lower: { args: 0, apply: value => String(value).toLowerCase() },
+  upper: { args: 0, apply: value => String(value).toUpperCase() },
+  slug: {
+    args: 0,
+    apply: value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  },
+  round: {
+    args: 0,
+    apply: value => Number.isNaN(Number(value)) ? null : String(Math.round(Number(value)))
+  },
+  default: { args: 1, apply: (value, [fallback]) => isEmpty(value) ? fallback : value },
+  bucket: { args: 'many', apply: (value, bounds) => bucket(value, bounds) }
+};
+
+function parseFilter(text, template) {
+  const separator = text.indexOf(':');
+  const name = (separator === -1 ? text : text.slice(0, separator)).trim();
+  const args = separator === -1 ? [] : text.slice(separator + 1).split(',').map(arg => arg.trim());
+
+  if (DATE_FORMAT.test(name) && /[yMdHQ]/.test(name)) {
+    return { name: 'date', format: name };
+  }
+
+  const filter = FILTERS[name];
+  if (!filter) {
+    throw new TagTemplateError(`Unknown filter "${name}" in "${template}"`);
+  }
+  if (filter.args === 0 && args.length > 0) {
+    throw new TagTemplateError(`Filter "${name}" takes no arguments in "${template}"`);
+  }
+  if (filter.args === 1 && (args.length !== 1 || args[0] === '')) {
+    throw new TagTemplateError(`Filter "${name}" needs one argument in "${template}"`);
+  }
+  if (name === 'bucket') {
+    const bounds = args.map(Number);
+    if (bounds.length === 0 || args.some(arg => arg === '') || bounds.some(Number.isNaN)) {
+      throw new TagTemplateError(`bucket needs a list of numbers, e.g. bucket:100,500,1000 in "${template}"`);
+    }
+    if (bounds.some((bound, index) => index > 0 && bound <= bounds[index - 1])) {
+      throw new TagTemplateError(`bucket bounds must be in ascending order in "${template}"`);
+    }
+    return { name, args: bounds };
+  }
+  return { name, args };
+}
+
+function isTagTemplate(tag) {
+  return typeof tag === 'string' && tag.includes('{{');
+}
+
+// Split a template into literal text and { path, filters } expressions
+function parseTagTemplate(template) {
+  const literalText = template.replace(EXPRESSION, '');
+  if (literalText.includes('{{') || literalText.includes('}}')) {
+    throw new TagTemplateError(`Unbalanced braces in "${template}"`);
+  }
+  if (literalText.includes(',')) {
+    throw new TagTemplateError(`Tags cannot contain commas: "${template}"`);
+  }
+
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of template.matchAll(EXPRESSION)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+
+    const [pathText, ...filterTexts] = match[1].split('|');
+    const path = pathText.trim();
+    if (!PATH.test(path)) {
+      throw new TagTemplateError(`Invalid expression "{{${match[1]}}}" in "${template}"`);
+    }
+    if (!VARIABLES.has(path.split('.')[0])) {
+      throw new TagTemplateError(`Unknown field "${path}" in "${template}"`);
+    }
+
+    parts.push({ type: 'expression', path, filters: filterTexts.map(text => parseFilter(text, template)) });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < template.length) {
+    parts.push({ type: 'text', value: template.slice(lastIndex) });
+  }
+
+  return parts;
+}
+
+// Check the templates in an action list. Tier actions must name a literal tier.
+function validateTagTemplates(actions) {
+  for (const action of Array.isArray(actions) ? actions : []) {
+    if (!isTagTemplate(action.tag)) continue;
+    if (action.type === 'set_tier') {
+      throw new TagTemplateError(`Tier "${action.tag}" cannot be a template`);
+    }
+    parseTagTemplate(action.tag);
+  }
+}
+
+function hasTagTemplates(actions) {
+  return (actions || []).some(action => isTagTemplate(action.tag));
+}
+
+function resolvePath(path, customer, runDate) {
+  if (path === 'date') {
+    return formatDate(runDate, 'yyyy-MM-dd');
+  }
+  return path.split('.').reduce((value, key) => (isEmpty(value) ? undefined : value[key]), customer);
+}
+
+function applyFilter(value, filter) {
+  if (filter.name === 'default') {
+    return FILTERS.default.apply(value, filter.args);
+  }
+  if (isEmpty(value)) return null;
+  if (filter.name === 'date') {
+    return formatDate(value, filter.format);
+  }
+  return FILTERS[filter.name].apply(value, filter.args);
+}
+
+// Render a template for one customer. Returns { tag } or, when an expression
+// has no value, { tag: null, missing: path }.
+function renderTagTemplate(template, customer, { runDate = new Date() } = {}) {
+  let tag = '';
+  for (const part of parseTagTemplate(template)) {
+    if (part.type === 'text') {
+      tag += part.value;
+      continue;
+    }
+
+    let value = resolvePath(part.path, customer, runDate);
+    for (const filter of part.filters) {
+      value = applyFilter(value, filter);
+    }
+    if (isEmpty(value) || typeof value === 'object') {
+      return { tag: null, missing: part.path };
+    }
+    tag += String(value).replace(/,/g, ' ');
+  }
+
+  tag = tag.trim().slice(0, MAX_TAG_LENGTH);
+  return tag ? { tag } : { tag: null, missing: 'tag' };
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches any tag the template could render, case-insensitively
+function getTagTemplatePattern(template) {
+  const source = parseTagTemplate(template)
+    .map(part => part.type === 'text' ? escapeRegExp(part.value) : '.+')
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+const splitTags = (tags) =>
+  Array.isArray(tags) ? tags : (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+// The concrete actions for one customer: templated adds are rendered (or
+// skipped when a value is missing), templated removes expand to every matching
+// tag the customer holds. Returns { actions, skipped: [{ template, missing }] }.
+function renderTagActions(actions, customer, options = {}) {
+  const rendered = [];
+  const skipped = [];
+
+  for (const action of actions) {
+    if (!isTagTemplate(action.tag)) {
+      rendered.push(action);
+      continue;
+    }
+
+    if (action.type === 'remove') {
+      const pattern = getTagTemplatePattern(action.tag);
+      for (const tag of splitTags(customer.tags)) {
+        if (pattern.test(tag)) {
+          rendered.push({ ...action, tag });
+        }
+      }
+      continue;
+    }
+
+    const { tag, missing } = renderTagTemplate(action.tag, customer, options);
+    if (tag) {
+      rendered.push({ ...action, tag });
+    } else {
+      skipped.push({ template: action.tag, missing });
+    }
+  }
+
+  return { actions: rendered, skipped };
+}
+
+export {
+  TagTemplateError,
+  isTagTemplate,
+  parseTagTemplate,
+  validateTagTemplates,
+  hasTagTemplates,
+  renderTagTemplate,
+  getTagTemplatePattern,
+  renderTagActions
+};
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TagTemplateError,
+  validateTagTemplates,
+  renderTagTemplate,
+  getTagTemplatePattern,
+  renderTagActions
+} from './tagTemplates.js';
+
+const customer = {
+  id: '42',
+  email: 'ann@example.com',
+  created_at: '2024-03-15T09:30:00Z',
+  total_spent: '742.50',
+  orders_count: 3,
+  tags: 'VIP, spent-band-0-100, Newsletter',
+  default_address: { country_code: 'DE', city: 'Bad Homburg' }
+};
+const runDate = new Date('2024-06-30T12:00:00Z');
+const render = template => renderTagTemplate(template, customer, { runDate }).tag;
+
+test('renders fields, dates and the run date', () => {
+  assert.equal(render('cohort-{{created_at|yyyy-MM}}'), 'cohort-2024-03');
+  assert.equal(render('cohort-{{created_at|yyyy}}-Q{{created_at|Q}}'), 'cohort-2024-Q1');
+  assert.equal(render('country-{{default_address.country_code}}'), 'country-DE');
+  assert.equal(render('run-{{date}}'), 'run-2024-06-30');
+  assert.equal(render('run-{{date|yyyyMM}}'), 'run-202406');
+});
+
+test('applies filters', () => {
+  assert.equal(render('spent-band-{{total_spent|bucket:100,500,1000}}'), 'spent-band-500-1000');
+  assert.equal(render('spent-band-{{total_spent|bucket:100,500}}'), 'spent-band-500+');
+  assert.equal(render('spent-{{total_spent|round}}'), 'spent-743');
+  assert.equal(render('city-{{default_address.city|slug}}'), 'city-bad-homburg');
+  assert.equal(render('{{email|upper}}'), 'ANN@EXAMPLE.COM');
+  assert.equal(render('region-{{default_address.province|default:unknown}}'), 'region-unknown');
+});
+
+test('skips a tag when a value is missing', () => {
+  assert.deepEqual(
+    renderTagTemplate('region-{{default_address.province|lower}}', customer, { runDate }),
+    { tag: null, missing: 'default_address.province' }
+  );
+});
+
+test('rejects invalid templates', () => {
+  const check = tag => () => validateTagTemplates([{ type: 'add', tag }]);
+
+  assert.throws(check('cohort-{{created_at'), TagTemplateError);
+  assert.throws(check('cohort-{{}}'), /Invalid expression/);
+  assert.throws(check('x-{{shoe_size}}'), /Unknown field/);
+  assert.throws(check('x-{{total_spent|reverse}}'), /Unknown filter/);
+  assert.throws(check('x-{{total_spent|bucket:500,100}}'), /ascending/);
+  assert.throws(check('x-{{total_spent|bucket:a,b}}'), /list of numbers/);
+  assert.throws(check('a,b-{{id}}'), /commas/);
+  assert.throws(() => validateTagTemplates([{ type: 'set_tier', groupId: 'g', tag: '{{id}}' }]), /cannot be a template/);
+  assert.doesNotThrow(check('plain-tag'));
+});
+
+test('renders actions per customer, expanding templated removes to matching tags', () => {
+  const pattern = getTagTemplatePattern('spent-band-{{total_spent|bucket:100,500,1000}}');
+  assert.equal(pattern.test('Spent-Band-100-500'), true);
+  assert.equal(pattern.test('spent-band-'), false);
+
+  const { actions, skipped } = renderTagActions([
+    { type: 'remove', tag: 'spent-band-{{total_spent|bucket:100,500,1000}}' },
+    { type: 'add', tag: 'spent-band-{{total_spent|bucket:100,500,1000}}', expiresIn: '30d' },
+    { type: 'add', tag: 'region-{{default_address.province}}' },
+    { type: 'add', tag: 'Customer' }
+  ], customer, { runDate });
+
+  assert.deepEqual(actions, [
+    { type: 'remove', tag: 'spent-band-0-100' },
+    { type: 'add', tag: 'spent-band-500-1000', expiresIn: '30d' },
+    { type: 'add', tag: 'Customer' }
+  ]);
+  assert.deepEqual(skipped, [{ template: 'region-{{default_address.province}}', missing: 'default_address.province' }]);
+});
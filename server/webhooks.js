@@ -0,0 +1,69 @@
+// Shopify webhooks for real-time tagging. Each supported topic concerns one
+// customer, who is checked against every active rule as soon as the event
+// arrives instead of waiting for the rule's next run. Webhooks are signed with
+// the app secret: X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw body.
+import crypto from 'crypto';
+import { evaluateTrigger, getTriggerSegments, getRuleTriggerKey } from './ruleTrigger.js';
+
+const WEBHOOK_TOPICS = ['customers/create', 'customers/update', 'orders/create', 'orders/paid'];
+
+function signWebhook(rawBody, secret) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('base64');
+}
+
+function verifyWebhook(rawBody, hmac, secret) {
+  if (!hmac || !secret) return false;
+  const expected = Buffer.from(signWebhook(rawBody, secret));
+  const given = Buffer.from(String(hmac));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// The customer a webhook is about, or null (e.g. a guest checkout)
+function getWebhookCustomerId(topic, payload) {
+  const id = topic.startsWith('orders/') ? payload?.customer?.id : payload?.id;
+  return id ? String(id) : null;
+}
+
+// The segments a rule's trigger refers to
+function getRuleSegments(rule) {
+  return rule.trigger ? getTriggerSegments(rule.trigger) : [rule.triggerSegment];
+}
+
+// Which rules the customer has just entered or exited, compared with each
+// rule's membership snapshot. `memberSegments` are the segments the customer
+// is in, out of the `checkedSegments` that were looked up. Rules without a
+// snapshot for their current trigger (never run since it was set) and rules
+// using a segment that wasn't checked are left to their next run.
+function getCustomerRuleChanges(rules, customer, { memberSegments, checkedSegments, snapshots }) {
+  const customerId = String(customer.id);
+  const changes = [];
+
+  for (const rule of rules) {
+    const snapshot = snapshots.get(rule.id);
+    if (!snapshot || snapshot.segmentName !== getRuleTriggerKey(rule)) continue;
+
+    const segments = getRuleSegments(rule);
+    if (!segments.every(segment => checkedSegments.has(segment))) continue;
+
+    const matches = rule.trigger
+      ? evaluateTrigger(rule.trigger, customer, {
+        segmentMembers: new Map(segments.map(segment => [segment, new Set(memberSegments.has(segment) ? [customerId] : [])]))
+      })
+      : memberSegments.has(rule.triggerSegment);
+    const wasMember = snapshot.customerIds.some(id => String(id) === customerId);
+
+    if (matches && !wasMember) changes.push({ rule, change: 'entered' });
+    if (!matches && wasMember) changes.push({ rule, change: 'exited' });
+  }
+
+  return changes;
+}
+
+export {
+  WEBHOOK_TOPICS,
+  signWebhook,
+  verifyWebhook,
+  getWebhookCustomerId,
+  getRuleSegments,
+  getCustomerRuleChanges
+};
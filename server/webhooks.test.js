@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signWebhook, verifyWebhook, getWebhookCustomerId, getCustomerRuleChanges } from './webhooks.js';
+import { getRuleTriggerKey } from './ruleTrigger.js';
+
+test('verifies the HMAC of the raw body', () => {
+  const body = Buffer.from('{"id":42}');
+  const hmac = signWebhook(body, 'secret');
+
+  assert.equal(verifyWebhook(body, hmac, 'secret'), true);
+  assert.equal(verifyWebhook(body, hmac, 'other-secret'), false);
+  assert.equal(verifyWebhook(Buffer.from('{"id":43}'), hmac, 'secret'), false);
+  assert.equal(verifyWebhook(body, undefined, 'secret'), false);
+  assert.equal(verifyWebhook(body, hmac, ''), false);
+});
+
+test('finds the customer of customer and order events', () => {
+  assert.equal(getWebhookCustomerId('customers/create', { id: 42 }), '42');
+  assert.equal(getWebhookCustomerId('orders/paid', { id: 1001, customer: { id: 42 } }), '42');
+  assert.equal(getWebhookCustomerId('orders/create', { id: 1002, customer: null }), null);
+});
+
+test('reports the rules a customer entered or exited since their last run', () => {
+  const vip = { id: 'vip', triggerSegment: 'Champions' };
+  const lapsed = { id: 'lapsed', triggerSegment: 'At Risk' };
+  const newcomer = { id: 'new', triggerSegment: 'Champions' };
+  const repeat = {
+    id: 'repeat',
+    trigger: { type: 'and', conditions: [{ type: 'segment', segment: 'Champions' }, { type: 'tag', tag: 'wholesale' }] }
+  };
+  const customer = { id: 42, tags: 'wholesale' };
+
+  const changes = getCustomerRuleChanges([vip, lapsed, newcomer, repeat], customer, {
+    memberSegments: new Set(['Champions']),
+    checkedSegments: new Set(['Champions', 'At Risk']),
+    // 'new' has never run, so there is nothing to compare it with
+    snapshots: new Map([
+      ['vip', { segmentName: 'Champions', customerIds: ['7'] }],
+      ['lapsed', { segmentName: 'At Risk', customerIds: ['42'] }],
+      ['repeat', { segmentName: getRuleTriggerKey(repeat), customerIds: [] }]
+    ])
+  });
+
+  assert.deepEqual(changes.map(({ rule, change }) => [rule.id, change]), [
+    ['vip', 'entered'],
+    ['lapsed', 'exited'],
+    ['repeat', 'entered']
+  ]);
+});
+
+test('skips rules whose segments were not checked or whose snapshot is stale', () => {
+  const rule = { id: 'vip', triggerSegment: 'Champions' };
+  const options = { memberSegments: new Set(), snapshots: new Map([['vip', { segmentName: 'Champions', customerIds: ['42'] }]]) };
+
+  assert.deepEqual(getCustomerRuleChanges([rule], { id: 42 }, { ...options, checkedSegments: new Set() }), []);
+  assert.deepEqual(
+    getCustomerRuleChanges([{ ...rule, triggerSegment: 'Loyal' }], { id: 42 }, { ...options, checkedSegments: new Set(['Loyal']) }),
+    []
+  );
+});
@@ -3,12 +3,19 @@ import { Sidebar } from "@/components/Sidebar";
 import { Dashboard } from "@/components/Dashboard";
 import { Rules } from "@/components/Rules";
 import { BulkTagger } from "@/components/BulkTagger";
+import { AuditLog } from "@/components/AuditLog";
+import { TagGroups } from "@/components/TagGroups";
+import { TagExpirations } from "@/components/TagExpirations";
+import { StoreSettings } from "@/components/StoreSettings";
 import { LoginForm } from "@/components/LoginForm";
 import { AuthProvider, useAuth } from "@/contexts/AuthContext";
 import { RefreshCw } from "lucide-react";
 
 function AppContent() {
-  const [activeTab, setActiveTab] = useState('dashboard');
+  // Shopify redirects back here with ?installed=<shop> after an install
+  const [activeTab, setActiveTab] = useState(() =>
+    new URLSearchParams(window.location.search).has('installed') ? 'store' : 'dashboard'
+  );
   const { isAuthenticated, loading } = useAuth();
 
   const renderContent = () => {
@@ -19,6 +26,14 @@ function AppContent() {
         return <Rules />;
       case 'bulk-tagger':
         return <BulkTagger />;
+      case 'tag-groups':
+        return <TagGroups />;
+      case 'expiring-tags':
+        return <TagExpirations />;
+      case 'audit':
+        return <AuditLog />;
+      case 'store':
+        return <StoreSettings />;
       default:
         return <Dashboard />;
     }
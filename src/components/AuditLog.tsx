@@ -0,0 +1,237 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { History, Search, AlertCircle, Loader2 } from "lucide-react";
+import { apiService, type AuditFilters, type TagEvent } from "@/lib/api";
+
+const PAGE_SIZE = 50;
+
+const SOURCE_LABELS: Record<TagEvent['sourceType'], string> = {
+  rule: "Rule",
+  bulk: "Bulk Tagger",
+  manual: "Manual",
+  rollback: "Rollback",
+  expiry: "Expiry",
+  webhook: "Webhook",
+};
+
+export function AuditLog() {
+  const [customerId, setCustomerId] = useState("");
+  const [tag, setTag] = useState("");
+  const [sourceType, setSourceType] = useState<string>("all");
+  const [events, setEvents] = useState<TagEvent[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadEvents = useCallback(async (
+    nextOffset: number,
+    search: { customerId?: string; tag?: string; sourceType?: string } = {}
+  ) => {
+    setIsLoading(true);
+    setError(null);
+
+    const filters: AuditFilters = {
+      tag: search.tag?.trim() || undefined,
+      sourceType: !search.sourceType || search.sourceType === "all" ? undefined : (search.sourceType as TagEvent['sourceType']),
+      limit: PAGE_SIZE,
+      offset: nextOffset,
+    };
+
+    try {
+      const page = search.customerId?.trim()
+        ? await apiService.getCustomerTagHistory(search.customerId.trim(), filters)
+        : await apiService.getAuditLog(filters);
+      setEvents(page.events);
+      setTotal(page.total);
+      setOffset(nextOffset);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load audit log');
+      console.error('Error loading audit log:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEvents(0);
+  }, [loadEvents]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    loadEvents(0, { customerId, tag, sourceType });
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Audit Log</h1>
+        <p className="text-gray-600 mt-1">See when each tag was added or removed, and by what</p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Search className="h-5 w-5" />
+            Filters
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="audit-customer">Customer ID</Label>
+              <Input
+                id="audit-customer"
+                placeholder="e.g. 7012345678901"
+                value={customerId}
+                onChange={(e) => setCustomerId(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="audit-tag">Tag</Label>
+              <Input
+                id="audit-tag"
+                placeholder="e.g. VIP"
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label>Source</Label>
+              <Select value={sourceType} onValueChange={setSourceType}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All sources</SelectItem>
+                  <SelectItem value="rule">Rules</SelectItem>
+                  <SelectItem value="bulk">Bulk Tagger</SelectItem>
+                  <SelectItem value="manual">Manual</SelectItem>
+                  <SelectItem value="rollback">Rollbacks</SelectItem>
+                  <SelectItem value="expiry">Expired tags</SelectItem>
+                  <SelectItem value="webhook">Webhooks</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <Button type="submit" disabled={isLoading}>
+              {isLoading ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Search className="h-4 w-4 mr-2" />
+              )}
+              Search
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Tag Changes ({total})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {events.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">
+              {isLoading ? 'Loading...' : 'No tag changes found'}
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>When</TableHead>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Source</TableHead>
+                  <TableHead>Actor</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {events.map((event) => (
+                  <TableRow key={event.id}>
+                    <TableCell className="whitespace-nowrap">
+                      {new Date(event.createdAt).toLocaleString()}
+                    </TableCell>
+                    <TableCell className="font-mono text-sm">{event.customerId}</TableCell>
+                    <TableCell>
+                      <Badge
+                        variant="outline"
+                        className={event.action === 'add'
+                          ? "border-green-300 text-green-700"
+                          : "border-red-300 text-red-700"}
+                      >
+                        {event.action === 'add' ? '+' : '−'} {event.tag}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      {SOURCE_LABELS[event.sourceType] || event.sourceType}
+                      {event.sourceId && (
+                        <span className="block text-xs text-gray-500 font-mono">{event.sourceId}</span>
+                      )}
+                    </TableCell>
+                    <TableCell>{event.actor || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-600">
+                Showing {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={isLoading || offset === 0}
+                  onClick={() => loadEvents(Math.max(offset - PAGE_SIZE, 0), { customerId, tag, sourceType })}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={isLoading || offset + PAGE_SIZE >= total}
+                  onClick={() => loadEvents(offset + PAGE_SIZE, { customerId, tag, sourceType })}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
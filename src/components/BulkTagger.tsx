@@ -27,27 +27,63 @@ import {
   Users, 
   Tag, 
   AlertCircle, 
-  CheckCircle,
-  Loader2
+  Loader2,
+  Eye
 } from "lucide-react";
-import { apiService, type CustomerSegment, type ShopifyCustomer, type BulkTagResult } from "@/lib/api";
+import {
+  apiService,
+  type CustomerSegment,
+  type ShopifyCustomer,
+  type Job,
+  type TagAction,
+  type TagGroup,
+  type TagChangePreviewResult
+} from "@/lib/api";
+import { TagChangePreview } from "./TagChangePreview";
+import { JobStatus } from "./JobStatus";
+import { TagExpiryInput } from "./TagExpiryInput";
+import { type TagExpiry, isTagExpiryValid, getTagExpiry, describeTagExpiry } from "@/lib/tagExpiry";
 
 export function BulkTagger() {
   const [segments, setSegments] = useState<CustomerSegment[]>([]);
   const [selectedSegment, setSelectedSegment] = useState<string>("");
   const [customers, setCustomers] = useState<ShopifyCustomer[]>([]);
   const [selectedCustomers, setSelectedCustomers] = useState<Set<string>>(new Set());
-  const [tagAction, setTagAction] = useState<'add' | 'remove'>('add');
+  const [tagAction, setTagAction] = useState<TagAction['type']>('add');
   const [tagName, setTagName] = useState('');
+  const [tagGroups, setTagGroups] = useState<TagGroup[]>([]);
+  const [tierGroupId, setTierGroupId] = useState('');
+  const [expiry, setExpiry] = useState<TagExpiry>({});
   const [isLoading, setIsLoading] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [result, setResult] = useState<BulkTagResult | null>(null);
+  const [job, setJob] = useState<Job | null>(null);
+  const [preview, setPreview] = useState<TagChangePreviewResult | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
   const [error, setError] = useState<string | null>(null);
 
   useEffect(() => {
     loadSegments();
+    loadTagGroups();
   }, []);
 
+  const loadTagGroups = async () => {
+    try {
+      setTagGroups(await apiService.getTagGroups());
+    } catch (err) {
+      console.error('Error loading tag groups:', err);
+    }
+  };
+
+  const tierGroup = tagGroups.find(group => group.id === tierGroupId);
+  const isTagReady = (tagAction === 'set_tier' ? !!tierGroup && !!tagName : !!tagName.trim()) &&
+    (tagAction === 'remove' || isTagExpiryValid(expiry));
+
+  const buildActions = (): TagAction[] => tagAction === 'set_tier'
+    ? [{ type: 'set_tier', groupId: tierGroupId, tag: tagName, ...getTagExpiry(expiry) }]
+    : tagAction === 'add'
+      ? [{ type: 'add', tag: tagName.trim(), ...getTagExpiry(expiry) }]
+      : [{ type: 'remove', tag: tagName.trim() }];
+
   const loadSegments = async () => {
     try {
       const data = await apiService.getSegments();
@@ -75,7 +111,8 @@ export function BulkTagger() {
 
   const handleSegmentChange = (value: string) => {
     setSelectedSegment(value);
-    setResult(null);
+    setJob(null);
+    setPreview(null);
     if (value) {
       loadCustomers(value);
     } else {
@@ -92,6 +129,7 @@ export function BulkTagger() {
       newSelected.add(customerId);
     }
     setSelectedCustomers(newSelected);
+    setPreview(null);
   };
 
   const handleSelectAll = () => {
@@ -100,29 +138,49 @@ export function BulkTagger() {
     } else {
       setSelectedCustomers(new Set(customers.map(c => c.id)));
     }
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    if (!isTagReady || selectedCustomers.size === 0) {
+      setError(tagAction === 'set_tier'
+        ? 'Please choose a tag group and tier and select customers'
+        : 'Please enter a tag name and select customers');
+      return;
+    }
+
+    setIsPreviewing(true);
+    setError(null);
+    setJob(null);
+
+    try {
+      const customerIds = Array.from(selectedCustomers);
+      const previewResult = await apiService.previewBulkTags(customerIds, buildActions());
+      setPreview(previewResult);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to preview changes');
+      console.error('Error previewing bulk tags:', err);
+    } finally {
+      setIsPreviewing(false);
+    }
   };
 
   const handleBulkTag = async () => {
-    if (!tagName.trim() || selectedCustomers.size === 0) {
-      setError('Please enter a tag name and select customers');
+    if (!isTagReady || selectedCustomers.size === 0) {
+      setError(tagAction === 'set_tier'
+        ? 'Please choose a tag group and tier and select customers'
+        : 'Please enter a tag name and select customers');
       return;
     }
 
     setIsProcessing(true);
     setError(null);
-    setResult(null);
+    setJob(null);
 
     try {
       const customerIds = Array.from(selectedCustomers);
-      const actions = [{ type: tagAction, tag: tagName.trim() }];
-      
-      const bulkResult = await apiService.applyBulkTags(customerIds, actions);
-      setResult(bulkResult);
-      
-      // Refresh customer data to show updated tags
-      if (selectedSegment) {
-        loadCustomers(selectedSegment);
-      }
+      setJob(await apiService.applyBulkTags(customerIds, buildActions()));
+      setPreview(null);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to apply tags');
       console.error('Error applying bulk tags:', err);
@@ -149,14 +207,12 @@ export function BulkTagger() {
         </Alert>
       )}
 
-      {result && (
-        <Alert>
-          <CheckCircle className="h-4 w-4" />
-          <AlertDescription>
-            Bulk tagging completed! {result.success} customers updated successfully.
-            {result.failed > 0 && ` ${result.failed} failed.`}
-          </AlertDescription>
-        </Alert>
+      {job && (
+        <JobStatus
+          key={job.id}
+          job={job}
+          onFinished={() => selectedSegment && loadCustomers(selectedSegment)}
+        />
       )}
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -186,25 +242,103 @@ export function BulkTagger() {
 
             <div className="space-y-2">
               <Label>Action</Label>
-              <Select value={tagAction} onValueChange={(value: 'add' | 'remove') => setTagAction(value)}>
+              <Select
+                value={tagAction}
+                onValueChange={(value: TagAction['type']) => {
+                  setTagAction(value);
+                  setTagName('');
+                  setPreview(null);
+                  if (value === 'remove') setExpiry({});
+                }}
+              >
                 <SelectTrigger>
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
                   <SelectItem value="add">Add Tag</SelectItem>
                   <SelectItem value="remove">Remove Tag</SelectItem>
+                  <SelectItem value="set_tier" disabled={tagGroups.length === 0}>Set Tier</SelectItem>
                 </SelectContent>
               </Select>
             </div>
 
-            <div className="space-y-2">
-              <Label>Tag Name</Label>
-              <Input
-                value={tagName}
-                onChange={(e) => setTagName(e.target.value)}
-                placeholder="Enter tag name"
-              />
-            </div>
+            {tagAction === 'set_tier' ? (
+              <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label>Tag Group</Label>
+                  <Select
+                    value={tierGroupId}
+                    onValueChange={(value) => {
+                      setTierGroupId(value);
+                      setTagName('');
+                      setPreview(null);
+                    }}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a group" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {tagGroups.map((group) => (
+                        <SelectItem key={group.id} value={group.id}>{group.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <Label>Tier</Label>
+                  <Select
+                    value={tagName}
+                    onValueChange={(value) => {
+                      setTagName(value);
+                      setPreview(null);
+                    }}
+                    disabled={!tierGroup}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a tier" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {tierGroup?.tags.map((tag) => (
+                        <SelectItem key={tag} value={tag}>{tag}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {tierGroup && tagName && (
+                  <p className="col-span-2 text-xs text-gray-500">
+                    Adds "{tagName}" and removes {tierGroup.tags.filter(tag => tag !== tagName).map(tag => `"${tag}"`).join(', ')}.
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <Label>Tag Name</Label>
+                <Input
+                  value={tagName}
+                  onChange={(e) => {
+                    setTagName(e.target.value);
+                    setPreview(null);
+                  }}
+                  placeholder="Enter tag name"
+                />
+              </div>
+            )}
+
+            {tagAction !== 'remove' && (
+              <div className="space-y-2">
+                <Label>Expiry</Label>
+                <TagExpiryInput
+                  value={expiry}
+                  onChange={(value) => {
+                    setExpiry(value);
+                    setPreview(null);
+                  }}
+                />
+                <p className="text-xs text-gray-500">
+                  Expired tags are removed automatically and listed under Expiring Tags until then.
+                </p>
+              </div>
+            )}
 
             <Separator />
 
@@ -213,23 +347,53 @@ export function BulkTagger() {
               <span>Total: {customers.length} customers</span>
             </div>
 
-            <Button
-              onClick={handleBulkTag}
-              disabled={!tagName.trim() || selectedCustomers.size === 0 || isProcessing}
-              className="w-full bg-blue-600 hover:bg-blue-700"
-            >
-              {isProcessing ? (
-                <>
-                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                  Processing...
-                </>
-              ) : (
-                <>
-                  <Play className="h-4 w-4 mr-2" />
-                  {tagAction === 'add' ? 'Add' : 'Remove'} Tag
-                </>
-              )}
-            </Button>
+            {preview ? (
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  onClick={() => setPreview(null)}
+                  disabled={isProcessing}
+                  className="flex-1"
+                >
+                  Cancel
+                </Button>
+                <Button
+                  onClick={handleBulkTag}
+                  disabled={isProcessing || preview.summary.changed === 0}
+                  className="flex-1 bg-blue-600 hover:bg-blue-700"
+                >
+                  {isProcessing ? (
+                    <>
+                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                      Processing...
+                    </>
+                  ) : (
+                    <>
+                      <Play className="h-4 w-4 mr-2" />
+                      Confirm &amp; Apply
+                    </>
+                  )}
+                </Button>
+              </div>
+            ) : (
+              <Button
+                onClick={handlePreview}
+                disabled={!isTagReady || selectedCustomers.size === 0 || isPreviewing}
+                className="w-full bg-blue-600 hover:bg-blue-700"
+              >
+                {isPreviewing ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Calculating changes...
+                  </>
+                ) : (
+                  <>
+                    <Eye className="h-4 w-4 mr-2" />
+                    Preview Changes
+                  </>
+                )}
+              </Button>
+            )}
           </CardContent>
         </Card>
 
@@ -314,6 +478,23 @@ export function BulkTagger() {
           </CardContent>
         </Card>
       </div>
+
+      {preview && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Eye className="h-5 w-5" />
+              Preview: {tagAction === 'set_tier'
+                ? `Set ${tierGroup?.name ?? 'tier'} to "${tagName}"`
+                : `${tagAction === 'add' ? 'Add' : 'Remove'} "${tagName.trim()}"`}
+              {tagAction !== 'remove' && describeTagExpiry(expiry) && ` ${describeTagExpiry(expiry)}`}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <TagChangePreview preview={preview} />
+          </CardContent>
+        </Card>
+      )}
     </div>
   );
 } 
\ No newline at end of file
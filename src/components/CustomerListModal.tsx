@@ -17,6 +17,8 @@ import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
 import { Loader2, Users, Mail, Calendar, Tag, RefreshCw, Download, AlertCircle } from "lucide-react";
 import { apiService, type ShopifyCustomer, type CustomerSegment } from "@/lib/api";
+import { useProgressStream } from "./hooks/use-progress";
+import { OperationProgress } from "./OperationProgress";
 
 interface CustomerListModalProps {
   isOpen: boolean;
@@ -36,6 +38,7 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
     actualCount?: number;
     message?: string;
   } | null>(null);
+  const { progress, start: startProgress, stop: stopProgress } = useProgressStream();
 
   useEffect(() => {
     if (isOpen && segment) {
@@ -62,15 +65,17 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
     setError(null);
     
     try {
-      const result = await apiService.getSegmentCustomerCount(segment.name);
+      const result = await apiService.getSegmentCustomerCount(segment.name, startProgress());
       if (result.success) {
         setActualCustomerCount(result.customerCount);
-        // Then load a preview of customers (first 250)
+        // Then load a preview of customers (first 250); this follows its own progress
         loadCustomers();
       } else {
+        stopProgress();
         setError('Failed to get customer count');
       }
     } catch (err) {
+      stopProgress();
       setError(err instanceof Error ? err.message : 'Failed to get customer count');
       console.error('Error fetching customer count:', err);
     } finally {
@@ -84,12 +89,13 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
     setIsLoading(true);
     setError(null);
     try {
-      const data = await apiService.getCustomersBySegment(segment.name);
+      const data = await apiService.getCustomersBySegment(segment.name, startProgress());
       setCustomers(data);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load customers');
       console.error('Error loading customers:', err);
     } finally {
+      stopProgress();
       setIsLoading(false);
     }
   };
@@ -105,7 +111,7 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
       const expectedCount = actualCustomerCount || segment.customerCount;
       console.log(`Starting full sync for segment: ${segment.name} (${expectedCount} expected customers)`);
       
-      const result = await apiService.syncCustomersInSegment(segment.name);
+      const result = await apiService.syncCustomersInSegment(segment.name, startProgress());
       
       if (result.success) {
         setCustomers(result.customers);
@@ -122,6 +128,7 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
       setError(err instanceof Error ? err.message : 'Failed to sync customers');
       console.error('Error syncing customers:', err);
     } finally {
+      stopProgress();
       setIsSyncing(false);
     }
   };
@@ -271,13 +278,16 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
           <div className="bg-blue-50 border border-blue-200 rounded-md p-4 mb-4">
             <div className="flex items-center gap-3">
               <Loader2 className="h-5 w-5 animate-spin text-blue-600" />
-              <div>
+              <div className="flex-1">
                 <div className="font-medium text-blue-800">
                   Syncing all customers with pagination...
                 </div>
                 <div className="text-sm text-blue-600 mt-1">
                   This may take several minutes for large segments. We're fetching all customers while respecting Shopify's rate limits.
                 </div>
+                <div className="mt-3">
+                  <OperationProgress progress={progress} fallbackLabel="Starting sync..." />
+                </div>
               </div>
             </div>
           </div>
@@ -285,11 +295,18 @@ export function CustomerListModal({ isOpen, onClose, segment }: CustomerListModa
 
         <div className="flex-1 overflow-auto">
           {(isLoading || isLoadingCount) ? (
-            <div className="flex items-center justify-center h-64">
-              <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
-              <span className="ml-2">
-                {isLoadingCount ? 'Getting customer count...' : 'Loading customers...'}
-              </span>
+            <div className="flex flex-col items-center justify-center h-64 gap-4">
+              <div className="flex items-center">
+                <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+                <span className="ml-2">
+                  {isLoadingCount ? 'Getting customer count...' : 'Loading customers...'}
+                </span>
+              </div>
+              {progress && (
+                <div className="w-full max-w-md">
+                  <OperationProgress progress={progress} />
+                </div>
+              )}
             </div>
           ) : customers.length === 0 ? (
             <div className="text-center py-12">
@@ -13,7 +13,7 @@ import { Badge } from "@/components/ui/badge";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Input } from "@/components/ui/input";
 import { RefreshCw, Users, AlertCircle, Eye, Search, Clock, Database, TrendingUp, Loader2 } from "lucide-react";
-import { apiService, type CustomerSegment } from "@/lib/api";
+import { apiService, type CustomerSegment, type CustomerSyncStatus } from "@/lib/api";
 import { CustomerListModal } from "./CustomerListModal";
 
 export function Dashboard() {
@@ -27,6 +27,7 @@ export function Dashboard() {
   const [loadingCounts, setLoadingCounts] = useState<Set<string>>(new Set());
   const [syncingCustomers, setSyncingCustomers] = useState<Set<string>>(new Set());
   const [showSegmentIds, setShowSegmentIds] = useState(false);
+  const [syncStatus, setSyncStatus] = useState<CustomerSyncStatus | null>(null);
 
   const loadSegments = async () => {
     try {
@@ -41,10 +42,45 @@ export function Dashboard() {
     }
   };
 
+  const loadSyncStatus = async () => {
+    try {
+      setSyncStatus(await apiService.getCustomerSyncStatus());
+    } catch (err) {
+      console.error('Error loading customer sync status:', err);
+    }
+  };
+
   useEffect(() => {
     loadSegments();
+    loadSyncStatus();
   }, []);
 
+  // Poll while a customer sync is running so the freshness updates when it finishes
+  useEffect(() => {
+    if (!syncStatus?.syncing) return;
+    const timer = setTimeout(loadSyncStatus, 3000);
+    return () => clearTimeout(timer);
+  }, [syncStatus]);
+
+  const handleSyncCustomerMirror = async () => {
+    try {
+      setSyncStatus(await apiService.syncCustomerMirror());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start customer sync');
+      console.error('Error starting customer sync:', err);
+    }
+  };
+
+  const formatAge = (dateString?: string | null) => {
+    if (!dateString) return 'never';
+    const minutes = Math.round((Date.now() - new Date(dateString).getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} d ago`;
+  };
+
   const handleRefresh = async () => {
     try {
       setIsRefreshing(true);
@@ -237,6 +273,39 @@ export function Dashboard() {
         </Card>
       </div>
 
+      {syncStatus?.available && (
+        <div className="flex flex-wrap items-center justify-between gap-2 rounded-md border border-gray-200 bg-gray-50 px-4 py-3 text-sm">
+          <div className="flex items-center gap-2 text-gray-700">
+            <Database className="h-4 w-4 text-gray-500" />
+            <span>
+              Local customer data: <strong>{(syncStatus.customerCount ?? 0).toLocaleString()}</strong> customers,
+              updated {formatAge(syncStatus.lastSyncedAt)}
+            </span>
+            {syncStatus.watermark && (
+              <span className="text-xs text-gray-500" title="Newest Shopify updated_at included">
+                (changes up to {formatDate(syncStatus.watermark)})
+              </span>
+            )}
+            {syncStatus.lastError && !syncStatus.syncing && (
+              <Badge variant="destructive" title={syncStatus.lastError}>Last sync failed</Badge>
+            )}
+          </div>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleSyncCustomerMirror}
+            disabled={syncStatus.syncing}
+          >
+            {syncStatus.syncing ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4 mr-2" />
+            )}
+            {syncStatus.syncing ? 'Syncing customers...' : 'Sync Customers'}
+          </Button>
+        </div>
+      )}
+
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-md p-4">
           <div className="text-red-700">{error}</div>
@@ -0,0 +1,127 @@
+import { useEffect, useRef } from "react";
+import { Button } from "@/components/ui/button";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertCircle, CheckCircle, Hand, Loader2, Play, Square, XCircle } from "lucide-react";
+import { isJobFinished, type Job } from "@/lib/api";
+import { useJob } from "./hooks/use-job";
+import { RevertJobButton } from "./RevertJobButton";
+import { OperationProgress } from "./OperationProgress";
+
+interface JobStatusProps {
+  job: Job;
+  onFinished?: (job: Job) => void;
+  onNeedsApproval?: (job: Job) => void;
+}
+
+function describeJob(job: Job): string {
+  const { total, processed, success, failed } = job.progress;
+
+  switch (job.status) {
+    case 'queued':
+      return 'Queued - waiting for earlier jobs to finish...';
+    case 'running':
+      if (job.cancelRequested) {
+        return 'Cancelling after the current batch...';
+      }
+      return job.type === 'rule' ? 'Running rule...' : 'Tagging customers...';
+    case 'completed':
+      if (job.result?.rule) {
+        return `Rule "${job.result.rule}" executed: ${job.result.customersProcessed} customers in segment (${job.result.entered} entered, ${job.result.exited} exited), ${success} successful and ${failed} failed updates.`;
+      }
+      return `Bulk tagging completed! ${success} customers updated successfully.${failed > 0 ? ` ${failed} failed.` : ''}`;
+    case 'cancelled':
+      return `Cancelled after ${processed} of ${total} customers (${success} updated).`;
+    case 'failed':
+      return `Failed after ${processed} of ${total} customers: ${job.result?.error || 'Unknown error'}`;
+    case 'needs_approval':
+      return `Waiting for approval - nothing has been changed yet. ${job.approval?.reason || ''}`.trim();
+    case 'rejected':
+      return `Rejected${job.approval?.decidedBy ? ` by ${job.approval.decidedBy}` : ''} - nothing was changed.`;
+  }
+}
+
+export function JobStatus({ job: initialJob, onFinished, onNeedsApproval }: JobStatusProps) {
+  const { job, live, cancel, resume } = useJob(initialJob);
+  const finished = isJobFinished(job);
+  // Held by a rule's safety limits; approved or rejected from the Rules page
+  const held = job.status === 'needs_approval';
+
+  // Parents pass inline callbacks; keep the latest ones so the effects below
+  // fire once per state change rather than on every render
+  const latest = useRef({ job, onFinished, onNeedsApproval });
+  useEffect(() => {
+    latest.current = { job, onFinished, onNeedsApproval };
+  });
+
+  useEffect(() => {
+    if (finished) {
+      latest.current.onFinished?.(latest.current.job);
+    }
+  }, [finished]);
+
+  useEffect(() => {
+    if (held) {
+      latest.current.onNeedsApproval?.(latest.current.job);
+    }
+  }, [held]);
+
+  const handleCancel = async () => {
+    try {
+      await cancel();
+    } catch (error) {
+      alert('Failed to cancel job: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      await resume();
+    } catch (error) {
+      alert('Failed to resume job: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const Icon = held
+    ? Hand
+    : !finished
+      ? Loader2
+      : job.status === 'completed'
+        ? CheckCircle
+        : job.status === 'cancelled' || job.status === 'rejected'
+          ? XCircle
+          : AlertCircle;
+
+  return (
+    <Alert variant={job.status === 'failed' ? 'destructive' : 'default'}>
+      <Icon className={`h-4 w-4 ${finished || held ? '' : 'animate-spin'}`} />
+      <AlertDescription className="space-y-3">
+        <div className="flex items-center justify-between gap-4">
+          <span>{describeJob(job)}</span>
+          <div className="flex items-center gap-2 shrink-0">
+            {!finished && !held && (
+              <Button variant="outline" size="sm" onClick={handleCancel} disabled={job.cancelRequested}>
+                <Square className="h-4 w-4 mr-2" />
+                Cancel
+              </Button>
+            )}
+            {(job.status === 'cancelled' || job.status === 'failed') && (
+              <Button variant="outline" size="sm" onClick={handleResume}>
+                <Play className="h-4 w-4 mr-2" />
+                Resume
+              </Button>
+            )}
+            {finished && job.progress.success > 0 && !job.rolledBackAt && (
+              <RevertJobButton jobId={job.id} onReverted={() => onFinished?.(job)} />
+            )}
+          </div>
+        </div>
+        {!finished && !held && (
+          <OperationProgress
+            progress={live}
+            fallbackLabel={job.status === 'queued' ? 'Waiting in the queue' : 'Starting...'}
+          />
+        )}
+      </AlertDescription>
+    </Alert>
+  );
+}
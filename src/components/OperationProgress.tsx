@@ -0,0 +1,50 @@
+import { Progress } from "@/components/ui/progress";
+import type { ProgressSnapshot } from "@/lib/api";
+
+interface OperationProgressProps {
+  progress: ProgressSnapshot | null;
+  fallbackLabel?: string;
+}
+
+function formatEta(seconds: number): string {
+  if (seconds < 60) return `about ${Math.max(seconds, 1)}s left`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `about ${minutes}m ${seconds % 60}s left`;
+  return `about ${Math.floor(minutes / 60)}h ${minutes % 60}m left`;
+}
+
+// Progress bar for a job or long request. Tagging progress (processed/total)
+// takes priority; otherwise records fetched from Shopify in the current phase.
+export function OperationProgress({ progress, fallbackLabel = "Starting..." }: OperationProgressProps) {
+  const total = progress?.total ?? 0;
+  const expected = progress?.expected ?? 0;
+  const fetched = progress?.fetched ?? 0;
+
+  let percent = 0;
+  let label = progress?.phase || fallbackLabel;
+
+  if (progress && total > 0) {
+    percent = (progress.processed / total) * 100;
+    label = `${progress.phase || 'Processing'}: ${progress.processed.toLocaleString()} of ${total.toLocaleString()} customers`;
+    if (progress.failed > 0) {
+      label += ` (${progress.failed.toLocaleString()} failed)`;
+    }
+  } else if (progress && expected > 0) {
+    percent = (fetched / expected) * 100;
+    label = `${progress.phase || 'Fetching'}: ${fetched.toLocaleString()} of ${expected.toLocaleString()}`;
+  } else if (progress && fetched > 0) {
+    label = `${progress.phase || 'Fetching'}: ${fetched.toLocaleString()} fetched (${progress.pagesFetched} pages)`;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-4 text-sm text-gray-600">
+        <span>{label}</span>
+        {progress?.etaSeconds != null && progress.etaSeconds > 0 && (
+          <span className="shrink-0">{formatEta(progress.etaSeconds)}</span>
+        )}
+      </div>
+      <Progress value={Math.min(percent, 100)} />
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Undo2, Loader2 } from "lucide-react";
+import { apiService, type RollbackResult } from "@/lib/api";
+
+interface RevertJobButtonProps {
+  jobId: string;
+  onReverted?: (result: RollbackResult) => void;
+}
+
+export function RevertJobButton({ jobId, onReverted }: RevertJobButtonProps) {
+  const [isReverting, setIsReverting] = useState(false);
+  const [result, setResult] = useState<RollbackResult | null>(null);
+
+  const handleRevert = async () => {
+    if (!window.confirm('Revert the tag changes made by this job? Tags changed since by another job are left as they are.')) {
+      return;
+    }
+
+    setIsReverting(true);
+    try {
+      const rollback = await apiService.rollbackJob(jobId);
+      setResult(rollback);
+      onReverted?.(rollback);
+    } catch (error) {
+      alert('Failed to revert: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsReverting(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <span className="text-sm text-gray-600">
+        Reverted {result.reverted} tag {result.reverted === 1 ? 'change' : 'changes'}
+        {result.skipped.length > 0 && `, ${result.skipped.length} skipped (changed later)`}
+        {result.failed > 0 && `, ${result.failed} failed`}
+      </span>
+    );
+  }
+
+  return (
+    <Button variant="outline" size="sm" onClick={handleRevert} disabled={isReverting}>
+      {isReverting ? (
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+      ) : (
+        <Undo2 className="h-4 w-4 mr-2" />
+      )}
+      Revert
+    </Button>
+  );
+}
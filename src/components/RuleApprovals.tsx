@@ -0,0 +1,149 @@
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Check, Eye, Hand, Loader2, X } from "lucide-react";
+import { apiService, type Job, type RulePreviewResult, type TaggingRule } from "@/lib/api";
+import { TagChangePreview } from "./TagChangePreview";
+
+interface RuleApprovalsProps {
+  rules: TaggingRule[];
+  // Bumped when a run may have been held; held runs are also reloaded with the rules
+  refreshKey: number;
+  onDecided: (job: Job) => void;
+}
+
+// Rule runs held by their safety limits, to review and approve or reject
+export function RuleApprovals({ rules, refreshKey, onDecided }: RuleApprovalsProps) {
+  const [heldJobs, setHeldJobs] = useState<Job[]>([]);
+  const [reviewJob, setReviewJob] = useState<Job | null>(null);
+  const [preview, setPreview] = useState<RulePreviewResult | null>(null);
+  const [isDeciding, setIsDeciding] = useState(false);
+
+  useEffect(() => {
+    apiService.getJobs({ status: 'needs_approval', type: 'rule' })
+      .then(setHeldJobs)
+      .catch(error => console.error('Error loading rule runs waiting for approval:', error));
+  }, [rules, refreshKey]);
+
+  const getRuleName = (job: Job) =>
+    rules.find(rule => rule.id === job.sourceId)?.name || job.sourceId || 'Unknown rule';
+
+  const handleReview = async (job: Job) => {
+    setReviewJob(job);
+    setPreview(null);
+    try {
+      setPreview(await apiService.previewHeldRuleRun(job.sourceId || '', job.id));
+    } catch (error) {
+      setReviewJob(null);
+      alert('Failed to preview run: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleDecision = async (approve: boolean) => {
+    if (!reviewJob) return;
+
+    setIsDeciding(true);
+    try {
+      const ruleId = reviewJob.sourceId || '';
+      const job = approve
+        ? await apiService.approveRuleRun(ruleId, reviewJob.id)
+        : await apiService.rejectRuleRun(ruleId, reviewJob.id);
+      setHeldJobs(heldJobs.filter(held => held.id !== job.id));
+      setReviewJob(null);
+      onDecided(job);
+    } catch (error) {
+      alert(`Failed to ${approve ? 'approve' : 'reject'} run: ` + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsDeciding(false);
+    }
+  };
+
+  if (heldJobs.length === 0) return null;
+
+  return (
+    <>
+      <Card className="border-amber-200">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-lg font-medium text-gray-900">
+            <Hand className="h-5 w-5 text-amber-600" />
+            Runs Waiting for Approval ({heldJobs.length})
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {heldJobs.map((job) => (
+            <div key={job.id} className="flex items-center justify-between gap-4 rounded-md border p-3">
+              <div className="text-sm">
+                <p className="font-medium text-gray-900">{getRuleName(job)}</p>
+                <p className="text-gray-600">{job.approval?.reason}</p>
+                <p className="text-xs text-gray-500">
+                  Started by {job.actor || 'unknown'} · {job.createdAt ? new Date(job.createdAt).toLocaleString() : ''}
+                </p>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => handleReview(job)}>
+                <Eye className="h-4 w-4 mr-2" />
+                Review
+              </Button>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!reviewJob} onOpenChange={(open) => !open && !isDeciding && setReviewJob(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2 text-xl font-semibold text-gray-900">
+              <Hand className="h-5 w-5" />
+              Review run: {reviewJob && getRuleName(reviewJob)}
+            </DialogTitle>
+          </DialogHeader>
+
+          {!preview ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600 mr-3" />
+              <span className="text-gray-600">Calculating changes...</span>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <Alert>
+                <Hand className="h-4 w-4" />
+                <AlertDescription>{reviewJob?.approval?.reason}</AlertDescription>
+              </Alert>
+              <p className="text-sm text-gray-600">
+                {preview.customersProcessed} customers matching · {preview.entered} entered · {preview.exited} exited since the last run
+                {preview.sampled && ` · showing the first ${preview.summary.customers} customers`}
+              </p>
+              <TagChangePreview preview={preview} />
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => handleDecision(false)} disabled={!preview || isDeciding}>
+              <X className="h-4 w-4 mr-2" />
+              Reject
+            </Button>
+            <Button
+              onClick={() => handleDecision(true)}
+              disabled={!preview || isDeciding}
+              className="bg-blue-600 hover:bg-blue-700"
+            >
+              {isDeciding ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Check className="h-4 w-4 mr-2" />
+              )}
+              Approve &amp; Run
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+}
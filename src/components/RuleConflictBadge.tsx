@@ -0,0 +1,59 @@
+import { Badge } from "@/components/ui/badge";
+import {
+  Tooltip,
+  TooltipContent,
+  TooltipProvider,
+  TooltipTrigger,
+} from "@/components/ui/tooltip";
+import { AlertTriangle } from "lucide-react";
+import type { RuleConflict } from "@/lib/api";
+
+interface RuleConflictBadgeProps {
+  ruleId: string;
+  conflicts: RuleConflict[];
+}
+
+function describeOverlap(conflict: RuleConflict): string {
+  switch (conflict.overlap.status) {
+    case 'same-segment':
+      return 'same trigger segment';
+    case 'overlapping':
+      return `${conflict.overlap.customers?.toLocaleString()} customers in both segments`;
+    default:
+      return 'segments may overlap';
+  }
+}
+
+// Warning shown next to a rule whose actions contradict another active rule
+export function RuleConflictBadge({ ruleId, conflicts }: RuleConflictBadgeProps) {
+  const ruleConflicts = conflicts.filter(conflict => conflict.rules.some(rule => rule.id === ruleId));
+  if (ruleConflicts.length === 0) return null;
+
+  return (
+    <TooltipProvider>
+      <Tooltip>
+        <TooltipTrigger asChild>
+          <Badge variant="outline" className="ml-2 cursor-help border-amber-300 bg-amber-50 text-amber-800 hover:bg-amber-50">
+            <AlertTriangle className="h-3 w-3 mr-1" />
+            Conflict
+          </Badge>
+        </TooltipTrigger>
+        <TooltipContent className="max-w-sm space-y-2 p-3">
+          {ruleConflicts.map((conflict) => {
+            const other = conflict.rules.find(rule => rule.id !== ruleId);
+            const winner = conflict.rules.find(rule => rule.id === conflict.winnerId);
+            return (
+              <div key={conflict.rules.map(rule => rule.id).join('-')}>
+                <div className="font-medium">With "{other?.name}" ({describeOverlap(conflict)})</div>
+                <div>
+                  {conflict.tags.map(tag => `${tag.tag}${tag.phase === 'exit' ? ' (on exit)' : ''}`).join(', ')}
+                  {' '}- "{winner?.name}" wins{conflict.samePriority ? ' (same priority, older rule runs first)' : ''}
+                </div>
+              </div>
+            );
+          })}
+        </TooltipContent>
+      </Tooltip>
+    </TooltipProvider>
+  );
+}
@@ -16,37 +16,248 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { Card, CardContent } from "@/components/ui/card";
-import { Plus, X } from "lucide-react";
-import { apiService, type TaggingRule, type CustomerSegment } from "@/lib/api";
+import { History, Plus, X } from "lucide-react";
+import { apiService, type TaggingRule, type CustomerSegment, type TagAction, type TagGroup } from "@/lib/api";
+import { SCHEDULE_PRESETS } from "@/lib/schedule";
+import { ruleToTriggerDraft, triggerDraftToRule, isTriggerDraftComplete, getTriggerDraftSegments } from "@/lib/trigger";
+import { TriggerBuilder } from "@/components/TriggerBuilder";
+import { TagTemplatePreview } from "@/components/TagTemplatePreview";
+import { TagExpiryInput } from "@/components/TagExpiryInput";
+import { RuleVersionHistory } from "@/components/RuleVersionHistory";
+import { type TagExpiry, getTagExpiry, isTagExpiryValid } from "@/lib/tagExpiry";
 
 interface RuleFormProps {
   isOpen: boolean;
   onClose: () => void;
   onSave: (rule: Omit<TaggingRule, 'id' | 'createdAt'>) => void;
   editingRule?: TaggingRule | null;
+  onRestore?: (rule: TaggingRule) => void; // an old version of editingRule was restored
 }
 
-interface Action {
+const MANUAL_SCHEDULE = 'manual';
+const CUSTOM_SCHEDULE = 'custom';
+
+const getScheduleOption = (schedule?: string | null) => {
+  if (!schedule) return MANUAL_SCHEDULE;
+  return SCHEDULE_PRESETS.some(preset => preset.value === schedule) ? schedule : CUSTOM_SCHEDULE;
+};
+
+interface Action extends TagAction {
   id: string;
-  type: 'add' | 'remove';
-  tag: string;
 }
 
-export function RuleForm({ isOpen, onClose, onSave, editingRule }: RuleFormProps) {
+const toFormActions = (ruleActions: TaggingRule['actions'] | undefined, idPrefix: string): Action[] =>
+  (ruleActions || []).map((action, index) => ({ ...action, id: `${idPrefix}-${index}` }));
+
+const toRuleActions = (formActions: Action[]): TaggingRule['actions'] =>
+  formActions
+    .filter(action => action.tag.trim())
+    .map(action => action.type === 'set_tier'
+      ? { type: action.type, tag: action.tag, groupId: action.groupId, ...getTagExpiry(action) }
+      : action.type === 'add'
+        ? { type: action.type, tag: action.tag.trim(), ...getTagExpiry(action) }
+        : { type: action.type, tag: action.tag.trim() });
+
+const hasTagTemplate = (action: Action) => action.type !== 'set_tier' && action.tag.includes('{{');
+
+const isActionComplete = (action: Action) =>
+  !!action.tag.trim() && (action.type === 'remove' || isTagExpiryValid(action));
+
+interface ActionListProps {
+  label: string;
+  description: string;
+  prefix: string;
+  actions: Action[];
+  onChange: (actions: Action[]) => void;
+  minActions: number;
+  tagGroups: TagGroup[];
+}
+
+function ActionList({ label, description, prefix, actions, onChange, minActions, tagGroups }: ActionListProps) {
+  const handleAddAction = () => {
+    const newId = `action-${Date.now()}`;
+    onChange([...actions, { id: newId, type: 'add', tag: '' }]);
+  };
+
+  const handleRemoveAction = (id: string) => {
+    onChange(actions.filter(action => action.id !== id));
+  };
+
+  const handleActionChange = (id: string, field: keyof Omit<Action, 'id'>, value: string) => {
+    onChange(actions.map(action => {
+      if (action.id !== id) return action;
+      // Switching between a free-text tag and a tier picks a new tag
+      if (field === 'type' && (value === 'set_tier') !== (action.type === 'set_tier')) {
+        return { ...action, type: value as Action['type'], tag: '', groupId: undefined };
+      }
+      if (field === 'groupId') {
+        return { ...action, groupId: value, tag: '' };
+      }
+      if (field === 'type' && value === 'remove') {
+        return { id: action.id, type: 'remove', tag: action.tag };
+      }
+      return { ...action, [field]: value };
+    }));
+  };
+
+  const handleExpiryChange = (id: string, expiry: TagExpiry) => {
+    onChange(actions.map(action => action.id === id
+      ? { id: action.id, type: action.type, tag: action.tag, groupId: action.groupId, ...expiry }
+      : action));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label className="text-sm font-medium text-gray-700">{label}</Label>
+          <p className="text-xs text-gray-500 mt-1">{description}</p>
+        </div>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={handleAddAction}
+          className="text-blue-600 border-blue-600 hover:bg-blue-50"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Action
+        </Button>
+      </div>
+
+      <div className="space-y-3">
+        {actions.map((action) => (
+          <Card key={action.id} className="border border-gray-200">
+            <CardContent className="p-4">
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-gray-600 min-w-fit">{prefix}</span>
+                
+                <Select
+                  value={action.type}
+                  onValueChange={(value: Action['type']) => 
+                    handleActionChange(action.id, 'type', value)
+                  }
+                >
+                  <SelectTrigger className="w-28">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="add">Add</SelectItem>
+                    <SelectItem value="remove">Remove</SelectItem>
+                    <SelectItem value="set_tier" disabled={tagGroups.length === 0}>Set tier</SelectItem>
+                  </SelectContent>
+                </Select>
+
+                {action.type === 'set_tier' ? (
+                  <>
+                    <span className="text-sm text-gray-600">in</span>
+                    <Select
+                      value={action.groupId || ''}
+                      onValueChange={(value) => handleActionChange(action.id, 'groupId', value)}
+                    >
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Tag group" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {tagGroups.map((group) => (
+                          <SelectItem key={group.id} value={group.id}>{group.name}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <span className="text-sm text-gray-600">to</span>
+                    <Select
+                      value={action.tag}
+                      onValueChange={(value) => handleActionChange(action.id, 'tag', value)}
+                      disabled={!action.groupId}
+                    >
+                      <SelectTrigger className="flex-1">
+                        <SelectValue placeholder="Tier" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {tagGroups.find(group => group.id === action.groupId)?.tags.map((tag) => (
+                          <SelectItem key={tag} value={tag}>{tag}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </>
+                ) : (
+                  <>
+                    <span className="text-sm text-gray-600">tag</span>
+
+                    <Input
+                      value={action.tag}
+                      onChange={(e) => handleActionChange(action.id, 'tag', e.target.value)}
+                      placeholder="Tag name or template, e.g. cohort-{{created_at|yyyy-MM}}"
+                      className="flex-1"
+                      required
+                    />
+                  </>
+                )}
+
+                {actions.length > minActions && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => handleRemoveAction(action.id)}
+                    className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+              {action.type !== 'remove' && (
+                <div className="mt-3">
+                  <TagExpiryInput
+                    value={action}
+                    onChange={(expiry) => handleExpiryChange(action.id, expiry)}
+                  />
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export function RuleForm({ isOpen, onClose, onSave, editingRule, onRestore }: RuleFormProps) {
   const [name, setName] = useState(editingRule?.name || '');
-  const [triggerSegment, setTriggerSegment] = useState(editingRule?.triggerSegment || '');
+  const [trigger, setTrigger] = useState(() => ruleToTriggerDraft(editingRule));
   const [actions, setActions] = useState<Action[]>(
     editingRule?.actions.map((action, index) => ({ ...action, id: `action-${index}` })) || 
     [{ id: 'action-0', type: 'add', tag: '' }]
   );
+  const [exitActions, setExitActions] = useState<Action[]>(
+    toFormActions(editingRule?.exitActions, 'exit-action')
+  );
+  const [scheduleOption, setScheduleOption] = useState(getScheduleOption(editingRule?.schedule));
+  const [customSchedule, setCustomSchedule] = useState(
+    getScheduleOption(editingRule?.schedule) === CUSTOM_SCHEDULE ? editingRule?.schedule || '' : ''
+  );
+  const [priority, setPriority] = useState(String(editingRule?.priority ?? 0));
+  const [maxChanges, setMaxChanges] = useState(String(editingRule?.maxChanges ?? ''));
+  const [maxChangePercent, setMaxChangePercent] = useState(String(editingRule?.maxChangePercent ?? ''));
   const [segments, setSegments] = useState<CustomerSegment[]>([]);
+  const [tagGroups, setTagGroups] = useState<TagGroup[]>([]);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
 
   useEffect(() => {
     if (isOpen) {
       loadSegments();
+      loadTagGroups();
     }
   }, [isOpen]);
 
+  const loadTagGroups = async () => {
+    try {
+      setTagGroups(await apiService.getTagGroups());
+    } catch (error) {
+      console.error('Error loading tag groups:', error);
+    }
+  };
+
   const loadSegments = async () => {
     try {
       const data = await apiService.getSegments();
@@ -56,60 +267,86 @@ export function RuleForm({ isOpen, onClose, onSave, editingRule }: RuleFormProps
     }
   };
 
-  const handleAddAction = () => {
-    const newId = `action-${Date.now()}`;
-    setActions([...actions, { id: newId, type: 'add', tag: '' }]);
-  };
-
-  const handleRemoveAction = (id: string) => {
-    setActions(actions.filter(action => action.id !== id));
-  };
-
-  const handleActionChange = (id: string, field: keyof Omit<Action, 'id'>, value: string) => {
-    const newActions = actions.map(action => 
-      action.id === id ? { ...action, [field]: value } : action
-    );
-    setActions(newActions);
-  };
-
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     
-    if (!name.trim() || !triggerSegment || actions.some(action => !action.tag.trim())) {
+    if (!name.trim() || !isTriggerDraftComplete(trigger) || !actions.every(isActionComplete) ||
+      !exitActions.filter(action => action.tag.trim()).every(isActionComplete)) {
+      return;
+    }
+
+    if (scheduleOption === CUSTOM_SCHEDULE && !customSchedule.trim()) {
       return;
     }
 
+    const schedule = scheduleOption === MANUAL_SCHEDULE
+      ? null
+      : scheduleOption === CUSTOM_SCHEDULE ? customSchedule.trim() : scheduleOption;
+
     onSave({
       name: name.trim(),
-      triggerSegment,
-      actions: actions.filter(action => action.tag.trim()).map(({ id, ...action }) => action),
+      ...triggerDraftToRule(trigger),
+      actions: toRuleActions(actions),
+      exitActions: toRuleActions(exitActions),
+      schedule,
+      priority: parseInt(priority, 10) || 0,
+      maxChanges: maxChanges.trim() ? Number(maxChanges) : null,
+      maxChangePercent: maxChangePercent.trim() ? Number(maxChangePercent) : null,
       isActive: editingRule?.isActive ?? true
     });
 
     // Reset form
     setName('');
-    setTriggerSegment('');
+    setTrigger(ruleToTriggerDraft(null));
     setActions([{ id: 'action-0', type: 'add', tag: '' }]);
+    setExitActions([]);
+    setScheduleOption(MANUAL_SCHEDULE);
+    setCustomSchedule('');
+    setPriority('0');
+    setMaxChanges('');
+    setMaxChangePercent('');
     onClose();
   };
 
   const handleClose = () => {
     setName(editingRule?.name || '');
-    setTriggerSegment(editingRule?.triggerSegment || '');
+    setTrigger(ruleToTriggerDraft(editingRule));
     setActions(
       editingRule?.actions.map((action, index) => ({ ...action, id: `action-${index}` })) || 
       [{ id: 'action-0', type: 'add', tag: '' }]
     );
+    setExitActions(toFormActions(editingRule?.exitActions, 'exit-action'));
+    setScheduleOption(getScheduleOption(editingRule?.schedule));
+    setCustomSchedule(
+      getScheduleOption(editingRule?.schedule) === CUSTOM_SCHEDULE ? editingRule?.schedule || '' : ''
+    );
+    setPriority(String(editingRule?.priority ?? 0));
+    setMaxChanges(String(editingRule?.maxChanges ?? ''));
+    setMaxChangePercent(String(editingRule?.maxChangePercent ?? ''));
     onClose();
   };
 
   return (
     <Dialog open={isOpen} onOpenChange={handleClose}>
-      <DialogContent className="max-w-2xl">
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="text-xl font-semibold text-gray-900">
             {editingRule ? 'Edit Tagging Rule' : 'Create New Tagging Rule'}
           </DialogTitle>
+          {editingRule && (
+            <div className="flex items-center justify-between gap-4 text-sm text-gray-500">
+              <span>
+                {editingRule.updatedBy
+                  ? `Last edited by ${editingRule.updatedBy}`
+                  : 'Not edited since versioning was enabled'}
+                {!!editingRule.version && ` · version ${editingRule.version}`}
+              </span>
+              <Button type="button" variant="outline" size="sm" onClick={() => setIsHistoryOpen(true)}>
+                <History className="h-4 w-4 mr-1" />
+                History
+              </Button>
+            </div>
+          )}
         </DialogHeader>
 
         <form onSubmit={handleSubmit} className="space-y-6">
@@ -129,86 +366,118 @@ export function RuleForm({ isOpen, onClose, onSave, editingRule }: RuleFormProps
 
           <div className="space-y-2">
             <Label className="text-sm font-medium text-gray-700">Trigger Condition</Label>
+            <p className="text-xs text-gray-500">
+              WHEN a customer matches - combine segments, current tags and customer fields.
+            </p>
+            <TriggerBuilder value={trigger} onChange={setTrigger} segments={segments} />
+          </div>
+
+          <ActionList
+            label="On Enter Actions"
+            description="Applied when a customer starts matching the trigger."
+            prefix="THEN"
+            actions={actions}
+            onChange={setActions}
+            minActions={1}
+            tagGroups={tagGroups}
+          />
+
+          <ActionList
+            label="On Exit Actions"
+            description="Applied when a customer stops matching the trigger, e.g. remove the tag added on enter."
+            prefix="ON EXIT"
+            actions={exitActions}
+            onChange={setExitActions}
+            minActions={0}
+            tagGroups={tagGroups}
+          />
+
+          {[...actions, ...exitActions].some(hasTagTemplate) && (
+            <TagTemplatePreview
+              actions={toRuleActions(actions)}
+              exitActions={toRuleActions(exitActions)}
+              segment={getTriggerDraftSegments(trigger)[0]}
+            />
+          )}
+
+          <div className="space-y-2">
+            <Label className="text-sm font-medium text-gray-700">Schedule</Label>
             <div className="flex items-center gap-2 text-sm text-gray-600">
-              <span>WHEN a customer is a member of</span>
-              <Select value={triggerSegment} onValueChange={setTriggerSegment} required>
-                <SelectTrigger className="w-48">
-                  <SelectValue placeholder="Select segment" />
+              <span>Run automatically</span>
+              <Select value={scheduleOption} onValueChange={setScheduleOption}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
                 </SelectTrigger>
                 <SelectContent>
-                  {segments.map((segment) => (
-                    <SelectItem key={segment.id} value={segment.name}>
-                      {segment.name} ({segment.customerCount} customers)
+                  <SelectItem value={MANUAL_SCHEDULE}>Manual only</SelectItem>
+                  {SCHEDULE_PRESETS.map((preset) => (
+                    <SelectItem key={preset.value} value={preset.value}>
+                      {preset.label}
                     </SelectItem>
                   ))}
+                  <SelectItem value={CUSTOM_SCHEDULE}>Custom (cron)</SelectItem>
                 </SelectContent>
               </Select>
+              {scheduleOption === CUSTOM_SCHEDULE && (
+                <Input
+                  value={customSchedule}
+                  onChange={(e) => setCustomSchedule(e.target.value)}
+                  placeholder="e.g. 0 3 * * *"
+                  className="flex-1 font-mono"
+                  required
+                />
+              )}
             </div>
+            <p className="text-xs text-gray-500">
+              Scheduled rules run in the background while they are active.
+            </p>
           </div>
 
-          <div className="space-y-4">
-            <div className="flex items-center justify-between">
-              <Label className="text-sm font-medium text-gray-700">Actions</Label>
-              <Button
-                type="button"
-                variant="outline"
-                size="sm"
-                onClick={handleAddAction}
-                className="text-blue-600 border-blue-600 hover:bg-blue-50"
-              >
-                <Plus className="h-4 w-4 mr-1" />
-                Add Action
-              </Button>
-            </div>
+          <div className="space-y-2">
+            <Label htmlFor="rule-priority" className="text-sm font-medium text-gray-700">
+              Priority
+            </Label>
+            <Input
+              id="rule-priority"
+              type="number"
+              step={1}
+              value={priority}
+              onChange={(e) => setPriority(e.target.value)}
+              className="w-32"
+            />
+            <p className="text-xs text-gray-500">
+              When rules run together, lower priorities run first, so a higher-priority rule's tag changes win.
+            </p>
+          </div>
 
-            <div className="space-y-3">
-              {actions.map((action) => (
-                <Card key={action.id} className="border border-gray-200">
-                  <CardContent className="p-4">
-                    <div className="flex items-center gap-3">
-                      <span className="text-sm text-gray-600 min-w-fit">THEN</span>
-                      
-                      <Select
-                        value={action.type}
-                        onValueChange={(value: 'add' | 'remove') => 
-                          handleActionChange(action.id, 'type', value)
-                        }
-                      >
-                        <SelectTrigger className="w-24">
-                          <SelectValue />
-                        </SelectTrigger>
-                        <SelectContent>
-                          <SelectItem value="add">Add</SelectItem>
-                          <SelectItem value="remove">Remove</SelectItem>
-                        </SelectContent>
-                      </Select>
-
-                      <span className="text-sm text-gray-600">tag</span>
-
-                      <Input
-                        value={action.tag}
-                        onChange={(e) => handleActionChange(action.id, 'tag', e.target.value)}
-                        placeholder="Tag name"
-                        className="flex-1"
-                        required
-                      />
-
-                      {actions.length > 1 && (
-                        <Button
-                          type="button"
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => handleRemoveAction(action.id)}
-                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
-                        >
-                          <X className="h-4 w-4" />
-                        </Button>
-                      )}
-                    </div>
-                  </CardContent>
-                </Card>
-              ))}
+          <div className="space-y-2">
+            <Label className="text-sm font-medium text-gray-700">Safety Limits</Label>
+            <div className="flex items-center gap-2 text-sm text-gray-600">
+              <span>Hold for approval if a run changes more than</span>
+              <Input
+                type="number"
+                min={1}
+                step={1}
+                value={maxChanges}
+                onChange={(e) => setMaxChanges(e.target.value)}
+                placeholder="default"
+                className="w-28"
+              />
+              <span>customers or</span>
+              <Input
+                type="number"
+                min={0}
+                step="any"
+                value={maxChangePercent}
+                onChange={(e) => setMaxChangePercent(e.target.value)}
+                placeholder="default"
+                className="w-24"
+              />
+              <span>% of the last run</span>
             </div>
+            <p className="text-xs text-gray-500">
+              Leave empty to use the global limits. Held runs are reviewed on the Rules page before any tags change.
+            </p>
           </div>
 
           <div className="flex justify-end gap-3 pt-4 border-t border-gray-200">
@@ -220,6 +489,15 @@ export function RuleForm({ isOpen, onClose, onSave, editingRule }: RuleFormProps
             </Button>
           </div>
         </form>
+
+        <RuleVersionHistory
+          rule={isHistoryOpen && editingRule ? editingRule : null}
+          onClose={() => setIsHistoryOpen(false)}
+          onRestored={(rule) => {
+            setIsHistoryOpen(false);
+            onRestore?.(rule);
+          }}
+        />
       </DialogContent>
     </Dialog>
   );
@@ -0,0 +1,208 @@
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { AlertCircle, Check, Loader2, Upload } from "lucide-react";
+import { apiService, type RuleImportConflict, type RuleImportEntry, type RuleImportReport } from "@/lib/api";
+
+interface RuleImportDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+  onImported: (report: RuleImportReport) => void;
+}
+
+const CONFLICT_OPTIONS: { value: RuleImportConflict; label: string }[] = [
+  { value: 'skip', label: 'Skip them' },
+  { value: 'overwrite', label: 'Overwrite them' },
+  { value: 'rename', label: 'Import them under a new name' },
+];
+
+const describeEntry = (entry: RuleImportEntry) => {
+  switch (entry.action) {
+    case 'create': return 'New';
+    case 'unchanged': return 'Already exists';
+    case 'skip': return 'Skipped, name taken';
+    case 'overwrite': return 'Overwrites existing';
+    case 'rename': return `Renamed to "${entry.newName}"`;
+  }
+};
+
+function ImportEntries({ label, entries }: { label: string; entries: RuleImportReport['rules'] }) {
+  if (entries.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      <p className="text-sm font-medium text-gray-700">{label}</p>
+      <ul className="space-y-1 text-sm">
+        {entries.map((entry) => (
+          <li key={entry.name}>
+            <span className="font-medium text-gray-900">{entry.name}</span>
+            <span className="text-gray-500"> · {describeEntry(entry)}</span>
+            {entry.deactivated && <span className="text-amber-700"> · imported inactive</span>}
+            {entry.missingSegments.length > 0 && (
+              <span className="block text-xs text-amber-700">Missing segments: {entry.missingSegments.join(', ')}</span>
+            )}
+            {entry.error && <span className="block text-xs text-red-600">{entry.error}</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Import a rule bundle exported from another store. The bundle is checked
+// first, and only imported once the check passes.
+export function RuleImportDialog({ isOpen, onClose, onImported }: RuleImportDialogProps) {
+  const [bundle, setBundle] = useState('');
+  const [conflict, setConflict] = useState<RuleImportConflict>('skip');
+  const [report, setReport] = useState<RuleImportReport | null>(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const handleClose = () => {
+    setBundle('');
+    setConflict('skip');
+    setReport(null);
+    onClose();
+  };
+
+  const handleFile = async (file: File | undefined) => {
+    if (!file) return;
+    setBundle(await file.text());
+    setReport(null);
+  };
+
+  const handleSubmit = async (dryRun: boolean) => {
+    setIsWorking(true);
+    try {
+      const result = await apiService.importRules(bundle, conflict, dryRun);
+      if (result.imported) {
+        onImported(result);
+        handleClose();
+      } else {
+        setReport(result);
+      }
+    } catch (error) {
+      alert('Failed to import rules: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && !isWorking && handleClose()}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-xl font-semibold text-gray-900">
+            <Upload className="h-5 w-5" />
+            Import Rules
+          </DialogTitle>
+          <DialogDescription>
+            Rules, tag groups and segments are matched by name. Rules whose segments don't exist in this store are imported inactive.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="rule-bundle" className="text-sm font-medium text-gray-700">Bundle (YAML or JSON)</Label>
+            <input
+              type="file"
+              accept=".yaml,.yml,.json"
+              onChange={(e) => handleFile(e.target.files?.[0])}
+              className="block text-sm text-gray-600"
+            />
+            <Textarea
+              id="rule-bundle"
+              value={bundle}
+              onChange={(e) => {
+                setBundle(e.target.value);
+                setReport(null);
+              }}
+              placeholder="format: tag-manager/rules"
+              className="h-48 font-mono text-xs"
+            />
+          </div>
+
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <span>When a rule or tag group name already exists:</span>
+            <Select
+              value={conflict}
+              onValueChange={(value: RuleImportConflict) => {
+                setConflict(value);
+                setReport(null);
+              }}
+            >
+              <SelectTrigger className="w-60">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {CONFLICT_OPTIONS.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {report && (
+            <div className="space-y-3 rounded-md border p-3">
+              {report.error ? (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{report.error}</AlertDescription>
+                </Alert>
+              ) : report.valid ? (
+                <p className="flex items-center text-sm text-green-700">
+                  <Check className="h-4 w-4 mr-2" />
+                  Ready to import
+                </p>
+              ) : (
+                <p className="flex items-center text-sm text-red-600">
+                  <AlertCircle className="h-4 w-4 mr-2" />
+                  Fix the problems below before importing
+                </p>
+              )}
+              {report.missingSegments.length > 0 && (
+                <Alert>
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>
+                    Segments not found in this store: {report.missingSegments.join(', ')}
+                  </AlertDescription>
+                </Alert>
+              )}
+              <ImportEntries label="Tag groups" entries={report.tagGroups.map(entry => ({ ...entry, missingSegments: [] }))} />
+              <ImportEntries label="Rules" entries={report.rules} />
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handleSubmit(true)} disabled={!bundle.trim() || isWorking}>
+            Check
+          </Button>
+          <Button
+            onClick={() => handleSubmit(false)}
+            disabled={!report?.valid || isWorking}
+            className="bg-blue-600 hover:bg-blue-700"
+          >
+            {isWorking && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Import
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
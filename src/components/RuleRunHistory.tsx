@@ -0,0 +1,226 @@
+import { Fragment, useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { ChevronDown, ChevronRight, History, Loader2, RotateCcw } from "lucide-react";
+import { apiService, isJobFinished, type Job, type JobStatus, type RuleRun, type TaggingRule } from "@/lib/api";
+
+interface RuleRunHistoryProps {
+  rule: TaggingRule | null;
+  onClose: () => void;
+  onRetry: (job: Job) => void;
+}
+
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES: Record<JobStatus, string> = {
+  queued: "bg-gray-100 text-gray-600 hover:bg-gray-100",
+  running: "bg-blue-100 text-blue-800 hover:bg-blue-100",
+  completed: "bg-green-100 text-green-800 hover:bg-green-100",
+  cancelled: "bg-amber-100 text-amber-800 hover:bg-amber-100",
+  failed: "bg-red-100 text-red-800 hover:bg-red-100",
+  needs_approval: "bg-amber-100 text-amber-800 hover:bg-amber-100",
+  rejected: "bg-gray-100 text-gray-600 hover:bg-gray-100",
+};
+
+const STATUS_LABELS: Partial<Record<JobStatus, string>> = {
+  needs_approval: 'needs approval',
+};
+
+const formatDateTime = (dateString?: string | null) =>
+  dateString ? new Date(dateString).toLocaleString() : '—';
+
+const formatCount = (count: number | null) => count ?? '—';
+
+function FailedCustomers({ label, ids }: { label: string; ids: string[] }) {
+  if (ids.length === 0) return null;
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-700">{label} ({ids.length})</p>
+      <p className="font-mono text-xs text-gray-600 break-all">{ids.join(', ')}</p>
+    </div>
+  );
+}
+
+// Past runs of a rule, with the customers each run failed on
+export function RuleRunHistory({ rule, onClose, onRetry }: RuleRunHistoryProps) {
+  const [runs, setRuns] = useState<RuleRun[]>([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [expandedRun, setExpandedRun] = useState<string | null>(null);
+  const [retryingRun, setRetryingRun] = useState<string | null>(null);
+
+  const ruleId = rule?.id;
+
+  const loadRuns = useCallback(async (ruleId: string, offset: number) => {
+    setIsLoading(true);
+    try {
+      const page = await apiService.getRuleRuns(ruleId, { limit: PAGE_SIZE, offset });
+      setRuns(previous => offset === 0 ? page.runs : [...previous, ...page.runs]);
+      setTotal(page.total);
+    } catch (error) {
+      alert('Failed to load run history: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (ruleId) {
+      setRuns([]);
+      setExpandedRun(null);
+      loadRuns(ruleId, 0);
+    }
+  }, [ruleId, loadRuns]);
+
+  const handleRetry = async (run: RuleRun) => {
+    if (!rule) return;
+
+    setRetryingRun(run.jobId);
+    try {
+      onRetry(await apiService.retryRuleRun(rule.id, run.jobId));
+    } catch (error) {
+      alert('Failed to retry run: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setRetryingRun(null);
+    }
+  };
+
+  return (
+    <Dialog open={!!rule} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-xl font-semibold text-gray-900">
+            <History className="h-5 w-5" />
+            Run history: {rule?.name}
+          </DialogTitle>
+        </DialogHeader>
+
+        {runs.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">
+            {isLoading ? 'Loading...' : 'This rule has not run yet'}
+          </p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-8" />
+                <TableHead>Started</TableHead>
+                <TableHead>Triggered By</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Matching</TableHead>
+                <TableHead>Entered / Exited</TableHead>
+                <TableHead>Changed</TableHead>
+                <TableHead>Failed</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {runs.map((run) => {
+                const failedIds = [...run.failedCustomerIds.entered, ...run.failedCustomerIds.exited];
+                const isExpanded = expandedRun === run.jobId;
+                const canExpand = failedIds.length > 0 || run.errors.length > 0;
+
+                return (
+                  <Fragment key={run.jobId}>
+                    <TableRow
+                      className={canExpand ? "cursor-pointer hover:bg-gray-50" : undefined}
+                      onClick={() => canExpand && setExpandedRun(isExpanded ? null : run.jobId)}
+                    >
+                      <TableCell>
+                        {canExpand && (isExpanded
+                          ? <ChevronDown className="h-4 w-4 text-gray-400" />
+                          : <ChevronRight className="h-4 w-4 text-gray-400" />)}
+                      </TableCell>
+                      <TableCell className="whitespace-nowrap text-sm">
+                        {formatDateTime(run.startedAt || run.createdAt)}
+                        {run.finishedAt && (
+                          <span className="block text-xs text-gray-500">Finished {formatDateTime(run.finishedAt)}</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {run.triggeredBy || '—'}
+                        {run.retryOf && <span className="block text-xs text-gray-500">Retry of failures</span>}
+                      </TableCell>
+                      <TableCell>
+                        <Badge variant="secondary" className={STATUS_STYLES[run.status]}>
+                          {STATUS_LABELS[run.status] || run.status}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-sm">{formatCount(run.segmentSize)}</TableCell>
+                      <TableCell className="text-sm">{formatCount(run.entered)} / {formatCount(run.exited)}</TableCell>
+                      <TableCell className="text-sm">{formatCount(run.customersChanged)}</TableCell>
+                      <TableCell className={run.failed > 0 ? "text-sm text-red-600 font-medium" : "text-sm"}>
+                        {run.failed}
+                      </TableCell>
+                    </TableRow>
+                    {isExpanded && (
+                      <TableRow className="bg-gray-50 hover:bg-gray-50">
+                        <TableCell />
+                        <TableCell colSpan={7}>
+                          <div className="space-y-3 py-1">
+                            <FailedCustomers label="Failed on enter" ids={run.failedCustomerIds.entered} />
+                            <FailedCustomers label="Failed on exit" ids={run.failedCustomerIds.exited} />
+                            {run.errors.length > 0 && (
+                              <div>
+                                <p className="text-xs font-medium text-gray-700">Errors</p>
+                                <ul className="max-h-40 overflow-y-auto text-xs text-red-600 space-y-0.5">
+                                  {run.errors.map((error, index) => (
+                                    <li key={index}>{error}</li>
+                                  ))}
+                                </ul>
+                              </div>
+                            )}
+                            {failedIds.length > 0 && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                disabled={retryingRun !== null || !isJobFinished(run)}
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  handleRetry(run);
+                                }}
+                              >
+                                {retryingRun === run.jobId ? (
+                                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                                ) : (
+                                  <RotateCcw className="h-4 w-4 mr-2" />
+                                )}
+                                Retry {failedIds.length} failed {failedIds.length === 1 ? 'customer' : 'customers'}
+                              </Button>
+                            )}
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+
+        {runs.length < total && rule && (
+          <div className="flex justify-center">
+            <Button variant="outline" size="sm" disabled={isLoading} onClick={() => loadRuns(rule.id, runs.length)}>
+              {isLoading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Load more
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,200 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Badge } from "@/components/ui/badge";
+import { Loader2, RotateCcw } from "lucide-react";
+import { apiService, type RuleVersion, type RuleVersionDiff, type TaggingRule } from "@/lib/api";
+import { RULE_FIELD_LABELS, describeRuleValue } from "@/lib/ruleVersions";
+
+interface RuleVersionHistoryProps {
+  rule: TaggingRule | null;
+  onClose: () => void;
+  onRestored: (rule: TaggingRule) => void;
+}
+
+const formatDateTime = (dateString: string) => new Date(dateString).toLocaleString();
+
+// Saved versions of a rule, newest first. Selecting one compares it with the
+// current version (or another one) and offers to restore it.
+export function RuleVersionHistory({ rule, onClose, onRestored }: RuleVersionHistoryProps) {
+  const [versions, setVersions] = useState<RuleVersion[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [selectedVersion, setSelectedVersion] = useState<number | null>(null);
+  const [compareVersion, setCompareVersion] = useState<number | null>(null);
+  const [diff, setDiff] = useState<RuleVersionDiff | null>(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const ruleId = rule?.id;
+
+  const loadVersions = useCallback(async (ruleId: string) => {
+    setIsLoading(true);
+    try {
+      setVersions(await apiService.getRuleVersions(ruleId));
+    } catch (error) {
+      alert('Failed to load version history: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (ruleId) {
+      setSelectedVersion(null);
+      loadVersions(ruleId);
+    }
+  }, [ruleId, loadVersions]);
+
+  useEffect(() => {
+    setDiff(null);
+    if (!ruleId || selectedVersion === null || compareVersion === null) return;
+
+    apiService.diffRuleVersions(ruleId, selectedVersion, compareVersion)
+      .then(setDiff)
+      .catch(error => alert('Failed to compare versions: ' + (error instanceof Error ? error.message : 'Unknown error')));
+  }, [ruleId, selectedVersion, compareVersion]);
+
+  const latestVersion = versions[0]?.version ?? null;
+
+  const handleSelect = (version: RuleVersion) => {
+    if (version.version === selectedVersion) {
+      setSelectedVersion(null);
+      return;
+    }
+    setSelectedVersion(version.version);
+    // The latest version is compared with the one before it, older ones with the latest
+    const previous = versions.find(other => other.version < version.version);
+    setCompareVersion(version.version === latestVersion ? previous?.version ?? null : latestVersion);
+  };
+
+  const handleRestore = async (version: RuleVersion) => {
+    if (!rule) return;
+    if (!window.confirm(`Restore version ${version.version}? It is saved as a new version, and unsaved changes in the form are lost.`)) return;
+
+    setIsRestoring(true);
+    try {
+      onRestored(await apiService.restoreRuleVersion(rule.id, version.version));
+    } catch (error) {
+      alert('Failed to restore version: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <Sheet open={!!rule} onOpenChange={(open) => !open && onClose()}>
+      <SheetContent className="w-full sm:max-w-xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>Version history: {rule?.name}</SheetTitle>
+          <SheetDescription>
+            Every save is kept. Select a version to compare or restore it.
+          </SheetDescription>
+        </SheetHeader>
+
+        {versions.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">
+            {isLoading ? 'Loading...' : 'No versions saved yet'}
+          </p>
+        ) : (
+          <div className="mt-6 space-y-2">
+            {versions.map((version) => {
+              const isSelected = version.version === selectedVersion;
+
+              return (
+                <div key={version.version} className={`rounded-md border ${isSelected ? 'border-blue-300' : ''}`}>
+                  <button
+                    type="button"
+                    className="w-full p-3 text-left hover:bg-gray-50"
+                    onClick={() => handleSelect(version)}
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900">Version {version.version}</span>
+                      {version.version === latestVersion && (
+                        <Badge variant="secondary" className="bg-green-100 text-green-800 hover:bg-green-100">Current</Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      {version.editedBy || 'unknown'} · {formatDateTime(version.createdAt)}
+                      {version.restoredFrom !== null && ` · restored version ${version.restoredFrom}`}
+                    </p>
+                  </button>
+
+                  {isSelected && (
+                    <div className="space-y-3 border-t p-3">
+                      <div className="flex items-center gap-2 text-sm text-gray-600">
+                        <span>Compare with</span>
+                        <Select
+                          value={compareVersion === null ? '' : String(compareVersion)}
+                          onValueChange={(value) => setCompareVersion(Number(value))}
+                        >
+                          <SelectTrigger className="w-40">
+                            <SelectValue placeholder="Version" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {versions.filter(other => other.version !== version.version).map((other) => (
+                              <SelectItem key={other.version} value={String(other.version)}>
+                                Version {other.version}{other.version === latestVersion ? ' (current)' : ''}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+
+                      {compareVersion === null ? (
+                        <p className="text-sm text-gray-500">This is the first version.</p>
+                      ) : !diff ? (
+                        <div className="flex items-center text-sm text-gray-600">
+                          <Loader2 className="h-4 w-4 animate-spin mr-2" />
+                          Comparing...
+                        </div>
+                      ) : diff.changes.length === 0 ? (
+                        <p className="text-sm text-gray-500">No differences.</p>
+                      ) : (
+                        <div className="space-y-2">
+                          {diff.changes.map((change) => (
+                            <div key={change.field} className="text-sm">
+                              <p className="text-xs font-medium text-gray-700">{RULE_FIELD_LABELS[change.field]}</p>
+                              <p className="text-red-700 break-all">
+                                v{version.version}: {describeRuleValue(change.field, change.before)}
+                              </p>
+                              <p className="text-green-700 break-all">
+                                v{compareVersion}: {describeRuleValue(change.field, change.after)}
+                              </p>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {version.version !== latestVersion && (
+                        <Button size="sm" variant="outline" disabled={isRestoring} onClick={() => handleRestore(version)}>
+                          {isRestoring ? (
+                            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                          ) : (
+                            <RotateCcw className="h-4 w-4 mr-2" />
+                          )}
+                          Restore this version
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+}
@@ -17,10 +17,25 @@ import {
   DropdownMenuItem,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
-import { Plus, MoreHorizontal, Edit, Trash2, Settings, Play, RefreshCw, AlertCircle } from "lucide-react";
-import { type TaggingRule } from "@/data/mockData";
-import { apiService } from "@/lib/api";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Plus, MoreHorizontal, Edit, Trash2, Settings, Play, RefreshCw, AlertCircle, Clock, Eye, Loader2, History, Hand, Download, Upload } from "lucide-react";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { apiService, type TaggingRule, type RulePreviewResult, type RuleConflict, type Job } from "@/lib/api";
+import { describeSchedule } from "@/lib/schedule";
 import { RuleForm } from "./RuleForm";
+import { TagChangePreview } from "./TagChangePreview";
+import { JobStatus } from "./JobStatus";
+import { RuleConflictBadge } from "./RuleConflictBadge";
+import { RuleRunHistory } from "./RuleRunHistory";
+import { RuleApprovals } from "./RuleApprovals";
+import { RuleImportDialog } from "./RuleImportDialog";
+import { describeTagExpiry } from "@/lib/tagExpiry";
 
 export function Rules() {
   const [rules, setRules] = useState<TaggingRule[]>([]);
@@ -28,12 +43,32 @@ export function Rules() {
   const [editingRule, setEditingRule] = useState<TaggingRule | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [previewRule, setPreviewRule] = useState<TaggingRule | null>(null);
+  const [rulePreview, setRulePreview] = useState<RulePreviewResult | null>(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isExecuting, setIsExecuting] = useState(false);
+  const [ruleJob, setRuleJob] = useState<Job | null>(null);
+  const [conflicts, setConflicts] = useState<RuleConflict[]>([]);
+  const [historyRule, setHistoryRule] = useState<TaggingRule | null>(null);
+  const [approvalsKey, setApprovalsKey] = useState(0);
+  const [isImportOpen, setIsImportOpen] = useState(false);
 
   // Load rules from database on component mount
   useEffect(() => {
     loadRules();
   }, []);
 
+  // Re-check for conflicting rules whenever the rules change
+  useEffect(() => {
+    if (rules.length < 2) {
+      setConflicts([]);
+      return;
+    }
+    apiService.getRuleConflicts()
+      .then(report => setConflicts(report.conflicts))
+      .catch(error => console.error('Error checking rule conflicts:', error));
+  }, [rules]);
+
   const loadRules = async () => {
     try {
       setIsLoading(true);
@@ -107,28 +142,95 @@ export function Rules() {
     }
   };
 
-  const handleExecuteRule = async (rule: TaggingRule) => {
+  // Download a bundle of all rules, or just the given ones, to import elsewhere
+  const handleExportRules = async (format: 'yaml' | 'json', ruleIds?: string[]) => {
+    try {
+      const bundle = await apiService.exportRules(format, ruleIds);
+      const blob = new Blob([bundle], { type: format === 'json' ? 'application/json' : 'application/yaml' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `rules-${new Date().toISOString().slice(0, 10)}.${format}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Failed to export rules: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  // The form reopens with the restored rule, as it is keyed by version
+  const handleRuleRestored = (restoredRule: TaggingRule) => {
+    setRules(rules.map(rule => rule.id === restoredRule.id ? restoredRule : rule));
+    setEditingRule(restoredRule);
+  };
+
+  const handlePreviewRule = async (rule: TaggingRule) => {
     if (!rule.isActive) {
       alert('Please activate the rule before executing it.');
       return;
     }
 
+    setPreviewRule(rule);
+    setRulePreview(null);
+    setIsPreviewing(true);
+    try {
+      setRulePreview(await apiService.previewRule(rule.id));
+    } catch (error) {
+      setPreviewRule(null);
+      alert('Failed to preview rule: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleClosePreview = () => {
+    if (isExecuting) return;
+    setPreviewRule(null);
+    setRulePreview(null);
+  };
+
+  const handleExecuteRule = async (rule: TaggingRule) => {
+    setIsExecuting(true);
     try {
-      const result = await apiService.executeRule(rule.id);
-      alert(`Rule executed successfully!\n${result.customersProcessed} customers processed\n${result.success} successful updates\n${result.failed} failed updates`);
+      const job = await apiService.executeRule(rule.id);
+      setPreviewRule(null);
+      setRulePreview(null);
+      // Refresh last/next run times without showing the loading state
+      apiService.getRules().then(setRules).catch(() => {});
+      setRuleJob(job);
     } catch (error) {
       alert('Failed to execute rule: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsExecuting(false);
     }
   };
 
+  const handleApprovalDecided = (job: Job) => {
+    setRuleJob(job);
+    apiService.getRules().then(setRules).catch(() => {});
+  };
+
+  const handleRetryRun = (job: Job) => {
+    setHistoryRule(null);
+    setRuleJob(job);
+  };
+
   const formatDate = (dateString: string) => {
     return new Date(dateString).toLocaleDateString();
   };
 
+  const formatDateTime = (dateString?: string | null) => {
+    return dateString ? new Date(dateString).toLocaleString() : '—';
+  };
+
   const formatActions = (actions: TaggingRule['actions']) => {
-    return actions.map(action => 
-      `${action.type === 'add' ? '+' : '-'}${action.tag}`
-    ).join(', ');
+    return actions.map(action => {
+      const label = action.type === 'set_tier'
+        ? `tier → ${action.tag}`
+        : `${action.type === 'add' ? '+' : '-'}${action.tag}`;
+      const expiry = describeTagExpiry(action);
+      return expiry ? `${label} (${expiry})` : label;
+    }).join(', ');
   };
 
   const activeRulesCount = rules.filter(rule => rule.isActive).length;
@@ -178,6 +280,26 @@ export function Rules() {
             <RefreshCw className="h-4 w-4 mr-2" />
             Refresh
           </Button>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" className="border-gray-300" disabled={rules.length === 0}>
+                <Download className="h-4 w-4 mr-2" />
+                Export
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuItem onClick={() => handleExportRules('yaml')}>All rules as YAML</DropdownMenuItem>
+              <DropdownMenuItem onClick={() => handleExportRules('json')}>All rules as JSON</DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+          <Button
+            onClick={() => setIsImportOpen(true)}
+            variant="outline"
+            className="border-gray-300"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </Button>
           <Button 
             onClick={handleCreateRule}
             className="bg-blue-600 hover:bg-blue-700"
@@ -188,6 +310,17 @@ export function Rules() {
         </div>
       </div>
 
+      {ruleJob && (
+        <JobStatus
+          key={`${ruleJob.id}-${ruleJob.approval?.decision || ''}`}
+          job={ruleJob}
+          onFinished={() => apiService.getRules().then(setRules).catch(() => {})}
+          onNeedsApproval={() => setApprovalsKey(key => key + 1)}
+        />
+      )}
+
+      <RuleApprovals rules={rules} refreshKey={approvalsKey} onDecided={handleApprovalDecided} />
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <Card>
           <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
@@ -243,8 +376,10 @@ export function Rules() {
               <TableHeader>
                 <TableRow>
                   <TableHead className="font-medium text-gray-700">Rule Name</TableHead>
-                  <TableHead className="font-medium text-gray-700">Trigger Segment</TableHead>
+                  <TableHead className="font-medium text-gray-700">Trigger</TableHead>
                   <TableHead className="font-medium text-gray-700">Actions</TableHead>
+                  <TableHead className="font-medium text-gray-700">Priority</TableHead>
+                  <TableHead className="font-medium text-gray-700">Schedule</TableHead>
                   <TableHead className="font-medium text-gray-700">Status</TableHead>
                   <TableHead className="font-medium text-gray-700">Created</TableHead>
                   <TableHead className="font-medium text-gray-700 w-20" />
@@ -253,10 +388,30 @@ export function Rules() {
               <TableBody>
                 {rules.map((rule) => (
                   <TableRow key={rule.id} className="hover:bg-gray-50">
-                    <TableCell className="font-medium text-gray-900">{rule.name}</TableCell>
+                    <TableCell className="font-medium text-gray-900">
+                      {rule.name}
+                      <RuleConflictBadge ruleId={rule.id} conflicts={conflicts} />
+                    </TableCell>
                     <TableCell className="text-gray-700">{rule.triggerSegment}</TableCell>
                     <TableCell className="text-gray-600 font-mono text-sm">
                       {formatActions(rule.actions)}
+                      {rule.exitActions && rule.exitActions.length > 0 && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          on exit: {formatActions(rule.exitActions)}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-gray-700">{rule.priority ?? 0}</TableCell>
+                    <TableCell className="text-gray-700">
+                      <div className="flex items-center gap-1 text-sm">
+                        <Clock className="h-3 w-3 text-gray-400" />
+                        {describeSchedule(rule.schedule)}
+                      </div>
+                      {rule.schedule && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          Last: {formatDateTime(rule.lastRunAt)} · Next: {rule.isActive ? formatDateTime(rule.nextRunAt) : 'paused'}
+                        </div>
+                      )}
                     </TableCell>
                     <TableCell>
                       <div className="flex items-center gap-2">
@@ -285,16 +440,24 @@ export function Rules() {
                         </DropdownMenuTrigger>
                         <DropdownMenuContent align="end">
                           <DropdownMenuItem 
-                            onClick={() => handleExecuteRule(rule)}
+                            onClick={() => handlePreviewRule(rule)}
                             disabled={!rule.isActive}
                           >
                             <Play className="h-4 w-4 mr-2" />
                             Execute Rule
                           </DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => setHistoryRule(rule)}>
+                            <History className="h-4 w-4 mr-2" />
+                            Run History
+                          </DropdownMenuItem>
                           <DropdownMenuItem onClick={() => handleEditRule(rule)}>
                             <Edit className="h-4 w-4 mr-2" />
                             Edit
                           </DropdownMenuItem>
+                          <DropdownMenuItem onClick={() => handleExportRules('yaml', [rule.id])}>
+                            <Download className="h-4 w-4 mr-2" />
+                            Export
+                          </DropdownMenuItem>
                           <DropdownMenuItem 
                             onClick={() => handleDeleteRule(rule.id)}
                             className="text-red-600 focus:text-red-600"
@@ -314,11 +477,77 @@ export function Rules() {
       </Card>
 
       <RuleForm
+        key={editingRule ? `${editingRule.id}-${editingRule.version}` : 'new'}
         isOpen={isFormOpen}
         onClose={() => setIsFormOpen(false)}
         onSave={handleSaveRule}
         editingRule={editingRule}
+        onRestore={handleRuleRestored}
       />
+
+      <RuleImportDialog
+        isOpen={isImportOpen}
+        onClose={() => setIsImportOpen(false)}
+        onImported={loadRules}
+      />
+
+      <RuleRunHistory
+        rule={historyRule}
+        onClose={() => setHistoryRule(null)}
+        onRetry={handleRetryRun}
+      />
+
+      <Dialog open={!!previewRule} onOpenChange={handleClosePreview}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2 text-xl font-semibold text-gray-900">
+              <Eye className="h-5 w-5" />
+              Preview changes: {previewRule?.name}
+            </DialogTitle>
+          </DialogHeader>
+
+          {isPreviewing || !rulePreview ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600 mr-3" />
+              <span className="text-gray-600">Calculating changes...</span>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {rulePreview.customersProcessed} customers {previewRule?.trigger ? `matching ${previewRule.triggerSegment}` : `in "${previewRule?.triggerSegment}"`} ·{' '}
+                {rulePreview.entered} entered · {rulePreview.exited} exited since the last run
+              </p>
+              {rulePreview.approval && (
+                <Alert>
+                  <Hand className="h-4 w-4" />
+                  <AlertDescription>
+                    This run is over the rule's safety limits and will wait for approval before changing any tags. {rulePreview.approval.reason}
+                  </AlertDescription>
+                </Alert>
+              )}
+              <TagChangePreview preview={rulePreview} />
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={handleClosePreview} disabled={isExecuting}>
+              Cancel
+            </Button>
+            <Button
+              onClick={() => previewRule && handleExecuteRule(previewRule)}
+              disabled={isPreviewing || !rulePreview || isExecuting}
+              className="bg-blue-600 hover:bg-blue-700"
+            >
+              {isExecuting ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Play className="h-4 w-4 mr-2" />
+              )}
+              Confirm &amp; Run
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
\ No newline at end of file
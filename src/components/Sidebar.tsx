@@ -1,6 +1,6 @@
 import { cn } from "@/lib/utils";
 import { Button } from "@/components/ui/button";
-import { Users, Settings, BarChart3, Tag, LogOut } from "lucide-react";
+import { Users, Settings, BarChart3, Tag, Layers, Hourglass, History, Store, LogOut } from "lucide-react";
 import { useAuth } from "@/contexts/AuthContext";
 
 interface SidebarProps {
@@ -26,6 +26,26 @@ export function Sidebar({ activeTab, onTabChange }: SidebarProps) {
       id: 'bulk-tagger',
       label: 'Bulk Tagger',
       icon: Tag
+    },
+    {
+      id: 'tag-groups',
+      label: 'Tag Groups',
+      icon: Layers
+    },
+    {
+      id: 'expiring-tags',
+      label: 'Expiring Tags',
+      icon: Hourglass
+    },
+    {
+      id: 'audit',
+      label: 'Audit Log',
+      icon: History
+    },
+    {
+      id: 'store',
+      label: 'Store',
+      icon: Store
     }
   ];
 
@@ -0,0 +1,172 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Store, AlertCircle, CheckCircle, Loader2 } from "lucide-react";
+import { apiService, type ShopStatus } from "@/lib/api";
+
+// The store the app works on. Installing sends the merchant through Shopify's
+// OAuth approval; Shopify then redirects back to /?installed=<shop>.
+export function StoreSettings() {
+  const [status, setStatus] = useState<ShopStatus | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [shop, setShop] = useState("");
+  const [isInstalling, setIsInstalling] = useState(false);
+  const [installedShop] = useState(() => new URLSearchParams(window.location.search).get('installed'));
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setStatus(await apiService.getShops());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load store status');
+      console.error('Error loading store status:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (installedShop) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+    loadStatus();
+  }, [installedShop, loadStatus]);
+
+  const handleInstall = async () => {
+    setIsInstalling(true);
+    try {
+      const { authUrl } = await apiService.installShop(shop.trim());
+      window.location.href = authUrl;
+    } catch (error) {
+      alert('Failed to start the install: ' + (error instanceof Error ? error.message : 'Unknown error'));
+      setIsInstalling(false);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Store</h1>
+        <p className="text-gray-600 mt-1">The Shopify store this app tags customers in</p>
+      </div>
+
+      {installedShop && (
+        <Alert>
+          <CheckCircle className="h-4 w-4" />
+          <AlertDescription>Installed on {installedShop}. Customers are being synced from the store.</AlertDescription>
+        </Alert>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Store className="h-5 w-5" />
+            Connected Store
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="h-5 w-5 animate-spin mr-2" />
+              Loading store status...
+            </div>
+          ) : status && (
+            <>
+              {status.current ? (
+                <p className="text-sm text-gray-700">
+                  <span className="font-medium text-gray-900">{status.current.storeUrl}</span>
+                  {' · '}
+                  {status.current.source === 'oauth' ? 'installed through Shopify' : 'from SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN'}
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500">No store connected yet.</p>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="shop-domain" className="text-sm font-medium text-gray-700">Install on a store</Label>
+                <div className="flex gap-2">
+                  <Input
+                    id="shop-domain"
+                    value={shop}
+                    onChange={(e) => setShop(e.target.value)}
+                    placeholder="your-store.myshopify.com"
+                    disabled={!status.installConfigured}
+                    className="max-w-sm"
+                  />
+                  <Button
+                    onClick={handleInstall}
+                    disabled={!shop.trim() || !status.installConfigured || isInstalling}
+                    className="bg-blue-600 hover:bg-blue-700"
+                  >
+                    {isInstalling && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Install
+                  </Button>
+                </div>
+                {status.installConfigured ? (
+                  <p className="text-xs text-gray-500">
+                    Requests {status.scopes.join(', ')}. The app switches to the store once it is installed.
+                  </p>
+                ) : (
+                  <p className="text-xs text-amber-700">
+                    Installing needs SHOPIFY_API_KEY, SHOPIFY_API_SECRET, TOKEN_ENCRYPTION_KEY and a database.
+                  </p>
+                )}
+              </div>
+
+              {status.shops.length > 0 && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Shop</TableHead>
+                      <TableHead>Scopes</TableHead>
+                      <TableHead>Installed</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {status.shops.map((installed) => (
+                      <TableRow key={installed.shop}>
+                        <TableCell className="font-medium">{installed.shop}</TableCell>
+                        <TableCell>
+                          <div className="flex flex-wrap gap-1">
+                            {installed.scopes.split(',').map((scope) => (
+                              <Badge key={scope} variant="secondary">{scope}</Badge>
+                            ))}
+                          </div>
+                        </TableCell>
+                        <TableCell className="text-sm text-gray-600">
+                          {new Date(installed.installedAt).toLocaleString()}
+                          {installed.installedBy && ` by ${installed.installedBy}`}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
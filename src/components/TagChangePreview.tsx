@@ -0,0 +1,92 @@
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { type TagChangePreviewResult } from "@/lib/api";
+
+interface TagChangePreviewProps {
+  preview: TagChangePreviewResult;
+}
+
+export function TagChangePreview({ preview }: TagChangePreviewProps) {
+  const { summary } = preview;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2 text-sm">
+        <Badge variant="secondary" className="bg-green-100 text-green-800 hover:bg-green-100">
+          {summary.tagsAdded} added
+        </Badge>
+        <Badge variant="secondary" className="bg-red-100 text-red-800 hover:bg-red-100">
+          {summary.tagsRemoved} removed
+        </Badge>
+        <Badge variant="secondary" className="bg-gray-100 text-gray-600 hover:bg-gray-100">
+          {summary.unchanged} unchanged
+        </Badge>
+        {summary.failed > 0 && (
+          <Badge variant="destructive">{summary.failed} could not be loaded</Badge>
+        )}
+      </div>
+      <p className="text-sm text-gray-600">
+        {summary.changed} of {summary.customers} customers will be updated. Nothing has been written to Shopify yet.
+      </p>
+
+      {preview.customers.length > 0 && (
+        <div className="max-h-80 overflow-y-auto border rounded-md">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Customer</TableHead>
+                <TableHead>Current Tags</TableHead>
+                <TableHead>Changes</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {preview.customers.map((customer) => (
+                <TableRow key={`${customer.membership || 'customer'}-${customer.customerId}`}>
+                  <TableCell>
+                    <div className="font-medium">{customer.name || customer.customerId}</div>
+                    <div className="text-sm text-gray-600">{customer.email}</div>
+                    {customer.membership && (
+                      <div className="text-xs text-gray-500">
+                        {customer.membership === 'entered' ? 'Entered segment' : 'Left segment'}
+                      </div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {customer.currentTags.map((tag) => (
+                        <Badge key={tag} variant="secondary" className="text-xs">
+                          {tag}
+                        </Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    {customer.changed ? (
+                      <div className="flex flex-wrap gap-1 font-mono text-xs">
+                        {customer.added.map((tag) => (
+                          <span key={`+${tag}`} className="text-green-700">+{tag}</span>
+                        ))}
+                        {customer.removed.map((tag) => (
+                          <span key={`-${tag}`} className="text-red-700">-{tag}</span>
+                        ))}
+                      </div>
+                    ) : (
+                      <span className="text-xs text-gray-500">No change</span>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
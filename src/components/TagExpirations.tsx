@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Hourglass, Search, AlertCircle, Loader2, X } from "lucide-react";
+import { apiService, type TagExpiration } from "@/lib/api";
+
+const PAGE_SIZE = 50;
+
+const SOURCE_LABELS: Record<string, string> = {
+  rule: "Rule",
+  bulk: "Bulk Tagger",
+  manual: "Manual",
+  rollback: "Rollback",
+  webhook: "Webhook",
+};
+
+export function TagExpirations() {
+  const [customerId, setCustomerId] = useState("");
+  const [tag, setTag] = useState("");
+  const [expirations, setExpirations] = useState<TagExpiration[]>([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadExpirations = useCallback(async (nextOffset: number, filters: { customerId?: string; tag?: string } = {}) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const page = await apiService.getTagExpirations({
+        customerId: filters.customerId?.trim() || undefined,
+        tag: filters.tag?.trim() || undefined,
+        limit: PAGE_SIZE,
+        offset: nextOffset,
+      });
+      setExpirations(page.expirations);
+      setTotal(page.total);
+      setOffset(nextOffset);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load expiring tags');
+      console.error('Error loading tag expirations:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadExpirations(0);
+  }, [loadExpirations]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    loadExpirations(0, { customerId, tag });
+  };
+
+  const handleCancel = async (expiration: TagExpiration) => {
+    if (!window.confirm(`Keep "${expiration.tag}" on customer ${expiration.customerId}? It will no longer expire.`)) return;
+
+    try {
+      await apiService.cancelTagExpiration(expiration.customerId, expiration.tag);
+      setExpirations(expirations.filter(other =>
+        other.customerId !== expiration.customerId || other.tag !== expiration.tag));
+      setTotal(total - 1);
+    } catch (error) {
+      alert('Failed to cancel expiry: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold text-gray-900">Expiring Tags</h1>
+        <p className="text-gray-600 mt-1">Tags that will be removed automatically once they expire</p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Search className="h-5 w-5" />
+            Filters
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+            <div className="space-y-2">
+              <Label htmlFor="expiry-customer">Customer ID</Label>
+              <Input
+                id="expiry-customer"
+                placeholder="e.g. 7012345678901"
+                value={customerId}
+                onChange={(e) => setCustomerId(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="expiry-tag">Tag</Label>
+              <Input
+                id="expiry-tag"
+                placeholder="e.g. PROMO-BF24"
+                value={tag}
+                onChange={(e) => setTag(e.target.value)}
+              />
+            </div>
+            <Button type="submit" disabled={isLoading}>
+              {isLoading ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Search className="h-4 w-4 mr-2" />
+              )}
+              Search
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Hourglass className="h-5 w-5" />
+            Pending Expirations ({total})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {expirations.length === 0 ? (
+            <p className="text-gray-500 text-center py-8">
+              {isLoading ? 'Loading...' : 'No tags are waiting to expire'}
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Expires</TableHead>
+                  <TableHead>Customer</TableHead>
+                  <TableHead>Tag</TableHead>
+                  <TableHead>Applied By</TableHead>
+                  <TableHead className="w-16"></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {expirations.map((expiration) => (
+                  <TableRow key={`${expiration.customerId}-${expiration.tag}`}>
+                    <TableCell className="whitespace-nowrap">
+                      {new Date(expiration.expiresAt).toLocaleString()}
+                      {new Date(expiration.expiresAt) <= new Date() && (
+                        <span className="block text-xs text-amber-600">Due - removed on the next sweep</span>
+                      )}
+                    </TableCell>
+                    <TableCell className="font-mono text-sm">{expiration.customerId}</TableCell>
+                    <TableCell>
+                      <Badge variant="secondary">{expiration.tag}</Badge>
+                    </TableCell>
+                    <TableCell>
+                      {expiration.sourceType ? SOURCE_LABELS[expiration.sourceType] || expiration.sourceType : '—'}
+                      {expiration.sourceId && (
+                        <span className="block text-xs text-gray-500 font-mono">{expiration.sourceId}</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleCancel(expiration)}
+                        title="Keep this tag"
+                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      >
+                        <X className="h-4 w-4" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          {total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4">
+              <p className="text-sm text-gray-600">
+                Showing {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={isLoading || offset === 0}
+                  onClick={() => loadExpirations(Math.max(offset - PAGE_SIZE, 0), { customerId, tag })}
+                >
+                  Previous
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={isLoading || offset + PAGE_SIZE >= total}
+                  onClick={() => loadExpirations(offset + PAGE_SIZE, { customerId, tag })}
+                >
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import type { TagExpiry } from "@/lib/tagExpiry";
+
+interface TagExpiryInputProps {
+  value: TagExpiry;
+  onChange: (value: TagExpiry) => void;
+}
+
+type ExpiryMode = 'never' | 'duration' | 'date';
+
+const getExpiryMode = (value: TagExpiry): ExpiryMode =>
+  value.expiresIn !== undefined ? 'duration' : value.expiresAt !== undefined ? 'date' : 'never';
+
+// Expiry picker for an added tag: never, a duration after it is applied, or a date
+export function TagExpiryInput({ value, onChange }: TagExpiryInputProps) {
+  const mode = getExpiryMode(value);
+
+  const handleModeChange = (newMode: ExpiryMode) => {
+    if (newMode === 'duration') onChange({ expiresIn: '30d' });
+    else if (newMode === 'date') onChange({ expiresAt: '' });
+    else onChange({});
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select value={mode} onValueChange={handleModeChange}>
+        <SelectTrigger className="w-36">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="never">Never expires</SelectItem>
+          <SelectItem value="duration">Expires after</SelectItem>
+          <SelectItem value="date">Expires on</SelectItem>
+        </SelectContent>
+      </Select>
+      {mode === 'duration' && (
+        <Input
+          value={value.expiresIn}
+          onChange={(e) => onChange({ expiresIn: e.target.value })}
+          placeholder="e.g. 30d, 12h, 2w"
+          className="w-32"
+        />
+      )}
+      {mode === 'date' && (
+        <Input
+          type="date"
+          value={value.expiresAt?.slice(0, 10) || ''}
+          onChange={(e) => onChange({ expiresAt: e.target.value })}
+          className="w-40"
+        />
+      )}
+    </div>
+  );
+}
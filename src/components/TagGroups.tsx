@@ -0,0 +1,300 @@
+import { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Layers, Plus, Edit, Trash2, ShieldCheck, AlertCircle, CheckCircle, Loader2 } from "lucide-react";
+import { apiService, type TagGroup, type TagGroupConflictReport } from "@/lib/api";
+
+const parseTierList = (value: string) =>
+  value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+export function TagGroups() {
+  const [groups, setGroups] = useState<TagGroup[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingGroup, setEditingGroup] = useState<TagGroup | null>(null);
+  const [name, setName] = useState("");
+  const [tiers, setTiers] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [report, setReport] = useState<TagGroupConflictReport | null>(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => {
+    loadGroups();
+  }, []);
+
+  const loadGroups = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setGroups(await apiService.getTagGroups());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load tag groups');
+      console.error('Error loading tag groups:', err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openForm = (group: TagGroup | null) => {
+    setEditingGroup(group);
+    setName(group?.name || "");
+    setTiers(group?.tags.join(', ') || "");
+    setIsFormOpen(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const tags = parseTierList(tiers);
+    if (!name.trim() || tags.length < 2) return;
+
+    setIsSaving(true);
+    try {
+      const saved = editingGroup
+        ? await apiService.updateTagGroup(editingGroup.id, { name: name.trim(), tags })
+        : await apiService.createTagGroup({ name: name.trim(), tags });
+      setGroups(editingGroup
+        ? groups.map(group => group.id === saved.id ? saved : group)
+        : [...groups, saved]);
+      setIsFormOpen(false);
+    } catch (error) {
+      alert('Failed to save tag group: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (group: TagGroup) => {
+    if (!window.confirm(`Delete tag group "${group.name}"? Customers keep their tags.`)) return;
+
+    try {
+      await apiService.deleteTagGroup(group.id);
+      setGroups(groups.filter(other => other.id !== group.id));
+    } catch (error) {
+      alert('Failed to delete tag group (it may still be used by a rule): ' + (error instanceof Error ? error.message : 'Unknown error'));
+    }
+  };
+
+  const handleCheckConflicts = async () => {
+    setIsChecking(true);
+    try {
+      setReport(await apiService.getTagGroupConflicts());
+    } catch (error) {
+      alert('Failed to check for conflicts: ' + (error instanceof Error ? error.message : 'Unknown error'));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold text-gray-900">Tag Groups</h1>
+          <p className="text-gray-600 mt-1">Mutually exclusive tags such as loyalty tiers - a customer holds at most one tag per group</p>
+        </div>
+        <Button onClick={() => openForm(null)} className="bg-blue-600 hover:bg-blue-700">
+          <Plus className="h-4 w-4 mr-2" />
+          New Group
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Layers className="h-5 w-5" />
+            Groups
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center py-8 text-gray-600">
+              <Loader2 className="h-5 w-5 animate-spin mr-2" />
+              Loading tag groups...
+            </div>
+          ) : groups.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">
+              No tag groups yet. Create one to use "Set tier" in rules and the bulk tagger.
+            </p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Tiers (lowest to highest)</TableHead>
+                  <TableHead className="w-24"></TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {groups.map((group) => (
+                  <TableRow key={group.id}>
+                    <TableCell className="font-medium">{group.name}</TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        {group.tags.map((tag) => (
+                          <Badge key={tag} variant="secondary">{tag}</Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-1">
+                        <Button variant="ghost" size="sm" onClick={() => openForm(group)}>
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDelete(group)}
+                          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <CardTitle className="flex items-center gap-2">
+              <ShieldCheck className="h-5 w-5" />
+              Validation Report
+            </CardTitle>
+            <Button variant="outline" onClick={handleCheckConflicts} disabled={isChecking || groups.length === 0}>
+              {isChecking ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <ShieldCheck className="h-4 w-4 mr-2" />
+              )}
+              Check Customers
+            </Button>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {!report ? (
+            <p className="text-sm text-gray-500">
+              Find customers who currently hold more than one tag from the same group.
+            </p>
+          ) : report.conflicts.length === 0 ? (
+            <div className="flex items-center gap-2 text-sm text-green-700">
+              <CheckCircle className="h-4 w-4" />
+              No conflicts among {report.customersChecked.toLocaleString()} customers.
+            </div>
+          ) : (
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                {report.conflicts.length.toLocaleString()} conflicts among {report.customersChecked.toLocaleString()} customers.
+                Use "Set tier" in the bulk tagger to put these customers on a single tier.
+              </p>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Customer</TableHead>
+                    <TableHead>Group</TableHead>
+                    <TableHead>Conflicting Tags</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.conflicts.map((conflict) => (
+                    <TableRow key={`${conflict.customerId}-${conflict.groupId}`}>
+                      <TableCell>
+                        <div className="font-medium">{conflict.name || conflict.email || conflict.customerId}</div>
+                        <div className="text-xs text-gray-500">{conflict.email} · {conflict.customerId}</div>
+                      </TableCell>
+                      <TableCell>{conflict.groupName}</TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {conflict.tags.map((tag) => (
+                            <Badge key={tag} variant="outline" className="text-red-700 border-red-300">{tag}</Badge>
+                          ))}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingGroup ? 'Edit Tag Group' : 'New Tag Group'}</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="group-name">Name</Label>
+              <Input
+                id="group-name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="e.g. Loyalty tier"
+                required
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="group-tiers">Tags</Label>
+              <Input
+                id="group-tiers"
+                value={tiers}
+                onChange={(e) => setTiers(e.target.value)}
+                placeholder="e.g. Member, VIP, VVIP"
+                required
+              />
+              <p className="text-xs text-gray-500">
+                Comma-separated, in tier order. A customer may hold at most one of these tags.
+              </p>
+            </div>
+            <DialogFooter>
+              <Button type="button" variant="outline" onClick={() => setIsFormOpen(false)}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700"
+                disabled={isSaving || !name.trim() || parseTierList(tiers).length < 2}
+              >
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                {editingGroup ? 'Update Group' : 'Create Group'}
+              </Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
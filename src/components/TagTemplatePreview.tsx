@@ -0,0 +1,110 @@
+import { useState, useEffect, useRef } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Loader2 } from "lucide-react";
+import { apiService, type ShopifyCustomer, type TagAction, type TagTemplatePreview as Preview } from "@/lib/api";
+
+interface TagTemplatePreviewProps {
+  actions: TagAction[];
+  exitActions: TagAction[];
+  segment?: string;
+}
+
+const PREVIEW_DELAY_MS = 500;
+
+const ACTION_STYLES: Record<TagAction['type'], string> = {
+  add: "bg-green-100 text-green-800 hover:bg-green-100",
+  set_tier: "bg-green-100 text-green-800 hover:bg-green-100",
+  remove: "bg-red-100 text-red-800 hover:bg-red-100",
+};
+
+function RenderedActions({ label, actions }: { label: string; actions: TagAction[] }) {
+  if (actions.length === 0) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      <span className="text-xs text-gray-500">{label}</span>
+      {actions.map((action, index) => (
+        <Badge key={index} variant="secondary" className={ACTION_STYLES[action.type]}>
+          {action.type === 'remove' ? '-' : '+'}{action.tag}
+        </Badge>
+      ))}
+    </div>
+  );
+}
+
+// Live preview of a rule's tag templates rendered for a few customers from the
+// trigger segment. The sample is loaded once per segment and reused while the
+// templates are edited.
+export function TagTemplatePreview({ actions, exitActions, segment }: TagTemplatePreviewProps) {
+  const [preview, setPreview] = useState<Preview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const sample = useRef<{ segment: string; customers: ShopifyCustomer[] } | null>(null);
+  // The parent rebuilds the action arrays on every render, so the preview
+  // reruns only when their contents change
+  const actionsKey = JSON.stringify({ actions, exitActions });
+
+  useEffect(() => {
+    if (!segment) {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      try {
+        const customers = sample.current?.segment === segment ? sample.current.customers : undefined;
+        const result = await apiService.previewTagTemplates({
+          ...(JSON.parse(actionsKey) as { actions: TagAction[]; exitActions: TagAction[] }),
+          ...(customers ? { customers } : { segment }),
+        });
+        if (cancelled) return;
+        sample.current = { segment, customers: result.customers };
+        setPreview(result);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to preview tag templates');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [actionsKey, segment]);
+
+  return (
+    <div className="space-y-2 rounded-md border border-blue-100 bg-blue-50/50 p-4">
+      <div className="flex items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">Tag template preview</span>
+        {isLoading && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+      </div>
+
+      {!segment ? (
+        <p className="text-xs text-gray-500">Pick a trigger segment to preview templates for its customers.</p>
+      ) : error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : preview && preview.results.length === 0 ? (
+        <p className="text-xs text-gray-500">"{segment}" has no customers to preview.</p>
+      ) : (
+        preview?.results.map((result) => (
+          <div key={result.customerId} className="space-y-1 border-t border-blue-100 pt-2 first:border-0 first:pt-0">
+            <p className="text-xs font-medium text-gray-700">
+              {result.name || result.email || result.customerId}
+              {result.name && result.email && <span className="font-normal text-gray-500"> · {result.email}</span>}
+            </p>
+            <RenderedActions label="Enter" actions={result.enter} />
+            <RenderedActions label="Exit" actions={result.exit} />
+            {result.skipped.map((skipped, index) => (
+              <p key={index} className="text-xs text-amber-600">
+                Skipped {skipped.template}: no {skipped.missing}
+              </p>
+            ))}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Plus, FolderPlus, X } from "lucide-react";
+import type { CustomerSegment } from "@/lib/api";
+import {
+  TRIGGER_FIELDS,
+  TRIGGER_OPERATORS,
+  MAX_TRIGGER_DEPTH,
+  createTriggerDraft,
+  getTriggerFieldType,
+  type TriggerDraft,
+  type TriggerDraftKind,
+} from "@/lib/trigger";
+
+interface TriggerBuilderProps {
+  value: TriggerDraft;
+  onChange: (value: TriggerDraft) => void;
+  segments: CustomerSegment[];
+}
+
+interface ConditionProps {
+  condition: TriggerDraft;
+  onChange: (condition: TriggerDraft) => void;
+  onRemove?: () => void;
+  segments: CustomerSegment[];
+  depth: number;
+}
+
+function ConditionFields({ condition, onChange, segments }: Omit<ConditionProps, 'onRemove' | 'depth'>) {
+  const update = (changes: Partial<TriggerDraft>) => onChange({ ...condition, ...changes });
+  const fieldType = getTriggerFieldType(condition.field);
+
+  switch (condition.kind) {
+    case 'segment':
+      return (
+        <Select value={condition.segment} onValueChange={(segment) => update({ segment })}>
+          <SelectTrigger className="flex-1">
+            <SelectValue placeholder="Select segment" />
+          </SelectTrigger>
+          <SelectContent>
+            {segments.map((segment) => (
+              <SelectItem key={segment.id} value={segment.name}>
+                {segment.name} ({segment.customerCount} customers)
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      );
+
+    case 'tag':
+      return (
+        <Input
+          value={condition.tag}
+          onChange={(e) => update({ tag: e.target.value })}
+          placeholder="Tag name"
+          className="flex-1"
+        />
+      );
+
+    case 'field':
+      return (
+        <>
+          <Select
+            value={condition.field}
+            onValueChange={(field) => {
+              // Keep the operator when the new field supports it
+              const operators = TRIGGER_OPERATORS[getTriggerFieldType(field)];
+              update({
+                field,
+                operator: operators.includes(condition.operator) ? condition.operator : operators[0],
+                value: getTriggerFieldType(field) === 'boolean' ? 'true' : '',
+              });
+            }}
+          >
+            <SelectTrigger className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {TRIGGER_FIELDS.map((field) => (
+                <SelectItem key={field.value} value={field.value}>{field.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={condition.operator} onValueChange={(operator) => update({ operator })}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {TRIGGER_OPERATORS[fieldType].map((operator) => (
+                <SelectItem key={operator} value={operator}>{operator.toLowerCase()}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {fieldType === 'boolean' ? (
+            <Select value={condition.value || 'true'} onValueChange={(value) => update({ value })}>
+              <SelectTrigger className="flex-1">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="true">Yes</SelectItem>
+                <SelectItem value="false">No</SelectItem>
+              </SelectContent>
+            </Select>
+          ) : (
+            <Input
+              value={condition.value}
+              onChange={(e) => update({ value: e.target.value })}
+              placeholder={fieldType === 'date' ? 'e.g. -30d or 2024-01-01' : 'Value'}
+              type={fieldType === 'number' ? 'number' : 'text'}
+              className="flex-1"
+            />
+          )}
+        </>
+      );
+
+    default:
+      return null;
+  }
+}
+
+function TriggerCondition({ condition, onChange, onRemove, segments, depth }: ConditionProps) {
+  const changeKind = (kind: TriggerDraftKind) => {
+    if (kind !== condition.kind) {
+      onChange(createTriggerDraft(kind, { id: condition.id, negated: condition.negated }));
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Select
+          value={condition.negated ? 'not' : 'is'}
+          onValueChange={(value) => onChange({ ...condition, negated: value === 'not' })}
+        >
+          <SelectTrigger className="w-24">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="is">IS</SelectItem>
+            <SelectItem value="not">NOT</SelectItem>
+          </SelectContent>
+        </Select>
+
+        <Select value={condition.kind} onValueChange={(value: TriggerDraftKind) => changeKind(value)}>
+          <SelectTrigger className="w-32">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="segment">In segment</SelectItem>
+            <SelectItem value="tag">Tagged</SelectItem>
+            <SelectItem value="field">Field</SelectItem>
+            <SelectItem value="group" disabled={depth >= MAX_TRIGGER_DEPTH}>Group</SelectItem>
+          </SelectContent>
+        </Select>
+
+        {condition.kind !== 'group' && (
+          <ConditionFields condition={condition} onChange={onChange} segments={segments} />
+        )}
+
+        {onRemove && (
+          <Button
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={onRemove}
+            className="text-red-600 hover:text-red-700 hover:bg-red-50 ml-auto"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        )}
+      </div>
+
+      {condition.kind === 'group' && (
+        <TriggerGroup group={condition} onChange={onChange} segments={segments} depth={depth + 1} />
+      )}
+    </div>
+  );
+}
+
+function TriggerGroup({ group, onChange, segments, depth }: Omit<ConditionProps, 'condition' | 'onRemove'> & { group: TriggerDraft }) {
+  const updateCondition = (index: number, condition: TriggerDraft) => {
+    onChange({ ...group, conditions: group.conditions.map((other, i) => i === index ? condition : other) });
+  };
+
+  const removeCondition = (index: number) => {
+    onChange({ ...group, conditions: group.conditions.filter((_, i) => i !== index) });
+  };
+
+  const addCondition = (kind: TriggerDraftKind) => {
+    onChange({ ...group, conditions: [...group.conditions, createTriggerDraft(kind)] });
+  };
+
+  return (
+    <div className={depth > 1 ? "ml-6 pl-4 border-l-2 border-gray-200 space-y-3" : "space-y-3"}>
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        <span>Match</span>
+        <Select
+          value={group.match}
+          onValueChange={(match: 'and' | 'or') => onChange({ ...group, match })}
+        >
+          <SelectTrigger className="w-28">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="and">ALL (and)</SelectItem>
+            <SelectItem value="or">ANY (or)</SelectItem>
+          </SelectContent>
+        </Select>
+        <span>of these conditions</span>
+      </div>
+
+      {group.conditions.map((condition, index) => (
+        <TriggerCondition
+          key={condition.id}
+          condition={condition}
+          onChange={(updated) => updateCondition(index, updated)}
+          onRemove={group.conditions.length > 1 ? () => removeCondition(index) : undefined}
+          segments={segments}
+          depth={depth}
+        />
+      ))}
+
+      <div className="flex gap-2">
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => addCondition('segment')}
+          className="text-blue-600 border-blue-600 hover:bg-blue-50"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Condition
+        </Button>
+        {depth < MAX_TRIGGER_DEPTH && (
+          <Button type="button" variant="outline" size="sm" onClick={() => addCondition('group')}>
+            <FolderPlus className="h-4 w-4 mr-1" />
+            Add Group
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Nested AND / OR / NOT editor for a rule's trigger
+export function TriggerBuilder({ value, onChange, segments }: TriggerBuilderProps) {
+  return (
+    <div className="rounded-md border border-gray-200 p-4">
+      <TriggerGroup group={value} onChange={onChange} segments={segments} depth={1} />
+    </div>
+  );
+}
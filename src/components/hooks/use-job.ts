@@ -0,0 +1,60 @@
+import { useState, useEffect, useCallback } from "react";
+import { apiService, isJobFinished, type Job, type ProgressSnapshot } from "@/lib/api";
+
+const RETRY_INTERVAL = 2000;
+
+// Follow a background job until it finishes. Progress arrives over the job's
+// event stream; once the stream ends the final job record is loaded.
+export function useJob(initialJob: Job) {
+  const [job, setJob] = useState<Job>(initialJob);
+  const [live, setLive] = useState<ProgressSnapshot | null>(null);
+  const [attempt, setAttempt] = useState(0);
+  const finished = isJobFinished(job);
+
+  useEffect(() => {
+    if (finished) return;
+
+    const controller = new AbortController();
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+    apiService
+      .streamProgress(job.id, (snapshot) => {
+        setLive(snapshot);
+        // The final status is taken from the job record below, together with its result
+        setJob(current => ({
+          ...current,
+          status: isJobFinished(snapshot) ? current.status : snapshot.status,
+          cancelRequested: snapshot.cancelRequested ?? current.cancelRequested,
+          progress: {
+            total: snapshot.total,
+            processed: snapshot.processed,
+            success: snapshot.success,
+            failed: snapshot.failed,
+          },
+        }));
+      }, controller.signal)
+      .then(() => apiService.getJob(job.id))
+      .then(setJob)
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        console.error('Error following job progress:', error);
+        retryTimer = setTimeout(() => setAttempt(count => count + 1), RETRY_INTERVAL);
+      });
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimer);
+    };
+  }, [job.id, finished, attempt]);
+
+  const cancel = useCallback(async () => {
+    setJob(await apiService.cancelJob(job.id));
+  }, [job.id]);
+
+  const resume = useCallback(async () => {
+    setLive(null);
+    setJob(await apiService.resumeJob(job.id));
+  }, [job.id]);
+
+  return { job, live, cancel, resume };
+}
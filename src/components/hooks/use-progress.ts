@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { apiService, type ProgressSnapshot } from "@/lib/api";
+
+// Follow the progress of a single long request. start() returns an id to pass
+// to the request as its progressId; the latest snapshot is kept in `progress`.
+export function useProgressStream() {
+  const [progress, setProgress] = useState<ProgressSnapshot | null>(null);
+  const controllerRef = useRef<AbortController | null>(null);
+
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    setProgress(null);
+  }, []);
+
+  const start = useCallback(() => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress(null);
+
+    const progressId = `op-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    apiService.streamProgress(progressId, setProgress, controller.signal).catch((error) => {
+      if (!controller.signal.aborted) {
+        console.error('Error following progress:', error);
+      }
+    });
+
+    return progressId;
+  }, []);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { progress, start, stop };
+}
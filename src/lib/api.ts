@@ -33,27 +33,408 @@ export interface CustomerSegment {
   needsCustomerCount?: boolean; // Flag to indicate if count needs to be fetched
 }
 
+// set_tier puts the customer on `tag` within tag group `groupId` and removes
+// the group's other tags. Added tags may expire at a fixed time (expiresAt) or
+// a duration after they were applied (expiresIn, e.g. '30d').
+export interface TagAction {
+  type: 'add' | 'remove' | 'set_tier';
+  tag: string;
+  groupId?: string;
+  expiresAt?: string;
+  expiresIn?: string;
+}
+
+// Compound rule trigger (server/ruleTrigger.js). Field conditions use the
+// segment query field names, e.g. total_spent or last_order_date; dates may be
+// relative, e.g. -30d.
+export type TriggerCondition =
+  | { type: 'and' | 'or'; conditions: TriggerCondition[] }
+  | { type: 'not'; condition: TriggerCondition }
+  | { type: 'segment'; segment: string }
+  | { type: 'tag'; tag: string }
+  | { type: 'field'; field: string; operator: string; value: string | number | boolean };
+
 export interface TaggingRule {
   id: string;
   name: string;
   isActive: boolean;
-  triggerSegment: string;
-  actions: {
-    type: 'add' | 'remove';
+  triggerSegment: string; // a readable description when `trigger` is set
+  trigger?: TriggerCondition | null;
+  actions: TagAction[];
+  exitActions?: TagAction[]; // applied to customers who left the trigger segment since the last run
+  priority?: number; // rules that run together run lowest first, so the highest priority wins
+  maxChanges?: number | null; // safety limits; runs over them wait for approval (null = global limit)
+  maxChangePercent?: number | null;
+  schedule?: string | null; // cron expression, null for manual-only rules
+  lastRunAt?: string | null;
+  nextRunAt?: string | null;
+  version?: number; // bumped on every save; see RuleVersion
+  updatedBy?: string | null;
+  createdAt: string;
+}
+
+// Two active rules that add and remove the same tag for overlapping segments.
+// rules[1] runs after rules[0], so its change wins (winnerId).
+export interface RuleConflict {
+  rules: {
+    id: string;
+    name: string;
+    triggerSegment: string;
+    priority: number;
+  }[];
+  tags: {
     tag: string;
+    phase: 'enter' | 'exit';
+    addedBy: string;
+    removedBy: string;
   }[];
-  createdAt: string;
+  overlap: {
+    status: 'same-segment' | 'overlapping' | 'unknown';
+    customers: number | null;
+  };
+  samePriority: boolean;
+  winnerId: string;
+}
+
+export interface RuleConflictReport {
+  executionOrder: string[];
+  conflicts: RuleConflict[];
+}
+
+// An ordered set of mutually exclusive tags, e.g. loyalty tiers
+export interface TagGroup {
+  id: string;
+  name: string;
+  tags: string[];
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface TagGroupConflict {
+  customerId: string;
+  email: string;
+  name: string;
+  groupId: string;
+  groupName: string;
+  tags: string[];
+}
+
+export interface TagGroupConflictReport {
+  customersChecked: number;
+  conflicts: TagGroupConflict[];
+}
+
+// Rule actions with their tag templates rendered for one sample customer
+export interface TagTemplatePreviewResult {
+  customerId: string;
+  email: string;
+  name: string;
+  enter: TagAction[];
+  exit: TagAction[];
+  skipped: { template: string; missing: string }[];
+}
+
+export interface TagTemplatePreview {
+  customers: ShopifyCustomer[]; // the sample, to send back on the next preview
+  results: TagTemplatePreviewResult[];
 }
 
 export interface BulkTagResult {
   success: number;
   failed: number;
   errors: string[];
+  failedCustomerIds?: string[];
+  jobId?: string;
 }
 
-export interface RuleExecutionResult extends BulkTagResult {
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled' | 'needs_approval' | 'rejected';
+
+// Why a rule run exceeded its safety limits, and who approved or rejected it
+export interface JobApproval {
+  reason: string;
+  changes: number;
+  previousSize: number | null;
+  changePercent: number | null;
+  limits: { maxChanges: number | null; maxChangePercent: number | null };
+  requestedAt?: string;
+  decision?: 'approved' | 'rejected';
+  decidedBy?: string | null;
+  decidedAt?: string;
+}
+
+export interface Job {
+  id: string;
+  type: 'bulk' | 'rule' | 'manual' | 'rollback' | 'expiry' | 'webhook';
+  sourceId?: string | null;
+  actor?: string | null;
+  status: JobStatus;
+  progress: {
+    total: number;
+    processed: number;
+    success: number;
+    failed: number;
+  };
+  errors: string[];
+  cancelRequested?: boolean;
+  approval?: JobApproval | null;
+  result: {
+    rule?: string;
+    customersProcessed?: number;
+    entered?: number;
+    exited?: number;
+    error?: string;
+  } | null;
+  rolledBackAt?: string | null;
+  rolledBackBy?: string | null;
+  createdAt?: string;
+  startedAt?: string | null;
+  completedAt?: string | null;
+}
+
+// One run of a tagging rule (server/database.js rule_runs). Status is its job's.
+export interface RuleRun {
+  jobId: string;
+  ruleId: string;
+  status: JobStatus;
+  triggeredBy: string | null; // a username, or 'scheduler'
+  retryOf: string | null; // job ID of the run whose failures this run retried
+  segmentSize: number | null; // customers matching the trigger; null for retries
+  entered: number | null;
+  exited: number | null;
+  customersChanged: number | null;
+  failed: number;
+  failedCustomerIds: { entered: string[]; exited: string[] };
+  errors: string[];
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+}
+
+export interface RuleRunPage {
+  runs: RuleRun[];
+  total: number;
+}
+
+// The fields of a rule that are stored with each version
+export type RuleDefinition = Pick<
+  TaggingRule,
+  'name' | 'isActive' | 'triggerSegment' | 'trigger' | 'actions' | 'exitActions' | 'schedule' | 'priority' | 'maxChanges' | 'maxChangePercent'
+>;
+
+// An immutable copy of a rule as saved (server/database.js rule_versions)
+export interface RuleVersion {
+  ruleId: string;
+  version: number;
+  definition: RuleDefinition;
+  editedBy: string | null;
+  restoredFrom: number | null; // the version this save restored, if any
+  createdAt: string;
+}
+
+export interface RuleVersionDiff {
+  from: RuleVersion;
+  to: RuleVersion;
+  changes: { field: keyof RuleDefinition; before: unknown; after: unknown }[];
+}
+
+// Moving rules between stores (server/ruleBundles.js). Names that are already
+// taken are skipped, overwritten or renamed.
+export type RuleImportConflict = 'skip' | 'overwrite' | 'rename';
+
+export interface RuleImportEntry {
+  name: string;
+  action: 'create' | 'unchanged' | RuleImportConflict;
+  newName?: string; // set when renamed
+  error?: string;
+}
+
+export interface RuleImportReport {
+  valid: boolean;
+  imported: boolean;
+  conflict: RuleImportConflict;
+  error?: string; // the bundle itself could not be read
+  tagGroups: RuleImportEntry[];
+  rules: (RuleImportEntry & {
+    missingSegments: string[];
+    deactivated?: boolean; // imported inactive because of missing segments
+  })[];
+  missingSegments: string[]; // segments the imported rules use that this store lacks
+}
+
+// A store installed through the Shopify OAuth flow
+export interface InstalledShop {
+  shop: string;
+  scopes: string;
+  installedBy: string | null;
+  installedAt: string;
+}
+
+export interface ShopStatus {
+  current: { storeUrl: string; source: 'oauth' | 'env' } | null; // the store every request goes to
+  scopes: string[]; // requested when installing
+  installConfigured: boolean;
+  shops: InstalledShop[]; // latest install first
+}
+
+export function isJobFinished(job: Pick<Job, 'status'>): boolean {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled' || job.status === 'rejected';
+}
+
+// Live progress streamed from /jobs/:id/events. total/processed count customers
+// being tagged; expected/fetched count records read from Shopify in the current phase.
+export interface ProgressSnapshot {
+  id: string;
+  status: JobStatus;
+  phase: string | null;
+  total: number;
+  processed: number;
+  success: number;
+  failed: number;
+  expected?: number;
+  fetched?: number;
+  pagesFetched?: number;
+  etaSeconds: number | null;
+  cancelRequested?: boolean;
+  error?: string;
+  updatedAt?: string;
+}
+
+// Parse one Server-Sent Events message into its event name and data
+function parseEventMessage(message: string): { event: string; data: string } {
+  let event = 'message';
+  const data: string[] = [];
+  for (const line of message.split('\n')) {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  }
+  return { event, data: data.join('\n') };
+}
+
+export interface TagChangePreviewCustomer {
+  customerId: string;
+  email: string;
+  name: string;
+  currentTags: string[];
+  resultingTags: string[];
+  added: string[];
+  removed: string[];
+  changed: boolean;
+  membership?: 'entered' | 'exited';
+}
+
+export interface TagChangePreviewResult {
+  dryRun: true;
+  customers: TagChangePreviewCustomer[];
+  summary: {
+    customers: number;
+    changed: number;
+    unchanged: number;
+    tagsAdded: number;
+    tagsRemoved: number;
+    failed: number;
+  };
+  errors: string[];
+}
+
+export interface RulePreviewResult extends TagChangePreviewResult {
   rule: string;
   customersProcessed: number;
+  entered: number;
+  exited: number;
+  approval?: JobApproval | null; // set when the run exceeds the rule's safety limits
+  sampled?: boolean; // only the first customers of a large held run were previewed
+}
+
+export interface SegmentQueryPreview {
+  query: string;
+  ast: unknown;
+  totalCustomers: number;
+  matchCount: number;
+  customers: ShopifyCustomer[];
+}
+
+export interface CustomerSyncStatus {
+  available: boolean;
+  syncing?: boolean;
+  watermark?: string | null;
+  lastSyncedAt?: string | null;
+  lastFullSyncAt?: string | null;
+  lastSyncType?: 'full' | 'incremental' | null;
+  lastSyncFetched?: number | null;
+  lastError?: string | null;
+  customerCount?: number;
+}
+
+export interface TagEvent {
+  id: number;
+  customerId: string;
+  tag: string;
+  action: 'add' | 'remove';
+  sourceType: 'rule' | 'bulk' | 'manual' | 'rollback' | 'expiry' | 'webhook';
+  sourceId: string | null;
+  jobId: string | null;
+  actor: string | null;
+  createdAt: string;
+}
+
+export interface TagEventPage {
+  events: TagEvent[];
+  total: number;
+}
+
+// A tag scheduled to be removed from a customer
+export interface TagExpiration {
+  customerId: string;
+  tag: string;
+  expiresAt: string;
+  sourceType: TagEvent['sourceType'] | null;
+  sourceId: string | null;
+  jobId: string | null;
+  createdAt: string;
+}
+
+export interface TagExpirationPage {
+  expirations: TagExpiration[];
+  total: number;
+}
+
+export interface AuditFilters {
+  customerId?: string;
+  tag?: string;
+  action?: 'add' | 'remove';
+  sourceType?: TagEvent['sourceType'];
+  sourceId?: string;
+  jobId?: string;
+  actor?: string;
+  since?: string;
+  until?: string;
+  limit?: number;
+  offset?: number;
+}
+
+export interface RollbackResult extends BulkTagResult {
+  rolledBackJobId: string;
+  reverted: number;
+  skipped: {
+    customerId: string;
+    tag: string;
+    action: 'add' | 'remove';
+    reason: string;
+  }[];
+}
+
+function toQueryString(params: object): string {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, String(value));
+    }
+  }
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
 }
 
 class ApiService {
@@ -67,7 +448,7 @@ class ApiService {
     return {};
   }
 
-  private async request<T>(endpoint: string, options?: RequestInit): Promise<T> {
+  private async request<T>(endpoint: string, options?: RequestInit, responseType: 'json' | 'text' = 'json'): Promise<T> {
     try {
       const response = await fetch(`${API_BASE_URL}${endpoint}`, {
         ...options,
@@ -89,7 +470,7 @@ class ApiService {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
 
-      return await response.json();
+      return responseType === 'text' ? await response.text() as T : await response.json();
     } catch (error) {
       console.error(`API request failed: ${endpoint}`, error);
       throw error;
@@ -101,22 +482,157 @@ class ApiService {
     return this.request<CustomerSegment[]>('/segments');
   }
 
+  // Evaluate a segment query locally and return the matching customers
+  async previewSegmentQuery(query: string, limit = 50): Promise<SegmentQueryPreview> {
+    return this.request<SegmentQueryPreview>('/segments/preview', {
+      method: 'POST',
+      body: JSON.stringify({ query, limit }),
+    });
+  }
+
+  // Local customer mirror
+  async getCustomerSyncStatus(): Promise<CustomerSyncStatus> {
+    return this.request<CustomerSyncStatus>('/customers/mirror');
+  }
+
+  async syncCustomerMirror(full = false): Promise<CustomerSyncStatus> {
+    return this.request<CustomerSyncStatus>('/customers/mirror/sync', {
+      method: 'POST',
+      body: JSON.stringify({ full }),
+    });
+  }
+
+  async searchCustomers(query: string, limit = 50): Promise<ShopifyCustomer[]> {
+    return this.request<ShopifyCustomer[]>(`/customers/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+  }
+
   // Get customers by segment
-  async getCustomersBySegment(segmentName: string): Promise<ShopifyCustomer[]> {
-    return this.request<ShopifyCustomer[]>(`/customers?segment=${encodeURIComponent(segmentName)}`);
+  async getCustomersBySegment(segmentName: string, progressId?: string): Promise<ShopifyCustomer[]> {
+    return this.request<ShopifyCustomer[]>(`/customers${toQueryString({ segment: segmentName, progressId })}`);
   }
 
   // Bulk tagging operations
+  // Queues a bulk tag job; follow it with getJob
   async applyBulkTags(
     customerIds: string[],
-    actions: { type: 'add' | 'remove'; tag: string }[]
-  ): Promise<BulkTagResult> {
-    return this.request<BulkTagResult>('/bulk-tag', {
+    actions: TagAction[]
+  ): Promise<Job> {
+    return this.request<Job>('/bulk-tag', {
       method: 'POST',
       body: JSON.stringify({ customerIds, actions }),
     });
   }
 
+  // Show what applyBulkTags would change without writing to Shopify
+  async previewBulkTags(
+    customerIds: string[],
+    actions: TagAction[]
+  ): Promise<TagChangePreviewResult> {
+    return this.request<TagChangePreviewResult>('/bulk-tag', {
+      method: 'POST',
+      body: JSON.stringify({ customerIds, actions, dryRun: true }),
+    });
+  }
+
+  // Tag audit log
+  async getAuditLog(filters: AuditFilters = {}): Promise<TagEventPage> {
+    return this.request<TagEventPage>(`/audit${toQueryString(filters)}`);
+  }
+
+  async getCustomerTagHistory(
+    customerId: string,
+    filters: Omit<AuditFilters, 'customerId'> = {}
+  ): Promise<TagEventPage> {
+    return this.request<TagEventPage>(
+      `/customers/${encodeURIComponent(customerId)}/tag-history${toQueryString(filters)}`
+    );
+  }
+
+  // Pending tag expirations, soonest first
+  async getTagExpirations(
+    filters: { customerId?: string; tag?: string; limit?: number; offset?: number } = {}
+  ): Promise<TagExpirationPage> {
+    return this.request<TagExpirationPage>(`/tag-expirations${toQueryString(filters)}`);
+  }
+
+  // Keep a tag on a customer by dropping its pending expiry
+  async cancelTagExpiration(customerId: string, tag: string): Promise<{ success: boolean }> {
+    return this.request<{ success: boolean }>(
+      `/tag-expirations/${encodeURIComponent(customerId)}${toQueryString({ tag })}`,
+      { method: 'DELETE' }
+    );
+  }
+
+  // Background jobs
+  async getJobs(filters: { status?: JobStatus; type?: Job['type']; sourceId?: string; limit?: number } = {}): Promise<Job[]> {
+    return this.request<Job[]>(`/jobs${toQueryString(filters)}`);
+  }
+
+  async getJob(jobId: string): Promise<Job> {
+    return this.request<Job>(`/jobs/${encodeURIComponent(jobId)}`);
+  }
+
+  async cancelJob(jobId: string): Promise<Job> {
+    return this.request<Job>(`/jobs/${encodeURIComponent(jobId)}/cancel`, {
+      method: 'POST',
+    });
+  }
+
+  async resumeJob(jobId: string): Promise<Job> {
+    return this.request<Job>(`/jobs/${encodeURIComponent(jobId)}/resume`, {
+      method: 'POST',
+    });
+  }
+
+  // Follow a job's live progress until it finishes. EventSource can't send the
+  // Authorization header, so the event stream is read with fetch instead.
+  // Resolves when the server ends the stream.
+  async streamProgress(
+    id: string,
+    onProgress: (snapshot: ProgressSnapshot) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const response = await fetch(`${API_BASE_URL}/jobs/${encodeURIComponent(id)}/events`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        ...this.getAuthHeaders(),
+      },
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+
+      buffer += value;
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const { event, data } = parseEventMessage(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+
+        if (event === 'progress' && data) {
+          onProgress(JSON.parse(data));
+        } else if (event === 'error' && data) {
+          throw new Error(JSON.parse(data).error);
+        }
+      }
+    }
+  }
+
+  // Undo the tag changes made by a bulk tag job or rule run
+  async rollbackJob(jobId: string): Promise<RollbackResult> {
+    return this.request<RollbackResult>(`/jobs/${encodeURIComponent(jobId)}/rollback`, {
+      method: 'POST',
+    });
+  }
+
   // Tagging Rules CRUD operations
   async getRules(): Promise<TaggingRule[]> {
     return this.request<TaggingRule[]>('/rules');
@@ -142,12 +658,119 @@ class ApiService {
     });
   }
 
-  async executeRule(ruleId: string): Promise<RuleExecutionResult> {
-    return this.request<RuleExecutionResult>(`/rules/${ruleId}/execute`, {
+  async getRuleConflicts(): Promise<RuleConflictReport> {
+    return this.request<RuleConflictReport>('/rules/conflicts');
+  }
+
+  // Queues a rule run; follow it with getJob
+  async executeRule(ruleId: string): Promise<Job> {
+    return this.request<Job>(`/rules/${ruleId}/execute`, {
       method: 'POST',
     });
   }
 
+  async previewRule(ruleId: string): Promise<RulePreviewResult> {
+    return this.request<RulePreviewResult>(`/rules/${ruleId}/execute?dryRun=true`, {
+      method: 'POST',
+    });
+  }
+
+  async getRuleRuns(ruleId: string, params: { limit?: number; offset?: number } = {}): Promise<RuleRunPage> {
+    return this.request<RuleRunPage>(`/rules/${ruleId}/runs${toQueryString(params)}`);
+  }
+
+  // Queue a run of just the customers a finished run failed on
+  async retryRuleRun(ruleId: string, jobId: string): Promise<Job> {
+    return this.request<Job>(`/rules/${ruleId}/runs/${jobId}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  // Rule runs held by the safety limits
+  async previewHeldRuleRun(ruleId: string, jobId: string): Promise<RulePreviewResult> {
+    return this.request<RulePreviewResult>(`/rules/${ruleId}/runs/${jobId}/preview`);
+  }
+
+  async approveRuleRun(ruleId: string, jobId: string): Promise<Job> {
+    return this.request<Job>(`/rules/${ruleId}/runs/${jobId}/approve`, {
+      method: 'POST',
+    });
+  }
+
+  async rejectRuleRun(ruleId: string, jobId: string): Promise<Job> {
+    return this.request<Job>(`/rules/${ruleId}/runs/${jobId}/reject`, {
+      method: 'POST',
+    });
+  }
+
+  // The bundle text, for downloading
+  async exportRules(format: 'yaml' | 'json', ruleIds?: string[]): Promise<string> {
+    return this.request<string>(`/rules/export${toQueryString({ format, ids: ruleIds?.join(',') })}`, undefined, 'text');
+  }
+
+  async importRules(bundle: string, conflict: RuleImportConflict, dryRun: boolean): Promise<RuleImportReport> {
+    return this.request<RuleImportReport>('/rules/import', {
+      method: 'POST',
+      body: JSON.stringify({ bundle, conflict, dryRun }),
+    });
+  }
+
+  async getRuleVersions(ruleId: string): Promise<RuleVersion[]> {
+    return this.request<RuleVersion[]>(`/rules/${ruleId}/versions`);
+  }
+
+  // Compare two versions; `to` defaults to the latest
+  async diffRuleVersions(ruleId: string, from: number, to?: number): Promise<RuleVersionDiff> {
+    return this.request<RuleVersionDiff>(`/rules/${ruleId}/versions/diff${toQueryString({ from, to })}`);
+  }
+
+  async restoreRuleVersion(ruleId: string, version: number): Promise<TaggingRule> {
+    return this.request<TaggingRule>(`/rules/${ruleId}/versions/${version}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  // Tag groups
+  async getTagGroups(): Promise<TagGroup[]> {
+    return this.request<TagGroup[]>('/tag-groups');
+  }
+
+  async createTagGroup(group: Pick<TagGroup, 'name' | 'tags'>): Promise<TagGroup> {
+    return this.request<TagGroup>('/tag-groups', {
+      method: 'POST',
+      body: JSON.stringify(group),
+    });
+  }
+
+  async updateTagGroup(groupId: string, group: Pick<TagGroup, 'name' | 'tags'>): Promise<TagGroup> {
+    return this.request<TagGroup>(`/tag-groups/${encodeURIComponent(groupId)}`, {
+      method: 'PUT',
+      body: JSON.stringify(group),
+    });
+  }
+
+  async deleteTagGroup(groupId: string): Promise<{ success: boolean; message: string }> {
+    return this.request<{ success: boolean; message: string }>(`/tag-groups/${encodeURIComponent(groupId)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Customers holding more than one tag from the same group
+  async getTagGroupConflicts(): Promise<TagGroupConflictReport> {
+    return this.request<TagGroupConflictReport>('/tag-groups/conflicts');
+  }
+
+  // Render tag templates for sample customers from a segment, or for the
+  // customers returned by an earlier preview
+  async previewTagTemplates(
+    params: { actions: TagAction[]; exitActions?: TagAction[]; segment?: string; customers?: ShopifyCustomer[]; limit?: number }
+  ): Promise<TagTemplatePreview> {
+    return this.request<TagTemplatePreview>('/tag-templates/preview', {
+      method: 'POST',
+      body: JSON.stringify(params),
+    });
+  }
+
   // Sync all segments (refresh data)
   async syncSegments(): Promise<CustomerSegment[]> {
     const result = await this.request<{
@@ -167,7 +790,7 @@ class ApiService {
   }
 
   // Get customer count for a specific segment
-  async getSegmentCustomerCount(segmentName: string): Promise<{
+  async getSegmentCustomerCount(segmentName: string, progressId?: string): Promise<{
     success: boolean;
     segment: string;
     segmentId: string;
@@ -180,11 +803,11 @@ class ApiService {
       segmentId: string;
       customerCount: number;
       fetchedAt: string;
-    }>(`/segments/count?segment=${encodeURIComponent(segmentName)}`);
+    }>(`/segments/count${toQueryString({ segment: segmentName, progressId })}`);
   }
 
   // Sync all customers from a specific segment (with full pagination)
-  async syncCustomersInSegment(segmentName: string): Promise<{
+  async syncCustomersInSegment(segmentName: string, progressId?: string): Promise<{
     success: boolean;
     message: string;
     segment: string;
@@ -203,7 +826,20 @@ class ApiService {
       actualCount: number;
       customers: ShopifyCustomer[];
       syncedAt: string;
-    }>(`/customers/sync?segment=${encodeURIComponent(segmentName)}`);
+    }>(`/customers/sync${toQueryString({ segment: segmentName, progressId })}`);
+  }
+
+  // Shopify store installation
+  async getShops(): Promise<ShopStatus> {
+    return this.request<ShopStatus>('/shops');
+  }
+
+  // Returns the Shopify URL that asks the merchant to approve the install
+  async installShop(shop: string): Promise<{ authUrl: string }> {
+    return this.request<{ authUrl: string }>('/auth/shopify', {
+      method: 'POST',
+      body: JSON.stringify({ shop }),
+    });
   }
 }
 
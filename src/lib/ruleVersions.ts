@@ -0,0 +1,47 @@
+import type { RuleDefinition, TagAction } from "@/lib/api";
+import { describeSchedule } from "@/lib/schedule";
+import { describeTagExpiry } from "@/lib/tagExpiry";
+
+// Labels for the fields stored with each rule version (server/ruleVersions.js)
+export const RULE_FIELD_LABELS: Record<keyof RuleDefinition, string> = {
+  name: 'Name',
+  isActive: 'Status',
+  triggerSegment: 'Trigger',
+  trigger: 'Trigger condition',
+  actions: 'Actions',
+  exitActions: 'Exit actions',
+  schedule: 'Schedule',
+  priority: 'Priority',
+  maxChanges: 'Maximum customers changed',
+  maxChangePercent: 'Maximum change percentage',
+};
+
+const describeTagAction = (action: TagAction) => {
+  const label = action.type === 'set_tier'
+    ? `tier → ${action.tag}`
+    : `${action.type === 'add' ? '+' : '-'}${action.tag}`;
+  const expiry = describeTagExpiry(action);
+  return expiry ? `${label} (${expiry})` : label;
+};
+
+// A version field's value as shown in a diff
+export function describeRuleValue(field: keyof RuleDefinition, value: unknown): string {
+  switch (field) {
+    case 'isActive':
+      return value ? 'Active' : 'Inactive';
+    case 'schedule':
+      return describeSchedule(value as string | null);
+    case 'actions':
+    case 'exitActions': {
+      const actions = (value as TagAction[] | null) || [];
+      return actions.length > 0 ? actions.map(describeTagAction).join(', ') : 'None';
+    }
+    case 'maxChangePercent':
+      return value === null || value === undefined ? 'Global limit' : `${value}%`;
+    case 'maxChanges':
+      return value === null || value === undefined ? 'Global limit' : String(value);
+    default:
+      if (value === null || value === undefined || value === '') return '—';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
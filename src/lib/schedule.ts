@@ -0,0 +1,15 @@
+// Schedule presets offered in the rule form. Values are cron expressions
+// understood by the server scheduler (server/cron.js).
+export const SCHEDULE_PRESETS = [
+  { value: '@hourly', label: 'Every hour' },
+  { value: '0 */6 * * *', label: 'Every 6 hours' },
+  { value: '0 3 * * *', label: 'Daily at 03:00' },
+  { value: '0 3 * * 1', label: 'Weekly on Monday at 03:00' },
+  { value: '0 3 1 * *', label: 'Monthly on the 1st at 03:00' },
+];
+
+export function describeSchedule(schedule?: string | null): string {
+  if (!schedule) return 'Manual only';
+  const preset = SCHEDULE_PRESETS.find(p => p.value === schedule);
+  return preset ? preset.label : schedule;
+}
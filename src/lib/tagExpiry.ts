@@ -0,0 +1,26 @@
+import type { TagAction } from "@/lib/api";
+
+export type TagExpiry = Pick<TagAction, 'expiresAt' | 'expiresIn'>;
+
+// Durations the server accepts: hours, days, weeks or 30-day months
+const DURATION = /^\s*[1-9]\d*\s*[hdwm]\s*$/i;
+
+export function isTagExpiryValid(expiry: TagExpiry): boolean {
+  if (expiry.expiresIn !== undefined) return DURATION.test(expiry.expiresIn);
+  if (expiry.expiresAt !== undefined) return !Number.isNaN(new Date(expiry.expiresAt).getTime());
+  return true;
+}
+
+// Only the expiry fields that are set, for sending with an action
+export function getTagExpiry(expiry: TagExpiry): TagExpiry {
+  if (expiry.expiresIn) return { expiresIn: expiry.expiresIn.trim() };
+  if (expiry.expiresAt) return { expiresAt: expiry.expiresAt };
+  return {};
+}
+
+// e.g. "for 30d" or "until 2024-12-02"
+export function describeTagExpiry(expiry: TagExpiry): string {
+  if (expiry.expiresIn) return `for ${expiry.expiresIn}`;
+  if (expiry.expiresAt) return `until ${expiry.expiresAt.slice(0, 10)}`;
+  return '';
+}
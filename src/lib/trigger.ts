@@ -0,0 +1,162 @@
+import type { TaggingRule, TriggerCondition } from "@/lib/api";
+
+// Editable form of a rule trigger used by the trigger builder. The root is
+// always a group; any condition can be negated.
+export type TriggerDraftKind = 'segment' | 'tag' | 'field' | 'group';
+
+export interface TriggerDraft {
+  id: string;
+  kind: TriggerDraftKind;
+  negated: boolean;
+  segment: string;
+  tag: string;
+  field: string;
+  operator: string;
+  value: string;
+  match: 'and' | 'or';
+  conditions: TriggerDraft[];
+}
+
+// Customer fields offered in the builder (a subset of the segment query fields)
+export const TRIGGER_FIELDS = [
+  { value: 'total_spent', label: 'Total spent', type: 'number' },
+  { value: 'orders_count', label: 'Number of orders', type: 'number' },
+  { value: 'average_order_value', label: 'Average order value', type: 'number' },
+  { value: 'last_order_date', label: 'Last order date', type: 'date' },
+  { value: 'first_order_date', label: 'First order date', type: 'date' },
+  { value: 'customer_created_at', label: 'Customer since', type: 'date' },
+  { value: 'customer_email_domain', label: 'Email domain', type: 'string' },
+  { value: 'customer_country', label: 'Country', type: 'string' },
+  { value: 'rfm_group', label: 'RFM group', type: 'string' },
+  { value: 'accepted_marketing', label: 'Accepts marketing', type: 'boolean' },
+] as const;
+
+export const TRIGGER_OPERATORS: Record<string, string[]> = {
+  number: ['>', '>=', '<', '<=', '=', '!='],
+  date: ['>=', '<=', '>', '<', '='],
+  string: ['=', '!=', 'CONTAINS', 'NOT CONTAINS'],
+  boolean: ['='],
+};
+
+export const MAX_TRIGGER_DEPTH = 3;
+
+let nextDraftId = 0;
+
+export function createTriggerDraft(kind: TriggerDraftKind = 'segment', overrides: Partial<TriggerDraft> = {}): TriggerDraft {
+  nextDraftId += 1;
+  return {
+    id: `condition-${nextDraftId}`,
+    kind,
+    negated: false,
+    segment: '',
+    tag: '',
+    field: 'total_spent',
+    operator: '>',
+    value: '',
+    match: 'and',
+    conditions: kind === 'group' ? [createTriggerDraft('segment')] : [],
+    ...overrides,
+  };
+}
+
+export function getTriggerFieldType(field: string): string {
+  return TRIGGER_FIELDS.find(option => option.value === field)?.type || 'string';
+}
+
+function conditionToDraft(condition: TriggerCondition, negated = false): TriggerDraft {
+  switch (condition.type) {
+    case 'not':
+      return conditionToDraft(condition.condition, !negated);
+    case 'and':
+    case 'or':
+      return createTriggerDraft('group', {
+        negated,
+        match: condition.type,
+        conditions: condition.conditions.map(child => conditionToDraft(child)),
+      });
+    case 'segment':
+      return createTriggerDraft('segment', { negated, segment: condition.segment });
+    case 'tag':
+      return createTriggerDraft('tag', { negated, tag: condition.tag });
+    case 'field':
+      return createTriggerDraft('field', {
+        negated,
+        field: condition.field,
+        operator: condition.operator,
+        value: String(condition.value),
+      });
+  }
+}
+
+// The builder's root group for a rule: its compound trigger, or a group
+// holding its single trigger segment
+export function ruleToTriggerDraft(rule?: TaggingRule | null): TriggerDraft {
+  if (rule?.trigger) {
+    const draft = conditionToDraft(rule.trigger);
+    return draft.kind === 'group' && !draft.negated
+      ? draft
+      : createTriggerDraft('group', { conditions: [draft] });
+  }
+  return createTriggerDraft('group', {
+    conditions: [createTriggerDraft('segment', { segment: rule?.triggerSegment || '' })],
+  });
+}
+
+function draftToCondition(draft: TriggerDraft): TriggerCondition {
+  let condition: TriggerCondition;
+  switch (draft.kind) {
+    case 'group':
+      condition = { type: draft.match, conditions: draft.conditions.map(draftToCondition) };
+      break;
+    case 'segment':
+      condition = { type: 'segment', segment: draft.segment };
+      break;
+    case 'tag':
+      condition = { type: 'tag', tag: draft.tag.trim() };
+      break;
+    case 'field': {
+      const fieldType = getTriggerFieldType(draft.field);
+      const value = draft.value.trim();
+      condition = {
+        type: 'field',
+        field: draft.field,
+        operator: draft.operator,
+        value: fieldType === 'number' ? Number(value) : fieldType === 'boolean' ? value === 'true' : value,
+      };
+      break;
+    }
+  }
+  return draft.negated ? { type: 'not', condition } : condition;
+}
+
+// The trigger fields to save on a rule. A lone segment is saved as a plain
+// trigger segment so simple rules stay simple.
+export function triggerDraftToRule(draft: TriggerDraft): Pick<TaggingRule, 'triggerSegment' | 'trigger'> {
+  const [only] = draft.conditions;
+  if (draft.conditions.length === 1 && only.kind === 'segment' && !only.negated && !draft.negated) {
+    return { triggerSegment: only.segment, trigger: null };
+  }
+  // The server replaces triggerSegment with a description of the trigger
+  return { triggerSegment: '', trigger: draftToCondition(draft) };
+}
+
+export function isTriggerDraftComplete(draft: TriggerDraft): boolean {
+  switch (draft.kind) {
+    case 'group':
+      return draft.conditions.length > 0 && draft.conditions.every(isTriggerDraftComplete);
+    case 'segment':
+      return Boolean(draft.segment);
+    case 'tag':
+      return Boolean(draft.tag.trim());
+    case 'field':
+      return Boolean(draft.value.trim()) &&
+        (getTriggerFieldType(draft.field) !== 'number' || Number.isFinite(Number(draft.value)));
+  }
+}
+
+// Segments the trigger matches customers from (negated ones excluded), in order
+export function getTriggerDraftSegments(draft: TriggerDraft): string[] {
+  if (draft.negated) return [];
+  if (draft.kind === 'group') return draft.conditions.flatMap(getTriggerDraftSegments);
+  return draft.kind === 'segment' && draft.segment ? [draft.segment] : [];
+}